@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * bin/sql-create-extractor.js
+ * ---------------------------
+ * Punto de entrada único de las herramientas (bin "sql-create-extractor"
+ * de package.json). Cada subcomando ejecuta el script correspondiente con
+ * el resto de argumentos, de modo que admite las mismas opciones:
+ *
+ *   extract  extract_create_tables.js
+ *   der      generate_der.js
+ *   diff     diff_schemas.js
+ *   lint     lint_schema.js
+ *
+ * Uso:
+ *   sql-create-extractor <comando> [argumentos] [opciones]
+ *   sql-create-extractor <comando> --help
+ *   sql-create-extractor --version
+ *
+ * Ejemplo:
+ *   sql-create-extractor extract dump.sql --grouped --out-dir build
+ *   sql-create-extractor der dump.sql --format html --quiet
+ *   sql-create-extractor lint dump.sql --format sarif --report lint.sarif
+ */
+
+const path = require('path');
+const { version } = require('../package.json');
+
+const COMMANDS = {
+  extract: { script: 'extract_create_tables.js', description: 'Extrae las sentencias DDL del volcado' },
+  der: { script: 'generate_der.js', description: 'Genera el diagrama entidad-relación' },
+  diff: { script: 'diff_schemas.js', description: 'Compara dos volcados y genera el script de migración' },
+  lint: { script: 'lint_schema.js', description: 'Revisa la calidad del esquema' }
+};
+
+const USAGE = 'Uso: sql-create-extractor <comando> [argumentos] [opciones]';
+const HELP = `${USAGE}
+
+Comandos:
+${Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(8)} ${command.description}`).join('\n')}
+
+"sql-create-extractor <comando> --help" muestra las opciones de cada comando.
+Los valores por defecto de las opciones se leen de .sqlextractorrc.json.`;
+
+let [command, ...argv] = process.argv.slice(2);
+
+// "help der" equivale a "der --help"
+if (command === 'help' && argv.length > 0) {
+  command = argv[0];
+  argv = ['--help'];
+}
+if (command === '--version') {
+  console.log(version);
+  process.exit(0);
+}
+if (command === '--help' || command === 'help') {
+  console.log(HELP);
+  process.exit(0);
+}
+if (!command) {
+  console.error(HELP);
+  process.exit(1);
+}
+if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+  console.error(`Comando desconocido: ${command}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Los scripts leen sus argumentos de process.argv al cargarse
+const script = path.join(__dirname, '..', COMMANDS[command].script);
+process.argv = [process.argv[0], script, ...argv];
+require(script);
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * diff_schemas.js
+ * ---------------
+ * Compara dos volcados Oracle SQL (el anterior y el nuevo) y genera:
+ *
+ *   - un informe de diferencias en Markdown o JSON: tablas, columnas, tipos,
+ *     constraints e índices añadidos, eliminados y modificados;
+ *   - un script de migración Oracle (ALTER TABLE ADD/MODIFY/DROP,
+ *     CREATE/DROP INDEX, ...) que transforma el esquema anterior en el nuevo.
+ *
+ * Ambos volcados se analizan con el mismo analizador que
+ * extract_create_tables.js y admiten archivos .sql.gz y la entrada estándar
+ * ("-", sólo en uno de los dos). Las advertencias del análisis de ambos
+ * (sentencias que no se entienden del todo y que pueden hacer aparecer como
+ * eliminadas columnas o constraints que siguen ahí) se muestran en la
+ * consola o se guardan con --warnings-report; con --strict cualquier
+ * advertencia termina el proceso con código 1 sin comparar nada.
+ *
+ * Los valores por defecto de las opciones pueden darse en el archivo de
+ * configuración del proyecto (ver lib/config_file.js). También se ejecuta
+ * como "sql-create-extractor diff".
+ *
+ * Uso:
+ *   node diff_schemas.js <old_dump.sql> <new_dump.sql> [--report schema_diff.md]
+ *                        [--format markdown|json] [--migration migration.sql]
+ *                        [--strict] [--warnings-report archivo]
+ *                        [--out-dir dir] [--quiet | --verbose] [--config archivo]
+ *
+ * Ejemplo:
+ *   node diff_schemas.js dump_enero.sql dump_febrero.sql
+ *   node diff_schemas.js old.sql.gz new.sql.gz --format json --report diff.json
+ *   node diff_schemas.js old.sql new.sql --strict
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readSchema, STDIN } = require('./lib/sql_input');
+const { parseCommandLine, resolveOutput } = require('./lib/cli_args');
+const log = require('./lib/logger');
+const { diffSchemas, isEmptyDiff, formatDiffMarkdown, formatDiffJson } = require('./lib/schema_diff');
+const { generateMigration } = require('./lib/migration_script');
+const { WARNING_OPTIONS, warningHelp, reportParseWarnings, printWarningSummary } = require('./lib/parse_warnings');
+
+const USAGE = 'Uso: node diff_schemas.js <old_dump.sql> <new_dump.sql> [--report schema_diff.md] [--format markdown|json] [--migration migration.sql]\n' +
+  '                          [--strict] [--warnings-report archivo]';
+const HELP = `${USAGE}
+
+Compara dos volcados Oracle SQL y genera el informe de diferencias y el script de migración.
+
+Opciones:
+  --format formato      Formato del informe: markdown o json (por defecto, markdown)
+  --report archivo      Informe de diferencias (por defecto, schema_diff.md o schema_diff.json)
+  --migration archivo   Script de migración (por defecto, migration.sql)
+${warningHelp(22)}`;
+const args = parseCommandLine(process.argv.slice(2), {
+  command: 'diff',
+  usage: USAGE,
+  help: HELP,
+  valueOptions: ['report', 'format', 'migration', ...WARNING_OPTIONS.valueOptions],
+  booleanOptions: WARNING_OPTIONS.booleanOptions
+});
+const [oldFile, newFile] = args.positional;
+
+if (!oldFile || !newFile) {
+  console.error(USAGE);
+  process.exit(1);
+}
+if (oldFile === STDIN && newFile === STDIN) {
+  console.error('Sólo uno de los volcados puede leerse de la entrada estándar');
+  process.exit(1);
+}
+
+// Formato del informe: "markdown" o "json"
+const format = args.options.format || 'markdown';
+if (!['markdown', 'json'].includes(format)) {
+  console.error(`Valor no válido para --format: ${format}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+const reportFile = resolveOutput(args.options, args.options.report || (format === 'json' ? 'schema_diff.json' : 'schema_diff.md'));
+const migrationFile = resolveOutput(args.options, args.options.migration || 'migration.sql');
+const warningsReport = typeof args.options['warnings-report'] === 'string'
+  ? resolveOutput(args.options, args.options['warnings-report'])
+  : null;
+
+async function loadSchema(file) {
+  log.info(`Procesando ${file === STDIN ? 'entrada estándar' : file}...`);
+  try {
+    return await readSchema(file);
+  } catch (err) {
+    console.error(`Error al leer el archivo ${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function main() {
+  const oldModel = await loadSchema(oldFile);
+  const newModel = await loadSchema(newFile);
+  const warnings = oldModel.warnings.concat(newModel.warnings);
+  reportParseWarnings(warnings, {
+    reportFile: warningsReport,
+    strict: Boolean(args.options.strict),
+    consequence: 'No se generan el informe ni el script de migración.'
+  });
+
+  const diff = diffSchemas(oldModel, newModel);
+  const reportOptions = { oldFile, newFile, warnings: warnings.length };
+
+  try {
+    const report = format === 'json' ? formatDiffJson(diff, reportOptions) : formatDiffMarkdown(diff, reportOptions);
+    fs.writeFileSync(path.resolve(reportFile), report);
+    fs.writeFileSync(path.resolve(migrationFile), generateMigration(diff, reportOptions));
+  } catch (err) {
+    console.error(`Error al escribir archivos de salida: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (isEmptyDiff(diff)) {
+    log.info('Los dos volcados definen el mismo esquema.');
+  } else {
+    log.info(`Comparación completada:`);
+    log.info(`- Tablas: ${diff.tables.added.length} añadidas, ${diff.tables.removed.length} eliminadas, ${diff.tables.changed.length} modificadas`);
+    log.info(`- Índices: ${diff.indexes.added.length} añadidos, ${diff.indexes.removed.length} eliminados, ${diff.indexes.changed.length} modificados`);
+  }
+  log.info(`Informe guardado en '${reportFile}'.`);
+  log.info(`Script de migración guardado en '${migrationFile}'.`);
+  printWarningSummary(warnings, warningsReport);
+}
+
+main();
@@ -5,106 +5,706 @@
  * Extrae todas las sentencias CREATE TABLE y sus relaciones (constraints, foreign keys, etc.) 
  * de un volcado Oracle SQL y las guarda en un archivo separado.
  *
+ * El volcado se lee por fragmentos; admite archivos .sql.gz y la entrada
+ * estándar ("-"). Con --stream las sentencias se escriben en cuanto se
+ * completan, en el orden del volcado, sin acumularlas en memoria.
+ *
+ * Además de tablas, constraints e índices se extraen tipos, secuencias,
+ * vistas, vistas materializadas, sinónimos, paquetes, procedimientos,
+ * funciones, triggers, GRANT y COMMENT ON, cada tipo en su sección (ver
+ * lib/object_types.js). Cada sentencia se clasifica una sola vez, y
+ * --include/--exclude eligen los tipos que se escriben. Los objetos PL/SQL
+ * se escriben terminados en "/".
+ *
+ * Con --grouped la salida se agrupa por tabla (su CREATE TABLE,
+ * constraints, índices y comentarios juntos) y las tablas se ordenan por
+ * sus foreign keys, de modo que el archivo puede ejecutarse sobre una base
+ * de datos vacía. Con --per-table se escribe además un archivo por tabla en
+ * el directorio de salida (tables/[ESQUEMA/]TABLA.sql), otro por cada tipo
+ * de objeto restante e install.sql, que los ejecuta en ese orden.
+ *
+ * La entrada puede ser un volcado o varios archivos, directorios (con sus
+ * scripts, p. ej. un archivo por objeto) y globs, que se leen como un único
+ * volcado: --input a.sql,ddl/ o, si la salida se indica con --output, como
+ * argumentos.
+ *
+ * Las advertencias del análisis (sentencias que no se entienden del todo y,
+ * salvo con --stream, que no construye el modelo, las tablas, índices y
+ * secuencias definidos más de una vez) se muestran en la consola o se
+ * guardan con --warnings-report. Con --strict cualquier advertencia termina
+ * el proceso con código 1 sin escribir la salida; no es compatible con
+ * --stream, que escribe cada sentencia según la lee.
+ *
+ * Con --target postgres|mysql|mssql el esquema se traduce al DDL de otro
+ * motor (tipos, identity, secuencias, comillas, constraints e índices) sin
+ * las cláusulas de almacenamiento de Oracle; lo que no puede traducirse se
+ * marca con comentarios -- ADVERTENCIA. No es compatible con --stream.
+ *
+ * El volcado y el archivo de salida pueden indicarse también con --input y
+ * --output, y los valores por defecto de las opciones en el archivo de
+ * configuración del proyecto (ver lib/config_file.js). También se ejecuta
+ * como "sql-create-extractor extract".
+ *
  * Uso:
- *   node extract_create_tables.js <input_dump.sql> [output_tables.sql]
+ *   node extract_create_tables.js <input_dump.sql|dir|glob|-> [output_tables.sql] [--stream | --grouped | --per-table]
+ *                                 [--include tipos] [--exclude tipos]
+ *                                 [--target postgres|mysql|mssql] [--strict] [--warnings-report archivo]
+ *                                 [--out-dir dir] [--quiet | --verbose] [--config archivo]
  *
  * Ejemplo:
  *   node extract_create_tables.js dump.sql create_tables.sql
+ *   gzip -dc dump.sql.gz | node extract_create_tables.js - create_tables.sql --stream
+ *   node extract_create_tables.js dump.sql create_tables_pg.sql --target postgres
+ *   node extract_create_tables.js dump.sql create_tables.sql --grouped
+ *   node extract_create_tables.js dump.sql schema --per-table
+ *   node extract_create_tables.js --input 'ddl/**\/*.sql' --output create_tables.sql --grouped
+ *   node extract_create_tables.js dump.sql plsql.sql --include packages,procedures,functions
+ *   node extract_create_tables.js --input dump.sql --out-dir build --quiet
  */
 
 const fs = require('fs');
 const path = require('path');
+const { StatementKind, parseStatement, tableKey, SchemaBuilder } = require('./lib/ddl_parser');
+const { OBJECT_TYPES, objectTypeOf, statementText, selectObjectTypes } = require('./lib/object_types');
+const { readStatements, readSchema, STDIN } = require('./lib/sql_input');
+const { parseCommandLine, resolveOutput, inputsAndOutput } = require('./lib/cli_args');
+const log = require('./lib/logger');
+const { TARGETS, translateSchema, formatStatement } = require('./lib/translators');
+const { orderTables } = require('./lib/table_order');
+const { WARNING_OPTIONS, warningHelp, reportParseWarnings, printWarningSummary } = require('./lib/parse_warnings');
+
+const USAGE = 'Uso: node extract_create_tables.js <input_dump.sql|dir|glob|-> [output_tables.sql] [--stream | --grouped | --per-table] [--include tipos] [--exclude tipos] [--target postgres|mysql|mssql]\n' +
+  '                                   [--strict] [--warnings-report archivo]';
+const HELP = `${USAGE}
+
+Extrae las sentencias DDL de un volcado Oracle SQL, agrupadas por tipo de objeto.
+
+Opciones:
+  --input entradas  Volcado de entrada (.sql, .sql.gz o - para la entrada estándar), o varios
+                    archivos, directorios y globs separados por comas
+  --output archivo  Archivo de salida (por defecto, create_tables.sql; con --per-table, el
+                    directorio ddl)
+  --stream          Escribe cada sentencia en cuanto se completa, en el orden del volcado
+  --grouped         Agrupa las sentencias por tabla, en el orden de sus foreign keys
+  --per-table       Escribe un archivo por tabla, con sus constraints, índices y comentarios,
+                    en el directorio de salida, e install.sql para ejecutarlos en orden
+  --include tipos   Tipos de objeto que se escriben, separados por comas
+  --exclude tipos   Tipos de objeto que se omiten
+  --target motor    Traduce el esquema al DDL de postgres, mysql o mssql
+${warningHelp(18)}`;
 
 // Obtener argumentos de línea de comandos (ignorar los dos primeros: node y script)
-const [, , inputFile, outputFile = 'create_tables.sql'] = process.argv;
+const { positional, options } = parseCommandLine(process.argv.slice(2), {
+  command: 'extract',
+  usage: USAGE,
+  help: HELP,
+  valueOptions: ['input', 'output', 'target', 'include', 'exclude', ...WARNING_OPTIONS.valueOptions],
+  booleanOptions: ['stream', 'grouped', 'per-table', ...WARNING_OPTIONS.booleanOptions]
+});
+let inputs;
+let output;
+try {
+  ({ inputs, output } = inputsAndOutput(positional, options));
+} catch (err) {
+  console.error(err.message);
+  console.error(USAGE);
+  process.exit(1);
+}
+// Con --per-table la salida es un directorio
+const outputFile = resolveOutput(options, output || (options['per-table'] ? 'ddl' : 'create_tables.sql'));
 
-if (!inputFile) {
-  console.error('Uso: node extract_create_tables.js <input_dump.sql> [output_tables.sql]');
+if (inputs.length === 0) {
+  console.error(USAGE);
   process.exit(1);
 }
 
-// Leer contenido del dump
-let sql;
-try {
-  sql = fs.readFileSync(path.resolve(inputFile), 'utf-8');
-} catch (err) {
-  console.error(`Error al leer el archivo de entrada: ${err.message}`);
+// Motor de destino de la traducción (--target)
+const target = options.target;
+if (target !== undefined && !TARGETS.includes(target)) {
+  console.error(`Valor no válido para --target: ${target}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+if (target !== undefined && options.stream) {
+  console.error('--target necesita el esquema completo y no es compatible con --stream');
+  process.exit(1);
+}
+if (options.grouped && (options.stream || target !== undefined)) {
+  console.error('--grouped no es compatible con --stream ni con --target');
+  process.exit(1);
+}
+if (options['per-table'] && (options.stream || options.grouped || target !== undefined)) {
+  console.error('--per-table no es compatible con --stream, --grouped ni --target');
+  process.exit(1);
+}
+
+// Con --per-table, la salida no puede estar dentro de un directorio de
+// entrada: sus archivos se leerían como parte del volcado y se sustituirían
+if (options['per-table']) {
+  const outputDir = path.resolve(outputFile);
+  const inputDir = inputs.find(input => {
+    let stats;
+    try {
+      stats = fs.statSync(input);
+    } catch (err) {
+      return false;
+    }
+    const dir = path.resolve(input);
+    return stats.isDirectory() && (outputDir === dir || outputDir.startsWith(dir + path.sep));
+  });
+  if (inputDir) {
+    console.error(`El directorio de salida '${outputFile}' es el directorio de entrada '${inputDir}' o está dentro de él: indique otro con --output`);
+    process.exit(1);
+  }
+}
+
+if (options.strict && options.stream) {
+  console.error('--strict necesita analizar el volcado completo antes de escribir y no es compatible con --stream');
+  process.exit(1);
+}
+
+// Advertencias del análisis: --strict las convierte en error y
+// --warnings-report las guarda en un archivo
+const warningsReport = typeof options['warnings-report'] === 'string'
+  ? resolveOutput(options, options['warnings-report'])
+  : null;
+let parseWarnings = [];
+
+if (target !== undefined && (options.include || options.exclude)) {
+  console.error('--include y --exclude no se aplican a la traducción con --target');
   process.exit(1);
 }
 
-// Expresión regular para capturar bloques CREATE TABLE hasta el punto y coma final
-const createTableRegex = /CREATE\s+TABLE[\s\S]*?;/gi;
-const matches = sql.match(createTableRegex);
-
-// Expresiones regulares para extraer constraints y relaciones
-const alterTableRegex = /ALTER\s+TABLE[\s\S]*?;/gi;
-const addConstraintRegex = /ALTER\s+TABLE\s+\w+\s+ADD\s+CONSTRAINT[\s\S]*?;/gi;
-const createIndexRegex = /CREATE\s+(?:UNIQUE\s+)?INDEX[\s\S]*?;/gi;
-
-// Extraer ALTER TABLE statements
-const alterTableMatches = sql.match(alterTableRegex) || [];
-// Extraer ADD CONSTRAINT statements
-const constraintMatches = sql.match(addConstraintRegex) || [];
-// Extraer CREATE INDEX statements
-const indexMatches = sql.match(createIndexRegex) || [];
-
-if (!matches || matches.length === 0) {
-  console.log('No se encontraron sentencias CREATE TABLE en el archivo.');
-  process.exit(0);
-}
-
-// Combinar todas las sentencias encontradas
-let allStatements = [];
-
-// Agregar CREATE TABLE statements
-allStatements.push('-- ====================================');
-allStatements.push('-- CREATE TABLE STATEMENTS');
-allStatements.push('-- ====================================');
-allStatements.push('');
-allStatements = allStatements.concat(matches);
-
-// Agregar ALTER TABLE statements si existen
-if (alterTableMatches.length > 0) {
-  allStatements.push('');
-  allStatements.push('-- ====================================');
-  allStatements.push('-- ALTER TABLE STATEMENTS');
-  allStatements.push('-- ====================================');
-  allStatements.push('');
-  allStatements = allStatements.concat(alterTableMatches);
-}
-
-// Agregar CONSTRAINT statements si existen
-if (constraintMatches.length > 0) {
-  allStatements.push('');
-  allStatements.push('-- ====================================');
-  allStatements.push('-- CONSTRAINT STATEMENTS');
-  allStatements.push('-- ====================================');
-  allStatements.push('');
-  allStatements = allStatements.concat(constraintMatches);
-}
-
-// Agregar INDEX statements si existen
-if (indexMatches.length > 0) {
-  allStatements.push('');
-  allStatements.push('-- ====================================');
-  allStatements.push('-- INDEX STATEMENTS');
-  allStatements.push('-- ====================================');
-  allStatements.push('');
-  allStatements = allStatements.concat(indexMatches);
-}
-
-// Escribir las sentencias extraídas en el archivo de salida
+// Tipos de objeto que se escriben (--include / --exclude)
+let selectedTypes;
 try {
-  fs.writeFileSync(path.resolve(outputFile), allStatements.join('\n\n'));
-  
-  const totalStatements = matches.length + alterTableMatches.length + constraintMatches.length + indexMatches.length;
-  console.log(`Extracción completada:`);
-  console.log(`- ${matches.length} sentencias CREATE TABLE`);
-  console.log(`- ${alterTableMatches.length} sentencias ALTER TABLE`);
-  console.log(`- ${constraintMatches.length} sentencias CONSTRAINT`);
-  console.log(`- ${indexMatches.length} sentencias CREATE INDEX`);
-  console.log(`Total: ${totalStatements} sentencias guardadas en '${outputFile}'.`);
+  selectedTypes = selectObjectTypes(options.include, options.exclude);
 } catch (err) {
-  console.error(`Error al escribir el archivo de salida: ${err.message}`);
+  console.error(err.message);
+  console.error(USAGE);
   process.exit(1);
 }
+if (target === undefined) {
+  log.verbose(`Tipos de objeto: ${OBJECT_TYPES.filter(type => selectedTypes.has(type.name)).map(type => type.name).join(', ')}`);
+}
+
+// Error de lectura del volcado, distinguible de los de escritura
+class InputError extends Error {}
+
+function emptyCounts() {
+  return Object.fromEntries(OBJECT_TYPES.map(type => [type.name, 0]));
+}
+
+// Recorre las sentencias del volcado clasificando las que interesan. Con
+// builder, las sentencias se incorporan además al modelo del esquema (y
+// sus advertencias, a las del modelo); sin él, las advertencias se
+// acumulan en parseWarnings.
+async function forEachExtracted(callback, builder = null) {
+  const statements = readStatements(inputs);
+  for (;;) {
+    let result;
+    try {
+      result = await statements.next();
+    } catch (err) {
+      throw new InputError(err.message);
+    }
+    if (result.done) return;
+
+    const parsed = builder ? builder.add(result.value) : parseStatement(result.value);
+    if (!builder) parseWarnings.push(...parsed.warnings);
+    const type = objectTypeOf(parsed);
+    if (type && selectedTypes.has(type)) {
+      await callback(parsed, statementText(parsed, result.value), type);
+    }
+  }
+}
+
+// Abre el archivo de salida como flujo de escritura
+function openOutput(file) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(path.resolve(file));
+    stream.once('open', () => resolve(stream));
+    stream.once('error', reject);
+  });
+}
+
+// Escribe respetando la contrapresión del flujo de salida
+function writeChunk(stream, text) {
+  if (stream.write(text)) return Promise.resolve();
+  return new Promise(resolve => stream.once('drain', resolve));
+}
+
+function closeOutput(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+}
+
+// Resumen por tipo de objeto: los tipos seleccionados con sentencias, y
+// siempre CREATE TABLE si está seleccionado
+function printReport(counts) {
+  log.info(`Extracción completada:`);
+  for (const type of OBJECT_TYPES) {
+    if (counts[type.name] > 0 || (type.name === 'tables' && selectedTypes.has('tables'))) {
+      log.info(`- ${counts[type.name]} sentencias ${type.label}`);
+    }
+  }
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  log.info(`Total: ${total} sentencias guardadas en '${outputFile}'.`);
+  printWarningSummary(parseWarnings, warningsReport);
+}
+
+function hasStatements(counts) {
+  return Object.values(counts).some(count => count > 0);
+}
+
+function printNothingFound() {
+  log.info(selectedTypes.has('tables')
+    ? 'No se encontraron sentencias CREATE TABLE en el archivo.'
+    : 'No se encontraron sentencias de los tipos seleccionados en el archivo.');
+}
+
+function sectionHeader(title) {
+  return ['-- ====================================', `-- ${title}`, '-- ===================================='].join('\n');
+}
+
+function writeOutput(text) {
+  try {
+    fs.writeFileSync(path.resolve(outputFile), text);
+  } catch (err) {
+    console.error(`Error al escribir el archivo de salida: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Muestra las advertencias del análisis o las guarda en --warnings-report.
+// Con --strict, si hay alguna, el proceso termina antes de escribir nada.
+function reportWarnings(warnings) {
+  parseWarnings = warnings;
+  reportParseWarnings(warnings, { reportFile: warningsReport, strict: Boolean(options.strict), consequence: 'No se escribe la salida.' });
+}
+
+// Modo por secciones: agrupa las sentencias por tipo antes de escribirlas
+async function extractBySection() {
+  const matches = Object.fromEntries(OBJECT_TYPES.map(type => [type.name, []]));
+
+  const builder = new SchemaBuilder();
+  await forEachExtracted((parsed, text, type) => {
+    matches[type].push(text);
+  }, builder);
+  reportWarnings(builder.build().warnings);
+
+  const counts = emptyCounts();
+  for (const type of OBJECT_TYPES) counts[type.name] = matches[type.name].length;
+  if (!hasStatements(counts)) {
+    printNothingFound();
+    process.exit(0);
+  }
+
+  // Combinar las secciones que tienen sentencias
+  const allStatements = [];
+  for (const type of OBJECT_TYPES) {
+    if (matches[type.name].length === 0) continue;
+    allStatements.push(sectionHeader(type.title), ...matches[type.name]);
+  }
+  writeOutput(allStatements.join('\n\n'));
+
+  printReport(counts);
+}
+
+// Tabla del modelo a la que pertenece una sentencia, o null si el volcado
+// no la crea
+function ownerTable(builder, parsed) {
+  let table = null;
+  if (parsed.kind === StatementKind.CREATE_TABLE) {
+    table = parsed.table;
+  } else if (parsed.kind === StatementKind.ALTER_TABLE) {
+    table = builder.findTable(parsed.tableSchema, parsed.tableName);
+  } else if (parsed.kind === StatementKind.CREATE_INDEX) {
+    table = builder.findTable(parsed.index.tableSchema, parsed.index.table);
+  } else if (parsed.kind === StatementKind.COMMENT && parsed.comment.table) {
+    table = builder.findTable(parsed.comment.schema, parsed.comment.table);
+  }
+  return table ? tableKey(table.schema, table.name) : null;
+}
+
+// Tipos de objeto que se agrupan con su tabla en --grouped; el resto va en
+// sus secciones, antes (tipos y secuencias) o después de las tablas
+const TABLE_GROUP_TYPES = new Set(['tables', 'alters', 'constraints', 'indexes', 'comments']);
+const BEFORE_TABLES_TYPES = new Set(['types', 'sequences']);
+
+// Agrupa las sentencias por tabla, con las tablas en orden de
+// dependencias. Devuelve { counts, order, groups, sections, deferred,
+// unowned, repeated }: groups tiene las sentencias de cada tabla en el
+// orden en que se escriben, sections las de los tipos que no se agrupan,
+// deferred las foreign keys circulares, unowned las de tablas que el
+// volcado no crea y repeated las tablas, índices y secuencias sustituidos
+// por una definición posterior.
+async function groupByTable() {
+  const builder = new SchemaBuilder();
+  const entries = [];
+  await forEachExtracted((parsed, text, type) => {
+    entries.push({ parsed, text, category: type });
+  }, builder);
+  const model = builder.build();
+  reportWarnings(model.warnings);
+
+  const counts = emptyCounts();
+  for (const entry of entries) counts[entry.category]++;
+  if (!hasStatements(counts)) {
+    printNothingFound();
+    process.exit(0);
+  }
+
+  // Los ciclos se rompen preferentemente por las foreign keys de ALTER
+  // TABLE, que se pueden mover al final; las de CREATE TABLE no
+  const alterConstraints = new Set();
+  for (const { parsed } of entries) {
+    if (parsed.kind === StatementKind.ALTER_TABLE) parsed.constraints.forEach(constraint => alterConstraints.add(constraint));
+  }
+  const order = orderTables(model.tables, { deferrable: constraint => alterConstraints.has(constraint) });
+  const position = new Map(order.map((key, i) => [key, i]));
+
+  const parts = new Map(order.map(key => [key, { createTable: [], alter: [], createIndex: [], comment: [] }]));
+  const sections = Object.fromEntries(OBJECT_TYPES.map(type => [type.name, []]));
+  const deferred = [];
+  const unowned = [];
+  const repeated = [];
+  const current = new Set([...model.indexes, ...model.sequences]);
+  const isRepeated = ({ parsed }) =>
+    (parsed.kind === StatementKind.CREATE_TABLE && parsed.table.name && model.tables.get(ownerTable(builder, parsed)) !== parsed.table) ||
+    (parsed.kind === StatementKind.CREATE_INDEX && parsed.index.name && !current.has(parsed.index)) ||
+    (parsed.kind === StatementKind.CREATE_SEQUENCE && parsed.sequence.name && !current.has(parsed.sequence));
+
+  // Foreign keys hacia una tabla que se crea después (dependencia circular)
+  const forwardKeys = (key, constraints) => constraints.filter(constraint => {
+    if (constraint.type !== 'FK') return false;
+    const parent = position.get(tableKey(constraint.refSchema, constraint.refTable));
+    return parent !== undefined && parent > position.get(key);
+  });
+
+  for (const entry of entries) {
+    if (isRepeated(entry)) {
+      repeated.push(entry.text);
+      continue;
+    }
+    if (!TABLE_GROUP_TYPES.has(entry.category)) {
+      sections[entry.category].push(entry.text);
+      continue;
+    }
+    const key = ownerTable(builder, entry.parsed);
+    if (!key && entry.category === 'comments') {
+      // Comentarios de vistas y otros objetos que no son tablas
+      sections.comments.push(entry.text);
+      continue;
+    }
+    if (!key) {
+      unowned.push(entry.text);
+      continue;
+    }
+
+    const part = parts.get(key);
+    if (entry.category === 'tables') {
+      const inline = forwardKeys(key, entry.parsed.table.constraints).filter(constraint => !alterConstraints.has(constraint));
+      const notes = inline.map(constraint =>
+        `-- Atención: la foreign key ${constraint.name || constraint.columns.join(', ')} referencia ` +
+        `${tableKey(constraint.refSchema, constraint.refTable)}, que se crea después (dependencia circular)\n`);
+      part.createTable.push(notes.join('') + entry.text);
+    } else if (entry.category === 'indexes') {
+      part.createIndex.push(entry.text);
+    } else if (entry.category === 'comments') {
+      part.comment.push(entry.text);
+    } else if (forwardKeys(key, entry.parsed.constraints).length > 0) {
+      deferred.push(entry.text);
+    } else {
+      part.alter.push(entry.text);
+    }
+  }
+
+  const groups = new Map();
+  for (const key of order) {
+    const part = parts.get(key);
+    const statements = [...part.createTable, ...part.alter, ...part.createIndex, ...part.comment];
+    if (statements.length > 0) groups.set(key, { table: model.tables.get(key), statements });
+  }
+  return { counts, order, groups, sections, deferred, unowned, repeated };
+}
+
+// Título de la sección de las foreign keys circulares y de la de las
+// sentencias de tablas que no crea el volcado
+const DEFERRED_TITLE = 'DEFERRED FOREIGN KEYS (dependencias circulares)';
+const UNOWNED_TITLE = 'OTHER STATEMENTS (tablas que no crea el volcado)';
+const REPEATED_TITLE = 'REPEATED DEFINITIONS (sustituidas por una definición posterior)';
+
+function reportDeferred(deferred) {
+  if (deferred.length > 0) {
+    log.info(`${deferred.length} sentencias con foreign keys circulares se añaden al final.`);
+  }
+}
+
+// Modo agrupado: cada tabla con sus sentencias, en orden de dependencias
+async function extractGrouped() {
+  const { counts, groups, sections, deferred, unowned, repeated } = await groupByTable();
+
+  const allStatements = [];
+  const pushSections = filter => {
+    for (const type of OBJECT_TYPES) {
+      if (filter(type.name) && sections[type.name].length > 0) {
+        allStatements.push(sectionHeader(type.title), ...sections[type.name]);
+      }
+    }
+  };
+
+  pushSections(name => BEFORE_TABLES_TYPES.has(name));
+  for (const [key, group] of groups) allStatements.push(sectionHeader(`TABLE ${key}`), ...group.statements);
+  if (deferred.length > 0) allStatements.push(sectionHeader(DEFERRED_TITLE), ...deferred);
+  pushSections(name => !BEFORE_TABLES_TYPES.has(name));
+  if (unowned.length > 0) allStatements.push(sectionHeader(UNOWNED_TITLE), ...unowned);
+  if (repeated.length > 0) allStatements.push(sectionHeader(REPEATED_TITLE), ...repeated);
+  writeOutput(allStatements.join('\n\n'));
+
+  printReport(counts);
+  reportDeferred(deferred);
+}
+
+// Nombre de archivo válido en cualquier sistema para un identificador
+function safeFileName(name) {
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+}
+
+// Primera línea de los archivos que escribe --per-table: sólo se eliminan
+// los archivos de una ejecución anterior que la llevan
+const PER_TABLE_HEADER = '-- Generado por extract_create_tables.js --per-table';
+
+// Indica si un archivo lo escribió --per-table
+function isGeneratedFile(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const buffer = Buffer.alloc(Buffer.byteLength(PER_TABLE_HEADER));
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString('utf8', 0, bytes) === PER_TABLE_HEADER;
+  } catch (err) {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// Archivos .sql que --per-table escribe fuera de tables/ (con _2, _3... si
+// coinciden con otro sin distinguir mayúsculas)
+const PER_TABLE_FILES = new Set(OBJECT_TYPES.map(type => type.name)
+  .concat('deferred_foreign_keys', 'other_statements', 'install', 'repeated_definitions'));
+
+// Archivos de una ejecución anterior de --per-table que la actual no
+// escribe (p. ej. tablas eliminadas del volcado), relativos al directorio
+// de salida. Sólo se consideran los nombres que genera --per-table y los
+// archivos que empiezan por PER_TABLE_HEADER
+function staleOutputFiles(files) {
+  const written = new Set(files.map(({ file }) => file));
+  const stale = [];
+  const walk = dir => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.resolve(outputFile, dir), { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    for (const entry of entries) {
+      const file = dir ? `${dir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (dir || entry.name === 'tables') walk(file);
+      } else if (entry.name.endsWith('.sql') && !written.has(file)) {
+        const candidate = dir || PER_TABLE_FILES.has(entry.name.replace(/(_\d+)?\.sql$/, ''));
+        if (candidate && isGeneratedFile(path.resolve(outputFile, file))) stale.push(file);
+      }
+    }
+  };
+  walk('');
+  return stale;
+}
+
+// Elimina los archivos de una ejecución anterior y los directorios de
+// tables/ que quedan vacíos
+function removeStaleFiles(stale) {
+  for (const file of stale) {
+    fs.unlinkSync(path.resolve(outputFile, file));
+    for (let dir = path.dirname(file); dir.startsWith('tables/'); dir = path.dirname(dir)) {
+      const target = path.resolve(outputFile, dir);
+      if (fs.readdirSync(target).length > 0) break;
+      fs.rmdirSync(target);
+    }
+  }
+}
+
+// Modo un archivo por tabla: tables/[ESQUEMA/]TABLA.sql con el CREATE TABLE,
+// sus constraints, índices y comentarios; un archivo por tipo de objeto
+// para el resto (sequences.sql, views.sql...) e install.sql, que los
+// ejecuta en orden de dependencias con @@ en SQL*Plus. Las definiciones
+// repetidas van a repeated_definitions.sql, que install.sql no ejecuta.
+// Todos empiezan por PER_TABLE_HEADER; los de una ejecución anterior que ya
+// no corresponden a ningún objeto se eliminan.
+async function extractPerTable() {
+  const { counts, groups, sections, deferred, unowned, repeated } = await groupByTable();
+
+  const files = [];
+  const used = new Set();
+  // Archivo relativo al directorio de salida, sin coincidir con otro en
+  // los sistemas que no distinguen mayúsculas de minúsculas
+  const addFile = (name, statements) => {
+    let file = `${name}.sql`;
+    for (let n = 2; used.has(file.toLowerCase()); n++) file = `${name}_${n}.sql`;
+    used.add(file.toLowerCase());
+    files.push({ file, content: `${PER_TABLE_HEADER}\n${statements.join('\n\n')}\n` });
+  };
+  const addSections = filter => {
+    for (const type of OBJECT_TYPES) {
+      if (filter(type.name) && sections[type.name].length > 0) addFile(type.name, sections[type.name]);
+    }
+  };
+
+  addSections(name => BEFORE_TABLES_TYPES.has(name));
+  for (const { table, statements } of groups.values()) {
+    const dir = table.schema ? `tables/${safeFileName(table.schema)}/` : 'tables/';
+    addFile(dir + safeFileName(table.name), statements);
+  }
+  if (deferred.length > 0) addFile('deferred_foreign_keys', [sectionHeader(DEFERRED_TITLE), ...deferred]);
+  addSections(name => !BEFORE_TABLES_TYPES.has(name));
+  if (unowned.length > 0) addFile('other_statements', [sectionHeader(UNOWNED_TITLE), ...unowned]);
+
+  const install = [
+    PER_TABLE_HEADER,
+    '-- Crea el esquema en orden de dependencias: sqlplus usuario @install.sql',
+    ...files.map(({ file }) => `@@${file}`)
+  ];
+  files.push({ file: 'install.sql', content: `${install.join('\n')}\n` });
+  if (repeated.length > 0) addFile('repeated_definitions', [sectionHeader(REPEATED_TITLE), ...repeated]);
+
+  let stale;
+  try {
+    for (const { file, content } of files) {
+      const target = path.resolve(outputFile, file);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, content);
+    }
+    stale = staleOutputFiles(files);
+    removeStaleFiles(stale);
+  } catch (err) {
+    console.error(`Error al escribir los archivos de salida: ${err.message}`);
+    process.exit(1);
+  }
+
+  printReport(counts);
+  reportDeferred(deferred);
+  log.info(`${groups.size} archivos de tabla en '${path.join(outputFile, 'tables')}'; '${path.join(outputFile, 'install.sql')}' los ejecuta en orden.`);
+  if (stale.length > 0) {
+    log.info(`Eliminados ${stale.length} archivos de una ejecución anterior que ya no se generan (${stale.join(', ')})`);
+  }
+}
+
+// Modo streaming: cada sentencia se escribe en cuanto se completa
+async function extractStreaming() {
+  const counts = emptyCounts();
+  let output;
+
+  try {
+    output = await openOutput(outputFile);
+  } catch (err) {
+    console.error(`Error al escribir el archivo de salida: ${err.message}`);
+    process.exit(1);
+  }
+  output.on('error', err => {
+    console.error(`Error al escribir el archivo de salida: ${err.message}`);
+    process.exit(1);
+  });
+
+  await forEachExtracted(async (parsed, text, type) => {
+    counts[type]++;
+    await writeChunk(output, `${text}\n\n`);
+  });
+
+  try {
+    await closeOutput(output);
+  } catch (err) {
+    console.error(`Error al escribir el archivo de salida: ${err.message}`);
+    process.exit(1);
+  }
+
+  reportWarnings(parseWarnings);
+  if (!hasStatements(counts)) printNothingFound();
+  printReport(counts);
+}
+
+// Modo traducción: analiza el esquema completo y lo escribe en el DDL del motor de destino
+async function extractTranslated() {
+  let model;
+  try {
+    model = await readSchema(inputs);
+  } catch (err) {
+    throw new InputError(err.message);
+  }
+  reportWarnings(model.warnings);
+
+  if (model.tables.size === 0) {
+    log.info('No se encontraron sentencias CREATE TABLE en el archivo.');
+    process.exit(0);
+  }
+
+  const translation = translateSchema(model, target);
+  const sections = [
+    ['SCHEMAS', translation.sections.schemas],
+    ['SEQUENCES', translation.sections.sequences],
+    ['CREATE TABLE STATEMENTS', translation.sections.tables],
+    ['FOREIGN KEYS', translation.sections.foreignKeys],
+    ['INDEX STATEMENTS', translation.sections.indexes],
+    ['COMMENT STATEMENTS', translation.sections.comments],
+    ['NOT TRANSLATED', translation.sections.untranslated]
+  ];
+
+  let output = `-- DDL traducido de Oracle a ${translation.label} por extract_create_tables.js\n`;
+  output += `-- Origen: ${inputs.map(input => (input === STDIN ? 'entrada estándar' : input)).join(', ')}\n`;
+  for (const [title, statements] of sections) {
+    if (statements.length === 0) continue;
+    output += '\n-- ====================================\n';
+    output += `-- ${title}\n`;
+    output += '-- ====================================\n\n';
+    output += statements.map(formatStatement).join('\n\n') + '\n';
+  }
+
+  writeOutput(output);
+
+  log.info(`Traducción a ${translation.label} completada:`);
+  log.info(`- ${translation.sections.tables.length} tablas`);
+  log.info(`- ${translation.sections.sequences.length} secuencias`);
+  log.info(`- ${translation.sections.foreignKeys.length} foreign keys`);
+  log.info(`- ${translation.sections.indexes.length} índices`);
+  if (translation.sections.comments.length > 0) log.info(`- ${translation.sections.comments.length} comentarios`);
+  if (translation.sections.untranslated.length > 0) {
+    log.info(`- ${translation.sections.untranslated.length} elementos sin traducir (sección NOT TRANSLATED)`);
+  }
+  if (translation.warningCount > 0) {
+    log.info(`${translation.warningCount} advertencias: buscar "-- ADVERTENCIA" en '${outputFile}'.`);
+  }
+  log.info(`DDL guardado en '${outputFile}'.`);
+  printWarningSummary(parseWarnings, warningsReport);
+}
+
+let run;
+if (target !== undefined) {
+  run = extractTranslated();
+} else if (options.stream) {
+  run = extractStreaming();
+} else if (options['per-table']) {
+  run = extractPerTable();
+} else {
+  run = options.grouped ? extractGrouped() : extractBySection();
+}
+run.catch(err => {
+  if (err instanceof InputError) {
+    console.error(`Error al leer el archivo de entrada: ${err.message}`);
+  } else {
+    console.error(`Error inesperado: ${err.message}`);
+  }
+  process.exit(1);
+});
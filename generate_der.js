@@ -5,470 +5,552 @@
  * Genera un Diagrama de Entidad-Relación (DER) en formato Mermaid a partir de un volcado Oracle SQL.
  * El diagrama se guarda en un archivo Markdown con sintaxis Mermaid.
  *
+ * El volcado se lee por fragmentos; admite archivos .sql.gz y la entrada
+ * estándar ("-"). Además de los volcados expdp/impdp (SQLFILE=), entiende
+ * la salida de DBMS_METADATA.GET_DDL y los scripts de SQL*Plus, cuyos
+ * comandos (SET, PROMPT, REM...) se ignoran y cuyas inclusiones (@archivo,
+ * @@archivo, START) se siguen relativas al script. Con --dialect mysql o
+ * postgres se leen volcados de mysqldump o pg_dump (ver lib/dialects).
+ *
+ * Las tablas se identifican por esquema y nombre (ESQUEMA.TABLA) y el
+ * diagrama las agrupa por esquema. Con --schema se limita a los esquemas
+ * indicados.
+ *
+ * Las tablas de columnas muestran el tipo declarado completo, el valor
+ * DEFAULT y las columnas identity y virtuales. Los bloques Mermaid usan el
+ * tipo declarado o, con --mermaid-types simple, la familia del tipo.
+ *
+ * Las columnas llevan los marcadores PK/FK/UK y cada tabla lista todas sus
+ * constraints (PK, UNIQUE, FOREIGN KEY y CHECK, en línea o fuera de línea)
+ * con su estado.
+ *
+ * Las relaciones se dibujan de la tabla hija a la padre con la cardinalidad
+ * que se deduce del esquema: una FK anulable hace opcional al padre y una
+ * FK que coincide con la PK o con una UNIQUE da una relación uno a uno.
+ *
+ * Los esquemas de más de --partition-threshold tablas (100 por defecto) se
+ * dividen en particiones de hasta --partition-size tablas (50) siguiendo el
+ * grafo de foreign keys, el esquema o el prefijo del nombre de tabla. Las
+ * tablas de otra partición relacionadas con la actual se muestran resumidas.
+ * El índice y las particiones se escriben en el directorio del archivo de
+ * salida.
+ *
+ * Con --focus sólo se incluyen las tablas indicadas (nombres, globs o una
+ * expresión regular) y las que están a --depth saltos de foreign key o
+ * menos, en ambas direcciones. --exclude descarta tablas del diagrama.
+ *
+ * Con --format se elige el formato de salida: markdown (Mermaid, por
+ * defecto), plantuml, dot (Graphviz), dbml (dbdiagram.io), html (página
+ * autocontenida con un diagrama interactivo) o json (modelo del esquema
+ * descrito en schemas/schema-model.v1.json). Ver lib/renderers.
+ *
+ * Los formatos typescript, sequelize, typeorm y prisma generan código a
+ * partir del mismo modelo: interfaces TypeScript, modelos de Sequelize,
+ * entidades de TypeORM o un esquema de Prisma, con los tipos, la
+ * nulabilidad, las claves primarias y las asociaciones de las foreign keys.
+ * --field-case y --type-case eligen la convención de los nombres de campo
+ * (camel, snake o preserve) y de tipo (pascal o preserve), y --singular
+ * pone en singular los nombres de tipo (ver lib/renderers/codegen.js).
+ *
+ * La fecha de generación de los diagramas Markdown se escribe con el
+ * formato regional de --locale (es-ES por defecto).
+ *
+ * Con --deterministic la salida sólo depende del esquema, para guardarla en
+ * el control de versiones: tablas, constraints, índices, relaciones y
+ * particiones en orden alfabético (y las columnas, con --sort-columns), sin
+ * fecha de generación (o, con --timestamp source, la de modificación del
+ * volcado), con la ruta del volcado relativa a la salida y con el hash del
+ * esquema en la cabecera. --check no escribe
+ * nada: compara los archivos que se generarían con los existentes y termina
+ * con código 1 si no coinciden.
+ *
+ * Las sentencias que no se pueden analizar o que sólo se entienden en parte
+ * producen advertencias con su archivo, línea, columna y la línea del
+ * volcado, que se muestran en la consola (o se guardan con
+ * --warnings-report) junto con su número al terminar. Con --strict
+ * cualquier advertencia termina el proceso con código 1 sin generar los
+ * diagramas.
+ *
+ * Se pueden combinar varios archivos, directorios (con sus scripts, p. ej.
+ * un archivo por objeto) y globs en un único esquema: --input a.sql,ddl/ o,
+ * si la salida se indica con --output, como argumentos. Las tablas, índices
+ * y secuencias definidos más de una vez producen una advertencia con el
+ * archivo y la línea de la definición anterior.
+ *
+ * El volcado y el archivo de salida pueden indicarse también con --input y
+ * --output, y los valores por defecto de las opciones en el archivo de
+ * configuración del proyecto (ver lib/config_file.js). También se ejecuta
+ * como "sql-create-extractor der".
+ *
+ * La generación está en lib/der_model.js, lib/partitions.js y
+ * lib/renderers; index.js la expone como API.
+ *
  * Uso:
- *   node generate_der.js <input_dump.sql> [output_der.md]
+ *   node generate_der.js <input_dump.sql|dir|glob|-> [output_der.md] [--schema HR,SALES]
+ *                        [--dialect oracle|mysql|postgres]
+ *                        [--mermaid-types full|simple]
+ *                        [--partition-by graph|schema|prefix]
+ *                        [--partition-threshold 100] [--partition-size 50]
+ *                        [--focus ORDERS,HR.EMP*|/regex/] [--exclude PATRONES]
+ *                        [--depth 1] [--format markdown|plantuml|dot|dbml|html|json|
+ *                                  typescript|sequelize|typeorm|prisma]
+ *                        [--field-case camel|snake|preserve] [--type-case pascal|preserve] [--singular]
+ *                        [--locale es-ES] [--deterministic [--sort-columns]]
+ *                        [--timestamp now|source|none] [--check]
+ *                        [--strict] [--warnings-report archivo]
+ *                        [--out-dir dir] [--quiet | --verbose] [--config archivo]
  *
  * Ejemplo:
  *   node generate_der.js dump.sql database_der.md
+ *   node generate_der.js dump.sql.gz database_der.md --schema HR
+ *   node generate_der.js dump.sql orders_der.md --focus ORDERS --depth 2
+ *   node generate_der.js dump.sql database_der.dot --format dot
+ *   node generate_der.js dump.sql src/models.ts --format typescript --singular
+ *   node generate_der.js schema.sql database_der.md --dialect postgres --schema public
+ *   node generate_der.js --input dump.sql --out-dir docs --partition-threshold 200
+ *   node generate_der.js dump.sql docs/database_der.md --deterministic --check
+ *   node generate_der.js --input ddl/,'migraciones/**\/*.sql' --output database_der.md
+ *   node generate_der.js dump.sql database_der.md --strict --warnings-report advertencias.txt
  */
 
 const fs = require('fs');
 const path = require('path');
+const { readSchema, STDIN } = require('./lib/sql_input');
+const { DIALECTS, getDialect } = require('./lib/dialects');
+const { buildDerModel, selectTables, sortModel } = require('./lib/der_model');
+const { parseCommandLine, resolveOutput, inputsAndOutput } = require('./lib/cli_args');
+const { expandInputs } = require('./lib/input_files');
+const log = require('./lib/logger');
+const { compilePatterns } = require('./lib/name_patterns');
+const { FORMATS, getRenderer } = require('./lib/renderers');
+const { FIELD_CASES, TYPE_CASES } = require('./lib/renderers/codegen');
+const { schemaHash } = require('./lib/renderers/json');
+const { WARNING_OPTIONS, warningHelp, reportParseWarnings, printWarningSummary: printParseWarningSummary } = require('./lib/parse_warnings');
 
 // Obtener argumentos de línea de comandos
-const [, , inputFile, outputFile = 'database_der.md'] = process.argv;
+const USAGE = 'Uso: node generate_der.js <input_dump.sql|dir|glob|-> [output_der.md] [--schema HR,SALES] [--mermaid-types full|simple]\n' +
+  `                            [--dialect ${DIALECTS.join('|')}]\n` +
+  '                            [--partition-by graph|schema|prefix] [--partition-threshold 100] [--partition-size 50]\n' +
+  '                            [--focus ORDERS,HR.EMP*|/regex/] [--exclude PATRONES] [--depth 1]\n' +
+  `                            [--format ${FORMATS.join('|')}] [--locale es-ES]\n` +
+  `                            [--field-case ${FIELD_CASES.join('|')}] [--type-case ${TYPE_CASES.join('|')}] [--singular]\n` +
+  '                            [--deterministic [--sort-columns]] [--timestamp now|source|none] [--check]\n' +
+  '                            [--strict] [--warnings-report archivo]';
+const HELP = `${USAGE}
 
-if (!inputFile) {
-  console.error('Uso: node generate_der.js <input_dump.sql> [output_der.md]');
+Genera un diagrama entidad-relación a partir de un volcado Oracle SQL.
+
+Opciones:
+  --input entradas         Volcado de entrada (.sql, .sql.gz o - para la entrada estándar), o
+                           varios archivos, directorios y globs separados por comas
+  --output archivo         Archivo de salida (por defecto, database_der con la extensión del formato;
+                           models, entities o schema en los formatos de código)
+  --format formato         ${FORMATS.join(', ')} (por defecto, markdown)
+  --dialect dialecto       Origen del volcado: ${DIALECTS.join(', ')} (por defecto, oracle)
+  --schema esquemas        Esquemas que se incluyen, separados por comas
+  --mermaid-types tipo     Tipos en los bloques Mermaid: full (declarado) o simple (familia)
+  --partition-by criterio  Criterio de las particiones: graph, schema o prefix
+  --partition-threshold n  Tablas a partir de las cuales se particiona el Markdown (100)
+  --partition-size n       Tablas por partición como máximo (50)
+  --focus patrones         Tablas raíz del modo foco (nombres, globs o /regex/)
+  --exclude patrones       Tablas que se descartan
+  --depth n                Saltos de foreign key desde las tablas raíz (1)
+  --locale idioma          Formato regional de la fecha de generación (es-ES)
+  --field-case convención  Nombres de campo del código generado: ${FIELD_CASES.join(', ')} (camel)
+  --type-case convención   Nombres de tipo del código generado: ${TYPE_CASES.join(', ')} (pascal)
+  --singular               Nombres de tipo del código generado en singular (EMPLOYEES -> Employee)
+  --deterministic          Salida que sólo depende del esquema: orden alfabético, sin fecha y con hash
+  --sort-columns           Con --deterministic, ordena también las columnas por nombre
+  --timestamp origen       Fecha de generación: now, source (del volcado) o none
+                           (por defecto, now; none con --deterministic)
+  --check                  No escribe: termina con código 1 si los archivos no están al día
+${warningHelp(25)}`;
+const args = parseCommandLine(process.argv.slice(2), {
+  command: 'der',
+  usage: USAGE,
+  help: HELP,
+  valueOptions: ['input', 'output', 'dialect', 'schema', 'mermaid-types', 'partition-by', 'partition-threshold', 'partition-size',
+    'focus', 'exclude', 'depth', 'format', 'locale', 'timestamp', 'field-case', 'type-case', ...WARNING_OPTIONS.valueOptions],
+  booleanOptions: ['deterministic', 'sort-columns', 'check', 'singular', ...WARNING_OPTIONS.booleanOptions]
+});
+let inputs;
+let output;
+try {
+  ({ inputs, output } = inputsAndOutput(args.positional, args.options));
+} catch (err) {
+  console.error(err.message);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+if (inputs.length === 0) {
+  console.error(USAGE);
   process.exit(1);
 }
 
-// Leer contenido del dump
-let sql;
+// Archivos de las entradas (directorios y globs expandidos), que se leen
+// como un único volcado
+let inputFiles;
 try {
-  sql = fs.readFileSync(path.resolve(inputFile), 'utf-8');
+  inputFiles = expandInputs(inputs);
 } catch (err) {
   console.error(`Error al leer el archivo de entrada: ${err.message}`);
   process.exit(1);
 }
+const inputLabel = inputs.join(', ');
 
-// Estructuras para almacenar información de la base de datos
-const tables = new Map();
-const relationships = [];
-
-// Función para limpiar nombres de tabla/columna
-function cleanName(name) {
-  return name.replace(/["`\[\]]/g, '')
-             .replace(/\./g, '_')
-             .replace(/#/g, '_NUM')
-             .replace(/[^a-zA-Z0-9_]/g, '_')
-             .trim();
+// Formato de salida: "markdown" (Mermaid dentro de Markdown, con
+// particiones) o cualquier otro renderizador de lib/renderers
+const format = args.options.format || 'markdown';
+const renderer = getRenderer(format);
+if (!renderer) {
+  console.error(`Valor no válido para --format: ${format}`);
+  console.error(USAGE);
+  process.exit(1);
 }
+const outputFile = resolveOutput(args.options, output || `${renderer.baseName || 'database_der'}${renderer.extension}`);
 
-// Función para extraer tipo de dato simplificado
-function simplifyDataType(dataType) {
-  const type = dataType.toUpperCase();
-  if (type.includes('VARCHAR') || type.includes('CHAR')) return 'STRING';
-  if (type.includes('NUMBER') || type.includes('INTEGER') || type.includes('DECIMAL')) return 'NUMBER';
-  if (type.includes('DATE') || type.includes('TIMESTAMP')) return 'DATE';
-  if (type.includes('CLOB') || type.includes('BLOB')) return 'LOB';
-  return 'OTHER';
+// Gestor de origen del volcado (ver lib/dialects)
+const dialectName = args.options.dialect || 'oracle';
+const dialect = getDialect(dialectName);
+if (!dialect) {
+  console.error(`Valor no válido para --dialect: ${dialectName}`);
+  console.error(USAGE);
+  process.exit(1);
 }
 
-// Extraer información de CREATE TABLE
-// Regex más robusta que maneja múltiples formatos
-const createTableRegex = /CREATE\s+TABLE\s+([^\s(]+)\s*\(([\s\S]*?)\)(?:\s*[^;]*)?;/gi;
-let match;
-
-console.log('Procesando archivo SQL...');
-
-while ((match = createTableRegex.exec(sql)) !== null) {
-  const tableName = cleanName(match[1]);
-  const tableDefinition = match[2];
-  
-  const columns = [];
-  const constraints = [];
-  
-  // Dividir por comas, pero respetando paréntesis
-  const lines = [];
-  let currentLine = '';
-  let parenthesesCount = 0;
-  
-  for (let i = 0; i < tableDefinition.length; i++) {
-    const char = tableDefinition[i];
-    currentLine += char;
-    
-    if (char === '(') parenthesesCount++;
-    if (char === ')') parenthesesCount--;
-    
-    if (char === ',' && parenthesesCount === 0) {
-      lines.push(currentLine.slice(0, -1).trim()); // Remover la coma
-      currentLine = '';
-    }
+// Esquemas a incluir (--schema HR,SALES); null incluye todos, con los
+// nombres normalizados como los del dialecto
+const schemaFilter = typeof args.options.schema === 'string'
+  ? new Set(args.options.schema.split(',').filter(name => name.trim()).map(dialect.normalizeIdentifier))
+  : null;
+
+// Tipos en los bloques Mermaid: "full" (declarado) o "simple" (STRING, NUMBER, ...)
+const mermaidTypes = args.options['mermaid-types'] || 'full';
+if (!['full', 'simple'].includes(mermaidTypes)) {
+  console.error(`Valor no válido para --mermaid-types: ${mermaidTypes}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Criterio de partición de los esquemas grandes: "graph" (relaciones),
+// "schema" o "prefix" (prefijo del nombre de tabla)
+const partitionBy = args.options['partition-by'] || 'graph';
+if (!['graph', 'schema', 'prefix'].includes(partitionBy)) {
+  console.error(`Valor no válido para --partition-by: ${partitionBy}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Convenciones de nombres del código generado (typescript, sequelize,
+// typeorm y prisma)
+const naming = {
+  fieldCase: args.options['field-case'] || 'camel',
+  typeCase: args.options['type-case'] || 'pascal',
+  singular: Boolean(args.options.singular)
+};
+for (const [name, value, allowed] of [['field-case', naming.fieldCase, FIELD_CASES], ['type-case', naming.typeCase, TYPE_CASES]]) {
+  if (!allowed.includes(value)) {
+    console.error(`Valor no válido para --${name}: ${value}`);
+    console.error(USAGE);
+    process.exit(1);
   }
-  
-  if (currentLine.trim()) {
-    lines.push(currentLine.trim());
+}
+
+// Opción numérica entera mayor o igual que min
+function integerOption(name, defaultValue, min = 1) {
+  const value = args.options[name];
+  if (value === undefined) return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    console.error(`Valor no válido para --${name}: ${value}`);
+    console.error(USAGE);
+    process.exit(1);
   }
-  
-  for (let line of lines) {
-    line = line.trim();
-    
-    // Saltar líneas vacías
-    if (!line || line.match(/^\s*$/)) continue;
-    
-    // Detectar constraints
-    if (line.toUpperCase().includes('CONSTRAINT')) {
-      if (line.toUpperCase().includes('PRIMARY KEY')) {
-        const pkMatch = line.match(/PRIMARY\s+KEY\s*\(([^)]+)\)/i);
-        if (pkMatch) {
-          const pkColumns = pkMatch[1].split(',').map(col => cleanName(col.trim()));
-          constraints.push({ type: 'PK', columns: pkColumns });
-        }
-      } else if (line.toUpperCase().includes('FOREIGN KEY')) {
-        const fkMatch = line.match(/FOREIGN\s+KEY\s*\(([^)]+)\)\s+REFERENCES\s+([^\s(]+)\s*\(([^)]+)\)/i);
-        if (fkMatch) {
-          const fkColumns = fkMatch[1].split(',').map(col => cleanName(col.trim()));
-          const refTable = cleanName(fkMatch[2]);
-          const refColumns = fkMatch[3].split(',').map(col => cleanName(col.trim()));
-          
-          relationships.push({
-            from: tableName,
-            to: refTable,
-            fromColumns: fkColumns,
-            toColumns: refColumns
-          });
-        }
-      }
-    } else {
-      // Procesar definición de columna
-      // Regex más flexible para diferentes formatos de Oracle
-      const columnMatch = line.match(/^\s*([^\s]+)\s+([^\s,\(]+)(?:\([^)]*\))?/);
-      if (columnMatch) {
-        let columnName = cleanName(columnMatch[1]);
-        
-        // Filtrar columnas no válidas o artefactos del parsing
-        if (columnName.toUpperCase() === 'PARTITION' || 
-            columnName.includes(')') || 
-            columnName.match(/^\d+\)$/) ||
-            columnName.toUpperCase() === 'PRIMARY' ||
-            columnName.toUpperCase() === 'KEY' ||
-            columnName.length === 0) {
-          continue;
-        }
-        
-        const dataType = simplifyDataType(columnMatch[2]);
-        const isPrimaryKey = line.toUpperCase().includes('PRIMARY KEY');
-        const isNotNull = line.toUpperCase().includes('NOT NULL') && !isPrimaryKey;
-        
-        columns.push({
-          name: columnName,
-          type: dataType,
-          isPrimaryKey,
-          isNotNull
-        });
-      }
-    }
+  return number;
+}
+
+// A partir de cuántas tablas se particiona y tamaño máximo de cada partición
+const partitionThreshold = integerOption('partition-threshold', 100);
+const partitionSize = integerOption('partition-size', 50);
+
+// Formato regional de la fecha de generación (--locale)
+const locale = args.options.locale || 'es-ES';
+try {
+  new Intl.DateTimeFormat(locale);
+} catch (err) {
+  console.error(`Valor no válido para --locale: ${locale}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Modo determinista (--deterministic): orden estable, columnas ordenadas
+// con --sort-columns y hash del esquema en la cabecera
+const deterministic = Boolean(args.options.deterministic);
+const sortColumns = Boolean(args.options['sort-columns']);
+if (sortColumns && !deterministic) {
+  console.error('--sort-columns sólo se aplica con --deterministic');
+  process.exit(1);
+}
+
+// Fecha de generación (--timestamp): "now", "source" (modificación del
+// volcado) o "none"
+const timestamp = args.options.timestamp || (deterministic ? 'none' : 'now');
+if (!['now', 'source', 'none'].includes(timestamp)) {
+  console.error(`Valor no válido para --timestamp: ${timestamp}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+if (timestamp === 'source' && inputFiles.includes(STDIN)) {
+  console.error('--timestamp source no se puede usar con la entrada estándar');
+  process.exit(1);
+}
+
+// --check compara con los archivos existentes, así que la salida no puede
+// llevar la fecha actual
+const check = Boolean(args.options.check);
+if (check && format === 'markdown' && timestamp === 'now') {
+  console.error('--check necesita una salida reproducible: usar --deterministic o --timestamp source|none');
+  process.exit(1);
+}
+
+// Modo foco: tablas raíz (--focus), tablas excluidas (--exclude) y número
+// de saltos de foreign key que se siguen desde las raíces (--depth)
+let focusMatcher = null;
+let excludeMatcher = null;
+try {
+  if (typeof args.options.focus === 'string') focusMatcher = compilePatterns(args.options.focus);
+  if (typeof args.options.exclude === 'string') excludeMatcher = compilePatterns(args.options.exclude);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const focusDepth = integerOption('depth', 1, 0);
+
+// Advertencias del análisis: --strict las convierte en error y
+// --warnings-report las guarda en un archivo
+const strict = Boolean(args.options.strict);
+const warningsReport = typeof args.options['warnings-report'] === 'string'
+  ? resolveOutput(args.options, args.options['warnings-report'])
+  : null;
+
+// Modelo del diagrama: { tables, relationships } (ver lib/der_model.js)
+let model;
+
+// Advertencias del análisis del volcado (ver lib/parse_warnings.js)
+let parseWarnings = [];
+
+// Leer el volcado en streaming y analizarlo con el analizador DDL compartido
+async function loadTables() {
+  log.info('Procesando archivo SQL...');
+
+  let schema;
+  try {
+    schema = await readSchema(inputFiles, { dialect: dialectName });
+  } catch (err) {
+    console.error(`Error al leer el archivo de entrada: ${err.message}`);
+    process.exit(1);
   }
-  
-  // Solo agregar la tabla si tiene columnas válidas
-  if (columns.length > 0) {
-    tables.set(tableName, { columns, constraints });
-    
-    // Debug: mostrar progreso cada 100 tablas
-    if (tables.size % 100 === 0) {
-      console.log(`Procesadas ${tables.size} tablas...`);
+  parseWarnings = schema.warnings;
+  reportWarnings();
+
+  model = buildDerModel(schema, { schemas: schemaFilter });
+  if (deterministic) model = sortModel(model, { columns: sortColumns });
+  log.info(`Terminado procesamiento de CREATE TABLE. Encontradas ${model.tables.size} tablas.`);
+}
+
+// Muestra las advertencias del análisis o las guarda en --warnings-report.
+// Con --strict, si hay alguna, el proceso termina antes de generar nada.
+function reportWarnings() {
+  reportParseWarnings(parseWarnings, { reportFile: warningsReport, strict, consequence: 'No se generan los diagramas.' });
+}
+
+function printWarningSummary() {
+  printParseWarningSummary(parseWarnings, warningsReport);
+}
+
+// Reduce el modelo a las tablas excluidas por --exclude y, con --focus, al
+// subgrafo de las tablas raíz y las que están a --depth saltos o menos
+function applyFocus() {
+  if (!focusMatcher && !excludeMatcher) return;
+
+  const selection = selectTables(model, { focus: focusMatcher, exclude: excludeMatcher, depth: focusDepth });
+  if (focusMatcher) {
+    if (selection.roots.length === 0) {
+      console.error(`Ninguna tabla coincide con --focus ${args.options.focus}`);
+      process.exit(1);
     }
+    log.info(`Modo foco: ${selection.roots.length} tablas raíz, ${selection.model.tables.size} tablas a ${focusDepth} saltos o menos.`);
   }
+  model = selection.model;
 }
 
-console.log(`Terminado procesamiento de CREATE TABLE. Encontradas ${tables.size} tablas.`);
-
-// Extraer relaciones de ALTER TABLE ADD CONSTRAINT
-const alterConstraintRegex = /ALTER\s+TABLE\s+([^\s]+)\s+ADD\s+CONSTRAINT[^;]*FOREIGN\s+KEY\s*\(([^)]+)\)\s+REFERENCES\s+([^\s(]+)\s*\(([^)]+)\)/gi;
-
-while ((match = alterConstraintRegex.exec(sql)) !== null) {
-  const fromTable = cleanName(match[1]);
-  const fromColumns = match[2].split(',').map(col => cleanName(col.trim()));
-  const toTable = cleanName(match[3]);
-  const toColumns = match[4].split(',').map(col => cleanName(col.trim()));
-  
-  relationships.push({
-    from: fromTable,
-    to: toTable,
-    fromColumns,
-    toColumns
-  });
+// Fecha de generación de los diagramas Markdown, o null si se omite
+function generationTime() {
+  if (timestamp === 'none') return null;
+  if (timestamp === 'now') return new Date();
+  // Con varias entradas, la modificación más reciente
+  return new Date(Math.max(...inputFiles.map(file => fs.statSync(path.resolve(file)).mtime.getTime())));
 }
 
-// Generar diagrama Mermaid
-function generateMermaidDiagram(outputBaseName) {
-  const tablesArray = Array.from(tables.entries());
-  const totalTables = tablesArray.length;
-  
-  // Si hay más de 100 tablas, crear múltiples archivos
-  if (totalTables > 100) {
-    return generatePartitionedDiagrams(tablesArray, outputBaseName);
-  }
-  
-  let mermaid = 'erDiagram\n';
-  
-  // Agregar todas las tablas
-  for (const [tableName, tableInfo] of tablesArray) {
-    // Limpiar nombre de tabla para Mermaid
-    const cleanTableName = cleanName(tableName);
-    mermaid += `    ${cleanTableName} {\n`;
-    
-    for (const column of tableInfo.columns) {
-      const cleanColumnName = cleanName(column.name);
-      let columnDef = `        ${column.type} ${cleanColumnName}`;
-      
-      if (column.isPrimaryKey) {
-        columnDef += ' PK';
-      }
-      if (column.isNotNull && !column.isPrimaryKey) {
-        columnDef += ' "NOT NULL"';
-      }
-      
-      mermaid += columnDef + '\n';
-    }
-    
-    mermaid += '    }\n\n';
+// Volcado de origen mostrado en la cabecera. En modo determinista, relativo
+// al directorio de la salida, para que no cambie según cómo se escriba la
+// ruta al ejecutar el script (./dump.sql o dump.sql)
+function sourceLabel() {
+  if (!deterministic) return inputLabel;
+  const outputDir = path.resolve(path.dirname(outputFile));
+  return inputs.map(input => (input === '-' ? input : path.relative(outputDir, path.resolve(input)).split(path.sep).join('/'))).join(', ');
+}
+
+// Genera los archivos de salida sin escribirlos: { partitions, files }, con
+// files la lista de { file, content } y partitions el número de particiones
+// (0 si el diagrama va en un único archivo)
+function renderDiagrams() {
+  const common = {
+    mermaidTypes,
+    locale,
+    timestamp: generationTime(),
+    hash: deterministic ? schemaHash(model) : null
+  };
+
+  // Los esquemas grandes en Markdown se dividen en un índice y un archivo
+  // por partición
+  if (format === 'markdown' && model.tables.size > partitionThreshold) {
+    // Extraer nombre base del archivo de salida (sin extensión); el índice
+    // y las particiones se escriben en su mismo directorio
+    const outputBaseName = path.basename(outputFile, '.md');
+    const outputDir = path.dirname(outputFile);
+    const { index, partitions } = renderer.renderPartitioned(model, Object.assign({
+      baseName: outputBaseName,
+      by: partitionBy,
+      size: partitionSize
+    }, common));
+    log.verbose(`${partitions.length} particiones de hasta ${partitionSize} tablas (--partition-by ${partitionBy}).`);
+
+    const files = partitions.map(partition => ({ file: path.join(outputDir, partition.fileName), content: partition.content }));
+    files.push({ file: path.join(outputDir, `${outputBaseName}_index.md`), content: index });
+    return { partitions: partitions.length, files };
   }
-  
-  // Agregar todas las relaciones
-  for (const rel of relationships) {
-    // Limpiar nombres para Mermaid
-    const cleanFromTable = cleanName(rel.from);
-    const cleanToTable = cleanName(rel.to);
-    
-    // Verificar que ambas tablas existan
-    if (tables.has(rel.from) && tables.has(rel.to)) {
-      mermaid += `    ${cleanFromTable} ||--o{ ${cleanToTable} : "references"\n`;
-    }
+
+  const title = focusMatcher ? `DER - ${args.options.focus}` : `DER - ${inputs.map(input => path.basename(input)).join(', ')}`;
+  const content = renderer.render(model, Object.assign({
+    title,
+    source: sourceLabel(),
+    focus: focusMatcher ? args.options.focus : null,
+    depth: focusDepth,
+    naming,
+    dialect: dialectName
+  }, common));
+  return { partitions: 0, files: [{ file: outputFile, content }] };
+}
+
+// Particiones de una ejecución anterior que ya no se generan
+function stalePartitionFiles(partitionCount) {
+  const outputDir = path.dirname(outputFile);
+  const baseName = path.basename(outputFile, '.md').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${baseName}_parte_(\\d+)\\.md$`);
+  let names;
+  try {
+    names = fs.readdirSync(path.resolve(outputDir));
+  } catch (err) {
+    return [];
   }
-  
-  return mermaid;
+  return names
+    .filter(name => pattern.test(name) && Number(name.match(pattern)[1]) > partitionCount)
+    .map(name => path.join(outputDir, name));
 }
 
-// Generar diagramas particionados para bases de datos grandes
-function generatePartitionedDiagrams(tablesArray, outputBaseName) {
-  const partitionSize = 50; // 50 tablas por partición
-  const totalPartitions = Math.ceil(tablesArray.length / partitionSize);
-  
-  let indexContent = `# Índice de Diagramas DER - Base de Datos\n\n`;
-  indexContent += `**Generado el:** ${new Date().toLocaleString('es-ES')}  \n`;
-  indexContent += `**Total de tablas:** ${tablesArray.length}  \n`;
-  indexContent += `**Total de relaciones:** ${relationships.length}  \n`;
-  indexContent += `**Particiones generadas:** ${totalPartitions}  \n\n`;
-  
-  indexContent += `## Particiones Disponibles\n\n`;
-  
-  for (let i = 0; i < totalPartitions; i++) {
-    const startIndex = i * partitionSize;
-    const endIndex = Math.min(startIndex + partitionSize, tablesArray.length);
-    const partitionTables = tablesArray.slice(startIndex, endIndex);
-    const partitionFileName = `${outputBaseName}_parte_${i + 1}.md`;
-    
-    // Crear contenido para esta partición
-    let partitionContent = `# DER - Partición ${i + 1} de ${totalPartitions}\n\n`;
-    partitionContent += `**Tablas:** ${startIndex + 1} - ${endIndex} (${partitionTables.length} tablas)  \n`;
-    partitionContent += `**Archivo:** ${partitionFileName}  \n`;
-    partitionContent += `**Generado el:** ${new Date().toLocaleString('es-ES')}  \n\n`;
-    
-    // Agregar navegación
-    partitionContent += `## Navegación\n\n`;
-    if (i > 0) {
-      partitionContent += `⬅️ [Partición anterior (${i})](${outputBaseName}_parte_${i}.md)  \n`;
-    }
-    partitionContent += `🏠 [Índice principal](${outputBaseName}_index.md)  \n`;
-    if (i < totalPartitions - 1) {
-      partitionContent += `➡️ [Partición siguiente (${i + 2})](${outputBaseName}_parte_${i + 2}.md)  \n`;
-    }
-    partitionContent += `\n`;
-    
-    // Agregar diagrama Mermaid
-    partitionContent += `## Diagrama\n\n`;
-    partitionContent += '```mermaid\n';
-    partitionContent += 'erDiagram\n';
-    
-    // Agregar tablas de esta partición
-    for (const [tableName, tableInfo] of partitionTables) {
-      const cleanTableName = cleanName(tableName);
-      partitionContent += `    ${cleanTableName} {\n`;
-      
-      for (const column of tableInfo.columns) {
-        const cleanColumnName = cleanName(column.name);
-        let columnDef = `        ${column.type} ${cleanColumnName}`;
-        
-        if (column.isPrimaryKey) {
-          columnDef += ' PK';
-        }
-        if (column.isNotNull && !column.isPrimaryKey) {
-          columnDef += ' "NOT NULL"';
-        }
-        
-        partitionContent += columnDef + '\n';
-      }
-      
-      partitionContent += '    }\n\n';
-    }
-    
-    // Agregar relaciones que involucren tablas de esta partición
-    const partitionTableNames = partitionTables.map(([name]) => name);
-    let partitionRelationships = [];
-    
-    for (const rel of relationships) {
-      if (partitionTableNames.includes(rel.from) && partitionTableNames.includes(rel.to)) {
-        const cleanFromTable = cleanName(rel.from);
-        const cleanToTable = cleanName(rel.to);
-        partitionContent += `    ${cleanFromTable} ||--o{ ${cleanToTable} : "references"\n`;
-        partitionRelationships.push(rel);
-      }
-    }
-    
-    partitionContent += '```\n\n';
-    
-    // Agregar lista detallada de tablas de esta partición
-    partitionContent += `## Tablas en esta Partición\n\n`;
-    for (const [tableName, tableInfo] of partitionTables) {
-      partitionContent += `### ${tableName}\n\n`;
-      partitionContent += `| Columna | Tipo | Características |\n`;
-      partitionContent += `|---------|------|----------------|\n`;
-      
-      for (const column of tableInfo.columns) {
-        let characteristics = [];
-        if (column.isPrimaryKey) characteristics.push('PK');
-        if (column.isNotNull) characteristics.push('NOT NULL');
-        
-        partitionContent += `| ${column.name} | ${column.type} | ${characteristics.join(', ')} |\n`;
-      }
-      partitionContent += `\n`;
-    }
-    
-    // Agregar relaciones específicas de esta partición
-    if (partitionRelationships.length > 0) {
-      partitionContent += `## Relaciones en esta Partición\n\n`;
-      partitionContent += `| Tabla Origen | Columna(s) | Tabla Destino | Columna(s) |\n`;
-      partitionContent += `|--------------|------------|---------------|------------|\n`;
-      
-      for (const rel of partitionRelationships) {
-        partitionContent += `| ${rel.from} | ${rel.fromColumns.join(', ')} | ${rel.to} | ${rel.toColumns.join(', ')} |\n`;
-      }
-      partitionContent += `\n`;
-    }
-    
-    partitionContent += `---\n\n`;
-    partitionContent += `*Partición ${i + 1} de ${totalPartitions} - Generado automáticamente por generate_der.js*\n`;
-    
-    // Escribir archivo de partición
+// --check: compara los archivos que se generarían con los existentes. El
+// proceso termina con código 1 si alguno falta, es distinto o sobra
+function checkDiagrams() {
+  const output = renderDiagrams();
+  const outdated = [];
+  for (const { file, content } of output.files) {
+    let current = null;
     try {
-      fs.writeFileSync(path.resolve(partitionFileName), partitionContent);
-      console.log(`Partición ${i + 1}/${totalPartitions} guardada: ${partitionFileName}`);
+      current = fs.readFileSync(path.resolve(file), 'utf8');
     } catch (err) {
-      console.error(`Error al escribir partición ${i + 1}: ${err.message}`);
+      outdated.push(`${file} (no existe)`);
+      continue;
     }
-    
-    // Agregar a índice
-    indexContent += `### [Partición ${i + 1}](${partitionFileName})\n`;
-    indexContent += `- **Tablas:** ${startIndex + 1} - ${endIndex}\n`;
-    indexContent += `- **Cantidad:** ${partitionTables.length} tablas\n`;
-    indexContent += `- **Relaciones:** ${partitionRelationships.length} relaciones internas\n`;
-    indexContent += `- **Primeras tablas:** ${partitionTables.slice(0, 3).map(([name]) => name).join(', ')}${partitionTables.length > 3 ? '...' : ''}\n\n`;
+    if (current !== content) outdated.push(`${file} (desactualizado)`);
   }
-  
-  // Agregar resumen al índice
-  indexContent += `## Resumen Completo\n\n`;
-  indexContent += `### Todas las Relaciones\n\n`;
-  if (relationships.length > 0) {
-    indexContent += `| Tabla Origen | Columna(s) | Tabla Destino | Columna(s) |\n`;
-    indexContent += `|--------------|------------|---------------|------------|\n`;
-    
-    for (const rel of relationships) {
-      indexContent += `| ${rel.from} | ${rel.fromColumns.join(', ')} | ${rel.to} | ${rel.toColumns.join(', ')} |\n`;
-    }
-    indexContent += `\n`;
+  if (output.partitions > 0) {
+    outdated.push(...stalePartitionFiles(output.partitions).map(file => `${file} (sobra)`));
   }
-  
-  indexContent += `---\n\n`;
-  indexContent += `*Índice generado automáticamente por generate_der.js*\n`;
-  
-  return indexContent;
+
+  if (outdated.length === 0) {
+    log.info(`Los diagramas están al día con '${inputLabel}'.`);
+    return;
+  }
+  console.error(`Los diagramas no están al día con '${inputLabel}':`);
+  for (const entry of outdated) console.error(`- ${entry}`);
+  process.exitCode = 1;
 }
 
-// Generar contenido del archivo Markdown
-function generateMarkdownContent(outputBaseName) {
-  const timestamp = new Date().toLocaleString('es-ES');
-  const tableCount = tables.size;
-  const relationshipCount = relationships.length;
-  
-  if (tableCount > 100) {
-    // Para bases de datos grandes, generar solo el índice
-    console.log(`Base de datos grande detectada (${tableCount} tablas). Generando archivos por particiones...`);
-    return generateMermaidDiagram(outputBaseName);
-  } else {
-    // Para bases de datos pequeñas, generar archivo único tradicional
-    let content = `# Diagrama de Entidad-Relación (DER)\n\n`;
-    content += `**Generado el:** ${timestamp}  \n`;
-    content += `**Archivo fuente:** ${inputFile}  \n`;
-    content += `**Tablas encontradas:** ${tableCount}  \n`;
-    content += `**Relaciones encontradas:** ${relationshipCount}  \n\n`;
-    
-    content += `## Diagrama\n\n`;
-    content += `\`\`\`mermaid\n`;
-    content += generateMermaidDiagram(outputBaseName);
-    content += `\`\`\`\n\n`;
-    
-    // Agregar lista de tablas
-    content += `## Tablas\n\n`;
-    for (const [tableName, tableInfo] of tables) {
-      content += `### ${tableName}\n\n`;
-      content += `| Columna | Tipo | Características |\n`;
-      content += `|---------|------|----------------|\n`;
-      
-      for (const column of tableInfo.columns) {
-        let characteristics = [];
-        if (column.isPrimaryKey) characteristics.push('PK');
-        if (column.isNotNull) characteristics.push('NOT NULL');
-        
-        content += `| ${column.name} | ${column.type} | ${characteristics.join(', ')} |\n`;
-      }
-      content += `\n`;
+// Escribir los archivos de salida a partir de las tablas cargadas
+function writeDiagrams() {
+  const { tables, relationships } = model;
+
+  // Verificar si se encontraron tablas
+  if (tables.size === 0) {
+    log.info('No se encontraron tablas en el archivo.');
+    printWarningSummary();
+    process.exit(0);
+  }
+  if (check) {
+    checkDiagrams();
+    return;
+  }
+
+  // Escribir archivo de salida
+  try {
+    if (format === 'markdown' && tables.size > partitionThreshold) {
+      log.info(`Base de datos grande detectada (${tables.size} tablas). Generando archivos por particiones...`);
     }
-    
-    // Agregar lista de relaciones
-    if (relationships.length > 0) {
-      content += `## Relaciones\n\n`;
-      content += `| Tabla Origen | Columna(s) | Tabla Destino | Columna(s) |\n`;
-      content += `|--------------|------------|---------------|------------|\n`;
-      
-      for (const rel of relationships) {
-        content += `| ${rel.from} | ${rel.fromColumns.join(', ')} | ${rel.to} | ${rel.toColumns.join(', ')} |\n`;
+    const output = renderDiagrams();
+
+    if (output.partitions > 0) {
+      const partitionFiles = output.files.slice(0, -1);
+      const indexFileName = output.files[output.files.length - 1].file;
+      partitionFiles.forEach(({ file, content }, i) => {
+        try {
+          fs.writeFileSync(path.resolve(file), content);
+          log.info(`Partición ${i + 1}/${partitionFiles.length} guardada: ${file}`);
+        } catch (err) {
+          console.error(`Error al escribir partición ${i + 1}: ${err.message}`);
+        }
+      });
+      fs.writeFileSync(path.resolve(indexFileName), output.files[output.files.length - 1].content);
+
+      log.info(`\nDER generado exitosamente en múltiples archivos:`);
+      log.info(`- ${tables.size} tablas procesadas`);
+      log.info(`- ${relationships.length} relaciones encontradas`);
+      log.info(`- Archivo índice: ${indexFileName}`);
+      log.info(`- Archivos de particiones: ${partitionFiles[0].file} a ${path.basename(partitionFiles[partitionFiles.length - 1].file)}`);
+      const stale = stalePartitionFiles(partitionFiles.length);
+      if (stale.length > 0) {
+        log.info(`- Atención: ${stale.length} particiones de una generación anterior ya no se usan (${stale.map(file => path.basename(file)).join(', ')})`);
       }
-      content += `\n`;
+      log.info(`\nPuede visualizar los diagramas en GitHub, GitLab, o cualquier editor que soporte Mermaid.`);
+      return;
     }
-    
-    content += `---\n\n`;
-    content += `*Generado automáticamente por generate_der.js*\n`;
-    
-    return content;
-  }
-}
 
-// Verificar si se encontraron tablas
-if (tables.size === 0) {
-  console.log('No se encontraron tablas en el archivo.');
-  process.exit(0);
-}
+    fs.writeFileSync(path.resolve(outputFile), output.files[0].content);
 
-// Escribir archivo de salida
-try {
-  // Extraer nombre base del archivo de salida (sin extensión)
-  const outputBaseName = path.basename(outputFile, '.md');
-  const markdownContent = generateMarkdownContent(outputBaseName);
-  
-  if (tables.size > 100) {
-    // Para bases de datos grandes, escribir el índice
-    const indexFileName = `${outputBaseName}_index.md`;
-    fs.writeFileSync(path.resolve(indexFileName), markdownContent);
-    
-    console.log(`\nDER generado exitosamente en múltiples archivos:`);
-    console.log(`- ${tables.size} tablas procesadas`);
-    console.log(`- ${relationships.length} relaciones encontradas`);
-    console.log(`- Archivo índice: ${indexFileName}`);
-    console.log(`- Archivos de particiones: ${outputBaseName}_parte_1.md a ${outputBaseName}_parte_${Math.ceil(tables.size / 50)}.md`);
-  } else {
-    // Para bases de datos pequeñas, escribir archivo único
-    fs.writeFileSync(path.resolve(outputFile), markdownContent);
-    
-    console.log(`DER generado exitosamente:`);
-    console.log(`- ${tables.size} tablas procesadas`);
-    console.log(`- ${relationships.length} relaciones encontradas`);
-    console.log(`- Diagrama guardado en '${outputFile}'`);
+    log.info(`DER generado exitosamente:`);
+    log.info(`- ${tables.size} tablas procesadas`);
+    log.info(`- ${relationships.length} relaciones encontradas`);
+    if (format === 'markdown') {
+      log.info(`- Diagrama guardado en '${outputFile}'`);
+      log.info(`\nPuede visualizar los diagramas en GitHub, GitLab, o cualquier editor que soporte Mermaid.`);
+    } else {
+      log.info(`- ${renderer.baseName ? 'Código' : 'Diagrama'} ${format} guardado en '${outputFile}'`);
+    }
+  } catch (err) {
+    console.error(`Error al escribir archivos de salida: ${err.message}`);
+    process.exit(1);
   }
-  
-  console.log(`\nPuede visualizar los diagramas en GitHub, GitLab, o cualquier editor que soporte Mermaid.`);
-} catch (err) {
-  console.error(`Error al escribir archivos de salida: ${err.message}`);
-  process.exit(1);
 }
+
+loadTables().then(applyFocus).then(writeDiagrams).then(printWarningSummary);
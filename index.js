@@ -0,0 +1,123 @@
+/**
+ * index.js
+ * --------
+ * API para usar el analizador y los renderizadores desde otras
+ * herramientas, sin pasar por los scripts de línea de comandos:
+ *
+ *   const { parseDump, buildDerModel, render } = require('./index');
+ *
+ *   const schema = await parseDump(fs.createReadStream('dump.sql'));
+ *   const pg = await parseDump(fs.createReadStream('schema.sql'), { dialect: 'postgres' });
+ *   const model = buildDerModel(schema, { schemas: new Set(['HR']) });
+ *   fs.writeFileSync('der.json', render('json', model));
+ *   fs.writeFileSync('models.ts', render('typescript', model, { naming: { singular: true } }));
+ *
+ * parseDump() devuelve el modelo del esquema descrito en lib/ddl_parser.js;
+ * buildDerModel() lo reduce al modelo del diagrama (lib/der_model.js) que
+ * reciben los renderizadores. Ninguna función escribe en la consola ni
+ * termina el proceso: los errores se lanzan como excepciones.
+ */
+
+const { Readable } = require('stream');
+const { decodeChunks, readSchema, schemaFromChunks } = require('./lib/sql_input');
+const { parseSchema, parseStatement, splitStatements, StatementKind, SchemaBuilder } = require('./lib/ddl_parser');
+const { buildDerModel, selectTables, sortModel } = require('./lib/der_model');
+const { compilePatterns } = require('./lib/name_patterns');
+const { DIALECTS } = require('./lib/dialects');
+const { FORMATS, getRenderer } = require('./lib/renderers');
+const { TARGETS, translateSchema, formatStatement } = require('./lib/translators');
+const { diffSchemas } = require('./lib/schema_diff');
+const { orderTables } = require('./lib/table_order');
+const { FORMAT_VERSION, schemaHash } = require('./lib/renderers/json');
+const { RULES, lintModel } = require('./lib/schema_lint');
+const { REPORT_FORMATS } = require('./lib/lint_reports');
+
+// Analiza un volcado y devuelve el modelo del esquema. input es el texto
+// SQL, un Buffer o un stream (o iterable asíncrono) de Buffer o texto; los
+// streams pueden estar comprimidos con gzip. options.dialect indica el
+// gestor de origen del volcado (DIALECTS; por defecto, oracle).
+async function parseDump(input, options = {}) {
+  if (typeof input === 'string' && !options.dialect) return parseSchema(input.replace(/^\uFEFF/, ''));
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    return schemaFromChunks(decodeChunks(Readable.from([input])), options);
+  }
+  if (input && typeof input[Symbol.asyncIterator] === 'function') {
+    return schemaFromChunks(decodeChunks(input), options);
+  }
+  throw new TypeError('parseDump espera el texto del volcado, un Buffer o un stream');
+}
+
+// Analiza un archivo de volcado (.sql o .sql.gz; "-" es la entrada
+// estándar) siguiendo las inclusiones de los scripts de SQL*Plus. inputs
+// puede ser también una lista de archivos, directorios y globs, que se
+// combinan en un único esquema (ver lib/input_files.js).
+function parseDumpFile(inputs, options = {}) {
+  return readSchema(inputs, options);
+}
+
+// Genera el contenido de un formato de diagrama a partir del modelo del
+// diagrama
+function render(format, model, options = {}) {
+  const renderer = getRenderer(format);
+  if (!renderer) throw new Error(`Formato no válido: ${format} (formatos: ${FORMATS.join(', ')})`);
+  return renderer.render(model, options);
+}
+
+// Un renderizador por formato: renderMarkdown(model, options), ...
+const renderMarkdown = (model, options) => render('markdown', model, options);
+const renderPlantUml = (model, options) => render('plantuml', model, options);
+const renderDot = (model, options) => render('dot', model, options);
+const renderDbml = (model, options) => render('dbml', model, options);
+const renderHtml = (model, options) => render('html', model, options);
+const renderJson = (model, options) => render('json', model, options);
+const renderTypeScript = (model, options) => render('typescript', model, options);
+const renderSequelize = (model, options) => render('sequelize', model, options);
+const renderTypeOrm = (model, options) => render('typeorm', model, options);
+const renderPrisma = (model, options) => render('prisma', model, options);
+
+// DER en Markdown dividido en particiones: { index, partitions }
+function renderMarkdownPartitioned(model, options) {
+  return getRenderer('markdown').renderPartitioned(model, options);
+}
+
+module.exports = {
+  // Análisis
+  DIALECTS,
+  parseDump,
+  parseDumpFile,
+  parseStatement,
+  splitStatements,
+  StatementKind,
+  SchemaBuilder,
+  // Modelo del diagrama
+  buildDerModel,
+  selectTables,
+  sortModel,
+  schemaHash,
+  compilePatterns,
+  // Renderizadores
+  FORMATS,
+  JSON_FORMAT_VERSION: FORMAT_VERSION,
+  render,
+  renderMarkdown,
+  renderMarkdownPartitioned,
+  renderPlantUml,
+  renderDot,
+  renderDbml,
+  renderHtml,
+  renderJson,
+  renderTypeScript,
+  renderSequelize,
+  renderTypeOrm,
+  renderPrisma,
+  // Traducción, orden de creación y comparación
+  TARGETS,
+  translateSchema,
+  formatStatement,
+  orderTables,
+  diffSchemas,
+  // Revisión de calidad
+  LINT_RULES: RULES.map(rule => ({ id: rule.id, severity: rule.severity, description: rule.description })),
+  lintModel,
+  LINT_REPORT_FORMATS: REPORT_FORMATS
+};
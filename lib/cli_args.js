@@ -0,0 +1,223 @@
+/**
+ * lib/cli_args.js
+ * ---------------
+ * Análisis mínimo de argumentos de línea de comandos para los scripts.
+ *
+ * Distingue argumentos posicionales, opciones booleanas (--stream) y
+ * opciones con valor (--schema HR o --schema=HR). "-" se trata como
+ * argumento posicional (entrada estándar). Si se indican las opciones
+ * booleanas, cualquier otra opción es un error en lugar de tomarse como
+ * booleana (y la palabra que la sigue como argumento posicional).
+ *
+ * parseCommandLine() añade lo que comparten todos los scripts: las
+ * opciones comunes (--help, --config, --out-dir, --quiet, --verbose) y los
+ * valores por defecto del archivo de configuración del proyecto (ver
+ * lib/config_file.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findConfigFile, readConfigFile, commandOptions } = require('./config_file');
+const logger = require('./logger');
+
+// Analiza argv (sin "node" ni el nombre del script).
+// valueOptions: nombres de las opciones que esperan un valor.
+// booleanOptions: nombres de las opciones sin valor; si se indica, las
+// opciones que no están en ninguna de las dos listas lanzan un Error.
+function parseArgs(argv, valueOptions = [], booleanOptions = null) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      if (booleanOptions && arg.startsWith('-') && arg !== '-') {
+        throw new Error(`Opción desconocida: ${arg}`);
+      }
+      positional.push(arg);
+      continue;
+    }
+
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (booleanOptions && !valueOptions.includes(name) && !booleanOptions.includes(name)) {
+      throw new Error(`Opción desconocida: --${name}`);
+    }
+    if (eq !== -1) {
+      options[name] = arg.slice(eq + 1);
+    } else if (valueOptions.includes(name)) {
+      if (i + 1 >= argv.length) {
+        throw new Error(`La opción --${name} requiere un valor`);
+      }
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { positional, options };
+}
+
+// Opciones que admiten todos los scripts
+const COMMON_OPTIONS = {
+  valueOptions: ['out-dir'],
+  booleanOptions: ['quiet', 'verbose']
+};
+
+// Opciones que son rutas de entrada y de archivos de salida. Las que vienen
+// del archivo de configuración son relativas a su directorio, no al actual;
+// las de salida, si hay --out-dir, se resuelven en ese directorio
+const INPUT_PATH_OPTIONS = ['out-dir', 'input'];
+const OUTPUT_PATH_OPTIONS = ['output', 'report', 'migration', 'warnings-report'];
+
+// Resuelve en el directorio del archivo de configuración las rutas que
+// vienen de él (no las de la línea de comandos)
+function resolveConfigPaths(options, config, cliOptions, configFile) {
+  const baseDir = path.dirname(configFile);
+  const fromConfig = name => typeof config[name] === 'string' && !(name in cliOptions);
+  const resolve = value => value.split(',')
+    .map(item => item.trim())
+    .map(item => (item === '-' ? item : path.resolve(baseDir, item)))
+    .join(',');
+  for (const name of INPUT_PATH_OPTIONS) {
+    if (fromConfig(name)) options[name] = resolve(options[name]);
+  }
+  if (typeof options['out-dir'] === 'string') return;
+  for (const name of OUTPUT_PATH_OPTIONS) {
+    if (fromConfig(name) && options[name] !== '-') options[name] = path.resolve(baseDir, options[name]);
+  }
+}
+
+const COMMON_HELP = `Opciones comunes:
+  --config archivo  Archivo de configuración (por defecto, .sqlextractorrc.json
+                    en el directorio actual o en sus padres)
+  --no-config       No lee el archivo de configuración
+  --out-dir dir     Directorio de los archivos de salida con ruta relativa
+  --quiet           Sólo muestra los errores
+  --verbose         Muestra detalles adicionales
+  --help            Muestra esta ayuda`;
+
+// Nivel de mensajes que piden unas opciones, o null si no piden ninguno
+function logLevel(options) {
+  if (options.quiet && options.verbose) throw new Error('--quiet y --verbose no son compatibles');
+  if (options.verbose) return 'verbose';
+  return options.quiet ? 'quiet' : null;
+}
+
+// Analiza la línea de comandos de un script con sus opciones y las comunes.
+// Los valores del archivo de configuración se usan para las opciones que no
+// aparecen en la línea de comandos (con sus rutas relativas al directorio
+// del archivo); las booleanas se desactivan con --no-X.
+// Las opciones que el script no admite son un error de uso.
+// Muestra la ayuda (--help) o el error de uso y termina el proceso cuando
+// corresponde.
+//
+// spec: { command, usage, help, valueOptions, booleanOptions, objectOptions }
+// (objectOptions: opciones que el archivo de configuración da como objeto).
+// Devuelve { positional, options, config, configFile }, donde config son
+// las opciones del archivo y options las combinadas.
+function parseCommandLine(argv, spec) {
+  const valueOptions = (spec.valueOptions || []).concat(COMMON_OPTIONS.valueOptions);
+  const booleanOptions = (spec.booleanOptions || []).concat(COMMON_OPTIONS.booleanOptions);
+  const fail = message => {
+    console.error(message);
+    console.error(spec.usage);
+    process.exit(1);
+  };
+
+  let args;
+  try {
+    const negated = booleanOptions.map(name => `no-${name}`);
+    args = parseArgs(argv, valueOptions.concat('config'), booleanOptions.concat(negated, 'help', 'no-config'));
+  } catch (err) {
+    fail(err.message);
+  }
+  if (args.options.help) {
+    console.log(`${spec.help || spec.usage}\n\n${COMMON_HELP}`);
+    process.exit(0);
+  }
+
+  const cliOptions = {};
+  for (const [name, value] of Object.entries(args.options)) {
+    if (name.startsWith('no-') && booleanOptions.includes(name.slice(3))) {
+      cliOptions[name.slice(3)] = false;
+    } else if (name !== 'config' && name !== 'no-config') {
+      cliOptions[name] = value;
+    }
+  }
+
+  let configFile = null;
+  let config = {};
+  if (!args.options['no-config']) {
+    configFile = typeof args.options.config === 'string' ? path.resolve(args.options.config) : findConfigFile();
+    try {
+      if (configFile) {
+        const allowed = { valueOptions, booleanOptions, objectOptions: spec.objectOptions };
+        config = commandOptions(readConfigFile(configFile), spec.command, allowed, COMMON_OPTIONS, configFile);
+      }
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
+    }
+  }
+
+  let level;
+  try {
+    level = logLevel(cliOptions) || logLevel(config) || 'normal';
+  } catch (err) {
+    fail(err.message);
+  }
+  logger.setLevel(level);
+  if (configFile) logger.verbose(`Configuración: ${configFile}`);
+
+  const options = Object.assign({}, config, cliOptions);
+  if (configFile) resolveConfigPaths(options, config, cliOptions, configFile);
+  if (typeof options['out-dir'] === 'string') {
+    try {
+      fs.mkdirSync(options['out-dir'], { recursive: true });
+    } catch (err) {
+      console.error(`Error al crear el directorio de salida: ${err.message}`);
+      process.exit(1);
+    }
+  }
+
+  return { positional: args.positional, options, config, configFile };
+}
+
+// Ruta de un archivo de salida: con --out-dir, las rutas relativas se
+// resuelven en ese directorio
+function resolveOutput(options, file) {
+  const outDir = options['out-dir'];
+  if (typeof outDir !== 'string' || path.isAbsolute(file)) return file;
+  return path.join(outDir, file);
+}
+
+// Entradas y salida de los scripts que leen volcados: <entrada> [salida],
+// o varias entradas con --input a.sql,ddl/ (lista separada por comas) o
+// como argumentos posicionales si la salida se indica con --output.
+// Devuelve { inputs, output } (output undefined si no se indica); lanza un
+// Error si hay más de dos argumentos posicionales sin --output, porque el
+// último se tomaría como salida y se sobrescribiría.
+function inputsAndOutput(positional, options) {
+  const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+  const rest = positional.slice();
+  let inputs;
+  if (typeof options.input === 'string') {
+    inputs = list(options.input);
+  } else if (typeof options.output === 'string') {
+    inputs = rest.splice(0);
+  } else {
+    if (rest.length > 2) throw new Error('Con varias entradas, indique el archivo de salida con --output');
+    inputs = rest.splice(0, 1);
+  }
+  const output = typeof options.output === 'string' ? options.output : rest.shift();
+  if (rest.length > 0) throw new Error(`Argumentos de más: ${rest.join(' ')}`);
+  return { inputs, output };
+}
+
+module.exports = {
+  parseArgs,
+  parseCommandLine,
+  resolveOutput,
+  inputsAndOutput
+};
@@ -0,0 +1,113 @@
+/**
+ * lib/config_file.js
+ * ------------------
+ * Archivo de configuración del proyecto, .sqlextractorrc.json. Se busca en
+ * el directorio actual y en sus padres, o se indica con --config:
+ *
+ *   {
+ *     "outDir": "docs/db",
+ *     "extract": { "grouped": true },
+ *     "der": { "format": "html", "partitionThreshold": 200, "locale": "en-GB" },
+ *     "lint": { "rules": { "orphan-table": "off" } }
+ *   }
+ *
+ * Cada comando (extract, der, diff, lint) tiene su sección con los valores
+ * por defecto de sus opciones; en el primer nivel sólo van las opciones
+ * comunes (outDir, quiet, verbose). Las claves se escriben en camelCase o
+ * con el nombre de la opción (partition-threshold), las listas como texto
+ * separado por comas o como arrays, y las opciones de la línea de comandos
+ * tienen prioridad sobre el archivo. Las rutas son relativas al directorio
+ * del archivo (ver lib/cli_args.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = '.sqlextractorrc.json';
+const COMMANDS = ['extract', 'der', 'diff', 'lint'];
+
+// Busca el archivo de configuración desde dir hacia la raíz; null si no hay
+function findConfigFile(dir = process.cwd()) {
+  let current = path.resolve(dir);
+  for (;;) {
+    const candidate = path.join(current, CONFIG_FILE);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function readConfigFile(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Error al leer la configuración ${file}: ${err.message}`);
+  }
+  if (!isPlainObject(config)) throw new Error(`La configuración ${file} debe ser un objeto JSON`);
+  return config;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// partitionThreshold -> partition-threshold
+function optionName(key) {
+  return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+// Opciones de un comando según la configuración, con los valores que daría
+// parseArgs: texto en las opciones con valor y true/false en las booleanas.
+// spec: { valueOptions, booleanOptions, objectOptions } del comando;
+// common: las opciones comunes que admite el primer nivel. Lanza un error
+// si alguna clave o valor no es válido.
+function commandOptions(config, command, spec, common, file = CONFIG_FILE) {
+  const options = {};
+  const apply = (entries, allowed, prefix) => {
+    for (const [key, value] of Object.entries(entries)) {
+      const name = optionName(key);
+      const invalid = () => new Error(`Valor no válido en ${file}: ${prefix}${key}`);
+      if ((allowed.objectOptions || []).includes(name)) {
+        if (!isPlainObject(value)) throw invalid();
+        options[name] = value;
+      } else if ((allowed.booleanOptions || []).includes(name)) {
+        if (typeof value !== 'boolean') throw invalid();
+        options[name] = value;
+      } else if ((allowed.valueOptions || []).includes(name)) {
+        if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+          options[name] = value.join(',');
+        } else if (typeof value === 'string' || typeof value === 'number') {
+          options[name] = String(value);
+        } else {
+          throw invalid();
+        }
+      } else {
+        throw new Error(`Opción desconocida en ${file}: ${prefix}${key}`);
+      }
+    }
+  };
+
+  for (const key of Object.keys(config)) {
+    if (COMMANDS.includes(key) && !isPlainObject(config[key])) {
+      throw new Error(`La sección ${key} de ${file} debe ser un objeto`);
+    }
+  }
+  // Los archivos de configuración de lint_schema.js anteriores, con las
+  // reglas en el primer nivel ({ "rules": ... }), siguen siendo válidos
+  const { rules, ...shared } = config;
+  for (const name of COMMANDS) delete shared[name];
+  apply(shared, common, '');
+  if (rules !== undefined && command === 'lint') apply({ rules }, spec, '');
+  if (config[command]) apply(config[command], spec, `${command}.`);
+  return options;
+}
+
+module.exports = {
+  CONFIG_FILE,
+  COMMANDS,
+  findConfigFile,
+  readConfigFile,
+  commandOptions
+};
@@ -0,0 +1,139 @@
+/**
+ * lib/data_types.js
+ * -----------------
+ * Interpretación de los tipos de dato Oracle declarados en las columnas.
+ *
+ * parseDataType() descompone el tipo declarado conservando longitud y
+ * semántica (VARCHAR2(50 CHAR)), precisión y escala (NUMBER(10,2)) y la
+ * precisión de TIMESTAMP/INTERVAL. simplifyDataType() reduce el tipo a una
+ * familia (STRING, NUMBER, DATE, LOB, OTHER) para vistas resumidas; también
+ * reconoce los tipos de MySQL y PostgreSQL (TEXT, INT, BIGINT, SERIAL...).
+ * sameDataType() indica si dos tipos declarados son el mismo tipo Oracle
+ * aunque se escriban distinto (NUMBER(10) y NUMBER(10,0), VARCHAR2(50) y
+ * VARCHAR2(50 BYTE)).
+ */
+
+// Tipos cuyo argumento es una longitud (opcionalmente con BYTE/CHAR)
+const LENGTH_TYPES = new Set([
+  'CHAR', 'NCHAR', 'VARCHAR', 'VARCHAR2', 'NVARCHAR2', 'CHARACTER', 'RAW', 'UROWID',
+  'CHARACTER VARYING', 'CHAR VARYING', 'NATIONAL CHARACTER', 'NATIONAL CHAR',
+  'NATIONAL CHARACTER VARYING', 'NATIONAL CHAR VARYING', 'NCHAR VARYING'
+]);
+
+// Tipos cuyos argumentos son precisión y escala
+const NUMERIC_TYPES = new Set(['NUMBER', 'NUMERIC', 'DECIMAL', 'DEC', 'FLOAT']);
+
+function toInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+// Descompone un tipo declarado. Devuelve null si la columna no declara tipo
+// (p. ej. columnas virtuales "col AS (expr)").
+//
+//   { name, length, lengthSemantics, precision, scale }
+//
+// En TIMESTAMP la precisión es la de las fracciones de segundo; en
+// INTERVAL DAY(p) TO SECOND(s), precision = p y scale = s.
+function parseDataType(declared) {
+  if (!declared) return null;
+
+  const text = declared.replace(/\s+/g, ' ').trim();
+  const args = [];
+  let name = text.replace(/\s*\(([^)]*)\)/g, (match, inner) => {
+    args.push(inner.trim());
+    return '';
+  }).replace(/\s+/g, ' ').trim();
+  // Los tipos definidos por el usuario entre comillas conservan mayúsculas y minúsculas
+  name = name.includes('"') ? name.replace(/"/g, '') : name.toUpperCase();
+
+  const type = {
+    name,
+    length: null,
+    lengthSemantics: null,
+    precision: null,
+    scale: null
+  };
+
+  if (args.length === 0) return type;
+
+  if (LENGTH_TYPES.has(name)) {
+    const match = args[0].match(/^(\d+)\s*(BYTE|CHAR)?$/i);
+    if (match) {
+      type.length = toInteger(match[1]);
+      type.lengthSemantics = match[2] ? match[2].toUpperCase() : null;
+    }
+  } else if (NUMERIC_TYPES.has(name)) {
+    const [precision, scale] = args[0].split(',').map(part => part.trim());
+    // NUMBER(*,0): precisión máxima con escala explícita
+    type.precision = precision === '*' ? null : toInteger(precision);
+    type.scale = scale === undefined ? null : toInteger(scale);
+  } else if (name.startsWith('TIMESTAMP') || name.startsWith('INTERVAL')) {
+    type.precision = toInteger(args[0]);
+    type.scale = args.length > 1 ? toInteger(args[1]) : null;
+  }
+
+  return type;
+}
+
+// Tipos que Oracle guarda como NUMBER(38,0)
+const INTEGER_ALIASES = new Set(['INTEGER', 'INT', 'SMALLINT']);
+
+// Forma canónica de un tipo declarado para compararlo con otro: los
+// alias de Oracle, la semántica BYTE por defecto, la escala 0 de NUMBER(p),
+// la precisión 38 de NUMBER(*,s) y los 6 decimales de TIMESTAMP. Los
+// argumentos que parseDataType() no descompone se comparan como texto.
+function canonicalType(declared) {
+  const type = parseDataType(declared);
+  if (!type) return null;
+  if (INTEGER_ALIASES.has(type.name)) return { name: 'NUMBER', length: null, lengthSemantics: null, precision: 38, scale: 0 };
+
+  const canonical = Object.assign({}, type, { name: type.name === 'VARCHAR' ? 'VARCHAR2' : type.name });
+  if (LENGTH_TYPES.has(type.name)) {
+    canonical.lengthSemantics = type.lengthSemantics || 'BYTE';
+  } else if (NUMERIC_TYPES.has(type.name) && type.name !== 'FLOAT') {
+    if (type.precision !== null && type.scale === null) canonical.scale = 0;
+    if (type.precision === null && type.scale !== null) canonical.precision = 38;
+  } else if (type.name.startsWith('TIMESTAMP')) {
+    if (type.precision === null) canonical.precision = 6;
+  } else if (!type.name.startsWith('INTERVAL') && declared.includes('(')) {
+    canonical.text = declared.replace(/\s+/g, '').toUpperCase();
+  }
+  return canonical;
+}
+
+// Indica si dos tipos declarados son el mismo tipo
+function sameDataType(a, b) {
+  const typeA = canonicalType(a);
+  const typeB = canonicalType(b);
+  if (!typeA || !typeB) return typeA === typeB;
+  return ['name', 'length', 'lengthSemantics', 'precision', 'scale', 'text'].every(key => typeA[key] === typeB[key]);
+}
+
+// Familias de los tipos de MySQL y PostgreSQL (--dialect) que no se
+// reconocen por su nombre Oracle
+const VENDOR_FAMILIES = [
+  [/^((TINY|MEDIUM|LONG)?TEXT|CITEXT|ENUM|SET|UUID)$/, 'STRING'],
+  [/^((TINY|SMALL|MEDIUM|BIG)?INT|INT[248]|(SMALL|BIG)?SERIAL[248]?|NUMERIC|DOUBLE( PRECISION)?|REAL|FLOAT[48]?|MONEY)$/, 'NUMBER'],
+  [/^(TIME( WITH(OUT)? TIME ZONE)?|YEAR)$/, 'DATE'],
+  [/^((TINY|MEDIUM|LONG)BLOB|BYTEA)$/, 'LOB']
+];
+
+// Reduce un tipo a su familia para las vistas simplificadas
+function simplifyDataType(dataType) {
+  const type = dataType.toUpperCase();
+  if (type.includes('VARCHAR') || type.includes('CHAR')) return 'STRING';
+  if (type.includes('NUMBER') || type.includes('INTEGER') || type.includes('DECIMAL')) return 'NUMBER';
+  if (type.includes('DATE') || type.includes('TIMESTAMP')) return 'DATE';
+  if (type.includes('CLOB') || type.includes('BLOB')) return 'LOB';
+  // int(11) unsigned, double precision...
+  const name = type.replace(/\([^)]*\)/g, '').replace(/\b(UNSIGNED|SIGNED|ZEROFILL)\b/g, '').replace(/\s+/g, ' ').trim();
+  const family = VENDOR_FAMILIES.find(([pattern]) => pattern.test(name));
+  return family ? family[1] : 'OTHER';
+}
+
+module.exports = {
+  parseDataType,
+  simplifyDataType,
+  sameDataType
+};
@@ -0,0 +1,131 @@
+/**
+ * lib/ddl_generator.js
+ * --------------------
+ * Generación de DDL Oracle a partir del modelo de ddl_parser.js.
+ *
+ * Los identificadores se escriben sin comillas cuando Oracle los reconoce así
+ * (mayúsculas, sin palabras reservadas) y entre comillas en caso contrario,
+ * de modo que el DDL generado vuelve a producir el mismo modelo. Las
+ * constraints se escriben siempre fuera de línea.
+ */
+
+// Palabras reservadas de Oracle que no pueden usarse sin comillas
+const RESERVED_WORDS = new Set([
+  'ACCESS', 'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'AUDIT', 'BETWEEN', 'BY', 'CHAR',
+  'CHECK', 'CLUSTER', 'COLUMN', 'COMMENT', 'COMPRESS', 'CONNECT', 'CREATE', 'CURRENT', 'DATE',
+  'DECIMAL', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT', 'DROP', 'ELSE', 'EXCLUSIVE', 'EXISTS',
+  'FILE', 'FLOAT', 'FOR', 'FROM', 'GRANT', 'GROUP', 'HAVING', 'IDENTIFIED', 'IMMEDIATE', 'IN',
+  'INCREMENT', 'INDEX', 'INITIAL', 'INSERT', 'INTEGER', 'INTERSECT', 'INTO', 'IS', 'LEVEL',
+  'LIKE', 'LOCK', 'LONG', 'MAXEXTENTS', 'MINUS', 'MLSLABEL', 'MODE', 'MODIFY', 'NOAUDIT',
+  'NOCOMPRESS', 'NOT', 'NOWAIT', 'NULL', 'NUMBER', 'OF', 'OFFLINE', 'ON', 'ONLINE', 'OPTION',
+  'OR', 'ORDER', 'PCTFREE', 'PRIOR', 'PUBLIC', 'RAW', 'RENAME', 'RESOURCE', 'REVOKE', 'ROW',
+  'ROWID', 'ROWNUM', 'ROWS', 'SELECT', 'SESSION', 'SET', 'SHARE', 'SIZE', 'SMALLINT', 'START',
+  'SUCCESSFUL', 'SYNONYM', 'SYSDATE', 'TABLE', 'THEN', 'TO', 'TRIGGER', 'UID', 'UNION',
+  'UNIQUE', 'UPDATE', 'USER', 'VALIDATE', 'VALUES', 'VARCHAR', 'VARCHAR2', 'VIEW', 'WHENEVER',
+  'WHERE', 'WITH'
+]);
+
+// Escribe un identificador, entre comillas sólo si es necesario
+function quoteIdentifier(name) {
+  if (/^[A-Z][A-Z0-9_$#]*$/.test(name) && !RESERVED_WORDS.has(name)) return name;
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function qualifiedName(schema, name) {
+  return schema ? `${quoteIdentifier(schema)}.${quoteIdentifier(name)}` : quoteIdentifier(name);
+}
+
+function columnList(columns) {
+  return `(${columns.map(quoteIdentifier).join(', ')})`;
+}
+
+// Definición de una columna tal como va en CREATE TABLE o ALTER TABLE ADD
+function columnDefinition(column) {
+  let definition = quoteIdentifier(column.name);
+  if (column.dataType) definition += ` ${column.dataType}`;
+
+  if (column.virtual) {
+    definition += ` GENERATED ALWAYS AS (${column.virtual.expression}) VIRTUAL`;
+  } else if (column.identity) {
+    definition += ` GENERATED ${column.identity.generation} AS IDENTITY`;
+    if (column.identity.options) definition += ` (${column.identity.options})`;
+  } else if (column.default !== null) {
+    definition += column.defaultOnNull ? ` DEFAULT ON NULL ${column.default}` : ` DEFAULT ${column.default}`;
+  }
+
+  if (column.invisible) definition += ' INVISIBLE';
+  // Las columnas identity y DEFAULT ON NULL ya son NOT NULL
+  if (column.notNull && !column.identity && !column.defaultOnNull) definition += ' NOT NULL';
+  return definition;
+}
+
+// Cláusulas de estado distintas de las de Oracle por defecto
+function constraintState(constraint) {
+  const state = [];
+  if (constraint.deferrable) {
+    state.push('DEFERRABLE');
+    if (constraint.initiallyDeferred) state.push('INITIALLY DEFERRED');
+  }
+  if (constraint.rely) state.push('RELY');
+  if (!constraint.enabled) state.push('DISABLE');
+  if (constraint.enabled && !constraint.validated) state.push('ENABLE NOVALIDATE');
+  if (!constraint.enabled && constraint.validated) state.push('VALIDATE');
+  return state.length > 0 ? ` ${state.join(' ')}` : '';
+}
+
+// Cláusula de una constraint fuera de línea: [CONSTRAINT nombre] ...
+function constraintClause(constraint) {
+  let clause = constraint.name ? `CONSTRAINT ${quoteIdentifier(constraint.name)} ` : '';
+  switch (constraint.type) {
+    case 'PK':
+      clause += `PRIMARY KEY ${columnList(constraint.columns)}`;
+      break;
+    case 'UK':
+      clause += `UNIQUE ${columnList(constraint.columns)}`;
+      break;
+    case 'FK':
+      clause += `FOREIGN KEY ${columnList(constraint.columns)} REFERENCES ${qualifiedName(constraint.refSchema, constraint.refTable)}`;
+      if (constraint.refColumns.length > 0) clause += ` ${columnList(constraint.refColumns)}`;
+      if (constraint.onDelete) clause += ` ON DELETE ${constraint.onDelete}`;
+      break;
+    case 'CHECK':
+      clause += `CHECK (${constraint.condition})`;
+      break;
+    default:
+      return null;
+  }
+  return clause + constraintState(constraint);
+}
+
+// CREATE TABLE con columnas y constraints. Con { foreignKeys: false } se
+// omiten las foreign keys, para añadirlas cuando existan todas las tablas.
+function createTableStatement(table, options = {}) {
+  const includeForeignKeys = options.foreignKeys !== false;
+  const elements = table.columns.map(columnDefinition);
+  for (const constraint of table.constraints) {
+    if (constraint.type === 'FK' && !includeForeignKeys) continue;
+    const clause = constraintClause(constraint);
+    if (clause) elements.push(clause);
+  }
+  return `CREATE TABLE ${qualifiedName(table.schema, table.name)} (\n  ${elements.join(',\n  ')}\n);`;
+}
+
+// Las columnas de un índice pueden ser expresiones (índices basados en funciones)
+function indexColumn(column) {
+  return /^[^\s()]+$/.test(column) && !/^['"]/.test(column) ? quoteIdentifier(column) : column;
+}
+
+function createIndexStatement(index) {
+  const kind = index.unique ? 'UNIQUE ' : index.bitmap ? 'BITMAP ' : '';
+  const columns = index.columns.map(indexColumn).join(', ');
+  return `CREATE ${kind}INDEX ${qualifiedName(index.schema, index.name)} ON ${qualifiedName(index.tableSchema, index.table)} (${columns});`;
+}
+
+module.exports = {
+  quoteIdentifier,
+  qualifiedName,
+  columnDefinition,
+  constraintClause,
+  createTableStatement,
+  createIndexStatement
+};
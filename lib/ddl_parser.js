@@ -0,0 +1,1597 @@
+/**
+ * lib/ddl_parser.js
+ * -----------------
+ * Analizador de DDL Oracle compartido por extract_create_tables.js y
+ * generate_der.js.
+ *
+ * Trabaja sobre las sentencias producidas por sql_splitter.js y construye un
+ * modelo estructurado del esquema:
+ *
+ *   {
+ *     tables:    Map<"ESQUEMA.TABLA", { schema, name, columns, constraints,
+ *                                      comment, physical, line }>,
+ *     indexes:   [{ schema, name, tableSchema, table, columns, unique, bitmap,
+ *                   functionBased, tablespace, partitioned, compression, line }],
+ *     sequences: [{ schema, name, startWith, incrementBy, minValue, maxValue,
+ *                   cache, cycle, order, line }],
+ *     triggers:  [{ schema, name, tableSchema, table, timing, events,
+ *                   forEachRow, body, line }],
+ *     objects:   [{ kind, schema, name, text, file, line }]
+ *   }
+ *
+ * objects recoge los objetos que el modelo no describe (vistas, vistas
+ * materializadas, sinónimos, paquetes, procedimientos, funciones, tipos y
+ * GRANT), con kind la clase de sentencia (StatementKind) y, en los GRANT,
+ * sin nombre y con el texto de la sentencia en text.
+ *
+ * Cada columna conserva su definición completa:
+ *
+ *   { name, dataType, type, default, defaultOnNull, notNull, primaryKey,
+ *     identity, virtual, invisible, comment, line }
+ *
+ * donde dataType es el tipo tal como se declaró (NUMBER(10,2)), type su
+ * descomposición según data_types.js, identity { generation, options } para
+ * GENERATED ... AS IDENTITY y virtual { expression } para las columnas
+ * virtuales.
+ *
+ * comment es el texto de COMMENT ON TABLE / COMMENT ON COLUMN, venga antes o
+ * después del CREATE TABLE, o null si el volcado no lo documenta.
+ *
+ * physical recoge el diseño físico declarado tras la lista de columnas:
+ *
+ *   { organization: 'HEAP' | 'INDEX' | 'EXTERNAL', tablespace, compression,
+ *     partitioning }
+ *
+ * con partitioning null o { type, columns, interval, subpartitioning,
+ * partitionCount, partitions: [{ name, values, tablespace }] }. En los
+ * índices, partitioned es 'LOCAL', 'GLOBAL' o null y functionBased indica
+ * que alguna columna es una expresión.
+ *
+ * Las constraints, en línea o fuera de línea, en el CREATE TABLE o en un
+ * ALTER TABLE posterior, se registran como:
+ *
+ *   { name, type: 'PK' | 'UK' | 'FK' | 'CHECK', columns, deferrable,
+ *     initiallyDeferred, enabled, validated, rely, usingIndex, inline, line }
+ *
+ * con refSchema, refTable, refColumns y onDelete en las FK y condition en
+ * las CHECK.
+ *
+ * Los identificadores se normalizan con las reglas de Oracle: sin comillas se
+ * convierten a mayúsculas y entre comillas se conservan tal cual. El esquema
+ * y el nombre de cada objeto se guardan por separado; los nombres sin
+ * esquema toman el de ALTER SESSION SET CURRENT_SCHEMA si el volcado lo fija.
+ *
+ * Cada columna, constraint e índice conserva la línea del volcado en la que
+ * fue declarado.
+ *
+ * Las sentencias que no se pueden analizar o que sólo se entienden en parte
+ * (tablas sin columnas reconocibles, elementos de la definición que se
+ * ignoran, ALTER TABLE sobre tablas ausentes, cambios que no se aplican al
+ * modelo...) producen advertencias, que build() devuelve en warnings:
+ *
+ *   [{ file, line, column, message, snippet }]
+ *
+ * con snippet la línea del volcado en la que está el problema y file el
+ * archivo de la sentencia (statement.file, que indica sql_input.js) o null.
+ *
+ * Los volcados de otros gestores llegan ya traducidos a sentencias Oracle
+ * por su dialecto (ver lib/dialects); sus identificadores sin comillas
+ * indican en token.name cómo se guardan.
+ */
+
+const { TokenType } = require('./sql_tokenizer');
+const { splitStatements } = require('./sql_splitter');
+const { parseDataType } = require('./data_types');
+
+// Tipos de sentencia que el analizador distingue
+const StatementKind = {
+  CREATE_TABLE: 'CREATE TABLE',
+  ALTER_TABLE: 'ALTER TABLE',
+  CREATE_INDEX: 'CREATE INDEX',
+  CREATE_SEQUENCE: 'CREATE SEQUENCE',
+  CREATE_TRIGGER: 'CREATE TRIGGER',
+  CREATE_VIEW: 'CREATE VIEW',
+  CREATE_MATERIALIZED_VIEW: 'CREATE MATERIALIZED VIEW',
+  CREATE_SYNONYM: 'CREATE SYNONYM',
+  CREATE_PACKAGE: 'CREATE PACKAGE',
+  CREATE_PACKAGE_BODY: 'CREATE PACKAGE BODY',
+  CREATE_PROCEDURE: 'CREATE PROCEDURE',
+  CREATE_FUNCTION: 'CREATE FUNCTION',
+  CREATE_TYPE: 'CREATE TYPE',
+  CREATE_TYPE_BODY: 'CREATE TYPE BODY',
+  GRANT: 'GRANT',
+  COMMENT: 'COMMENT',
+  ALTER_SESSION: 'ALTER SESSION',
+  OTHER: 'OTHER'
+};
+
+// Palabras que pueden preceder a TABLE en un CREATE TABLE
+const TABLE_MODIFIERS = new Set(['GLOBAL', 'PRIVATE', 'TEMPORARY', 'SHARDED', 'DUPLICATED', 'IMMUTABLE', 'BLOCKCHAIN']);
+
+// Palabras que pueden preceder a INDEX en un CREATE INDEX
+const INDEX_MODIFIERS = new Set(['UNIQUE', 'BITMAP', 'MULTIVALUE']);
+
+// Palabras que pueden preceder al tipo de objeto en CREATE TRIGGER, VIEW,
+// SYNONYM y en los objetos PL/SQL
+const OBJECT_MODIFIERS = new Set(['OR', 'REPLACE', 'EDITIONABLE', 'NONEDITIONABLE', 'EDITIONING', 'FORCE', 'NOFORCE', 'PUBLIC']);
+
+// Tipo de sentencia según la palabra que sigue a CREATE y sus modificadores;
+// las que admiten BODY indican el tipo del cuerpo
+const CREATE_OBJECT_KINDS = {
+  TRIGGER: [StatementKind.CREATE_TRIGGER],
+  VIEW: [StatementKind.CREATE_VIEW],
+  SYNONYM: [StatementKind.CREATE_SYNONYM],
+  PACKAGE: [StatementKind.CREATE_PACKAGE, StatementKind.CREATE_PACKAGE_BODY],
+  PROCEDURE: [StatementKind.CREATE_PROCEDURE],
+  FUNCTION: [StatementKind.CREATE_FUNCTION],
+  TYPE: [StatementKind.CREATE_TYPE, StatementKind.CREATE_TYPE_BODY]
+};
+
+// Palabras del tipo de objeto en COMMENT ON (TABLE, COLUMN, MATERIALIZED VIEW...)
+const COMMENT_OBJECT_WORDS = ['TABLE', 'COLUMN', 'MATERIALIZED', 'VIEW', 'OPERATOR', 'INDEXTYPE', 'MINING', 'MODEL', 'EDITION'];
+
+// Palabras con las que empieza una constraint declarada fuera de línea
+const CONSTRAINT_STARTS = new Set(['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK']);
+
+// Palabras que terminan el tipo de dato dentro de una definición de columna
+const COLUMN_CLAUSE_STARTS = new Set([
+  'DEFAULT', 'NOT', 'NULL', 'CONSTRAINT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK',
+  'GENERATED', 'AS', 'ENCRYPT', 'COLLATE', 'VISIBLE', 'INVISIBLE', 'SORT', 'ENABLE', 'DISABLE',
+  'DEFERRABLE', 'INITIALLY', 'VALIDATE', 'NOVALIDATE', 'RELY', 'NORELY', 'USING'
+]);
+
+// Tipos de dato predefinidos: un identificador seguido de uno de ellos
+// dentro del tipo de una columna indica que falta una coma (a NUMBER b DATE)
+const TYPE_NAMES = new Set([
+  'NUMBER', 'NUMERIC', 'DECIMAL', 'DEC', 'INTEGER', 'INT', 'SMALLINT', 'BIGINT', 'FLOAT', 'REAL',
+  'BINARY_FLOAT', 'BINARY_DOUBLE', 'VARCHAR2', 'VARCHAR', 'NVARCHAR2', 'CHAR', 'NCHAR', 'CLOB', 'NCLOB',
+  'BLOB', 'BFILE', 'RAW', 'LONG', 'DATE', 'TIMESTAMP', 'INTERVAL', 'ROWID', 'UROWID', 'XMLTYPE', 'JSON',
+  'BOOLEAN', 'TEXT'
+]);
+
+// Palabras que forman parte de los tipos de varias palabras (TIMESTAMP WITH
+// LOCAL TIME ZONE, LONG RAW, INTERVAL DAY TO SECOND, INT UNSIGNED...)
+const TYPE_WORDS = new Set([
+  'WITH', 'WITHOUT', 'LOCAL', 'TIME', 'ZONE', 'VARYING', 'PRECISION', 'CHARACTER', 'CHAR', 'NATIONAL',
+  'TO', 'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND', 'RAW', 'DOUBLE', 'LARGE', 'OBJECT',
+  'BINARY', 'ARRAY', 'UNSIGNED', 'SIGNED', 'ZEROFILL'
+]);
+
+// Palabras de las propiedades de tabla que siguen a la lista de columnas y
+// no afectan al modelo (PCTFREE 10, SEGMENT CREATION DEFERRED, ENABLE ROW
+// MOVEMENT, LOB (...) STORE AS SECUREFILE, ON COMMIT PRESERVE ROWS...) y
+// las opciones de tabla de PostgreSQL (WITH (...), INHERITS (...), USING)
+const TABLE_PROPERTY_WORDS = new Set([
+  'PCTFREE', 'PCTUSED', 'INITRANS', 'MAXTRANS', 'STORAGE', 'LOGGING', 'NOLOGGING', 'FILESYSTEM_LIKE_LOGGING',
+  'SEGMENT', 'CREATION', 'IMMEDIATE', 'DEFERRED', 'CACHE', 'NOCACHE', 'PARALLEL', 'NOPARALLEL',
+  'MONITORING', 'NOMONITORING', 'ROWDEPENDENCIES', 'NOROWDEPENDENCIES', 'ENABLE', 'DISABLE', 'ROW',
+  'MOVEMENT', 'LOB', 'SECUREFILE', 'BASICFILE', 'CHUNK', 'RETENTION', 'PCTVERSION', 'IN', 'KEEP_DUPLICATES',
+  'DEDUPLICATE', 'INMEMORY', 'NO', 'MEMCOMPRESS', 'PRIORITY', 'NONE', 'LOW', 'MEDIUM', 'HIGH', 'CRITICAL',
+  'DISTRIBUTE', 'DUPLICATE', 'AUTO', 'BY', 'FOR', 'QUERY', 'CAPACITY', 'DML', 'ON', 'COMMIT', 'PRESERVE',
+  'DELETE', 'ROWS', 'DEFINITION', 'DEFAULT', 'COLLATION', 'USING_NLS_COMP', 'RESULT_CACHE', 'MODE', 'FORCE',
+  'OVERFLOW', 'PCTTHRESHOLD', 'INCLUDING', 'MAPPING', 'TABLE', 'REJECT', 'LIMIT', 'UNLIMITED', 'COMPUTE',
+  'STATISTICS', 'FLASHBACK', 'ARCHIVE', 'MEMOPTIMIZE', 'READ', 'WRITE', 'ONLY', 'SHARING', 'METADATA',
+  'DATA', 'EXTENDED', 'OBJECT', 'IDENTIFIER', 'IS', 'SYSTEM', 'GENERATED', 'PRIMARY', 'KEY', 'OIDINDEX',
+  'TYPE', 'DIRECTORY', 'ACCESS', 'PARAMETERS', 'LOCATION', 'FREELISTS', 'FREELIST', 'GROUPS',
+  'BUFFER_POOL', 'KEEP', 'RECYCLE', 'ILM', 'COLUMN', 'WITH', 'WITHOUT', 'OIDS', 'INHERITS', 'USING'
+]);
+
+// Atributos físicos que pueden seguir a USING INDEX en lugar de un nombre de índice
+const INDEX_PROPERTIES = new Set([
+  'TABLESPACE', 'PCTFREE', 'PCTUSED', 'INITRANS', 'MAXTRANS', 'STORAGE', 'LOGGING', 'NOLOGGING',
+  'COMPUTE', 'COMPRESS', 'NOCOMPRESS', 'LOCAL', 'GLOBAL', 'REVERSE', 'SORT', 'NOSORT',
+  'VISIBLE', 'INVISIBLE', 'ONLINE', 'PARALLEL', 'NOPARALLEL', 'ENABLE', 'DISABLE'
+]);
+
+// Palabras de las cláusulas de compresión de tablas e índices
+// (COMPRESS FOR OLTP, ROW STORE COMPRESS ADVANCED, COLUMN STORE COMPRESS FOR
+// QUERY HIGH, COMPRESS ADVANCED LOW...)
+const COMPRESSION_WORDS = new Set([
+  'ROW', 'COLUMN', 'STORE', 'COMPRESS', 'BASIC', 'ADVANCED', 'FOR', 'OLTP', 'QUERY', 'ARCHIVE',
+  'LOW', 'HIGH', 'DIRECT_LOAD', 'ALL', 'OPERATIONS'
+]);
+
+// Longitud máxima del fragmento del volcado que acompaña a una advertencia
+const SNIPPET_LENGTH = 120;
+
+// Cursor sobre los tokens significativos (sin comentarios) de una sentencia
+class TokenCursor {
+  constructor(tokens, text) {
+    this.tokens = tokens.filter(token => token.type !== TokenType.COMMENT);
+    this.text = text;
+    this.index = 0;
+    // Paréntesis de apertura del último grupo que no se cerró
+    this.unclosed = null;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset] || null;
+  }
+
+  next() {
+    return this.tokens[this.index++] || null;
+  }
+
+  done() {
+    return this.index >= this.tokens.length;
+  }
+
+  // Comprueba si el token actual es alguna de las palabras indicadas
+  isWord(...words) {
+    const token = this.peek();
+    return Boolean(token && token.type === TokenType.WORD && words.includes(token.upper));
+  }
+
+  // Consume la secuencia de palabras indicada si aparece completa
+  acceptWords(...words) {
+    for (let i = 0; i < words.length; i++) {
+      const token = this.peek(i);
+      if (!token || token.type !== TokenType.WORD || token.upper !== words[i]) return false;
+    }
+    this.index += words.length;
+    return true;
+  }
+
+  isSymbol(value) {
+    const token = this.peek();
+    return Boolean(token && token.type === TokenType.SYMBOL && token.value === value);
+  }
+
+  acceptSymbol(value) {
+    if (!this.isSymbol(value)) return false;
+    this.index++;
+    return true;
+  }
+
+  // Consume un grupo entre paréntesis y devuelve los tokens interiores
+  readGroup() {
+    const open = this.peek();
+    if (!this.acceptSymbol('(')) return null;
+    const start = this.index;
+    let depth = 1;
+    while (!this.done()) {
+      const token = this.next();
+      if (token.type !== TokenType.SYMBOL) continue;
+      if (token.value === '(') depth++;
+      if (token.value === ')' && --depth === 0) {
+        return this.tokens.slice(start, this.index - 1);
+      }
+    }
+    this.unclosed = open;
+    return this.tokens.slice(start);
+  }
+
+  // Tokens restantes desde la posición actual
+  rest() {
+    return this.tokens.slice(this.index);
+  }
+}
+
+// Advertencia sobre una sentencia: posición del token indicado (o del inicio
+// de la sentencia) y, como contexto, la línea del volcado en la que está
+function parseWarning(statement, token, message) {
+  const target = token || statement.tokens[0];
+  const lineStart = statement.text.lastIndexOf('\n', target.start - 1) + 1;
+  const lineEnd = statement.text.indexOf('\n', target.start);
+  let snippet = statement.text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim();
+  if (snippet.length > SNIPPET_LENGTH) snippet = `${snippet.slice(0, SNIPPET_LENGTH - 1)}…`;
+  return { file: statement.file || null, line: target.line, column: target.column, message, snippet };
+}
+
+// Texto original que abarca una lista de tokens
+function textOf(tokens, text) {
+  if (!tokens || tokens.length === 0) return '';
+  return text.slice(tokens[0].start, tokens[tokens.length - 1].end);
+}
+
+// Divide una lista de tokens por las comas de nivel superior
+function splitByComma(tokens) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+
+  for (const token of tokens) {
+    if (token.type === TokenType.SYMBOL) {
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+      if (token.value === ',' && depth === 0) {
+        parts.push(current);
+        current = [];
+        continue;
+      }
+    }
+    current.push(token);
+  }
+
+  if (current.length > 0) parts.push(current);
+  return parts.filter(part => part.length > 0);
+}
+
+// Nombre normalizado de un identificador: los entrecomillados distinguen
+// mayúsculas y minúsculas; el resto se guarda en mayúsculas como hace
+// Oracle, salvo que el dialecto del volcado indique otra cosa en token.name
+function identifierName(token) {
+  if (!token) return '';
+  if (token.type === TokenType.QUOTED) return token.value;
+  return token.name || token.upper;
+}
+
+// Normaliza un identificador escrito por el usuario (p. ej. en --schema)
+function normalizeIdentifier(name) {
+  const trimmed = name.trim();
+  if (trimmed.length > 1 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed.toUpperCase();
+}
+
+// Clave con la que se indexa una tabla en el modelo
+function tableKey(schema, name) {
+  return schema ? `${schema}.${name}` : name;
+}
+
+function isIdentifier(token) {
+  return Boolean(token) && (token.type === TokenType.WORD || token.type === TokenType.QUOTED);
+}
+
+// Lee un nombre posiblemente cualificado (esquema.objeto) y devuelve
+// { schema, name }; schema es null si no se indica
+function readQualifiedName(cursor) {
+  const parts = [];
+  if (!isIdentifier(cursor.peek())) return { schema: null, name: null };
+  parts.push(identifierName(cursor.next()));
+  while (cursor.isSymbol('.') && isIdentifier(cursor.peek(1))) {
+    cursor.next();
+    parts.push(identifierName(cursor.next()));
+  }
+  // Un enlace de base de datos (@dblink) no forma parte del nombre
+  if (cursor.isSymbol('@') && isIdentifier(cursor.peek(1))) {
+    cursor.next();
+    readQualifiedName(cursor);
+  }
+  return {
+    schema: parts.length > 1 ? parts[parts.length - 2] : null,
+    name: parts[parts.length - 1]
+  };
+}
+
+// Lista de nombres de columna de un grupo "(col1, col2)"
+function readColumnList(cursor) {
+  const group = cursor.readGroup();
+  if (!group) return [];
+  return splitByComma(group).map(part => identifierName(part[0]));
+}
+
+// Determina el tipo de una sentencia por sus primeras palabras
+function classifyStatement(statement) {
+  const words = [];
+  for (const token of statement.tokens) {
+    if (token.type === TokenType.COMMENT) continue;
+    if (token.type !== TokenType.WORD || words.length === 6) break;
+    words.push(token.upper);
+  }
+
+  if (words[0] === 'CREATE') {
+    let i = 1;
+    if (words[i] === 'OR' && words[i + 1] === 'REPLACE') i += 2;
+    while (TABLE_MODIFIERS.has(words[i])) i++;
+    if (words[i] === 'TABLE') return StatementKind.CREATE_TABLE;
+
+    i = 1;
+    while (INDEX_MODIFIERS.has(words[i])) i++;
+    if (words[i] === 'INDEX') return StatementKind.CREATE_INDEX;
+
+    if (words[1] === 'SEQUENCE') return StatementKind.CREATE_SEQUENCE;
+    // Los MATERIALIZED VIEW LOG no son vistas
+    if (words[1] === 'MATERIALIZED' && words[2] === 'VIEW' && words[3] !== 'LOG') {
+      return StatementKind.CREATE_MATERIALIZED_VIEW;
+    }
+
+    i = 1;
+    while (OBJECT_MODIFIERS.has(words[i])) i++;
+    const kinds = CREATE_OBJECT_KINDS[words[i]];
+    if (kinds) return words[i + 1] === 'BODY' && kinds.length > 1 ? kinds[1] : kinds[0];
+  }
+
+  if (words[0] === 'GRANT') return StatementKind.GRANT;
+  if (words[0] === 'ALTER' && words[1] === 'TABLE') return StatementKind.ALTER_TABLE;
+  if (words[0] === 'COMMENT' && words[1] === 'ON') return StatementKind.COMMENT;
+  if (words[0] === 'ALTER' && words[1] === 'SESSION') return StatementKind.ALTER_SESSION;
+
+  return StatementKind.OTHER;
+}
+
+// Crea una constraint con el estado por defecto de Oracle
+// (NOT DEFERRABLE INITIALLY IMMEDIATE ENABLE VALIDATE NORELY)
+function createConstraint(name, line) {
+  return {
+    name,
+    type: null,
+    columns: [],
+    deferrable: false,
+    initiallyDeferred: false,
+    enabled: true,
+    validated: true,
+    rely: false,
+    usingIndex: null,
+    inline: false,
+    line
+  };
+}
+
+// REFERENCES tabla [(columnas)] [ON DELETE CASCADE | ON DELETE SET NULL]
+function readReferences(cursor, constraint) {
+  const ref = readQualifiedName(cursor);
+  constraint.refSchema = ref.schema;
+  constraint.refTable = ref.name;
+  // Sin lista de columnas se referencia la clave primaria (se completa en build())
+  constraint.refColumns = cursor.isSymbol('(') ? readColumnList(cursor) : [];
+  constraint.onDelete = null;
+  if (cursor.acceptWords('ON', 'DELETE')) {
+    if (cursor.acceptWords('CASCADE')) {
+      constraint.onDelete = 'CASCADE';
+    } else if (cursor.acceptWords('SET', 'NULL')) {
+      constraint.onDelete = 'SET NULL';
+    } else {
+      // NO ACTION y RESTRICT equivalen a no indicar regla
+      if (!cursor.acceptWords('NO', 'ACTION')) cursor.acceptWords('RESTRICT');
+    }
+  }
+}
+
+// Lee el cuerpo de una constraint. En las constraints en línea columnName es
+// la columna que las declara y no se indica lista de columnas.
+function readConstraintBody(cursor, constraint, columnName) {
+  const ownColumns = () => (columnName ? [columnName] : readColumnList(cursor));
+
+  if (cursor.acceptWords('PRIMARY', 'KEY')) {
+    constraint.type = 'PK';
+    constraint.columns = ownColumns();
+  } else if (cursor.acceptWords('UNIQUE')) {
+    constraint.type = 'UK';
+    constraint.columns = ownColumns();
+  } else if (!columnName && cursor.acceptWords('FOREIGN', 'KEY')) {
+    constraint.type = 'FK';
+    constraint.columns = readColumnList(cursor);
+    if (cursor.acceptWords('REFERENCES')) readReferences(cursor, constraint);
+  } else if (columnName && cursor.acceptWords('REFERENCES')) {
+    constraint.type = 'FK';
+    constraint.columns = [columnName];
+    readReferences(cursor, constraint);
+  } else if (cursor.acceptWords('CHECK')) {
+    constraint.type = 'CHECK';
+    constraint.columns = columnName ? [columnName] : [];
+    constraint.condition = textOf(cursor.readGroup(), cursor.text);
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Aplica la cláusula de estado de constraint que haya en la posición actual
+// (DEFERRABLE, INITIALLY, ENABLE/DISABLE, VALIDATE/NOVALIDATE, RELY, USING INDEX)
+function acceptConstraintState(cursor, constraint) {
+  if (cursor.acceptWords('NOT', 'DEFERRABLE')) {
+    constraint.deferrable = false;
+  } else if (cursor.acceptWords('DEFERRABLE')) {
+    constraint.deferrable = true;
+  } else if (cursor.acceptWords('INITIALLY')) {
+    constraint.initiallyDeferred = cursor.acceptWords('DEFERRED');
+    cursor.acceptWords('IMMEDIATE');
+  } else if (cursor.acceptWords('ENABLE')) {
+    constraint.enabled = true;
+    constraint.validated = true;
+  } else if (cursor.acceptWords('DISABLE')) {
+    // DISABLE implica NOVALIDATE salvo que se indique lo contrario
+    constraint.enabled = false;
+    constraint.validated = false;
+  } else if (cursor.acceptWords('VALIDATE')) {
+    constraint.validated = true;
+  } else if (cursor.acceptWords('NOVALIDATE')) {
+    constraint.validated = false;
+  } else if (cursor.acceptWords('RELY')) {
+    constraint.rely = true;
+  } else if (cursor.acceptWords('NORELY')) {
+    constraint.rely = false;
+  } else if (cursor.acceptWords('USING', 'INDEX')) {
+    if (cursor.isSymbol('(')) {
+      // USING INDEX (CREATE INDEX nombre ON ...)
+      const definition = new TokenCursor(cursor.readGroup(), cursor.text);
+      while (!definition.done() && !definition.isWord('INDEX')) definition.next();
+      definition.next();
+      constraint.usingIndex = readQualifiedName(definition).name;
+    } else if (isIdentifier(cursor.peek()) && !(cursor.peek().type === TokenType.WORD && INDEX_PROPERTIES.has(cursor.peek().upper))) {
+      constraint.usingIndex = readQualifiedName(cursor).name;
+    }
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Analiza una constraint fuera de línea:
+// [CONSTRAINT nombre] PRIMARY KEY | UNIQUE | FOREIGN KEY | CHECK ... [estado]
+function parseConstraint(tokens, text) {
+  const cursor = new TokenCursor(tokens, text);
+  const name = cursor.acceptWords('CONSTRAINT') ? identifierName(cursor.next()) : null;
+  const constraint = createConstraint(name, tokens[0].line);
+
+  if (!readConstraintBody(cursor, constraint, null)) return null;
+
+  while (!cursor.done()) {
+    if (acceptConstraintState(cursor, constraint)) continue;
+    // Propiedades no interpretadas (EXCEPTIONS INTO, atributos del índice, ...)
+    if (cursor.isSymbol('(')) {
+      cursor.readGroup();
+    } else {
+      cursor.next();
+    }
+  }
+
+  return constraint;
+}
+
+// Lee una expresión (p. ej. un valor DEFAULT) hasta la siguiente cláusula
+// de columna de nivel superior
+function readExpression(cursor) {
+  const tokens = [];
+  let depth = 0;
+
+  while (!cursor.done()) {
+    const token = cursor.peek();
+    if (token.type === TokenType.SYMBOL) {
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+    } else if (token.type === TokenType.WORD) {
+      if (token.upper === 'CASE') depth++;
+      if (token.upper === 'END') depth--;
+      if (depth === 0 && tokens.length > 0 && COLUMN_CLAUSE_STARTS.has(token.upper)) break;
+    }
+    tokens.push(cursor.next());
+  }
+
+  return tokens;
+}
+
+// Analiza la definición de una columna: nombre, tipo declarado completo,
+// DEFAULT, nulabilidad, columnas identity y virtuales, y sus constraints en
+// línea. Devuelve { column, constraints, nullability }, donde nullability
+// indica la cláusula NULL/NOT NULL explícita (null si no hay ninguna). El
+// texto que no se reconoce se ignora con una advertencia (warn(token,
+// mensaje), si se indica); owner es la tabla, para el mensaje.
+function parseColumn(tokens, text, owner = null, warn = null) {
+  const cursor = new TokenCursor(tokens, text);
+  const name = identifierName(cursor.next());
+  const typeTokens = [];
+  let depth = 0;
+
+  while (!cursor.done()) {
+    const token = cursor.peek();
+    if (token.type === TokenType.SYMBOL) {
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+    } else if (depth === 0 && token.type === TokenType.WORD && COLUMN_CLAUSE_STARTS.has(token.upper)) {
+      break;
+    }
+    typeTokens.push(cursor.next());
+  }
+
+  const dataType = textOf(typeTokens, text).replace(/\s+/g, ' ') || null;
+  const column = {
+    name,
+    dataType,
+    type: parseDataType(dataType),
+    default: null,
+    defaultOnNull: false,
+    notNull: false,
+    primaryKey: false,
+    identity: null,
+    virtual: null,
+    invisible: false,
+    comment: null,
+    line: tokens[0].line
+  };
+  const constraints = [];
+  let nullability = null;
+  // Nombre de la constraint en línea en curso y última constraint leída,
+  // a la que se aplican las cláusulas de estado
+  let constraintName = null;
+  let lastConstraint = null;
+  // Sólo se advierte del primer fragmento no reconocido de cada columna
+  let skipped = false;
+
+  while (!cursor.done()) {
+    if (cursor.acceptWords('CONSTRAINT')) {
+      constraintName = identifierName(cursor.next());
+      continue;
+    }
+
+    const constraint = createConstraint(constraintName, cursor.peek().line);
+    if (readConstraintBody(cursor, constraint, name)) {
+      constraint.inline = true;
+      if (constraint.type === 'PK') column.primaryKey = true;
+      constraints.push(constraint);
+      lastConstraint = constraint;
+      constraintName = null;
+      continue;
+    }
+
+    if (cursor.acceptWords('DEFAULT')) {
+      if (cursor.acceptWords('ON', 'NULL')) {
+        column.defaultOnNull = true;
+        column.notNull = true;
+        if (!cursor.acceptWords('FOR', 'INSERT', 'ONLY')) cursor.acceptWords('FOR', 'INSERT', 'AND', 'UPDATE');
+      }
+      column.default = textOf(readExpression(cursor), text);
+    } else if (cursor.acceptWords('GENERATED')) {
+      let generation = 'ALWAYS';
+      if (cursor.acceptWords('BY', 'DEFAULT')) {
+        generation = cursor.acceptWords('ON', 'NULL') ? 'BY DEFAULT ON NULL' : 'BY DEFAULT';
+      } else {
+        cursor.acceptWords('ALWAYS');
+      }
+      cursor.acceptWords('AS');
+      if (cursor.acceptWords('IDENTITY')) {
+        // Oracle declara NOT NULL las columnas identity
+        column.notNull = true;
+        column.identity = {
+          generation,
+          options: cursor.isSymbol('(') ? textOf(cursor.readGroup(), text).replace(/\s+/g, ' ') : null
+        };
+      } else {
+        column.virtual = { expression: textOf(cursor.readGroup(), text) };
+        cursor.acceptWords('VIRTUAL');
+      }
+    } else if (cursor.acceptWords('AS')) {
+      column.virtual = { expression: textOf(cursor.readGroup(), text) };
+      cursor.acceptWords('VIRTUAL');
+    } else if (cursor.acceptWords('NOT', 'NULL')) {
+      column.notNull = true;
+      nullability = 'NOT NULL';
+      constraintName = null;
+      lastConstraint = null;
+    } else if (cursor.acceptWords('NULL')) {
+      column.notNull = false;
+      nullability = 'NULL';
+      constraintName = null;
+      lastConstraint = null;
+    } else if (cursor.acceptWords('INVISIBLE')) {
+      column.invisible = true;
+    } else if (cursor.acceptWords('VISIBLE') || cursor.acceptWords('SORT')) {
+      // Valores por defecto de Oracle
+    } else if (cursor.acceptWords('COLLATE')) {
+      readQualifiedName(cursor);
+    } else if (cursor.acceptWords('ENCRYPT')) {
+      // ENCRYPT [USING 'algoritmo'] [IDENTIFIED BY clave] ['integridad'] [[NO] SALT]
+      if (cursor.acceptWords('USING')) cursor.next();
+      if (cursor.acceptWords('IDENTIFIED', 'BY')) cursor.next();
+      if (cursor.peek() && cursor.peek().type === TokenType.STRING) cursor.next();
+      if (!cursor.acceptWords('NO', 'SALT')) cursor.acceptWords('SALT');
+    } else if (acceptConstraintState(cursor, lastConstraint || createConstraint(null, 0))) {
+      // Estado de la última constraint (o de un NOT NULL, que no se registra)
+    } else {
+      if (warn && !skipped) {
+        warn(cursor.peek(), `Texto no reconocido en la columna ${name} de ${owner}: se ignora`);
+      }
+      skipped = true;
+      if (cursor.isSymbol('(')) cursor.readGroup(); else cursor.next();
+    }
+  }
+
+  return { column, constraints, nullability };
+}
+
+// Elementos de una lista de definición que no son columnas ni constraints:
+// SUPPLEMENTAL LOG, PERIOD FOR, SCOPE FOR, REF (...) WITH ROWID y, en
+// ALTER TABLE ... ADD, las particiones
+function isTableClause(element) {
+  const [first, second] = element;
+  if (first.type !== TokenType.WORD) return false;
+  if (first.upper === 'PARTITION' || first.upper === 'SUBPARTITION') return true;
+  if (!second) return false;
+  const secondWord = second.type === TokenType.WORD ? second.upper : null;
+  if (first.upper === 'SUPPLEMENTAL') return secondWord === 'LOG';
+  if (first.upper === 'PERIOD' || first.upper === 'SCOPE') return secondWord === 'FOR';
+  return first.upper === 'REF' && second.type === TokenType.SYMBOL && second.value === '(';
+}
+
+// Posición en un elemento de la lista de definición del identificador que,
+// seguido de un tipo de dato, empieza otra columna porque falta la coma
+// (a NUMBER b NUMBER), o -1
+function missingCommaIndex(element) {
+  let depth = 0;
+  for (let i = 1; i < element.length - 1; i++) {
+    const token = element[i];
+    if (token.type === TokenType.SYMBOL) {
+      if (token.value === '(') depth++;
+      if (token.value === ')') depth--;
+      continue;
+    }
+    if (depth > 0) continue;
+    if (token.type === TokenType.WORD && COLUMN_CLAUSE_STARTS.has(token.upper)) return -1;
+    const next = element[i + 1];
+    if (i >= 2 && isIdentifier(token) && !(token.type === TokenType.WORD && TYPE_WORDS.has(token.upper)) &&
+        next.type === TokenType.WORD && TYPE_NAMES.has(next.upper)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Comas de una lista de definición que dejan un elemento vacío (al
+// principio, al final o repetidas)
+function emptyElementCommas(tokens) {
+  const commas = [];
+  let depth = 0;
+  let empty = true;
+  let last = null;
+  for (const token of tokens) {
+    if (token.type === TokenType.SYMBOL && token.value === ',' && depth === 0) {
+      if (empty) commas.push(token);
+      empty = true;
+      last = token;
+      continue;
+    }
+    if (token.type === TokenType.SYMBOL && token.value === '(') depth++;
+    if (token.type === TokenType.SYMBOL && token.value === ')') depth--;
+    if (token.type !== TokenType.COMMENT) empty = false;
+  }
+  if (empty && last) commas.push(last);
+  return commas;
+}
+
+// Nombres de las constraints en los mensajes
+const CONSTRAINT_LABELS = { PK: 'PRIMARY KEY', UK: 'UNIQUE', FK: 'FOREIGN KEY', CHECK: 'CHECK' };
+
+// Problema que impide registrar una constraint (sin columnas o, en las
+// foreign keys, sin tabla de destino), o null
+function constraintProblem(constraint) {
+  const label = `${CONSTRAINT_LABELS[constraint.type]}${constraint.name ? ` ${constraint.name}` : ''}`;
+  if (constraint.type !== 'CHECK' && constraint.columns.length === 0) return `${label} sin columnas`;
+  if (constraint.type === 'FK' && !constraint.refTable) return `${label} sin tabla de destino (REFERENCES)`;
+  return null;
+}
+
+// Clasifica cada elemento de una lista de definición en columna o
+// constraint. owner es la tabla, para los mensajes de warn(token, mensaje).
+// Las constraints sin columnas o sin tabla de destino se ignoran.
+function parseRelationalProperties(tokens, text, owner, warn) {
+  const columns = [];
+  const constraints = [];
+  const addConstraint = (constraint, token) => {
+    const problem = constraintProblem(constraint);
+    if (problem) {
+      warn(token, `${problem} en ${owner}: se ignora`);
+    } else {
+      constraints.push(constraint);
+    }
+  };
+
+  for (const comma of emptyElementCommas(tokens)) {
+    warn(comma, `Elemento vacío (coma sobrante) en la definición de ${owner}`);
+  }
+
+  const elements = splitByComma(tokens);
+  while (elements.length > 0) {
+    const element = elements.shift();
+    const first = element[0];
+    if (first.type === TokenType.WORD && CONSTRAINT_STARTS.has(first.upper)) {
+      const constraint = parseConstraint(element, text);
+      if (constraint) {
+        addConstraint(constraint, first);
+      } else {
+        warn(first, `Constraint no reconocida en ${owner}: se ignora`);
+      }
+    } else if (isTableClause(element)) {
+      // No afectan al modelo
+    } else if (isIdentifier(first)) {
+      const split = missingCommaIndex(element);
+      if (split !== -1) {
+        warn(element[split], `Falta una coma antes de ${identifierName(element[split])} en la definición de ${owner}: se lee como otra columna`);
+        elements.unshift(element.slice(split));
+      }
+      const parsed = parseColumn(split === -1 ? element : element.slice(0, split), text, owner, warn);
+      if (!parsed.column.dataType && !parsed.column.virtual) {
+        warn(first, `La columna ${parsed.column.name} de ${owner} no declara tipo de dato`);
+      }
+      columns.push(parsed.column);
+      for (const constraint of parsed.constraints) addConstraint(constraint, first);
+    } else {
+      warn(first, `Elemento no reconocido en la definición de ${owner}: se ignora`);
+    }
+  }
+
+  return { columns, constraints };
+}
+
+// Cláusula de compresión tal como se declaró (COMPRESS FOR OLTP, ROW STORE
+// COMPRESS ADVANCED, COMPRESS 2...)
+function readCompression(cursor) {
+  const words = [];
+  for (;;) {
+    const token = cursor.peek();
+    if (cursor.isWord(...COMPRESSION_WORDS)) {
+      words.push(cursor.next().upper);
+    } else if (token && token.type === TokenType.NUMBER && words[words.length - 1] === 'COMPRESS') {
+      words.push(cursor.next().value);
+    } else {
+      return words.join(' ');
+    }
+  }
+}
+
+// ¿Empieza en el cursor una cláusula de compresión?
+function isCompression(cursor) {
+  if (cursor.isWord('COMPRESS')) return true;
+  const next = cursor.peek(1);
+  return cursor.isWord('ROW', 'COLUMN') && Boolean(next) && next.type === TokenType.WORD && next.upper === 'STORE';
+}
+
+// Número de particiones o subparticiones (PARTITIONS n)
+function readCount(cursor) {
+  const token = cursor.peek();
+  if (!token || token.type !== TokenType.NUMBER) return null;
+  return Number(cursor.next().value);
+}
+
+// PARTITION nombre [VALUES LESS THAN (...) | VALUES (...)] [TABLESPACE ts] ...
+function parsePartition(tokens, text) {
+  const cursor = new TokenCursor(tokens, text);
+  cursor.acceptWords('PARTITION');
+  const partition = { name: null, values: null, tablespace: null };
+  if (isIdentifier(cursor.peek()) && !cursor.isWord('VALUES', 'TABLESPACE')) {
+    partition.name = identifierName(cursor.next());
+  }
+
+  while (!cursor.done()) {
+    if (cursor.acceptWords('VALUES')) {
+      const lessThan = cursor.acceptWords('LESS', 'THAN');
+      const values = `(${textOf(cursor.readGroup(), text).replace(/\s+/g, ' ')})`;
+      partition.values = lessThan ? `LESS THAN ${values}` : values;
+    } else if (cursor.acceptWords('TABLESPACE')) {
+      const tablespace = identifierName(cursor.next());
+      if (!partition.tablespace) partition.tablespace = tablespace;
+    } else if (cursor.isSymbol('(')) {
+      // Subparticiones y atributos de almacenamiento
+      cursor.readGroup();
+    } else {
+      cursor.next();
+    }
+  }
+  return partition;
+}
+
+// PARTITION BY RANGE|LIST|HASH|REFERENCE|SYSTEM [(columnas)] [INTERVAL (expr)]
+// [SUBPARTITION BY tipo (columnas) [SUBPARTITIONS n]] seguido de la lista de
+// particiones o de PARTITIONS n (el cursor está tras PARTITION BY)
+function readPartitioning(cursor, text) {
+  const type = cursor.next();
+  const partitioning = {
+    type: type ? type.upper : null,
+    columns: cursor.isSymbol('(') ? readColumnList(cursor) : [],
+    interval: null,
+    subpartitioning: null,
+    partitionCount: null,
+    partitions: []
+  };
+
+  for (;;) {
+    if (cursor.acceptWords('INTERVAL')) {
+      partitioning.interval = textOf(cursor.readGroup(), text).replace(/\s+/g, ' ');
+    } else if (cursor.acceptWords('SUBPARTITION', 'BY')) {
+      const subtype = cursor.next();
+      partitioning.subpartitioning = {
+        type: subtype ? subtype.upper : null,
+        columns: cursor.isSymbol('(') ? readColumnList(cursor) : [],
+        count: null
+      };
+    } else if (cursor.acceptWords('SUBPARTITIONS')) {
+      const count = readCount(cursor);
+      if (partitioning.subpartitioning) partitioning.subpartitioning.count = count;
+    } else if (cursor.acceptWords('PARTITIONS')) {
+      partitioning.partitionCount = readCount(cursor);
+    } else if (cursor.acceptWords('SUBPARTITION', 'TEMPLATE') || cursor.acceptWords('STORE', 'IN')) {
+      if (cursor.isSymbol('(')) cursor.readGroup(); else readCount(cursor);
+    } else if (cursor.acceptWords('AUTOMATIC')) {
+      // Particiones LIST creadas automáticamente para cada valor nuevo
+    } else if (cursor.isSymbol('(')) {
+      partitioning.partitions = splitByComma(cursor.readGroup()).map(part => parsePartition(part, text));
+      break;
+    } else {
+      break;
+    }
+  }
+
+  if (partitioning.partitionCount === null && partitioning.partitions.length > 0) {
+    partitioning.partitionCount = partitioning.partitions.length;
+  }
+  return partitioning;
+}
+
+// Diseño físico declarado tras la lista de columnas de un CREATE TABLE. Los
+// grupos entre paréntesis (STORAGE, LOB, ...) se saltan, de modo que sólo se
+// recoge el TABLESPACE de la propia tabla. Del texto que no es una propiedad
+// conocida se advierte una vez con warn(token, mensaje).
+function parseTableProperties(cursor, text, owner, warn) {
+  const physical = { organization: 'HEAP', tablespace: null, compression: null, partitioning: null };
+  let skipped = false;
+
+  while (!cursor.done()) {
+    if (cursor.acceptWords('ORGANIZATION')) {
+      if (cursor.isWord('HEAP', 'INDEX', 'EXTERNAL')) physical.organization = cursor.next().upper;
+    } else if (cursor.acceptWords('TABLESPACE')) {
+      const tablespace = identifierName(cursor.next());
+      if (!physical.tablespace) physical.tablespace = tablespace;
+    } else if (isCompression(cursor)) {
+      physical.compression = readCompression(cursor);
+    } else if (cursor.acceptWords('NOCOMPRESS')) {
+      physical.compression = null;
+    } else if (cursor.acceptWords('PARTITION', 'BY')) {
+      physical.partitioning = readPartitioning(cursor, text);
+    } else if (cursor.acceptWords('STORE', 'AS')) {
+      // Almacenamiento de LOB, tablas anidadas y XMLTYPE, con el nombre
+      // opcional del segmento
+      if (!cursor.acceptWords('SECUREFILE')) cursor.acceptWords('BASICFILE');
+      if (isIdentifier(cursor.peek()) && !cursor.isWord(...TABLE_PROPERTY_WORDS)) cursor.next();
+    } else if (cursor.acceptWords('NESTED', 'TABLE') || cursor.acceptWords('VARRAY') ||
+        cursor.acceptWords('XMLTYPE') || cursor.acceptWords('CLUSTER')) {
+      // Columna (o cluster) a la que se refiere la propiedad
+      cursor.acceptWords('COLUMN');
+      cursor.next();
+    } else if (cursor.isWord('AS')) {
+      // CREATE TABLE ... AS SELECT: el resto es la consulta
+      break;
+    } else if (cursor.isSymbol('(')) {
+      cursor.readGroup();
+    } else {
+      const token = cursor.next();
+      const known = (token.type === TokenType.WORD && TABLE_PROPERTY_WORDS.has(token.upper)) ||
+        token.type === TokenType.NUMBER || token.type === TokenType.STRING || (token.type === TokenType.SYMBOL && token.value === '=');
+      if (!known && !skipped) warn(token, `Texto no reconocido tras la definición de ${owner}: se ignora`);
+      if (!known) skipped = true;
+    }
+  }
+
+  return physical;
+}
+
+// CREATE TABLE nombre ( columnas y constraints ) [propiedades físicas]
+function parseCreateTable(statement, warn) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  while (!cursor.done() && !cursor.isWord('TABLE')) cursor.next();
+  cursor.next();
+
+  const { schema, name } = readQualifiedName(cursor);
+  if (!name) warn(cursor.peek(), 'CREATE TABLE sin nombre de tabla: se ignora');
+  const owner = tableKey(schema, name);
+  const group = cursor.isSymbol('(') ? cursor.readGroup() : [];
+  if (cursor.unclosed) warn(cursor.unclosed, `Paréntesis sin cerrar en la definición de ${owner}`);
+  const { columns, constraints } = parseRelationalProperties(group, statement.text, owner, warn);
+  const physical = parseTableProperties(cursor, statement.text, owner, warn);
+
+  return {
+    kind: StatementKind.CREATE_TABLE,
+    table: { schema, name, columns, constraints, comment: null, physical, line: statement.line }
+  };
+}
+
+// ALTER TABLE nombre ADD ...: columnas y constraints añadidas
+function parseAlterTable(statement, warn) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  cursor.acceptWords('ALTER', 'TABLE');
+  const target = readQualifiedName(cursor);
+  if (!target.name) warn(cursor.peek(), 'ALTER TABLE sin nombre de tabla: se ignora');
+  const owner = tableKey(target.schema, target.name);
+  const result = {
+    kind: StatementKind.ALTER_TABLE,
+    tableSchema: target.schema,
+    tableName: target.name,
+    columns: [],
+    constraints: [],
+    modifiedColumns: []
+  };
+
+  const action = cursor.peek();
+  if (cursor.acceptWords('ADD')) {
+    const properties = parseRelationalProperties(cursor.isSymbol('(') ? cursor.readGroup() : cursor.rest(), statement.text, owner, warn);
+    result.columns = properties.columns;
+    result.constraints = properties.constraints;
+  } else if (cursor.acceptWords('MODIFY') && !cursor.isWord('CONSTRAINT', 'PRIMARY', 'UNIQUE', 'PARTITION', 'DEFAULT', 'LOB')) {
+    // MODIFY (columna [tipo] [NOT NULL] [constraints]), habitual en DBMS_METADATA
+    const elements = splitByComma(cursor.isSymbol('(') ? cursor.readGroup() : cursor.rest());
+    for (const element of elements) {
+      if (!isIdentifier(element[0])) continue;
+      const parsed = parseColumn(element, statement.text);
+      result.modifiedColumns.push(parsed);
+      for (const constraint of parsed.constraints) {
+        const problem = constraintProblem(constraint);
+        if (problem) warn(element[0], `${problem} en ${owner}: se ignora`);
+        else result.constraints.push(constraint);
+      }
+    }
+  } else if ((cursor.acceptWords('DROP') && (cursor.isWord('COLUMN', 'CONSTRAINT', 'PRIMARY', 'UNIQUE') || cursor.isSymbol('('))) ||
+      (cursor.acceptWords('RENAME') && cursor.isWord('COLUMN', 'CONSTRAINT', 'TO'))) {
+    // Los cambios que eliminan o renombran objetos no se aplican al modelo
+    const detail = cursor.isSymbol('(') ? '' : ` ${cursor.peek().upper}`;
+    warn(action, `ALTER TABLE ${owner} ${action.upper}${detail}: el cambio no se aplica al modelo`);
+  }
+
+  return result;
+}
+
+// CREATE [UNIQUE|BITMAP] INDEX nombre ON tabla (columnas | expresiones)
+// [TABLESPACE ts] [LOCAL | GLOBAL PARTITION BY ...] [COMPRESS ...]
+function parseCreateIndex(statement, warn) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  cursor.next();
+  let unique = false;
+  let bitmap = false;
+  while (cursor.isWord(...INDEX_MODIFIERS)) {
+    const modifier = cursor.next().upper;
+    if (modifier === 'UNIQUE') unique = true;
+    if (modifier === 'BITMAP') bitmap = true;
+  }
+  cursor.acceptWords('INDEX');
+
+  const { schema, name } = readQualifiedName(cursor);
+  cursor.acceptWords('ON');
+  const target = readQualifiedName(cursor);
+  // Alias opcional de tabla (índices sobre clusters o bitmap join)
+  if (isIdentifier(cursor.peek()) && !cursor.isSymbol('(')) cursor.next();
+
+  const group = cursor.readGroup() || [];
+  let functionBased = false;
+  const columns = splitByComma(group).map(part => {
+    const isPlainColumn = part.length === 1 || (part.length === 2 && part[1].type === TokenType.WORD && ['ASC', 'DESC'].includes(part[1].upper));
+    if (isPlainColumn && isIdentifier(part[0])) return identifierName(part[0]);
+    functionBased = true;
+    return textOf(part, statement.text);
+  });
+
+  const index = {
+    schema,
+    name,
+    tableSchema: target.schema,
+    table: target.name,
+    columns,
+    unique,
+    bitmap,
+    functionBased,
+    tablespace: null,
+    partitioned: null,
+    compression: null,
+    line: statement.line
+  };
+
+  if (!name) {
+    warn(null, 'CREATE INDEX sin nombre de índice: se ignora');
+  } else if (!target.name || columns.length === 0) {
+    warn(null, `El índice ${tableKey(schema, name)} no indica tabla y columnas reconocibles (p. ej. un índice de cluster): no se incluye en el diagrama`);
+  }
+
+  // Propiedades físicas; las particiones de LOCAL (...) y GLOBAL PARTITION
+  // BY van entre paréntesis y se saltan
+  while (!cursor.done()) {
+    if (cursor.acceptWords('TABLESPACE')) {
+      const tablespace = identifierName(cursor.next());
+      if (!index.tablespace) index.tablespace = tablespace;
+    } else if (cursor.acceptWords('LOCAL')) {
+      index.partitioned = 'LOCAL';
+    } else if (cursor.acceptWords('GLOBAL', 'PARTITION', 'BY')) {
+      index.partitioned = 'GLOBAL';
+    } else if (cursor.isWord('COMPRESS')) {
+      index.compression = readCompression(cursor);
+    } else if (cursor.isSymbol('(')) {
+      cursor.readGroup();
+    } else {
+      cursor.next();
+    }
+  }
+
+  return { kind: StatementKind.CREATE_INDEX, index };
+}
+
+// Valor entero (posiblemente negativo) de una opción de secuencia
+function readInteger(cursor) {
+  const negative = cursor.acceptSymbol('-');
+  const token = cursor.next();
+  if (!token || token.type !== TokenType.NUMBER) return null;
+  return negative ? `-${token.value}` : token.value;
+}
+
+// CREATE SEQUENCE nombre [START WITH n] [INCREMENT BY n] [MINVALUE n]
+// [MAXVALUE n] [CACHE n] [CYCLE] ... Los valores se guardan como texto
+// porque pueden superar la precisión de Number.
+function parseCreateSequence(statement) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  cursor.acceptWords('CREATE', 'SEQUENCE');
+  const { schema, name } = readQualifiedName(cursor);
+  const sequence = {
+    schema,
+    name,
+    startWith: null,
+    incrementBy: null,
+    minValue: null,
+    maxValue: null,
+    cache: null,
+    cycle: false,
+    order: false,
+    line: statement.line
+  };
+
+  while (!cursor.done()) {
+    if (cursor.acceptWords('START', 'WITH')) {
+      sequence.startWith = readInteger(cursor);
+    } else if (cursor.acceptWords('INCREMENT', 'BY')) {
+      sequence.incrementBy = readInteger(cursor);
+    } else if (cursor.acceptWords('MINVALUE')) {
+      sequence.minValue = readInteger(cursor);
+    } else if (cursor.acceptWords('MAXVALUE')) {
+      sequence.maxValue = readInteger(cursor);
+    } else if (cursor.acceptWords('CACHE')) {
+      sequence.cache = readInteger(cursor);
+    } else if (cursor.acceptWords('CYCLE')) {
+      sequence.cycle = true;
+    } else if (cursor.acceptWords('ORDER')) {
+      sequence.order = true;
+    } else {
+      cursor.next();
+    }
+  }
+
+  return { kind: StatementKind.CREATE_SEQUENCE, sequence };
+}
+
+// CREATE [OR REPLACE] ... {VIEW | MATERIALIZED VIEW | SYNONYM | PACKAGE [BODY] |
+// PROCEDURE | FUNCTION | TYPE [BODY]} nombre: sólo se identifica el objeto
+function parseCreateObject(statement, kind) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  const objectWords = kind.split(' ').slice(1);
+  while (!cursor.done() && !cursor.isWord(objectWords[0])) cursor.next();
+  cursor.acceptWords(...objectWords);
+  const { schema, name } = readQualifiedName(cursor);
+  return { kind, object: { schema, name, line: statement.line } };
+}
+
+// CREATE [OR REPLACE] TRIGGER nombre {BEFORE | AFTER | INSTEAD OF}
+// evento [OR evento ...] ON tabla [FOR EACH ROW] [WHEN (...)] cuerpo.
+// body es el texto PL/SQL desde DECLARE, BEGIN o COMPOUND TRIGGER.
+function parseCreateTrigger(statement) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  while (!cursor.done() && !cursor.isWord('TRIGGER')) cursor.next();
+  cursor.next();
+
+  const { schema, name } = readQualifiedName(cursor);
+  const trigger = {
+    schema,
+    name,
+    tableSchema: null,
+    table: null,
+    timing: null,
+    events: [],
+    forEachRow: false,
+    body: '',
+    line: statement.line
+  };
+
+  if (cursor.acceptWords('INSTEAD', 'OF')) {
+    trigger.timing = 'INSTEAD OF';
+  } else if (cursor.isWord('BEFORE', 'AFTER', 'FOR')) {
+    trigger.timing = cursor.next().upper;
+  }
+
+  while (!cursor.done()) {
+    if (cursor.isWord('INSERT', 'UPDATE', 'DELETE')) {
+      trigger.events.push(cursor.next().upper);
+    } else if (cursor.acceptWords('ON')) {
+      // ON [NESTED TABLE columna OF] tabla | ON SCHEMA | ON DATABASE
+      const target = readQualifiedName(cursor);
+      trigger.tableSchema = target.schema;
+      trigger.table = target.name;
+      break;
+    } else {
+      cursor.next();
+    }
+  }
+
+  while (!cursor.done()) {
+    if (cursor.acceptWords('FOR', 'EACH', 'ROW')) {
+      trigger.forEachRow = true;
+    } else if (cursor.isWord('DECLARE', 'BEGIN', 'COMPOUND', 'CALL')) {
+      trigger.body = statement.text.slice(cursor.peek().start);
+      break;
+    } else if (cursor.isSymbol('(')) {
+      cursor.readGroup();
+    } else {
+      cursor.next();
+    }
+  }
+
+  return { kind: StatementKind.CREATE_TRIGGER, trigger };
+}
+
+// Valor de un literal de cadena: '...', N'...' o q'[...]'
+function stringValue(token) {
+  const text = token.value.replace(/^[nN]/, '');
+  if (/^[qQ]'/.test(text)) return text.slice(3, -2);
+  return text.slice(1, -1).replace(/''/g, "'");
+}
+
+// COMMENT ON {TABLE | MATERIALIZED VIEW | COLUMN} objeto IS 'texto'.
+// En COLUMN el nombre es [esquema.]tabla.columna.
+function parseComment(statement) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  cursor.acceptWords('COMMENT', 'ON');
+  const comment = {
+    objectType: null,
+    schema: null,
+    table: null,
+    column: null,
+    text: null,
+    line: statement.line
+  };
+
+  const words = [];
+  while (cursor.isWord(...COMMENT_OBJECT_WORDS)) words.push(cursor.next().upper);
+  comment.objectType = words.join(' ');
+
+  const parts = [];
+  while (isIdentifier(cursor.peek())) {
+    parts.push(identifierName(cursor.next()));
+    if (!cursor.acceptSymbol('.')) break;
+  }
+  if (comment.objectType === 'COLUMN') comment.column = parts.pop() || null;
+  comment.table = parts.pop() || null;
+  comment.schema = parts.pop() || null;
+
+  if (cursor.acceptWords('IS') && cursor.peek() && cursor.peek().type === TokenType.STRING) {
+    comment.text = stringValue(cursor.next());
+  }
+
+  return { kind: StatementKind.COMMENT, comment };
+}
+
+// ALTER SESSION SET CURRENT_SCHEMA = esquema
+function parseAlterSession(statement) {
+  const cursor = new TokenCursor(statement.tokens, statement.text);
+  const result = { kind: StatementKind.ALTER_SESSION, currentSchema: null };
+
+  while (!cursor.done()) {
+    if (cursor.acceptWords('CURRENT_SCHEMA')) {
+      cursor.acceptSymbol('=');
+      result.currentSchema = readQualifiedName(cursor).name;
+      break;
+    }
+    cursor.next();
+  }
+
+  return result;
+}
+
+// Analiza una sentencia según su tipo; warn(token, mensaje) registra las
+// partes que no se entienden
+function parseByKind(statement, kind, warn) {
+  switch (kind) {
+    case StatementKind.CREATE_TABLE:
+      return parseCreateTable(statement, warn);
+    case StatementKind.ALTER_TABLE:
+      return parseAlterTable(statement, warn);
+    case StatementKind.CREATE_INDEX:
+      return parseCreateIndex(statement, warn);
+    case StatementKind.CREATE_SEQUENCE:
+      return parseCreateSequence(statement);
+    case StatementKind.CREATE_TRIGGER:
+      return parseCreateTrigger(statement);
+    case StatementKind.CREATE_VIEW:
+    case StatementKind.CREATE_MATERIALIZED_VIEW:
+    case StatementKind.CREATE_SYNONYM:
+    case StatementKind.CREATE_PACKAGE:
+    case StatementKind.CREATE_PACKAGE_BODY:
+    case StatementKind.CREATE_PROCEDURE:
+    case StatementKind.CREATE_FUNCTION:
+    case StatementKind.CREATE_TYPE:
+    case StatementKind.CREATE_TYPE_BODY:
+      return parseCreateObject(statement, kind);
+    case StatementKind.COMMENT:
+      return parseComment(statement);
+    case StatementKind.ALTER_SESSION:
+      return parseAlterSession(statement);
+    default: {
+      // Las sentencias que no empiezan por una palabra no son SQL válido
+      const first = statement.tokens.find(token => token.type !== TokenType.COMMENT);
+      if (first && first.type !== TokenType.WORD) warn(first, 'Sentencia no reconocida: se ignora');
+      return { kind };
+    }
+  }
+}
+
+// Analiza una sentencia y devuelve su representación estructurada, con las
+// advertencias del análisis en warnings
+function parseStatement(statement) {
+  const warnings = [];
+  const warn = (token, message) => warnings.push(parseWarning(statement, token, message));
+  const parsed = parseByKind(statement, classifyStatement(statement), warn);
+  if (statement.terminator === null) {
+    warn(statement.tokens[statement.tokens.length - 1], 'Sentencia sin terminar (falta ";" o "/") al final del volcado');
+  }
+  parsed.warnings = warnings;
+  return parsed;
+}
+
+// Sustituye en list el objeto con el mismo esquema y nombre que object
+function replaceDefinition(list, object) {
+  const index = list.findIndex(other => other.schema === object.schema && other.name === object.name);
+  if (index !== -1) list[index] = object;
+}
+
+// Acumula sentencias analizadas y construye el modelo del esquema
+class SchemaBuilder {
+  constructor() {
+    this.tables = new Map();
+    this.indexes = [];
+    this.sequences = [];
+    this.triggers = [];
+    this.comments = [];
+    this.objects = [];
+    // ALTER TABLE que llegan antes que el CREATE TABLE correspondiente
+    this.pendingAlters = [];
+    // Esquema fijado con ALTER SESSION SET CURRENT_SCHEMA
+    this.currentSchema = null;
+    this.warnings = [];
+    // Advertencias que dependen del resto del volcado (tablas sin columnas,
+    // ALTER TABLE y COMMENT ON sin destino), por objeto; build() emite las
+    // que siguen siendo ciertas
+    this.pendingWarnings = new Map();
+    // Dónde se definió cada tabla, índice y secuencia ({ file, line }), y
+    // las advertencias de las definiciones repetidas
+    this.definitions = new Map();
+    this.duplicates = [];
+  }
+
+  // Registra la definición de un objeto. Si ya estaba definido, añade la
+  // advertencia "<label> ya se creó en <dónde>: se usa esta definición",
+  // con dónde "la línea 12" o "tablas/emp.sql, línea 12", y devuelve true.
+  define(type, label, key, statement) {
+    const id = `${type} ${key}`;
+    const previous = this.definitions.get(id);
+    this.definitions.set(id, { file: statement.file || null, line: statement.line });
+    if (!previous) return false;
+
+    const where = previous.file === (statement.file || null)
+      ? `la línea ${previous.line}`
+      : `${previous.file || 'la entrada estándar'}, línea ${previous.line}`;
+    const warning = parseWarning(statement, null, `${label} ${key} ya se creó en ${where}: se usa esta definición`);
+    this.warnings.push(warning);
+    this.duplicates.push(warning);
+    return true;
+  }
+
+  // Incorpora una sentencia al modelo y devuelve su análisis. Las
+  // inclusiones de scripts (@archivo) que llegan aquí no se han podido
+  // seguir y se ignoran con una advertencia.
+  add(statement) {
+    if (statement.include !== undefined) {
+      this.addWarning({ file: statement.file || null, line: statement.line, column: statement.column,
+        message: `No se sigue la inclusión de ${statement.include}: sólo se siguen al leer archivos`, snippet: statement.text });
+      return { kind: StatementKind.OTHER, warnings: [] };
+    }
+
+    const parsed = parseStatement(statement);
+    this.warnings.push(...parsed.warnings);
+
+    if (parsed.kind === StatementKind.CREATE_TABLE && parsed.table.name) {
+      const table = parsed.table;
+      if (!table.schema) table.schema = this.currentSchema;
+      const key = tableKey(table.schema, table.name);
+      this.define('TABLE', 'La tabla', key, statement);
+      if (table.columns.length === 0) {
+        this.pendingWarnings.set(table, parseWarning(statement, null,
+          `La tabla ${key} no tiene columnas reconocibles (p. ej. CREATE TABLE ... AS SELECT): no aparece en el diagrama`));
+      }
+      this.tables.set(key, table);
+    } else if (parsed.kind === StatementKind.ALTER_TABLE && parsed.tableName) {
+      if (!parsed.tableSchema) parsed.tableSchema = this.currentSchema;
+      if (!this.applyAlter(parsed)) {
+        this.pendingAlters.push(parsed);
+        this.pendingWarnings.set(parsed, parseWarning(statement, null,
+          `ALTER TABLE sobre ${tableKey(parsed.tableSchema, parsed.tableName)}, que no está en el volcado: se ignora`));
+      }
+    } else if (parsed.kind === StatementKind.CREATE_INDEX && parsed.index.name) {
+      const index = parsed.index;
+      if (!index.schema) index.schema = this.currentSchema;
+      if (!index.tableSchema) index.tableSchema = index.schema;
+      const key = tableKey(index.schema, index.name);
+      if (this.define('INDEX', 'El índice', key, statement)) {
+        replaceDefinition(this.indexes, index);
+      } else {
+        this.indexes.push(index);
+      }
+    } else if (parsed.kind === StatementKind.CREATE_SEQUENCE && parsed.sequence.name) {
+      const sequence = parsed.sequence;
+      if (!sequence.schema) sequence.schema = this.currentSchema;
+      const key = tableKey(sequence.schema, sequence.name);
+      if (this.define('SEQUENCE', 'La secuencia', key, statement)) {
+        replaceDefinition(this.sequences, sequence);
+      } else {
+        this.sequences.push(sequence);
+      }
+    } else if (parsed.kind === StatementKind.CREATE_TRIGGER && parsed.trigger.name) {
+      const trigger = parsed.trigger;
+      if (!trigger.schema) trigger.schema = this.currentSchema;
+      if (trigger.table && !trigger.tableSchema) trigger.tableSchema = trigger.schema;
+      this.triggers.push(trigger);
+    } else if (parsed.kind === StatementKind.COMMENT && parsed.comment.table) {
+      const comment = parsed.comment;
+      if (!comment.schema) comment.schema = this.currentSchema;
+      this.comments.push(comment);
+      if (comment.objectType === 'COLUMN') {
+        this.pendingWarnings.set(comment, parseWarning(statement, null,
+          `COMMENT ON COLUMN sobre ${tableKey(comment.schema, comment.table)}.${comment.column}, que no existe: se ignora`));
+      }
+    } else if (parsed.kind === StatementKind.ALTER_SESSION && parsed.currentSchema) {
+      this.currentSchema = parsed.currentSchema;
+    } else if (parsed.object && parsed.object.name) {
+      this.objects.push({ kind: parsed.kind, schema: parsed.object.schema || this.currentSchema, name: parsed.object.name,
+        text: null, file: statement.file || null, line: statement.line });
+    } else if (parsed.kind === StatementKind.GRANT) {
+      this.objects.push({ kind: parsed.kind, schema: null, name: null,
+        text: statement.text.replace(/\s+/g, ' ').trim(), file: statement.file || null, line: statement.line });
+    }
+
+    return parsed;
+  }
+
+  // Registra una advertencia de la lectura del volcado
+  addWarning(warning) {
+    this.warnings.push(warning);
+  }
+
+  // Busca una tabla por esquema y nombre. Si no hay coincidencia exacta se
+  // acepta la única tabla con ese nombre, lo que permite combinar
+  // referencias cualificadas y sin cualificar en un mismo volcado.
+  findTable(schema, name) {
+    const exact = this.tables.get(tableKey(schema, name));
+    if (exact) return exact;
+
+    let found = null;
+    for (const table of this.tables.values()) {
+      if (table.name !== name || (schema && table.schema && table.schema !== schema)) continue;
+      if (found) return null;
+      found = table;
+    }
+    return found;
+  }
+
+  applyAlter(alter) {
+    const table = this.findTable(alter.tableSchema, alter.tableName);
+    if (!table) return false;
+    table.columns.push(...alter.columns);
+    table.constraints.push(...alter.constraints);
+
+    for (const { column: modified, nullability } of alter.modifiedColumns) {
+      const column = table.columns.find(candidate => candidate.name === modified.name);
+      if (!column) continue;
+      if (modified.dataType) {
+        column.dataType = modified.dataType;
+        column.type = modified.type;
+      }
+      if (modified.default !== null) column.default = modified.default;
+      if (modified.identity) {
+        column.identity = modified.identity;
+        column.notNull = true;
+      }
+      if (nullability) column.notNull = nullability === 'NOT NULL';
+      if (modified.primaryKey) column.primaryKey = true;
+    }
+    return true;
+  }
+
+  // Completa el esquema de las foreign keys que no lo indican: se resuelven
+  // contra el esquema propietario de la tabla que las declara. Las que no
+  // indican columnas referencian la clave primaria de la tabla destino.
+  resolveReferences() {
+    for (const table of this.tables.values()) {
+      for (const constraint of table.constraints) {
+        if (constraint.type !== 'FK' || !constraint.refTable) continue;
+        const target = this.findTable(constraint.refSchema || table.schema, constraint.refTable);
+        if (target) {
+          constraint.refSchema = target.schema;
+          if (constraint.refColumns.length === 0) {
+            const primaryKey = target.constraints.find(candidate => candidate.type === 'PK');
+            if (primaryKey) constraint.refColumns = primaryKey.columns.slice();
+          }
+        } else if (!constraint.refSchema) {
+          constraint.refSchema = table.schema;
+        }
+      }
+    }
+  }
+
+  // Asigna los COMMENT ON TABLE/COLUMN a sus tablas y columnas. Un comentario
+  // vacío ('') borra el anterior, como en Oracle. Los de tablas ausentes
+  // suelen ser de vistas y se ignoran sin advertencia; los de columnas que
+  // no existen en una tabla del volcado sí la producen.
+  applyComments() {
+    const warnings = [];
+    for (const comment of this.comments) {
+      if (comment.objectType !== 'TABLE' && comment.objectType !== 'COLUMN') continue;
+      const table = this.findTable(comment.schema, comment.table);
+      if (!table) continue;
+      const target = comment.objectType === 'TABLE'
+        ? table
+        : table.columns.find(column => column.name === comment.column);
+      if (target) {
+        target.comment = comment.text || null;
+      } else {
+        warnings.push(this.pendingWarnings.get(comment));
+      }
+    }
+    return warnings;
+  }
+
+  // Marca como clave primaria las columnas de las PK declaradas fuera de línea
+  markPrimaryKeyColumns() {
+    for (const table of this.tables.values()) {
+      for (const constraint of table.constraints) {
+        if (constraint.type !== 'PK') continue;
+        for (const column of table.columns) {
+          if (constraint.columns.includes(column.name)) column.primaryKey = true;
+        }
+      }
+    }
+  }
+
+  // Devuelve el modelo final. Los ALTER TABLE sobre tablas ausentes se
+  // conservan en orphanAlters; las advertencias van ordenadas por archivo
+  // (en el orden en que se leyeron) y por posición, y duplicates repite las
+  // de las tablas, índices y secuencias definidos más de una vez.
+  build() {
+    const orphanAlters = this.pendingAlters.filter(alter => !this.applyAlter(alter));
+    this.pendingAlters = [];
+    this.markPrimaryKeyColumns();
+    this.resolveReferences();
+
+    const warnings = this.warnings.concat(this.applyComments());
+    warnings.push(...orphanAlters.map(alter => this.pendingWarnings.get(alter)));
+    for (const table of this.tables.values()) {
+      if (table.columns.length === 0 && this.pendingWarnings.has(table)) warnings.push(this.pendingWarnings.get(table));
+    }
+    const files = new Map();
+    for (const warning of warnings) {
+      if (!files.has(warning.file)) files.set(warning.file, files.size);
+    }
+    warnings.sort((a, b) => files.get(a.file) - files.get(b.file) || a.line - b.line || a.column - b.column);
+    this.pendingWarnings = new Map();
+
+    return {
+      tables: this.tables,
+      indexes: this.indexes,
+      sequences: this.sequences,
+      triggers: this.triggers,
+      objects: this.objects,
+      orphanAlters,
+      warnings,
+      duplicates: this.duplicates
+    };
+  }
+}
+
+// Analiza un volcado completo y devuelve el modelo del esquema
+function parseSchema(sql) {
+  const builder = new SchemaBuilder();
+  for (const statement of splitStatements(sql)) {
+    builder.add(statement);
+  }
+  return builder.build();
+}
+
+module.exports = {
+  StatementKind,
+  normalizeIdentifier,
+  tableKey,
+  classifyStatement,
+  parseStatement,
+  SchemaBuilder,
+  parseSchema,
+  splitStatements
+};
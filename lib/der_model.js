@@ -0,0 +1,230 @@
+/**
+ * lib/der_model.js
+ * ----------------
+ * Modelo del diagrama entidad-relación que consumen generate_der.js y los
+ * renderizadores de lib/renderers, construido a partir del modelo del
+ * esquema de ddl_parser.js:
+ *
+ *   tables:        Map ESQUEMA.TABLA -> { schema, name, columns, constraints,
+ *                                         indexes, comment, physical, line }
+ *   relationships: [{ name, from, to, fromColumns, toColumns, onDelete,
+ *                     optional, unique }]
+ *
+ * Cada columna incluye su definición y sus marcadores de clave:
+ *
+ *   { name, dataType, type, simpleType, default, defaultOnNull, identity,
+ *     virtual, invisible, comment, isPrimaryKey, isForeignKey, isUnique,
+ *     isNotNull, line }
+ *
+ * Las relaciones van de la tabla hija (la que declara la foreign key) a la
+ * padre. Las tablas de un mismo esquema quedan contiguas, en el orden del
+ * volcado; sortModel() da un orden que no depende del volcado.
+ */
+
+const { tableKey } = require('./ddl_parser');
+const { simplifyDataType } = require('./data_types');
+
+// Compara dos listas de columnas sin tener en cuenta el orden
+function sameColumns(a, b) {
+  return a.length === b.length && a.every(name => b.includes(name));
+}
+
+// Columnas del diagrama de una tabla del modelo del esquema
+function derColumns(table) {
+  const columnsOf = type => new Set(table.constraints
+    .filter(constraint => constraint.type === type)
+    .reduce((all, constraint) => all.concat(constraint.columns), []));
+  const foreignKeyColumns = columnsOf('FK');
+  const uniqueColumns = columnsOf('UK');
+
+  return table.columns.map(column => {
+    const isPrimaryKey = column.primaryKey;
+    return {
+      name: column.name,
+      dataType: column.dataType,
+      type: column.type,
+      simpleType: simplifyDataType(column.type ? column.type.name : ''),
+      default: column.default,
+      defaultOnNull: column.defaultOnNull,
+      identity: column.identity,
+      virtual: column.virtual,
+      invisible: column.invisible,
+      comment: column.comment,
+      isPrimaryKey,
+      isForeignKey: foreignKeyColumns.has(column.name),
+      isUnique: uniqueColumns.has(column.name),
+      isNotNull: column.notNull && !isPrimaryKey,
+      line: column.line
+    };
+  });
+}
+
+// Relaciones de las foreign keys de una tabla
+function tableRelationships(tableName, constraints, columns) {
+  return constraints
+    .filter(constraint => constraint.type === 'FK' && constraint.refTable)
+    .map(constraint => ({
+      name: constraint.name,
+      from: tableName,
+      to: tableKey(constraint.refSchema, constraint.refTable),
+      fromColumns: constraint.columns,
+      toColumns: constraint.refColumns,
+      onDelete: constraint.onDelete,
+      // Una FK con alguna columna anulable no obliga a tener padre
+      optional: constraint.columns.some(name => {
+        const column = columns.find(c => c.name === name);
+        return !column || (!column.isNotNull && !column.isPrimaryKey);
+      }),
+      // Una FK que es a la vez PK o UNIQUE admite un único hijo por padre
+      unique: constraints.some(other =>
+        (other.type === 'PK' || other.type === 'UK') &&
+        sameColumns(other.columns, constraint.columns))
+    }));
+}
+
+// Construye el modelo del diagrama. options.schemas limita las tablas a un
+// conjunto de esquemas; las tablas sin columnas se descartan.
+function buildDerModel(schema, options = {}) {
+  const indexesByTable = new Map();
+  for (const index of schema.indexes) {
+    const key = tableKey(index.tableSchema, index.table);
+    if (!indexesByTable.has(key)) indexesByTable.set(key, []);
+    indexesByTable.get(key).push(index);
+  }
+
+  const bySchema = new Map();
+  const relationships = [];
+  for (const table of schema.tables.values()) {
+    if (options.schemas && !options.schemas.has(table.schema)) continue;
+
+    const tableName = tableKey(table.schema, table.name);
+    const columns = derColumns(table);
+    relationships.push(...tableRelationships(tableName, table.constraints, columns));
+    if (columns.length === 0) continue;
+
+    if (!bySchema.has(table.schema)) bySchema.set(table.schema, []);
+    bySchema.get(table.schema).push([tableName, {
+      schema: table.schema,
+      name: table.name,
+      columns,
+      constraints: table.constraints,
+      indexes: indexesByTable.get(tableName) || [],
+      comment: table.comment,
+      physical: table.physical,
+      line: table.line
+    }]);
+  }
+
+  const tables = new Map();
+  for (const entries of bySchema.values()) {
+    for (const [tableName, tableInfo] of entries) tables.set(tableName, tableInfo);
+  }
+  return { tables, relationships };
+}
+
+// Vecinos de cada tabla en el grafo (no dirigido) de foreign keys
+function buildAdjacency(model) {
+  const adjacency = new Map();
+  for (const tableName of model.tables.keys()) {
+    adjacency.set(tableName, new Set());
+  }
+  for (const rel of model.relationships) {
+    if (rel.from !== rel.to && adjacency.has(rel.from) && adjacency.has(rel.to)) {
+      adjacency.get(rel.from).add(rel.to);
+      adjacency.get(rel.to).add(rel.from);
+    }
+  }
+  return adjacency;
+}
+
+// Reduce el modelo a las tablas que no coinciden con options.exclude y, con
+// options.focus, al subgrafo formado por las tablas raíz y las que están a
+// options.depth saltos de foreign key o menos, en ambas direcciones. focus y
+// exclude son funciones (esquema, nombre) -> boolean, como las que devuelve
+// name_patterns.compilePatterns(). Devuelve { model, roots }.
+function selectTables(model, options = {}) {
+  const { focus, exclude, depth = 1 } = options;
+  const isExcluded = tableName => {
+    const tableInfo = model.tables.get(tableName);
+    return Boolean(exclude) && exclude(tableInfo.schema, tableInfo.name);
+  };
+
+  let roots = [];
+  let selected;
+  if (focus) {
+    roots = Array.from(model.tables.keys()).filter(tableName => {
+      const tableInfo = model.tables.get(tableName);
+      return focus(tableInfo.schema, tableInfo.name) && !isExcluded(tableName);
+    });
+
+    const adjacency = buildAdjacency(model);
+    selected = new Set(roots);
+    let frontier = roots;
+    for (let level = 0; level < depth && frontier.length > 0; level++) {
+      const next = [];
+      for (const tableName of frontier) {
+        for (const neighbor of adjacency.get(tableName)) {
+          if (!selected.has(neighbor) && !isExcluded(neighbor)) {
+            selected.add(neighbor);
+            next.push(neighbor);
+          }
+        }
+      }
+      frontier = next;
+    }
+  } else {
+    selected = new Set(Array.from(model.tables.keys()).filter(tableName => !isExcluded(tableName)));
+  }
+
+  const tables = new Map(Array.from(model.tables).filter(([tableName]) => selected.has(tableName)));
+  const relationships = model.relationships.filter(rel => selected.has(rel.from) && selected.has(rel.to));
+  return { model: { tables, relationships }, roots };
+}
+
+// Orden por puntos de código, igual en cualquier entorno (a diferencia de
+// localeCompare)
+function compareText(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+const CONSTRAINT_ORDER = { PK: 0, UK: 1, FK: 2, CHECK: 3 };
+
+// Copia del modelo en un orden que no depende del volcado: tablas por
+// esquema y nombre, constraints por tipo y nombre, índices y relaciones por
+// nombre y, con options.columns, también las columnas por nombre.
+function sortModel(model, options = {}) {
+  const byName = (a, b) => compareText(a.name || '', b.name || '');
+  const tableEntries = Array.from(model.tables).sort(([, a], [, b]) =>
+    compareText(a.schema || '', b.schema || '') || compareText(a.name, b.name));
+
+  const tables = new Map(tableEntries.map(([tableName, tableInfo]) => [tableName, Object.assign({}, tableInfo, {
+    columns: options.columns ? tableInfo.columns.slice().sort(byName) : tableInfo.columns,
+    constraints: tableInfo.constraints.slice().sort((a, b) =>
+      (CONSTRAINT_ORDER[a.type] - CONSTRAINT_ORDER[b.type]) || byName(a, b) ||
+      compareText(a.columns.join(','), b.columns.join(',')) || compareText(a.condition || '', b.condition || '')),
+    indexes: tableInfo.indexes.slice().sort(byName)
+  })]));
+
+  const relationships = model.relationships.slice().sort((a, b) =>
+    compareText(a.from, b.from) || compareText(a.to, b.to) || byName(a, b) ||
+    compareText(a.fromColumns.join(','), b.fromColumns.join(',')));
+  return { tables, relationships };
+}
+
+// Esquemas presentes en el modelo, en orden de aparición
+function listSchemas(model) {
+  const schemas = new Set();
+  for (const tableInfo of model.tables.values()) {
+    if (tableInfo.schema) schemas.add(tableInfo.schema);
+  }
+  return Array.from(schemas);
+}
+
+module.exports = {
+  buildDerModel,
+  buildAdjacency,
+  selectTables,
+  sortModel,
+  listSchemas
+};
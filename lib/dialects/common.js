@@ -0,0 +1,187 @@
+/**
+ * lib/dialects/common.js
+ * ----------------------
+ * Utilidades compartidas por los dialectos de entrada para traducir las
+ * sentencias de otros gestores a las sentencias Oracle que entiende
+ * ddl_parser.js.
+ *
+ * Las traducciones se expresan como ediciones { start, end, text } sobre el
+ * texto de la sentencia original; la sentencia resultante se vuelve a
+ * dividir en tokens y conserva la posición de la original, de modo que las
+ * advertencias del análisis señalan la línea del volcado.
+ */
+
+const { TokenType, tokenize } = require('../sql_tokenizer');
+
+// Opciones de sql_tokenizer.js que dependen del dialecto
+const LEXICAL_OPTIONS = ['backtickQuotes', 'hashComments', 'backslashEscapes', 'dollarQuotes'];
+
+function lexicalOptions(syntax) {
+  const options = {};
+  for (const name of LEXICAL_OPTIONS) {
+    if (syntax[name]) options[name] = true;
+  }
+  return options;
+}
+
+function isWord(token, ...words) {
+  return Boolean(token) && token.type === TokenType.WORD && words.includes(token.upper);
+}
+
+function isSymbol(token, value) {
+  return Boolean(token) && token.type === TokenType.SYMBOL && token.value === value;
+}
+
+function isIdentifier(token) {
+  return Boolean(token) && (token.type === TokenType.WORD || token.type === TokenType.QUOTED);
+}
+
+// Tokens significativos (sin comentarios)
+function significant(tokens) {
+  return tokens.filter(token => token.type !== TokenType.COMMENT);
+}
+
+// Índice del paréntesis que cierra el que está en tokens[open]
+function closingIndex(tokens, open) {
+  let depth = 0;
+  for (let i = open; i < tokens.length; i++) {
+    if (isSymbol(tokens[i], '(')) depth++;
+    if (isSymbol(tokens[i], ')') && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+// Divide tokens por las comas de nivel superior. Cada parte es
+// { tokens, comma }, con comma la coma que la sigue (o null).
+function splitByComma(tokens) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+  for (const token of tokens) {
+    if (isSymbol(token, '(')) depth++;
+    if (isSymbol(token, ')')) depth--;
+    if (depth === 0 && isSymbol(token, ',')) {
+      parts.push({ tokens: current, comma: token });
+      current = [];
+      continue;
+    }
+    current.push(token);
+  }
+  if (current.length > 0) parts.push({ tokens: current, comma: null });
+  return parts.filter(part => part.tokens.length > 0);
+}
+
+// Longitud de un nombre posiblemente cualificado que empieza en tokens[i]
+// (esquema.objeto), en tokens
+function qualifiedNameLength(tokens, i) {
+  let length = isIdentifier(tokens[i]) ? 1 : 0;
+  while (length > 0 && isSymbol(tokens[i + length], '.') && isIdentifier(tokens[i + length + 1])) length += 2;
+  return length;
+}
+
+// Texto original entre el inicio del primer token y el final del último
+function textOf(text, first, last) {
+  return text.slice(first.start, last.end);
+}
+
+// Aplica las ediciones { start, end, text } al fragmento [from, to) del texto
+function applyEdits(text, edits, from = 0, to = text.length) {
+  let result = '';
+  let position = from;
+  for (const edit of edits.filter(item => item.start >= from && item.end <= to).sort((a, b) => a.start - b.start)) {
+    if (edit.start < position) continue;
+    result += text.slice(position, edit.start) + edit.text;
+    position = edit.end;
+  }
+  return result + text.slice(position, to);
+}
+
+// Edición que elimina el texto entre start y end conservando sus saltos de
+// línea, para que el resto de la sentencia no cambie de línea
+function removal(text, start, end) {
+  return { start, end, text: text.slice(start, end).replace(/[^\n]/g, '') };
+}
+
+// Edición que elimina un elemento de una lista separada por comas, con la
+// coma que lo separa del anterior (o del siguiente si es el primero)
+function removeElement(text, parts, index) {
+  const part = parts[index];
+  const last = part.tokens[part.tokens.length - 1];
+  if (index > 0) return removal(text, parts[index - 1].comma.start, last.end);
+  return removal(text, part.tokens[0].start, part.comma ? part.comma.end : last.end);
+}
+
+// Literal de cadena Oracle con el valor indicado
+function sqlString(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+// Sentencia nueva con el texto indicado en la posición de origin (una
+// sentencia o un token). identifierCase indica cómo se guardan los
+// identificadores sin comillas: 'upper' (Oracle), 'lower' o 'preserve'.
+function statementFromText(text, origin, statement, lexical, identifierCase) {
+  const tokens = tokenize(text, lexical);
+  for (const token of tokens) {
+    if (token.line === 1) token.column += origin.column - 1;
+    token.line += origin.line - 1;
+  }
+  foldIdentifiers(tokens, identifierCase);
+  const last = tokens[tokens.length - 1];
+  return {
+    text,
+    terminator: statement.terminator,
+    line: origin.line,
+    column: origin.column,
+    endLine: last ? last.line : origin.line,
+    tokens,
+    file: statement.file
+  };
+}
+
+// Sentencia con las ediciones aplicadas (la original si no hay ninguna)
+function rewrite(statement, edits, lexical, identifierCase) {
+  if (edits.length === 0) {
+    foldIdentifiers(statement.tokens, identifierCase);
+    return statement;
+  }
+  return statementFromText(applyEdits(statement.text, edits), statement, statement, lexical, identifierCase);
+}
+
+// Indica en token.name el nombre con que se guarda cada identificador sin
+// comillas (ver identifierName en ddl_parser.js)
+function foldIdentifiers(tokens, identifierCase) {
+  if (identifierCase === 'upper') return;
+  for (const token of tokens) {
+    if (token.type !== TokenType.WORD) continue;
+    token.name = identifierCase === 'lower' ? token.value.toLowerCase() : token.value;
+  }
+}
+
+// Nombre escrito por el usuario (p. ej. en --schema) normalizado según
+// identifierCase; entre comillas dobles o acentos graves se conserva
+function normalizeName(name, identifierCase) {
+  const trimmed = name.trim();
+  if (trimmed.length > 1 && /^(["`]).*\1$/.test(trimmed)) return trimmed.slice(1, -1);
+  if (identifierCase === 'lower') return trimmed.toLowerCase();
+  return identifierCase === 'upper' ? trimmed.toUpperCase() : trimmed;
+}
+
+module.exports = {
+  lexicalOptions,
+  isWord,
+  isSymbol,
+  isIdentifier,
+  significant,
+  closingIndex,
+  splitByComma,
+  qualifiedNameLength,
+  textOf,
+  applyEdits,
+  removal,
+  removeElement,
+  sqlString,
+  statementFromText,
+  rewrite,
+  foldIdentifiers,
+  normalizeName
+};
@@ -0,0 +1,35 @@
+/**
+ * lib/dialects/index.js
+ * ---------------------
+ * Registro de los dialectos de entrada (--dialect de generate_der.js): los
+ * volcados de otros gestores se traducen a sentencias Oracle y alimentan el
+ * mismo analizador (ddl_parser.js). La traducción en sentido contrario, del
+ * modelo a DDL de otros motores, está en lib/translators.
+ *
+ * Cada dialecto exporta:
+ *   description               descripción para la ayuda
+ *   syntax                    sintaxis del volcado para sql_splitter.js
+ *                             (terminadores, comandos del cliente, comillas...)
+ *   adapt(statement)          -> sentencias Oracle equivalentes (ninguna,
+ *                             una o varias), en la posición de la original
+ *   normalizeIdentifier(name) nombre escrito por el usuario (--schema) tal
+ *                             como se guarda en el modelo
+ *
+ * Para añadir un dialecto basta con registrarlo aquí.
+ */
+
+const DIALECT_MODULES = {
+  oracle: require('./oracle'),
+  mysql: require('./mysql'),
+  postgres: require('./postgres')
+};
+
+// Dialecto por su nombre, o undefined si no existe
+function getDialect(name) {
+  return Object.prototype.hasOwnProperty.call(DIALECT_MODULES, name) ? DIALECT_MODULES[name] : undefined;
+}
+
+module.exports = {
+  DIALECTS: Object.keys(DIALECT_MODULES),
+  getDialect
+};
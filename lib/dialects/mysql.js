@@ -0,0 +1,261 @@
+/**
+ * lib/dialects/mysql.js
+ * ---------------------
+ * Volcados de MySQL y MariaDB: mysqldump (--no-data o con datos) y las
+ * exportaciones de phpMyAdmin.
+ *
+ * Se reconocen los identificadores entre `acentos graves`, los comentarios
+ * #, las cadenas con escapes \' y los comandos del cliente mysql (DELIMITER,
+ * SOURCE archivo, \. archivo). Los comentarios /*!40101 ... *\/ se ignoran
+ * como cualquier otro comentario. Las sentencias se traducen a su
+ * equivalente Oracle:
+ *
+ *   KEY / INDEX / FULLTEXT / SPATIAL    CREATE INDEX
+ *   UNIQUE KEY nombre (columnas)        CONSTRAINT nombre UNIQUE (columnas)
+ *   AUTO_INCREMENT                      GENERATED BY DEFAULT AS IDENTITY
+ *   COMMENT 'texto' (columna o tabla)   COMMENT ON COLUMN / COMMENT ON TABLE
+ *   ALTER TABLE con varias acciones     un ALTER TABLE por acción
+ *   USE base                            ALTER SESSION SET CURRENT_SCHEMA
+ *
+ * y se descartan las opciones de tabla (ENGINE, CHARSET, AUTO_INCREMENT=n),
+ * ON UPDATE, CHARACTER SET, COLLATE y la longitud de los prefijos de
+ * índice. Los identificadores sin comillas conservan mayúsculas y
+ * minúsculas.
+ */
+
+const { TokenType } = require('../sql_tokenizer');
+const {
+  lexicalOptions, isWord, isSymbol, isIdentifier, significant, closingIndex, splitByComma,
+  qualifiedNameLength, textOf, applyEdits, removal, removeElement, sqlString, statementFromText, rewrite, normalizeName
+} = require('./common');
+
+const IDENTIFIER_CASE = 'preserve';
+
+// Comandos del cliente mysql
+const MYSQL_COMMAND_RE = /(?:DELIMITER|SOURCE)\s[^\n]*|\\\.\s[^\n]*/iy;
+
+const syntax = {
+  plsqlBlocks: false,
+  implicitTerminators: false,
+  commands: MYSQL_COMMAND_RE,
+  outputLines: null,
+  backtickQuotes: true,
+  hashComments: true,
+  backslashEscapes: true
+};
+
+const LEXICAL = lexicalOptions(syntax);
+
+// Palabras con las que empieza una constraint en la definición de una tabla
+const CONSTRAINT_STARTS = ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK'];
+
+// Valor de un literal de cadena de MySQL, con sus escapes
+function stringValue(token) {
+  const escapes = { n: '\n', t: '\t', r: '\r', 0: '\0' };
+  return token.value.slice(1, -1).replace(/\\([\s\S])|''/g, (match, escaped) => {
+    if (!escaped) return "'";
+    return Object.prototype.hasOwnProperty.call(escapes, escaped) ? escapes[escaped] : escaped;
+  });
+}
+
+// Parte de la clave de un índice sin la longitud del prefijo: `nombre`(10)
+function keyPart(tokens, text) {
+  const last = tokens[tokens.length - 1];
+  const hasPrefix = isIdentifier(tokens[0]) && isSymbol(tokens[1], '(') &&
+    tokens[2] && tokens[2].type === TokenType.NUMBER && isSymbol(tokens[3], ')');
+  if (!hasPrefix) return textOf(text, tokens[0], last);
+  return textOf(text, tokens[0], tokens[0]) + (tokens.length > 4 ? ` ${textOf(text, tokens[4], last)}` : '');
+}
+
+// Índice declarado en la definición de una tabla o en ALTER TABLE ... ADD:
+// [UNIQUE | FULLTEXT | SPATIAL] {KEY | INDEX} [nombre] [USING método]
+// (columnas). Devuelve { unique, name, columns } o null.
+function readKey(element, text) {
+  let i = 0;
+  const unique = isWord(element[0], 'UNIQUE');
+  if (unique || isWord(element[0], 'FULLTEXT', 'SPATIAL')) i++;
+  if (isWord(element[i], 'KEY', 'INDEX')) {
+    i++;
+  } else if (i === 0 || unique) {
+    // UNIQUE (columnas) es una constraint que Oracle entiende tal cual
+    return null;
+  }
+
+  let name = null;
+  if (isIdentifier(element[i]) && !isWord(element[i], 'USING')) {
+    name = textOf(text, element[i], element[i]);
+    i++;
+  }
+  if (isWord(element[i], 'USING')) i += 2;
+  if (!isSymbol(element[i], '(')) return null;
+
+  const parts = splitByComma(element.slice(i + 1, closingIndex(element, i)));
+  if (parts.length === 0) return null;
+  return {
+    unique,
+    // MySQL nombra los índices sin nombre como su primera columna
+    name: name || textOf(text, parts[0].tokens[0], parts[0].tokens[0]),
+    columns: parts.map(part => keyPart(part.tokens, text)).join(', ')
+  };
+}
+
+// Traduce los atributos de una definición de columna. Devuelve las
+// ediciones y los COMMENT ON COLUMN que sustituyen a COMMENT 'texto'.
+function adaptColumn(element, text, tableName, statement) {
+  const edits = [];
+  const comments = [];
+  const columnName = textOf(text, element[0], element[0]);
+
+  for (let i = 1; i < element.length; i++) {
+    const token = element[i];
+    if (isWord(token, 'AUTO_INCREMENT')) {
+      edits.push({ start: token.start, end: token.end, text: 'GENERATED BY DEFAULT AS IDENTITY' });
+    } else if (isWord(token, 'COMMENT') && element[i + 1] && element[i + 1].type === TokenType.STRING) {
+      edits.push(removal(text, token.start, element[i + 1].end));
+      comments.push(statementFromText(`COMMENT ON COLUMN ${tableName}.${columnName} IS ${sqlString(stringValue(element[i + 1]))}`,
+        token, statement, { backtickQuotes: true }, IDENTIFIER_CASE));
+      i++;
+    } else if (isWord(token, 'ON') && isWord(element[i + 1], 'UPDATE')) {
+      // ON UPDATE CURRENT_TIMESTAMP[(n)]
+      let end = i + 2;
+      if (isSymbol(element[end + 1], '(')) end = closingIndex(element, end + 1);
+      edits.push(removal(text, token.start, element[Math.min(end, element.length - 1)].end));
+      i = end;
+    } else if (isWord(token, 'CHARACTER') && isWord(element[i + 1], 'SET') && element[i + 2]) {
+      edits.push(removal(text, token.start, element[i + 2].end));
+      i += 2;
+    } else if (isWord(token, 'CHARSET', 'COLLATE') && element[i + 1]) {
+      edits.push(removal(text, token.start, element[i + 1].end));
+      i++;
+    } else if (token.type === TokenType.STRING && token.value.includes('\\')) {
+      // DEFAULT 'it\'s' -> DEFAULT 'it''s'
+      edits.push({ start: token.start, end: token.end, text: sqlString(stringValue(token)) });
+    }
+  }
+
+  return { edits, comments };
+}
+
+// CREATE TABLE: índices y comentarios como sentencias aparte y sin las
+// opciones de tabla (salvo PARTITION BY)
+function adaptCreateTable(statement, tokens) {
+  const text = statement.text;
+  const edits = [];
+  let i = tokens.findIndex(token => isWord(token, 'TABLE')) + 1;
+  if (isWord(tokens[i], 'IF') && isWord(tokens[i + 1], 'NOT') && isWord(tokens[i + 2], 'EXISTS')) {
+    edits.push(removal(text, tokens[i].start, tokens[i + 3] ? tokens[i + 3].start : tokens[i + 2].end));
+    i += 3;
+  }
+  const nameLength = qualifiedNameLength(tokens, i);
+  if (nameLength === 0 || !isSymbol(tokens[i + nameLength], '(')) return [rewrite(statement, edits, LEXICAL, IDENTIFIER_CASE)];
+
+  const tableName = textOf(text, tokens[i], tokens[i + nameLength - 1]);
+  const open = i + nameLength;
+  const close = closingIndex(tokens, open);
+  const extra = [];
+
+  const parts = splitByComma(tokens.slice(open + 1, close));
+  parts.forEach((part, index) => {
+    const element = part.tokens;
+    const key = readKey(element, text);
+    if (key && key.unique) {
+      edits.push({ start: element[0].start, end: element[element.length - 1].end, text: `CONSTRAINT ${key.name} UNIQUE (${key.columns})` });
+    } else if (key) {
+      edits.push(removeElement(text, parts, index));
+      extra.push(statementFromText(`CREATE INDEX ${key.name} ON ${tableName} (${key.columns})`, element[0], statement, LEXICAL, IDENTIFIER_CASE));
+    } else if (isIdentifier(element[0]) && !isWord(element[0], ...CONSTRAINT_STARTS)) {
+      const column = adaptColumn(element, text, tableName, statement);
+      edits.push(...column.edits);
+      extra.push(...column.comments);
+    }
+  });
+
+  // Opciones de tabla: ENGINE=InnoDB ... COMMENT='texto'
+  const options = tokens.slice(close + 1);
+  const partition = options.findIndex(token => isWord(token, 'PARTITION'));
+  const kept = partition === -1 ? options.length : partition;
+  for (let j = 0; j < kept; j++) {
+    if (!isWord(options[j], 'COMMENT')) continue;
+    const value = isSymbol(options[j + 1], '=') ? options[j + 2] : options[j + 1];
+    if (value && value.type === TokenType.STRING) {
+      extra.push(statementFromText(`COMMENT ON TABLE ${tableName} IS ${sqlString(stringValue(value))}`,
+        options[j], statement, { backtickQuotes: true }, IDENTIFIER_CASE));
+    }
+  }
+  if (kept > 0) edits.push(removal(text, options[0].start, options[kept - 1].end));
+
+  return [rewrite(statement, edits, LEXICAL, IDENTIFIER_CASE), ...extra];
+}
+
+// ALTER TABLE: un ALTER TABLE (o CREATE INDEX) por acción, como los que
+// genera phpMyAdmin ("ADD PRIMARY KEY (id), ADD KEY k (a), MODIFY ...")
+function adaptAlterTable(statement, tokens) {
+  const text = statement.text;
+  const i = tokens.findIndex(token => isWord(token, 'TABLE')) + 1;
+  const nameLength = qualifiedNameLength(tokens, i);
+  if (nameLength === 0) return [rewrite(statement, [], LEXICAL, IDENTIFIER_CASE)];
+  const tableName = textOf(text, tokens[i], tokens[i + nameLength - 1]);
+  const alter = body => `ALTER TABLE ${tableName} ${body}`;
+  const from = (body, origin) => statementFromText(body, origin, statement, LEXICAL, IDENTIFIER_CASE);
+  const statements = [];
+
+  for (const { tokens: action } of splitByComma(tokens.slice(i + nameLength))) {
+    const last = action[action.length - 1];
+    const isModify = isWord(action[0], 'MODIFY');
+    if (!isWord(action[0], 'ADD') && !isModify) {
+      // Opciones de tabla (AUTO_INCREMENT=n, ENGINE=...) y acciones que se
+      // pasan tal cual (DROP, RENAME...)
+      if (!isSymbol(action[1], '=')) statements.push(from(alter(textOf(text, action[0], last)), action[0]));
+      continue;
+    }
+
+    const k = isWord(action[1], 'COLUMN') ? 2 : 1;
+    const element = action.slice(k);
+    if (element.length === 0) continue;
+    const key = isModify ? null : readKey(element, text);
+    if (key && key.unique) {
+      statements.push(from(alter(`ADD CONSTRAINT ${key.name} UNIQUE (${key.columns})`), action[0]));
+    } else if (key) {
+      statements.push(from(`CREATE INDEX ${key.name} ON ${tableName} (${key.columns})`, action[0]));
+    } else if (isIdentifier(element[0]) && !isWord(element[0], ...CONSTRAINT_STARTS)) {
+      const column = adaptColumn(element, text, tableName, statement);
+      const definition = applyEdits(text, column.edits, element[0].start, element[element.length - 1].end);
+      statements.push(from(alter(isModify ? `MODIFY (${definition})` : `ADD ${definition}`), action[0]), ...column.comments);
+    } else {
+      statements.push(from(alter(textOf(text, action[0], last)), action[0]));
+    }
+  }
+
+  return statements;
+}
+
+// USE base -> ALTER SESSION SET CURRENT_SCHEMA = base
+function adaptUse(statement, tokens) {
+  if (!isIdentifier(tokens[1])) return [rewrite(statement, [], LEXICAL, IDENTIFIER_CASE)];
+  const name = textOf(statement.text, tokens[1], tokens[1]);
+  return [statementFromText(`ALTER SESSION SET CURRENT_SCHEMA = ${name}`, statement, statement, LEXICAL, IDENTIFIER_CASE)];
+}
+
+// Traduce una sentencia de MySQL a las sentencias Oracle equivalentes
+function adapt(statement) {
+  const tokens = significant(statement.tokens);
+  const words = [];
+  for (const token of tokens.slice(0, 4)) {
+    if (token.type !== TokenType.WORD) break;
+    words.push(token.upper);
+  }
+
+  if (words[0] === 'CREATE' && (words[1] === 'TABLE' || (words[1] === 'TEMPORARY' && words[2] === 'TABLE'))) {
+    return adaptCreateTable(statement, tokens);
+  }
+  if (words[0] === 'ALTER' && words.slice(1, 3).includes('TABLE')) return adaptAlterTable(statement, tokens);
+  if (words[0] === 'USE') return adaptUse(statement, tokens);
+  return [rewrite(statement, [], LEXICAL, IDENTIFIER_CASE)];
+}
+
+module.exports = {
+  description: 'MySQL y MariaDB: mysqldump y exportaciones de phpMyAdmin',
+  syntax,
+  adapt,
+  normalizeIdentifier: name => normalizeName(name, IDENTIFIER_CASE)
+};
@@ -0,0 +1,17 @@
+/**
+ * lib/dialects/oracle.js
+ * ----------------------
+ * Volcados Oracle: expdp/impdp (SQLFILE=), DBMS_METADATA.GET_DDL, con o
+ * sin SQLTERMINATOR, y scripts de SQL*Plus. Es la sintaxis que entienden
+ * directamente sql_splitter.js y ddl_parser.js, de modo que las sentencias
+ * no se traducen.
+ */
+
+const { normalizeIdentifier } = require('../ddl_parser');
+
+module.exports = {
+  description: 'Oracle: expdp/impdp SQLFILE, DBMS_METADATA.GET_DDL y scripts de SQL*Plus',
+  syntax: {},
+  adapt: statement => [statement],
+  normalizeIdentifier
+};
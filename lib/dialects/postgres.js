@@ -0,0 +1,197 @@
+/**
+ * lib/dialects/postgres.js
+ * ------------------------
+ * Volcados de PostgreSQL: pg_dump en formato plain (--schema-only o con
+ * datos) y scripts de psql.
+ *
+ * Se reconocen las cadenas $$...$$ de las funciones, los comandos de psql
+ * (\connect, \restrict, \i archivo...) y los datos de COPY ... FROM stdin,
+ * que se saltan. Los identificadores sin comillas se guardan en minúsculas,
+ * como hace PostgreSQL. Las sentencias se traducen a su equivalente Oracle:
+ *
+ *   ALTER TABLE [IF EXISTS] ONLY t        ALTER TABLE t
+ *   ALTER COLUMN c SET DEFAULT expr       MODIFY (c DEFAULT expr)
+ *   ALTER COLUMN c ADD GENERATED ... AS IDENTITY, SET/DROP NOT NULL, TYPE
+ *                                         MODIFY (c ...)
+ *   CREATE INDEX i ON e.t USING método    CREATE INDEX e.i ON e.t, sin
+ *                                         CONCURRENTLY ni clases de operadores
+ *   SET search_path = esquema             ALTER SESSION SET CURRENT_SCHEMA
+ *   CREATE UNLOGGED TABLE, IF NOT EXISTS  CREATE TABLE
+ */
+
+const { TokenType } = require('../sql_tokenizer');
+const {
+  lexicalOptions, isWord, isSymbol, isIdentifier, significant, closingIndex, splitByComma,
+  qualifiedNameLength, textOf, removal, statementFromText, rewrite, normalizeName
+} = require('./common');
+
+const IDENTIFIER_CASE = 'lower';
+
+// Comandos de psql: líneas que empiezan por "\"
+const PSQL_COMMAND_RE = /\\[^\n]*/y;
+
+const syntax = {
+  plsqlBlocks: false,
+  implicitTerminators: false,
+  copyData: true,
+  commands: PSQL_COMMAND_RE,
+  outputLines: null,
+  dollarQuotes: true
+};
+
+const LEXICAL = lexicalOptions(syntax);
+
+// Edición que elimina las palabras indicadas si aparecen seguidas en
+// tokens[i]; devuelve cuántos tokens ocupan (0 si no aparecen)
+function removeWords(edits, text, tokens, i, ...words) {
+  if (!words.every((word, offset) => isWord(tokens[i + offset], word))) return 0;
+  edits.push(removal(text, tokens[i].start, tokens[i + words.length - 1].end));
+  return words.length;
+}
+
+// CREATE [UNLOGGED] TABLE [IF NOT EXISTS]
+function adaptCreateTable(statement, tokens) {
+  const edits = [];
+  let i = 1;
+  i += removeWords(edits, statement.text, tokens, i, 'UNLOGGED');
+  while (!isWord(tokens[i], 'TABLE') && i < tokens.length) i++;
+  removeWords(edits, statement.text, tokens, i + 1, 'IF', 'NOT', 'EXISTS');
+  return [rewrite(statement, edits, LEXICAL, IDENTIFIER_CASE)];
+}
+
+// ALTER COLUMN c ...: el cambio equivalente con MODIFY (c ...), o null si
+// no afecta al modelo (SET STATISTICS, SET STORAGE...)
+function modifyColumn(action, text) {
+  let i = isWord(action[1], 'COLUMN') ? 2 : 1;
+  const column = action[i++];
+  if (!isIdentifier(column)) return null;
+  const name = textOf(text, column, column);
+  const rest = action[i] ? textOf(text, action[i], action[action.length - 1]) : '';
+
+  if (isWord(action[i], 'SET') && isWord(action[i + 1], 'DEFAULT')) return `MODIFY (${name} ${rest.replace(/^SET\s+/i, '')})`;
+  if (isWord(action[i], 'ADD') && isWord(action[i + 1], 'GENERATED')) return `MODIFY (${name} ${rest.replace(/^ADD\s+/i, '')})`;
+  if (isWord(action[i], 'SET') && isWord(action[i + 1], 'NOT') && isWord(action[i + 2], 'NULL')) return `MODIFY (${name} NOT NULL)`;
+  if (isWord(action[i], 'DROP') && isWord(action[i + 1], 'NOT') && isWord(action[i + 2], 'NULL')) return `MODIFY (${name} NULL)`;
+
+  // [SET DATA] TYPE tipo [USING expresión]
+  if (isWord(action[i], 'SET') && isWord(action[i + 1], 'DATA')) i += 2;
+  if (isWord(action[i], 'TYPE') && action[i + 1]) {
+    const using = action.findIndex((token, index) => index > i && isWord(token, 'USING'));
+    const type = action.slice(i + 1, using === -1 ? action.length : using);
+    return `MODIFY (${name} ${textOf(text, type[0], type[type.length - 1])})`;
+  }
+  return null;
+}
+
+// ALTER TABLE [IF EXISTS] [ONLY] t acción: sin ONLY ni IF EXISTS y con los
+// ALTER COLUMN como MODIFY
+function adaptAlterTable(statement, tokens) {
+  const text = statement.text;
+  const edits = [];
+  let i = 2;
+  i += removeWords(edits, text, tokens, i, 'IF', 'EXISTS');
+  i += removeWords(edits, text, tokens, i, 'ONLY');
+  const nameLength = qualifiedNameLength(tokens, i);
+  const action = tokens.slice(i + nameLength);
+  if (nameLength === 0 || action.length === 0) return [rewrite(statement, edits, LEXICAL, IDENTIFIER_CASE)];
+
+  if (isWord(action[0], 'ALTER')) {
+    const modify = modifyColumn(action, text);
+    if (modify) edits.push({ start: action[0].start, end: action[action.length - 1].end, text: modify });
+  } else if (isWord(action[0], 'ADD')) {
+    let j = 1 + removeWords(edits, text, action, 1, 'COLUMN');
+    removeWords(edits, text, action, j, 'IF', 'NOT', 'EXISTS');
+  }
+  return [rewrite(statement, edits, LEXICAL, IDENTIFIER_CASE)];
+}
+
+// Nombre que da PostgreSQL a un índice sin nombre: tabla_columnas_idx
+function defaultIndexName(tokens, table, tableLength) {
+  let open = table + tableLength;
+  if (isWord(tokens[open], 'USING')) open += 2;
+  const parts = isSymbol(tokens[open], '(') ? splitByComma(tokens.slice(open + 1, closingIndex(tokens, open))) : [];
+  const names = [tokens[table + tableLength - 1]].concat(parts.map(part => part.tokens[0]))
+    .filter(token => isIdentifier(token))
+    .map(token => (token.type === TokenType.QUOTED ? token.value.slice(1, -1) : token.value.toLowerCase()));
+  return `"${names.concat('idx').join('_')}"`;
+}
+
+// CREATE [UNIQUE] INDEX [CONCURRENTLY] [IF NOT EXISTS] nombre ON [ONLY] t
+// [USING método] (columnas) [INCLUDE (...)] [WHERE ...]
+function adaptCreateIndex(statement, tokens) {
+  const text = statement.text;
+  const edits = [];
+  const on = tokens.findIndex(token => isWord(token, 'ON'));
+  for (let i = 2; i < on; i++) {
+    removeWords(edits, text, tokens, i, 'CONCURRENTLY');
+    if (removeWords(edits, text, tokens, i, 'IF', 'NOT', 'EXISTS')) i += 2;
+  }
+  if (on === -1) return [rewrite(statement, edits, LEXICAL, IDENTIFIER_CASE)];
+
+  let i = on + 1 + removeWords(edits, text, tokens, on + 1, 'ONLY');
+  const tableLength = qualifiedNameLength(tokens, i);
+  // El índice está siempre en el esquema de la tabla
+  const name = tokens[on - 1];
+  const schema = tableLength > 1 ? `${textOf(text, tokens[i], tokens[i + tableLength - 3])}.` : '';
+  if (!isIdentifier(name) || isWord(name, 'INDEX', 'CONCURRENTLY', 'EXISTS')) {
+    edits.push({ start: tokens[on].start, end: tokens[on].start, text: `${schema}${defaultIndexName(tokens, i, tableLength)} ` });
+  } else if (!isSymbol(tokens[on - 2], '.')) {
+    edits.push({ start: name.start, end: name.start, text: schema });
+  }
+  i += tableLength;
+  if (isWord(tokens[i], 'USING') && tokens[i + 1]) {
+    edits.push(removal(text, tokens[i].start, tokens[i + 1].end));
+    i += 2;
+  }
+  if (isSymbol(tokens[i], '(')) {
+    // Clases de operadores (text_pattern_ops), COLLATE y NULLS FIRST/LAST
+    for (const { tokens: part } of splitByComma(tokens.slice(i + 1, closingIndex(tokens, i)))) {
+      for (let j = 1; j < part.length; j++) {
+        if (part[j].type === TokenType.WORD && /_ops$/i.test(part[j].value)) {
+          edits.push(removal(text, part[j].start, part[j].end));
+        } else if (isWord(part[j], 'COLLATE') && part[j + 1]) {
+          const end = isSymbol(part[j + 2], '.') && part[j + 3] ? j + 3 : j + 1;
+          edits.push(removal(text, part[j].start, part[end].end));
+          j = end;
+        } else if (isWord(part[j], 'NULLS') && part[j + 1]) {
+          edits.push(removal(text, part[j].start, part[j + 1].end));
+          j++;
+        }
+      }
+    }
+  }
+  return [rewrite(statement, edits, LEXICAL, IDENTIFIER_CASE)];
+}
+
+// SET search_path = esquema, ... -> ALTER SESSION SET CURRENT_SCHEMA = esquema
+function adaptSearchPath(statement, tokens) {
+  const schema = tokens.slice(2).find(token => isIdentifier(token) && !isWord(token, 'TO'));
+  if (!schema) return [];
+  const name = textOf(statement.text, schema, schema);
+  return [statementFromText(`ALTER SESSION SET CURRENT_SCHEMA = ${name}`, statement, statement, LEXICAL, IDENTIFIER_CASE)];
+}
+
+// Traduce una sentencia de PostgreSQL a las sentencias Oracle equivalentes
+function adapt(statement) {
+  const tokens = significant(statement.tokens);
+  const words = [];
+  for (const token of tokens.slice(0, 4)) {
+    if (token.type !== TokenType.WORD) break;
+    words.push(token.upper);
+  }
+
+  if (words[0] === 'CREATE' && words.slice(1, 4).includes('TABLE')) return adaptCreateTable(statement, tokens);
+  if (words[0] === 'CREATE' && (words[1] === 'INDEX' || (words[1] === 'UNIQUE' && words[2] === 'INDEX'))) {
+    return adaptCreateIndex(statement, tokens);
+  }
+  if (words[0] === 'ALTER' && words[1] === 'TABLE') return adaptAlterTable(statement, tokens);
+  if (words[0] === 'SET' && words[1] === 'SEARCH_PATH') return adaptSearchPath(statement, tokens);
+  return [rewrite(statement, [], LEXICAL, IDENTIFIER_CASE)];
+}
+
+module.exports = {
+  description: 'PostgreSQL: pg_dump en formato plain y scripts de psql',
+  syntax,
+  adapt,
+  normalizeIdentifier: name => normalizeName(name, IDENTIFIER_CASE)
+};
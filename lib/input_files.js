@@ -0,0 +1,123 @@
+/**
+ * lib/input_files.js
+ * ------------------
+ * Archivos de entrada de los scripts. Cada entrada puede ser:
+ *
+ *   archivo      se lee tal cual (también .gz, y "-" para la entrada estándar)
+ *   directorio   sus scripts SQL, recorriendo los subdirectorios
+ *   glob         "ddl/**\/*.sql", "tablas/EMP_?.sql": los archivos que
+ *                coinciden ("*" y "?" no cruzan directorios, "**" sí)
+ *
+ * Los archivos de un directorio o de un glob se leen ordenados por su ruta,
+ * de modo que los prefijos numéricos (01_tablas.sql, 02_indices.sql) fijan
+ * el orden. Un archivo que aparece en varias entradas se lee una sola vez.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Extensiones de los scripts que se leen de un directorio (también .gz):
+// las de los volcados y las habituales de los repositorios de DDL Oracle
+const SQL_EXTENSIONS = ['.sql', '.ddl', '.tab', '.vw', '.seq', '.trg', '.pks', '.pkb', '.pls', '.plb', '.prc', '.fnc', '.typ'];
+
+// Directorios que no se recorren
+const SKIPPED_DIRS = new Set(['node_modules']);
+
+function isGlob(input) {
+  return /[*?]/.test(input);
+}
+
+function isSqlFile(name) {
+  const extension = path.extname(name.replace(/\.gz$/i, '')).toLowerCase();
+  return SQL_EXTENSIONS.includes(extension);
+}
+
+// Rutas ordenadas por sus componentes: "a/b.sql" antes que "a-b.sql"
+function comparePaths(a, b) {
+  const left = a.split(/[\\/]/);
+  const right = b.split(/[\\/]/);
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return left.length - right.length;
+}
+
+// Rutas relativas (con "/") de los archivos de dir y sus subdirectorios,
+// sin los directorios ocultos
+function listFiles(dir, relative = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(dir, relative), { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const child = relative ? `${relative}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name)) files.push(...listFiles(dir, child));
+    } else if (entry.isFile()) {
+      files.push(child);
+    }
+  }
+  return files;
+}
+
+// Archivos de un directorio cuya ruta relativa cumple accept, en orden
+function walk(dir, accept) {
+  return listFiles(dir).filter(accept).sort(comparePaths).map(file => path.join(dir, file));
+}
+
+// Convierte un glob de rutas en una expresión regular anclada
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" admite también ningún directorio
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Archivos que coinciden con un glob, buscados desde su parte fija
+function expandGlob(glob) {
+  const segments = glob.replace(/\\/g, '/').split('/');
+  const fixed = [];
+  while (segments.length > 1 && !isGlob(segments[0])) fixed.push(segments.shift());
+  const base = fixed.length === 0 ? '.' : fixed.join('/') || '/';
+  if (!fs.existsSync(base) || !fs.statSync(base).isDirectory()) return [];
+  const regex = globToRegExp(segments.join('/'));
+  return walk(base, relative => regex.test(relative));
+}
+
+// Lista de archivos de las entradas indicadas. Lanza un Error si un glob
+// no coincide con ningún archivo o un directorio no tiene scripts SQL; los
+// archivos que no existen se dejan para el error de lectura.
+function expandInputs(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    let expanded;
+    if (isGlob(input)) {
+      expanded = expandGlob(input);
+      if (expanded.length === 0) throw new Error(`Ningún archivo coincide con ${input}`);
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      expanded = walk(input, isSqlFile);
+      if (expanded.length === 0) throw new Error(`El directorio ${input} no contiene scripts SQL (${SQL_EXTENSIONS.join(', ')})`);
+    } else {
+      expanded = [input];
+    }
+    for (const file of expanded) {
+      if (!files.some(other => other === file || (other !== '-' && path.resolve(other) === path.resolve(file)))) files.push(file);
+    }
+  }
+  return files;
+}
+
+module.exports = {
+  SQL_EXTENSIONS,
+  expandInputs
+};
@@ -0,0 +1,154 @@
+/**
+ * lib/lint_reports.js
+ * -------------------
+ * Informes de los hallazgos de lib/schema_lint.js: texto para la consola,
+ * JSON, JUnit XML y SARIF 2.1.0 (para mostrar los hallazgos en los
+ * sistemas de integración continua y en las revisiones de código).
+ *
+ * Todos reciben { findings, rules } de lintModel() y
+ * options.source, el volcado analizado.
+ */
+
+const { countBySeverity } = require('./schema_lint');
+
+const SEVERITY_LABELS = { error: 'error', warning: 'advertencia', note: 'nota' };
+
+function plural(count, singular, pluralForm) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+// Resumen de los hallazgos por severidad
+function summary(findings) {
+  const counts = countBySeverity(findings);
+  if (findings.length === 0) return 'Sin problemas.';
+  return `${plural(findings.length, 'problema', 'problemas')} (${plural(counts.error, 'error', 'errores')}, ` +
+    `${plural(counts.warning, 'advertencia', 'advertencias')}, ${plural(counts.note, 'nota', 'notas')})`;
+}
+
+// Hallazgos agrupados por tabla, con línea, severidad, mensaje y regla
+function formatLintText(result, options = {}) {
+  const position = finding => {
+    if (!finding.line) return '';
+    return options.source ? `${options.source}:${finding.line}` : `línea ${finding.line}`;
+  };
+  const width = Math.max(0, ...result.findings.map(finding => position(finding).length));
+
+  let content = '';
+  let currentTable;
+  for (const finding of result.findings) {
+    if (finding.table !== currentTable) {
+      currentTable = finding.table;
+      content += `${content ? '\n' : ''}${currentTable}\n`;
+    }
+    content += `  ${position(finding).padEnd(width)}  ${SEVERITY_LABELS[finding.severity].padEnd(11)} ${finding.message}  (${finding.rule})\n`;
+  }
+  return `${content}${content ? '\n' : ''}${summary(result.findings)}\n`;
+}
+
+function formatLintJson(result, options = {}) {
+  const counts = countBySeverity(result.findings);
+  const report = {
+    source: options.source || null,
+    summary: { errors: counts.error, warnings: counts.warning, notes: counts.note },
+    rules: result.rules,
+    findings: result.findings
+  };
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JUnit: un testsuite por regla activa y un testcase por hallazgo, que
+// falla si es un error o una advertencia. Las reglas sin hallazgos tienen
+// un testcase que pasa.
+function formatLintJunit(result, options = {}) {
+  const source = options.source || 'schema';
+  const suites = result.rules.map(rule => {
+    const findings = result.findings.filter(finding => finding.rule === rule.id);
+    const failures = findings.filter(finding => finding.severity !== 'note').length;
+    return { rule, findings, failures, tests: Math.max(findings.length, 1) };
+  });
+  const total = key => suites.reduce((sum, suite) => sum + suite[key], 0);
+
+  let content = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  content += `<testsuites name="lint_schema ${escapeXml(source)}" tests="${total('tests')}" failures="${total('failures')}">\n`;
+
+  for (const { rule, findings, failures, tests } of suites) {
+    content += `  <testsuite name="${escapeXml(rule.id)}" tests="${tests}" failures="${failures}">\n`;
+    if (findings.length === 0) {
+      content += `    <testcase classname="${escapeXml(rule.id)}" name="${escapeXml(rule.description)}"/>\n`;
+    }
+    for (const finding of findings) {
+      const name = finding.object ? `${finding.table}.${finding.object}` : finding.table;
+      content += `    <testcase classname="${escapeXml(rule.id)}" name="${escapeXml(name)}"`;
+      if (finding.severity === 'note') {
+        content += `>\n      <system-out>${escapeXml(finding.message)}</system-out>\n    </testcase>\n`;
+        continue;
+      }
+      const location = finding.line ? `${source}:${finding.line}` : source;
+      content += `>\n      <failure type="${finding.severity}" message="${escapeXml(finding.message)}">${escapeXml(location)}</failure>\n`;
+      content += `    </testcase>\n`;
+    }
+    content += `  </testsuite>\n`;
+  }
+
+  content += '</testsuites>\n';
+  return content;
+}
+
+// SARIF 2.1.0 con una regla por comprobación y la línea del volcado de
+// cada hallazgo
+function formatLintSarif(result, options = {}) {
+  const location = finding => {
+    if (!options.source) return [];
+    const physicalLocation = { artifactLocation: { uri: options.source.split('\\').join('/') } };
+    if (finding.line) physicalLocation.region = { startLine: finding.line };
+    return [{ physicalLocation }];
+  };
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'lint_schema',
+          rules: result.rules.map(rule => ({
+            id: rule.id,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.severity }
+          }))
+        }
+      },
+      results: result.findings.map(finding => ({
+        ruleId: finding.rule,
+        level: finding.severity,
+        message: { text: finding.message },
+        locations: location(finding)
+      }))
+    }]
+  };
+  return JSON.stringify(log, null, 2) + '\n';
+}
+
+const REPORT_FORMATS = {
+  text: formatLintText,
+  json: formatLintJson,
+  junit: formatLintJunit,
+  sarif: formatLintSarif
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  summary,
+  formatLintText,
+  formatLintJson,
+  formatLintJunit,
+  formatLintSarif
+};
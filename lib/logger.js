@@ -0,0 +1,41 @@
+/**
+ * lib/logger.js
+ * -------------
+ * Mensajes de progreso de los scripts en la consola, con tres niveles:
+ * "quiet" (sólo errores, --quiet), "normal" y "verbose" (detalles
+ * adicionales, --verbose). Las advertencias van a la salida de errores,
+ * salvo con --quiet. Los errores se escriben siempre con console.error; los
+ * informes que un script escribe en la salida estándar no pasan por aquí.
+ */
+
+const LEVELS = ['quiet', 'normal', 'verbose'];
+
+let level = 'normal';
+
+function setLevel(name) {
+  if (!LEVELS.includes(name)) throw new Error(`Nivel de mensajes no válido: ${name}`);
+  level = name;
+}
+
+// Mensajes normales: resúmenes y archivos generados
+function info(...message) {
+  if (level !== 'quiet') console.log(...message);
+}
+
+// Advertencias, en la salida de errores
+function warn(...message) {
+  if (level !== 'quiet') console.error(...message);
+}
+
+// Detalles que sólo se muestran con --verbose
+function verbose(...message) {
+  if (level === 'verbose') console.log(...message);
+}
+
+module.exports = {
+  LEVELS,
+  setLevel,
+  info,
+  warn,
+  verbose
+};
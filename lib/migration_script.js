@@ -0,0 +1,194 @@
+/**
+ * lib/migration_script.js
+ * -----------------------
+ * Script de migración Oracle a partir de las diferencias de schema_diff.js:
+ * las sentencias que transforman el esquema anterior en el nuevo.
+ *
+ * Las sentencias se ordenan para que cada una sea válida cuando se ejecuta:
+ * primero se eliminan foreign keys, constraints, índices y tablas; después
+ * se crean las tablas y se añaden, modifican y eliminan columnas; y al final
+ * se crean constraints, índices y foreign keys. Los cambios que no pueden
+ * expresarse con seguridad (columnas identity o virtuales, constraints sin
+ * nombre) se indican con un comentario para revisarlos a mano.
+ */
+
+const { tableKey } = require('./ddl_parser');
+const {
+  quoteIdentifier, qualifiedName, columnDefinition, constraintClause, createTableStatement, createIndexStatement
+} = require('./ddl_generator');
+
+function section(title) {
+  return `-- ====================================\n-- ${title}\n-- ====================================\n`;
+}
+
+function tableName(table) {
+  return qualifiedName(table.schema, table.name);
+}
+
+// ALTER TABLE ... DROP de una constraint. Sin nombre sólo se pueden
+// eliminar la PK y las UNIQUE (por sus columnas).
+function dropConstraintStatement(table, constraint) {
+  if (constraint.name) {
+    return `ALTER TABLE ${tableName(table)} DROP CONSTRAINT ${quoteIdentifier(constraint.name)};`;
+  }
+  if (constraint.type === 'PK') return `ALTER TABLE ${tableName(table)} DROP PRIMARY KEY;`;
+  if (constraint.type === 'UK') {
+    return `ALTER TABLE ${tableName(table)} DROP UNIQUE (${constraint.columns.map(quoteIdentifier).join(', ')});`;
+  }
+  return `-- Revisar: eliminar la constraint ${constraint.type} sin nombre de ${tableKey(table.schema, table.name)} ` +
+    `(${constraint.columns.join(', ')}); su nombre no figura en el volcado`;
+}
+
+function addConstraintStatement(table, constraint) {
+  return `ALTER TABLE ${tableName(table)} ADD ${constraintClause(constraint)};`;
+}
+
+// Los cambios sólo de estado se aplican con MODIFY CONSTRAINT, salvo
+// DEFERRABLE, que obliga a volver a crear la constraint
+function isStateOnlyChange(oldConstraint, newConstraint) {
+  return Boolean(newConstraint.name) && oldConstraint.name === newConstraint.name &&
+    oldConstraint.type === newConstraint.type &&
+    oldConstraint.deferrable === newConstraint.deferrable &&
+    constraintClause({ ...oldConstraint, enabled: true, validated: true, rely: false, initiallyDeferred: false }) ===
+    constraintClause({ ...newConstraint, enabled: true, validated: true, rely: false, initiallyDeferred: false });
+}
+
+function modifyConstraintStatement(table, constraint) {
+  const state = [constraint.enabled ? 'ENABLE' : 'DISABLE', constraint.validated ? 'VALIDATE' : 'NOVALIDATE'];
+  state.push(constraint.rely ? 'RELY' : 'NORELY');
+  if (constraint.deferrable) state.push(constraint.initiallyDeferred ? 'INITIALLY DEFERRED' : 'INITIALLY IMMEDIATE');
+  return `ALTER TABLE ${tableName(table)} MODIFY CONSTRAINT ${quoteIdentifier(constraint.name)} ${state.join(' ')};`;
+}
+
+// Sentencias para un cambio de columna
+function modifyColumnStatements(table, change) {
+  const { oldColumn, newColumn, changes } = change;
+  const statements = [];
+  const clauses = [];
+  if (changes.includes('type') && newColumn.dataType) clauses.push(newColumn.dataType);
+  if (changes.includes('default')) {
+    if (newColumn.default === null) {
+      clauses.push('DEFAULT NULL');
+    } else {
+      clauses.push(newColumn.defaultOnNull ? `DEFAULT ON NULL ${newColumn.default}` : `DEFAULT ${newColumn.default}`);
+    }
+  }
+  if (changes.includes('nullability')) {
+    clauses.push(newColumn.notNull || newColumn.primaryKey ? 'NOT NULL' : 'NULL');
+  }
+  if (clauses.length > 0) {
+    statements.push(`ALTER TABLE ${tableName(table)} MODIFY (${quoteIdentifier(newColumn.name)} ${clauses.join(' ')});`);
+  }
+  if (changes.includes('visibility')) {
+    statements.push(`ALTER TABLE ${tableName(table)} MODIFY (${quoteIdentifier(newColumn.name)} ${newColumn.invisible ? 'INVISIBLE' : 'VISIBLE'});`);
+  }
+  if (changes.includes('identity') || changes.includes('virtual')) {
+    statements.push(`-- Revisar: cambia la definición ${changes.includes('identity') ? 'identity' : 'virtual'} de ` +
+      `${tableKey(table.schema, table.name)}.${newColumn.name}: ${columnDefinition(oldColumn)} -> ${columnDefinition(newColumn)}`);
+  }
+  return statements;
+}
+
+// Genera el script de migración. options: { oldFile, newFile, warnings },
+// con warnings el número de advertencias del análisis de los volcados
+function generateMigration(diff, options = {}) {
+  const removedTables = new Set(diff.tables.removed.map(table => tableKey(table.schema, table.name)));
+  const drops = { foreignKeys: [], constraints: [], indexes: [], tables: [] };
+  const creates = { tables: [], columns: [], constraints: [], indexes: [], foreignKeys: [], states: [] };
+
+  for (const table of diff.tables.removed) {
+    drops.tables.push(`DROP TABLE ${tableName(table)} CASCADE CONSTRAINTS;`);
+  }
+
+  for (const table of diff.tables.added) {
+    creates.tables.push(createTableStatement(table, { foreignKeys: false }));
+    for (const constraint of table.constraints) {
+      if (constraint.type === 'FK') creates.foreignKeys.push(addConstraintStatement(table, constraint));
+    }
+  }
+
+  for (const change of diff.tables.changed) {
+    const table = change.newTable;
+    const dropConstraint = constraint => {
+      const list = constraint.type === 'FK' ? drops.foreignKeys : drops.constraints;
+      list.push(dropConstraintStatement(change.oldTable, constraint));
+    };
+    const addConstraint = constraint => {
+      const list = constraint.type === 'FK' ? creates.foreignKeys : creates.constraints;
+      list.push(addConstraintStatement(table, constraint));
+    };
+
+    change.constraints.removed.forEach(dropConstraint);
+    change.constraints.added.forEach(addConstraint);
+    for (const { oldConstraint, newConstraint } of change.constraints.changed) {
+      if (isStateOnlyChange(oldConstraint, newConstraint)) {
+        creates.states.push(modifyConstraintStatement(table, newConstraint));
+      } else {
+        dropConstraint(oldConstraint);
+        addConstraint(newConstraint);
+      }
+    }
+
+    for (const column of change.columns.added) {
+      if (column.notNull && column.default === null && !column.identity && !column.virtual) {
+        creates.columns.push(`-- Atención: ${column.name} es NOT NULL sin DEFAULT; falla si la tabla tiene filas`);
+      }
+      creates.columns.push(`ALTER TABLE ${tableName(table)} ADD (${columnDefinition(column)});`);
+    }
+    for (const column of change.columns.changed) {
+      creates.columns.push(...modifyColumnStatements(table, column));
+    }
+    for (const column of change.columns.removed) {
+      creates.columns.push(`ALTER TABLE ${tableName(table)} DROP COLUMN ${quoteIdentifier(column.name)};`);
+    }
+  }
+
+  const dropIndex = index => {
+    // Los índices de las tablas eliminadas desaparecen con ellas
+    if (!removedTables.has(tableKey(index.tableSchema, index.table))) {
+      drops.indexes.push(`DROP INDEX ${qualifiedName(index.schema, index.name)};`);
+    }
+  };
+  diff.indexes.removed.forEach(dropIndex);
+  for (const index of diff.indexes.added) creates.indexes.push(createIndexStatement(index));
+  for (const { oldIndex, newIndex } of diff.indexes.changed) {
+    dropIndex(oldIndex);
+    creates.indexes.push(createIndexStatement(newIndex));
+  }
+
+  let script = `-- Script de migración generado por diff_schemas.js\n`;
+  if (options.oldFile) script += `-- Desde: ${options.oldFile}\n`;
+  if (options.newFile) script += `-- Hasta: ${options.newFile}\n`;
+  script += `-- Revisar antes de ejecutar: las sentencias DROP eliminan datos.\n`;
+  if (options.warnings) {
+    script += `-- ATENCIÓN: el análisis de los volcados produjo ${options.warnings} ${options.warnings === 1 ? 'advertencia' : 'advertencias'}; ` +
+      'las sentencias que no se entendieron pueden aparecer como cambios.\n';
+  }
+  script += '\n';
+
+  const sections = [
+    ['DROP FOREIGN KEYS', drops.foreignKeys],
+    ['DROP CONSTRAINTS', drops.constraints],
+    ['DROP INDEXES', drops.indexes],
+    ['DROP TABLES', drops.tables],
+    ['CREATE TABLES', creates.tables],
+    ['ALTER COLUMNS', creates.columns],
+    ['ADD CONSTRAINTS', creates.constraints],
+    ['CREATE INDEXES', creates.indexes],
+    ['ADD FOREIGN KEYS', creates.foreignKeys],
+    ['MODIFY CONSTRAINT STATE', creates.states]
+  ];
+  let statementCount = 0;
+  for (const [title, statements] of sections) {
+    if (statements.length === 0) continue;
+    script += section(title) + '\n' + statements.join('\n\n') + '\n\n';
+    statementCount += statements.filter(statement => !statement.startsWith('--')).length;
+  }
+  if (statementCount === 0) script += '-- Sin cambios\n';
+
+  return script;
+}
+
+module.exports = {
+  generateMigration
+};
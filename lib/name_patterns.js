@@ -0,0 +1,50 @@
+/**
+ * lib/name_patterns.js
+ * --------------------
+ * Patrones para seleccionar objetos por nombre en las opciones de línea de
+ * comandos (--focus, --exclude, ...).
+ *
+ * Un valor es una lista de globs separados por comas (ORDERS,HR.EMP*) o una
+ * expresión regular entre barras (/^(HR|SALES)\.PAY_/i). Los globs admiten
+ * "*" y "?" y no distinguen mayúsculas de minúsculas; los que no indican
+ * esquema comparan sólo el nombre del objeto. Las expresiones regulares se
+ * comparan con el nombre cualificado (ESQUEMA.NOMBRE) y con el nombre solo.
+ */
+
+const { tableKey } = require('./ddl_parser');
+
+// Convierte un glob en una expresión regular anclada
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Compila el valor de una opción en una función matches(schema, name).
+// Lanza un Error si la expresión regular no es válida.
+function compilePatterns(value) {
+  const regexMatch = value.match(/^\/(.*)\/([a-z]*)$/);
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (err) {
+      throw new Error(`Expresión regular no válida: ${value}`);
+    }
+    return (schema, name) => regex.test(tableKey(schema, name)) || regex.test(name);
+  }
+
+  const globs = value.split(',').map(glob => glob.trim()).filter(Boolean).map(glob => {
+    // El "." separa esquema y nombre salvo que esté entre comillas
+    const qualified = glob.replace(/"[^"]*"/g, '').includes('.');
+    return { qualified, regex: globToRegExp(glob.replace(/"/g, '')) };
+  });
+  return (schema, name) => globs.some(glob =>
+    glob.regex.test(glob.qualified ? tableKey(schema, name) : name));
+}
+
+module.exports = {
+  compilePatterns
+};
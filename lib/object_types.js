@@ -0,0 +1,106 @@
+/**
+ * lib/object_types.js
+ * -------------------
+ * Tipos de objeto que extract_create_tables.js copia del volcado, en el
+ * orden de las secciones de la salida, y clasificación de cada sentencia
+ * en uno solo de ellos.
+ *
+ * El orden permite ejecutar la salida sobre una base de datos vacía: tipos
+ * y secuencias antes que las tablas que los usan; vistas, sinónimos y
+ * PL/SQL después de las tablas; permisos y comentarios al final.
+ */
+
+const { StatementKind } = require('./ddl_parser');
+
+// name es el valor de --include/--exclude; title, el de la sección de
+// salida; label, el del resumen de consola
+const OBJECT_TYPES = [
+  { name: 'types', title: 'TYPE STATEMENTS', label: 'CREATE TYPE' },
+  { name: 'sequences', title: 'SEQUENCE STATEMENTS', label: 'CREATE SEQUENCE' },
+  { name: 'tables', title: 'CREATE TABLE STATEMENTS', label: 'CREATE TABLE' },
+  { name: 'alters', title: 'ALTER TABLE STATEMENTS', label: 'ALTER TABLE' },
+  { name: 'constraints', title: 'CONSTRAINT STATEMENTS', label: 'CONSTRAINT' },
+  { name: 'indexes', title: 'INDEX STATEMENTS', label: 'CREATE INDEX' },
+  { name: 'views', title: 'VIEW STATEMENTS', label: 'CREATE VIEW' },
+  { name: 'materialized-views', title: 'MATERIALIZED VIEW STATEMENTS', label: 'CREATE MATERIALIZED VIEW' },
+  { name: 'synonyms', title: 'SYNONYM STATEMENTS', label: 'CREATE SYNONYM' },
+  { name: 'packages', title: 'PACKAGE STATEMENTS', label: 'CREATE PACKAGE' },
+  { name: 'procedures', title: 'PROCEDURE STATEMENTS', label: 'CREATE PROCEDURE' },
+  { name: 'functions', title: 'FUNCTION STATEMENTS', label: 'CREATE FUNCTION' },
+  { name: 'triggers', title: 'TRIGGER STATEMENTS', label: 'CREATE TRIGGER' },
+  { name: 'grants', title: 'GRANT STATEMENTS', label: 'GRANT' },
+  { name: 'comments', title: 'COMMENT STATEMENTS', label: 'COMMENT' }
+];
+
+const OBJECT_TYPE_NAMES = OBJECT_TYPES.map(type => type.name);
+
+// Tipo de objeto de cada clase de sentencia (ALTER TABLE se decide aparte)
+const KIND_TYPES = new Map([
+  [StatementKind.CREATE_TYPE, 'types'],
+  [StatementKind.CREATE_TYPE_BODY, 'types'],
+  [StatementKind.CREATE_SEQUENCE, 'sequences'],
+  [StatementKind.CREATE_TABLE, 'tables'],
+  [StatementKind.CREATE_INDEX, 'indexes'],
+  [StatementKind.CREATE_VIEW, 'views'],
+  [StatementKind.CREATE_MATERIALIZED_VIEW, 'materialized-views'],
+  [StatementKind.CREATE_SYNONYM, 'synonyms'],
+  [StatementKind.CREATE_PACKAGE, 'packages'],
+  [StatementKind.CREATE_PACKAGE_BODY, 'packages'],
+  [StatementKind.CREATE_PROCEDURE, 'procedures'],
+  [StatementKind.CREATE_FUNCTION, 'functions'],
+  [StatementKind.CREATE_TRIGGER, 'triggers'],
+  [StatementKind.GRANT, 'grants'],
+  [StatementKind.COMMENT, 'comments']
+]);
+
+// Sentencias con cuerpo PL/SQL, que se terminan con "/" en lugar de ";"
+const PLSQL_KINDS = new Set([
+  StatementKind.CREATE_TYPE,
+  StatementKind.CREATE_TYPE_BODY,
+  StatementKind.CREATE_PACKAGE,
+  StatementKind.CREATE_PACKAGE_BODY,
+  StatementKind.CREATE_PROCEDURE,
+  StatementKind.CREATE_FUNCTION,
+  StatementKind.CREATE_TRIGGER
+]);
+
+// Tipo de objeto de una sentencia analizada, o null si no se extrae. Los
+// ALTER TABLE que añaden constraints son constraints; el resto, alters.
+function objectTypeOf(parsed) {
+  if (parsed.kind === StatementKind.ALTER_TABLE) {
+    return parsed.constraints.length > 0 ? 'constraints' : 'alters';
+  }
+  return KIND_TYPES.get(parsed.kind) || null;
+}
+
+// Texto de la sentencia tal como se escribe en la salida, con su terminador
+function statementText(parsed, statement) {
+  return PLSQL_KINDS.has(parsed.kind) ? `${statement.text}\n/` : `${statement.text};`;
+}
+
+// Tipos seleccionados con --include y --exclude (listas separadas por comas).
+// Lanza un error si algún nombre no es un tipo conocido.
+function selectObjectTypes(include, exclude) {
+  const parse = (value, option) => {
+    const names = value.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    const unknown = names.filter(name => !OBJECT_TYPE_NAMES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Tipo de objeto no válido en --${option}: ${unknown.join(', ')} (tipos: ${OBJECT_TYPE_NAMES.join(', ')})`);
+    }
+    return names;
+  };
+
+  const selected = new Set(include ? parse(include, 'include') : OBJECT_TYPE_NAMES);
+  if (exclude) {
+    for (const name of parse(exclude, 'exclude')) selected.delete(name);
+  }
+  return selected;
+}
+
+module.exports = {
+  OBJECT_TYPES,
+  OBJECT_TYPE_NAMES,
+  objectTypeOf,
+  statementText,
+  selectObjectTypes
+};
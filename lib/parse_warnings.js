@@ -0,0 +1,120 @@
+/**
+ * lib/parse_warnings.js
+ * ---------------------
+ * Informes de las advertencias del análisis (ver lib/ddl_parser.js): las
+ * sentencias que no se pudieron analizar o que sólo se entendieron en
+ * parte, con su archivo, línea, columna y la línea del volcado como
+ * contexto. En texto, con el formato archivo:línea:columna de los
+ * compiladores, o en JSON.
+ *
+ * reportParseWarnings() y printWarningSummary() son la presentación común
+ * de los scripts que leen volcados, con las opciones --strict y
+ * --warnings-report (WARNING_OPTIONS y warningHelp()).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+// Opciones de las advertencias, para parseCommandLine() (ver lib/cli_args.js)
+const WARNING_OPTIONS = {
+  valueOptions: ['warnings-report'],
+  booleanOptions: ['strict']
+};
+
+// Ayuda de las opciones, con las descripciones en la columna width (la de
+// la ayuda de cada script)
+const WARNING_OPTION_LINES = [
+  ['--strict', ['Termina con código 1, sin generar nada, si el análisis produce advertencias']],
+  ['--warnings-report archivo', ['Guarda las advertencias del análisis en un archivo (JSON si termina en .json)',
+    'en lugar de mostrarlas en la consola']]
+];
+
+function warningHelp(width) {
+  const indent = ' '.repeat(width + 2);
+  return WARNING_OPTION_LINES.map(([name, lines]) => {
+    const first = name.length < width ? `  ${name.padEnd(width)}${lines[0]}` : `  ${name}\n${indent}${lines[0]}`;
+    return [first, ...lines.slice(1).map(line => indent + line)].join('\n');
+  }).join('\n');
+}
+
+// Ubicación de una advertencia: archivo:línea:columna
+function warningLocation(warning) {
+  return `${warning.file || '(entrada estándar)'}:${warning.line}:${warning.column}`;
+}
+
+// Una advertencia en texto: ubicación, mensaje y fragmento del volcado
+function formatWarning(warning) {
+  return `${warningLocation(warning)}: ${warning.message}\n    ${warning.snippet}`;
+}
+
+// Resumen con el número de advertencias
+function warningSummary(warnings) {
+  if (warnings.length === 0) return 'Sin advertencias de análisis.';
+  return `${warnings.length} ${warnings.length === 1 ? 'advertencia' : 'advertencias'} de análisis.`;
+}
+
+function formatWarningsText(warnings) {
+  const content = warnings.map(warning => `${formatWarning(warning)}\n`).join('');
+  return `${content}${content ? '\n' : ''}${warningSummary(warnings)}\n`;
+}
+
+function formatWarningsJson(warnings) {
+  const report = {
+    summary: { warnings: warnings.length },
+    warnings: warnings.map(warning => ({
+      file: warning.file,
+      line: warning.line,
+      column: warning.column,
+      message: warning.message,
+      snippet: warning.snippet
+    }))
+  };
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+// Muestra las advertencias en la consola o las guarda en reportFile (JSON
+// si termina en .json). Con strict, si hay alguna, termina el proceso con
+// código 1 y el mensaje "Modo estricto: ... <consequence>". announce: false
+// omite el aviso del informe guardado (p. ej. si la salida estándar es el
+// informe del script).
+function reportParseWarnings(warnings, { reportFile = null, strict = false, consequence, announce = true }) {
+  if (reportFile) {
+    const isJson = path.extname(reportFile).toLowerCase() === '.json';
+    try {
+      fs.writeFileSync(path.resolve(reportFile), isJson ? formatWarningsJson(warnings) : formatWarningsText(warnings));
+    } catch (err) {
+      console.error(`Error al escribir el informe de advertencias: ${err.message}`);
+      process.exit(1);
+    }
+    if (announce) log.info(`Informe de advertencias guardado en '${reportFile}'.`);
+  } else {
+    for (const warning of warnings) log.warn(formatWarning(warning));
+  }
+
+  if (strict && warnings.length > 0) {
+    console.error(`Modo estricto: ${warningSummary(warnings)} ${consequence}`);
+    process.exit(1);
+  }
+}
+
+// Número de advertencias al terminar, para que no pasen desapercibidas
+// entre los mensajes de progreso
+function printWarningSummary(warnings, reportFile = null) {
+  if (warnings.length > 0) {
+    log.warn(`\n${warningSummary(warnings)}${reportFile ? ` Ver '${reportFile}'.` : ''}`);
+  } else {
+    log.verbose(warningSummary(warnings));
+  }
+}
+
+module.exports = {
+  WARNING_OPTIONS,
+  warningHelp,
+  reportParseWarnings,
+  printWarningSummary,
+  formatWarning,
+  warningSummary,
+  formatWarningsText,
+  formatWarningsJson
+};
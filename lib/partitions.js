@@ -0,0 +1,257 @@
+/**
+ * lib/partitions.js
+ * -----------------
+ * División de los esquemas grandes en particiones para generate_der.js:
+ * grupos de tablas de tamaño acotado que cortan el menor número posible de
+ * relaciones, o agrupados por esquema o por prefijo del nombre de tabla.
+ */
+
+const { tableKey } = require('./ddl_parser');
+const { buildAdjacency } = require('./der_model');
+
+// Componentes conexas del grafo de foreign keys restringido a tableNames
+function connectedComponents(tableNames, adjacency) {
+  const pending = new Set(tableNames);
+  const components = [];
+
+  for (const start of tableNames) {
+    if (!pending.has(start)) continue;
+    pending.delete(start);
+    const component = [start];
+    for (let i = 0; i < component.length; i++) {
+      for (const neighbor of adjacency.get(component[i])) {
+        if (pending.has(neighbor)) {
+          pending.delete(neighbor);
+          component.push(neighbor);
+        }
+      }
+    }
+    components.push(component);
+  }
+
+  return components;
+}
+
+// Comunidades de una componente por optimización local de la modularidad
+// (primera fase del método de Louvain): cada tabla pasa a la comunidad
+// vecina que más aumenta la modularidad, hasta que no hay movimientos. El
+// término de penalización evita que las tablas muy referenciadas arrastren
+// a todo el grafo a una única comunidad. Recorre las tablas en orden fijo
+// para que el resultado sea estable.
+function detectCommunities(component, adjacency) {
+  const community = new Map(component.map((name, index) => [name, index]));
+  const degree = name => adjacency.get(name).size;
+  const communityDegree = new Map(component.map((name, index) => [index, degree(name)]));
+  const twiceEdges = component.reduce((sum, name) => sum + degree(name), 0);
+  if (twiceEdges === 0) return component.map(name => [name]);
+
+  for (let pass = 0; pass < 20; pass++) {
+    let moved = false;
+    for (const name of component) {
+      const current = community.get(name);
+      const nameDegree = degree(name);
+      communityDegree.set(current, communityDegree.get(current) - nameDegree);
+
+      // Relaciones de la tabla con cada comunidad vecina
+      const links = new Map([[current, 0]]);
+      for (const neighbor of adjacency.get(name)) {
+        const neighborCommunity = community.get(neighbor);
+        links.set(neighborCommunity, (links.get(neighborCommunity) || 0) + 1);
+      }
+
+      const gain = candidate => links.get(candidate) - communityDegree.get(candidate) * nameDegree / twiceEdges;
+      let best = current;
+      let bestGain = gain(current);
+      for (const candidate of links.keys()) {
+        if (gain(candidate) > bestGain) {
+          best = candidate;
+          bestGain = gain(candidate);
+        }
+      }
+
+      communityDegree.set(best, communityDegree.get(best) + nameDegree);
+      if (best !== current) {
+        community.set(name, best);
+        moved = true;
+      }
+    }
+    if (!moved) break;
+  }
+
+  const communities = new Map();
+  for (const name of component) {
+    if (!communities.has(community.get(name))) communities.set(community.get(name), []);
+    communities.get(community.get(name)).push(name);
+  }
+  return Array.from(communities.values());
+}
+
+// Divide una componente mayor que maxSize: primero en comunidades y, si
+// alguna sigue siendo mayor, en grupos que crecen desde la tabla con más
+// relaciones pendientes incorporando la tabla vecina con más relaciones
+// hacia el grupo, de modo que se cortan pocas relaciones.
+function splitComponent(component, adjacency, maxSize) {
+  if (component.length <= maxSize) return [component];
+
+  const communities = detectCommunities(component, adjacency);
+  if (communities.length > 1) {
+    const groups = [];
+    for (const community of communities) {
+      for (const piece of connectedComponents(community, adjacency)) {
+        groups.push(...growGroups(piece, adjacency, maxSize));
+      }
+    }
+    return groups;
+  }
+  return growGroups(component, adjacency, maxSize);
+}
+
+// Reparte las tablas en grupos conexos de hasta maxSize tablas
+function growGroups(component, adjacency, maxSize) {
+  if (component.length <= maxSize) return [component];
+  const remaining = new Set(component);
+  const pendingDegree = name => {
+    let degree = 0;
+    for (const neighbor of adjacency.get(name)) {
+      if (remaining.has(neighbor)) degree++;
+    }
+    return degree;
+  };
+  const groups = [];
+
+  while (remaining.size > 0) {
+    let seed = null;
+    let seedDegree = -1;
+    for (const name of remaining) {
+      const degree = pendingDegree(name);
+      if (degree > seedDegree) {
+        seed = name;
+        seedDegree = degree;
+      }
+    }
+
+    const group = [];
+    // Tablas candidatas y número de relaciones con el grupo
+    const frontier = new Map([[seed, 0]]);
+    while (group.length < maxSize && frontier.size > 0) {
+      let next = null;
+      let nextLinks = -1;
+      for (const [name, links] of frontier) {
+        if (links > nextLinks) {
+          next = name;
+          nextLinks = links;
+        }
+      }
+
+      frontier.delete(next);
+      remaining.delete(next);
+      group.push(next);
+      for (const neighbor of adjacency.get(next)) {
+        if (remaining.has(neighbor)) {
+          frontier.set(neighbor, (frontier.get(neighbor) || 0) + 1);
+        }
+      }
+    }
+    groups.push(group);
+  }
+
+  return groups;
+}
+
+// Agrupa los grupos pequeños en particiones de hasta maxSize tablas. Cada
+// grupo, de mayor a menor, va a la partición en la que cabe con la que tiene
+// más relaciones. Si no tiene relación con ninguna abre una partición nueva
+// (separateUnrelated) o va a la primera en la que cabe; las tablas sin
+// relaciones siempre van a la primera en la que caben.
+function packGroups(groups, adjacency, maxSize, separateUnrelated) {
+  const bins = [];
+  const sorted = groups.slice().sort((a, b) => b.length - a.length);
+  for (const group of sorted) {
+    const isolated = !separateUnrelated || group.every(name => adjacency.get(name).size === 0);
+    let target = null;
+    let targetLinks = 0;
+    for (const bin of bins) {
+      if (bin.tables.length + group.length > maxSize) continue;
+      let links = 0;
+      for (const name of group) {
+        for (const neighbor of adjacency.get(name)) {
+          if (bin.members.has(neighbor)) links++;
+        }
+      }
+      if (links > targetLinks || (isolated && target === null)) {
+        target = bin;
+        targetLinks = links;
+      }
+    }
+
+    if (!target) {
+      target = { tables: [], members: new Set() };
+      bins.push(target);
+    }
+    target.tables.push(...group);
+    for (const name of group) target.members.add(name);
+  }
+  return bins.map(bin => bin.tables);
+}
+
+// Prefijo de una tabla: la parte del nombre anterior al primer "_"
+function tablePrefix(tableInfo) {
+  const separator = tableInfo.name.indexOf('_');
+  const prefix = separator > 0 ? tableInfo.name.slice(0, separator) : '(sin prefijo)';
+  return tableKey(tableInfo.schema, prefix);
+}
+
+// Calcula las particiones del modelo del diagrama según options.by:
+//   graph:  componentes conexas del grafo de foreign keys, divididas en
+//           comunidades si superan el tamaño y agrupadas si son pequeñas
+//   schema: un grupo por esquema
+//   prefix: un grupo por prefijo del nombre de tabla (HR_EMP -> HR)
+// Los grupos de schema/prefix que superan el tamaño se dividen igual que
+// en graph. options.size es el número máximo de tablas por partición.
+// Devuelve [{ label, tables: [nombre, ...] }].
+function computePartitions(model, options) {
+  const { by, size } = options;
+  const tables = model.tables;
+  const adjacency = buildAdjacency(model);
+  const order = new Map(Array.from(tables.keys()).map((name, index) => [name, index]));
+  const byDumpOrder = names => names.slice().sort((a, b) => order.get(a) - order.get(b));
+  const splitGroup = names => {
+    const pieces = [];
+    for (const component of connectedComponents(names, adjacency)) {
+      pieces.push(...splitComponent(component, adjacency, size));
+    }
+    // Primero se juntan los grupos relacionados y después se combinan las
+    // particiones pequeñas que quedan
+    const related = packGroups(pieces, adjacency, size, true);
+    return packGroups(related, adjacency, size, false).map(byDumpOrder);
+  };
+
+  if (by === 'graph') {
+    return splitGroup(Array.from(tables.keys()))
+      .map((names, i) => ({ label: `Grupo relacionado ${i + 1}`, tables: names }));
+  }
+
+  const groups = new Map();
+  for (const [tableName, tableInfo] of tables) {
+    const key = by === 'schema'
+      ? (tableInfo.schema || '(sin esquema)')
+      : tablePrefix(tableInfo);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(tableName);
+  }
+
+  const partitions = [];
+  const criterion = by === 'schema' ? 'Esquema' : 'Prefijo';
+  for (const [key, names] of groups) {
+    const pieces = splitGroup(names);
+    pieces.forEach((piece, i) => {
+      const suffix = pieces.length > 1 ? ` (${i + 1}/${pieces.length})` : '';
+      partitions.push({ label: `${criterion} ${key}${suffix}`, tables: piece });
+    });
+  }
+  return partitions;
+}
+
+module.exports = {
+  computePartitions
+};
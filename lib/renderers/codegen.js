@@ -0,0 +1,315 @@
+/**
+ * lib/renderers/codegen.js
+ * ------------------------
+ * Utilidades compartidas por los generadores de código (typescript,
+ * sequelize, typeorm y prisma): nombres de los tipos y de los campos según
+ * las convenciones elegidas, familia de cada tipo de columna y asociaciones
+ * deducidas de las foreign keys.
+ *
+ * Convenciones de nombres (options.naming):
+ *
+ *   fieldCase  camel (DEPT_ID -> deptId, por defecto), snake (dept_id) o
+ *              preserve (DEPT_ID)
+ *   typeCase   pascal (EMPLOYEES -> Employees, por defecto) o preserve
+ *   singular   nombres de tipo en singular (EMPLOYEES -> Employee)
+ *
+ * codeModel() devuelve una entidad por tabla del modelo del diagrama:
+ *
+ *   { key, table, typeName, fields, associations }
+ *   field:       { column, name, type, nullable, primaryKey, generated, default }
+ *   association: { kind, name, target, relationship, fields, references,
+ *                  inverse, optional }
+ *
+ * type es la familia del tipo de la columna (columnFamily; bigint en las
+ * columnas generadas NUMBER sin escala y en las foreign keys hacia ellas),
+ * generated marca las columnas identity, SERIAL y con DEFAULT
+ * nextval(...) y default es la expresión DEFAULT del resto (null si no hay
+ * o es NULL). kind es belongsTo en la tabla hija y hasMany (o hasOne si la
+ * foreign key es también PK o UNIQUE) en la padre; fields y references son
+ * los campos de la foreign key en la hija y los referenciados en la padre,
+ * e inverse el nombre de la asociación del otro lado.
+ */
+
+const { visibleRelationships } = require('./common');
+
+const FIELD_CASES = ['camel', 'snake', 'preserve'];
+const TYPE_CASES = ['pascal', 'preserve'];
+
+// Palabras de un identificador: separadas por "_", "$", espacios... y, si
+// mezcla mayúsculas y minúsculas, por los cambios de minúscula a mayúscula
+function words(name) {
+  const text = name.replace(/#/g, '_NUM_');
+  const mixed = /[a-z]/.test(text) && /[A-Z]/.test(text);
+  return (mixed ? text.replace(/([a-z0-9])([A-Z])/g, '$1_$2') : text)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+}
+
+// Singular de una palabra en inglés: EMPLOYEES -> EMPLOYEE, CATEGORIES -> CATEGORY
+function singularWord(word) {
+  const lower = word.toLowerCase();
+  let result = word;
+  if (/[^aeiou]ies$/.test(lower)) result = `${word.slice(0, -3)}${word === word.toUpperCase() ? 'Y' : 'y'}`;
+  else if (/(ss|us|is)$/.test(lower)) result = word;
+  else if (/(x|ch|sh|ss)es$/.test(lower)) result = word.slice(0, -2);
+  else if (/s$/.test(lower)) result = word.slice(0, -1);
+  return result;
+}
+
+// Identificador válido en JavaScript y TypeScript
+function validIdentifier(name) {
+  const safe = name.replace(/[^A-Za-z0-9_$]/g, '_');
+  return /^[0-9]/.test(safe) || safe === '' ? `_${safe}` : safe;
+}
+
+function fieldName(name, fieldCase) {
+  const parts = words(name);
+  if (fieldCase === 'preserve' || parts.length === 0) return validIdentifier(name);
+  if (fieldCase === 'snake') return validIdentifier(parts.map(part => part.toLowerCase()).join('_'));
+  return validIdentifier(parts.map((part, i) => (i === 0 ? part.toLowerCase() : capitalize(part))).join(''));
+}
+
+function typeName(name, naming) {
+  const parts = words(name);
+  if (naming.singular && parts.length > 0) parts[parts.length - 1] = singularWord(parts[parts.length - 1]);
+  if (naming.typeCase === 'preserve' || parts.length === 0) {
+    return validIdentifier(naming.singular && parts.length > 0 ? name.replace(/[^_$#\s]+$/, parts[parts.length - 1]) : name);
+  }
+  return validIdentifier(parts.map(capitalize).join(''));
+}
+
+// Convenciones de nombres con sus valores por defecto. Lanza un Error si
+// alguna no es válida.
+function namingOptions(naming = {}) {
+  const result = {
+    fieldCase: naming.fieldCase || 'camel',
+    typeCase: naming.typeCase || 'pascal',
+    singular: Boolean(naming.singular)
+  };
+  if (!FIELD_CASES.includes(result.fieldCase)) throw new Error(`Convención de nombres de campo no válida: ${result.fieldCase}`);
+  if (!TYPE_CASES.includes(result.typeCase)) throw new Error(`Convención de nombres de tipo no válida: ${result.typeCase}`);
+  return result;
+}
+
+// Familia de un tipo para la generación de código, con su longitud,
+// precisión y escala:
+//
+//   integer  NUMBER(p<=9), INTEGER, SMALLINT, INT      bigint   NUMBER(10..18), BIGINT
+//   decimal  NUMBER(p,s>0), NUMBER(p>18), DECIMAL      number   NUMBER sin precisión
+//   float    FLOAT, BINARY_DOUBLE, REAL, DOUBLE        string   VARCHAR2, CHAR, NVARCHAR2...
+//   text     CLOB, NCLOB, LONG, TEXT                   date     DATE, TIMESTAMP, DATETIME
+//   binary   BLOB, RAW, BYTEA                          boolean  BOOLEAN
+//   json     JSON                                      unknown  el resto (XMLTYPE, SDO_GEOMETRY...)
+function columnFamily(column) {
+  const type = column.type;
+  if (!type) {
+    const bySimple = { STRING: 'string', NUMBER: 'number', DATE: 'date', LOB: 'text' };
+    return { family: bySimple[column.simpleType] || 'unknown', name: null, length: null, precision: null, scale: null, unsigned: false };
+  }
+  const unsigned = /\bUNSIGNED\b/.test(type.name);
+  const name = type.name.replace(/\b(UNSIGNED|SIGNED|ZEROFILL)\b/g, '').replace(/\s+/g, ' ').trim();
+  const result = { family: 'unknown', name, length: type.length, precision: type.precision, scale: type.scale, unsigned };
+
+  if (/^(BOOLEAN|BOOL)$/.test(name)) {
+    result.family = 'boolean';
+  } else if (/^JSONB?$/.test(name)) {
+    result.family = 'json';
+  } else if (/^(N?CLOB|LONG|(TINY|MEDIUM|LONG)?TEXT|CITEXT)$/.test(name)) {
+    result.family = 'text';
+  } else if (/^(BLOB|BFILE|LONG RAW|RAW|BYTEA|(TINY|MEDIUM|LONG)BLOB|(VAR)?BINARY)$/.test(name)) {
+    result.family = 'binary';
+  } else if (/^(DATE|DATETIME|TIMESTAMP.*|TIME( WITH(OUT)? TIME ZONE)?|YEAR)$/.test(name)) {
+    result.family = 'date';
+  } else if (/^(SMALLINT|INT|INTEGER|TINYINT|MEDIUMINT|INT[24]|SMALLSERIAL|SERIAL4?)$/.test(name)) {
+    result.family = 'integer';
+  } else if (/^(BIGINT|INT8|BIGSERIAL|SERIAL8)$/.test(name)) {
+    result.family = 'bigint';
+  } else if (/^(NUMBER|NUMERIC|DECIMAL|DEC)$/.test(name)) {
+    const scale = type.scale || 0;
+    if (type.precision === null) result.family = name === 'NUMBER' && type.scale === null ? 'number' : 'decimal';
+    else if (scale > 0 || type.precision > 18) result.family = 'decimal';
+    else result.family = type.precision <= 9 ? 'integer' : 'bigint';
+  } else if (/^(FLOAT[48]?|REAL|DOUBLE( PRECISION)?|BINARY_(FLOAT|DOUBLE)|MONEY)$/.test(name)) {
+    result.family = 'float';
+  } else if (/CHAR|^(STRING|ENUM|SET|UUID|U?ROWID)$|^INTERVAL/.test(name)) {
+    result.family = 'string';
+  }
+  return result;
+}
+
+// Tipo TypeScript de cada familia. BIGINT y DECIMAL son string, como los
+// devuelven Sequelize y TypeORM para no perder precisión; NUMBER(10..15)
+// cabe en un number.
+const TS_TYPES = {
+  integer: 'number',
+  bigint: 'string',
+  decimal: 'string',
+  number: 'number',
+  float: 'number',
+  string: 'string',
+  text: 'string',
+  date: 'Date',
+  binary: 'Buffer',
+  boolean: 'boolean',
+  json: 'unknown',
+  unknown: 'unknown'
+};
+
+function tsType(field) {
+  if (field.type.family === 'bigint' && field.type.precision !== null && field.type.precision <= 15) return 'number';
+  return TS_TYPES[field.type.family];
+}
+
+// Nombre que no coincide con ninguno de used: name, name2, name3...
+function uniqueName(name, used) {
+  let candidate = name;
+  for (let n = 2; used.has(candidate); n++) candidate = `${name}${n}`;
+  used.add(candidate);
+  return candidate;
+}
+
+// Entidades del modelo del diagrama para los generadores de código
+function codeModel(model, options = {}) {
+  const naming = namingOptions(options.naming);
+  const entities = new Map();
+  const usedTypes = new Set();
+
+  for (const [key, table] of model.tables) {
+    // Tablas con el mismo nombre en varios esquemas: el tipo lleva el esquema
+    let name = typeName(table.name, naming);
+    if (usedTypes.has(name) && table.schema) name = typeName(`${table.schema}_${table.name}`, naming);
+    name = uniqueName(name, usedTypes);
+
+    const usedFields = new Set();
+    const fields = table.columns.map(column => {
+      const expression = column.default === null || column.default === undefined ? '' : column.default.trim();
+      const generated = Boolean(column.identity) || /SERIAL/.test(column.type ? column.type.name : '') || /^nextval\s*\(/i.test(expression);
+      return {
+        column,
+        name: uniqueName(fieldName(column.name, naming.fieldCase), usedFields),
+        type: columnFamily(column),
+        nullable: !column.isNotNull && !column.isPrimaryKey,
+        primaryKey: column.isPrimaryKey,
+        generated,
+        default: generated || expression === '' || /^NULL$/i.test(expression) ? null : expression
+      };
+    });
+    entities.set(key, { key, table, typeName: name, fields, associations: [], usedNames: usedFields });
+  }
+
+  const fieldOf = (entity, columnName) => entity.fields.find(field => field.column.name === columnName);
+  const relationships = visibleRelationships(model).filter(rel => rel.toColumns.length > 0);
+  // Las columnas generadas de tipo NUMBER sin escala (el tipo por defecto
+  // de las identity de Oracle) son bigint, como en la traducción a otros
+  // motores (Prisma sólo admite autoincrement() en Int y BigInt), y también
+  // las foreign keys que las referencian, que deben tener el mismo tipo
+  const unscaled = field => ['number', 'decimal'].includes(field.type.family) && !field.type.scale;
+  const asBigint = field => {
+    field.type = Object.assign({}, field.type, { family: 'bigint' });
+  };
+  for (const entity of entities.values()) {
+    entity.fields.filter(field => field.generated && unscaled(field)).forEach(asBigint);
+  }
+  let widened = true;
+  while (widened) {
+    widened = false;
+    for (const rel of relationships) {
+      rel.fromColumns.forEach((name, i) => {
+        const field = fieldOf(entities.get(rel.from), name);
+        const referenced = fieldOf(entities.get(rel.to), rel.toColumns[i]);
+        if (field && referenced && referenced.type.family === 'bigint' && unscaled(field)) {
+          asBigint(field);
+          widened = true;
+        }
+      });
+    }
+  }
+
+  // Foreign keys de una misma tabla hija hacia una misma padre
+  const siblings = rel => relationships.filter(other => other.from === rel.from && other.to === rel.to).length;
+
+  for (const rel of relationships) {
+    const child = entities.get(rel.from);
+    const parent = entities.get(rel.to);
+    const fields = rel.fromColumns.map(name => fieldOf(child, name));
+    const references = rel.toColumns.map(name => fieldOf(parent, name));
+    if (fields.includes(undefined) || references.includes(undefined)) continue;
+
+    // belongsTo: la columna sin el sufijo _ID (DEPT_ID -> dept) o el tipo
+    // padre, con la columna si hay varias foreign keys hacia la misma tabla
+    // (employeeByCreatedBy)
+    const single = rel.fromColumns.length === 1 ? rel.fromColumns[0] : '';
+    const column = single.replace(/_?ID$/i, '');
+    let parentName = column && column !== single ? column : parent.typeName;
+    if (parentName === parent.typeName && single && siblings(rel) > 1) parentName = `${parent.typeName}_by_${single}`;
+    const belongsTo = uniqueName(fieldName(parentName, naming.fieldCase), child.usedNames);
+
+    // hasMany: el nombre de la tabla hija (employees); hasOne: el tipo hijo.
+    // Con varias foreign keys hacia la misma tabla se añade la de la hija:
+    // employeesByManager.
+    let childName = fieldName(rel.unique ? child.typeName : child.table.name, naming.fieldCase);
+    if (siblings(rel) > 1 || rel.from === rel.to) {
+      childName = fieldName(`${rel.unique ? child.typeName : child.table.name}_by_${column || single || belongsTo}`, naming.fieldCase);
+    }
+    const inverse = uniqueName(childName, parent.usedNames);
+
+    child.associations.push({
+      kind: 'belongsTo', name: belongsTo, target: parent, relationship: rel, fields, references, inverse, optional: rel.optional
+    });
+    parent.associations.push({
+      kind: rel.unique ? 'hasOne' : 'hasMany', name: inverse, target: child, relationship: rel, fields, references, inverse: belongsTo, optional: true
+    });
+  }
+
+  for (const entity of entities.values()) delete entity.usedNames;
+  return Array.from(entities.values());
+}
+
+// Comentario de la entidad: el de la tabla y su nombre cualificado
+function entityDescription(entity) {
+  const qualified = entity.table.schema ? `${entity.table.schema}.${entity.table.name}` : entity.table.name;
+  return entity.table.comment ? `${entity.table.comment} (${qualified})` : qualified;
+}
+
+// Valor JavaScript de un DEFAULT literal (número o cadena), o undefined si
+// es una expresión
+function literalDefault(value) {
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  if (/^'([^']|'')*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  return undefined;
+}
+
+// DEFAULT que es la fecha actual
+function isCurrentTimestamp(value) {
+  return /^(SYSDATE|SYSTIMESTAMP|CURRENT_TIMESTAMP|CURRENT_DATE|LOCALTIMESTAMP|NOW\(\))(\(\d*\))?$/i.test(value);
+}
+
+// Cadena entre comillas simples de JavaScript
+function jsString(text) {
+  return `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\r?\n/g, '\\n')}'`;
+}
+
+// Comentario JSDoc de una línea
+function docComment(text, indent = '') {
+  return `${indent}/** ${text.replace(/\*\//g, '* /').replace(/\s*\n\s*/g, ' ')} */\n`;
+}
+
+module.exports = {
+  FIELD_CASES,
+  TYPE_CASES,
+  namingOptions,
+  fieldName,
+  typeName,
+  columnFamily,
+  tsType,
+  codeModel,
+  entityDescription,
+  literalDefault,
+  isCurrentTimestamp,
+  jsString,
+  docComment
+};
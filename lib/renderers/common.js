@@ -0,0 +1,63 @@
+/**
+ * lib/renderers/common.js
+ * -----------------------
+ * Utilidades compartidas por los renderizadores de diagramas.
+ *
+ * Todos reciben el modelo del diagrama de lib/der_model.js:
+ *   tables:        Map ESQUEMA.TABLA -> { schema, name, columns, constraints,
+ *                                         indexes, comment }
+ *   relationships: [{ name, from, to, fromColumns, toColumns, onDelete,
+ *                     optional, unique }]
+ * donde from es la tabla hija (la que declara la foreign key) y to la padre.
+ */
+
+// Texto de la etiqueta de una relación: nombre de la constraint o columnas
+function relationshipLabel(rel) {
+  return rel.name || rel.fromColumns.join(', ');
+}
+
+// Relaciones cuyas dos tablas están en el modelo
+function visibleRelationships(model) {
+  return model.relationships.filter(rel => model.tables.has(rel.from) && model.tables.has(rel.to));
+}
+
+// Agrupa las tablas por esquema, conservando el orden del modelo:
+// [[esquema, [[clave, tabla], ...]], ...]
+function groupBySchema(tables) {
+  const groups = new Map();
+  for (const [tableName, tableInfo] of tables) {
+    if (!groups.has(tableInfo.schema)) groups.set(tableInfo.schema, []);
+    groups.get(tableInfo.schema).push([tableName, tableInfo]);
+  }
+  return Array.from(groups.entries());
+}
+
+// Tipo de una columna: el declarado o, si no lo hay (columnas virtuales
+// sin tipo), la familia simplificada
+function columnType(column) {
+  return column.dataType || column.simpleType;
+}
+
+// Marcadores de clave de una columna (PK, FK, UK)
+function columnKeys(column) {
+  const keys = [];
+  if (column.isPrimaryKey) keys.push('PK');
+  if (column.isForeignKey) keys.push('FK');
+  if (column.isUnique) keys.push('UK');
+  return keys;
+}
+
+// Identificador seguro (letras, dígitos y "_") para los formatos que no
+// admiten nombres arbitrarios
+function safeId(name) {
+  return name.replace(/#/g, '_NUM').replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+module.exports = {
+  relationshipLabel,
+  visibleRelationships,
+  groupBySchema,
+  columnType,
+  columnKeys,
+  safeId
+};
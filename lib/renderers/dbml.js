@@ -0,0 +1,125 @@
+/**
+ * lib/renderers/dbml.js
+ * ---------------------
+ * Esquema en DBML (dbdiagram.io). Incluye tipos, nulabilidad, valores por
+ * defecto, claves primarias y únicas (también compuestas) y una referencia
+ * por foreign key con su cardinalidad y su regla ON DELETE. Los COMMENT ON
+ * TABLE/COLUMN se escriben como notas de la tabla y de la columna.
+ */
+
+const { visibleRelationships } = require('./common');
+
+// Identificador entre comillas dobles de DBML
+function quote(name) {
+  return `"${String(name).replace(/"/g, '\\"')}"`;
+}
+
+function tableRef(schema, name) {
+  return schema ? `${quote(schema)}.${quote(name)}` : quote(name);
+}
+
+function columnList(columns) {
+  return columns.length === 1 ? quote(columns[0]) : `(${columns.map(quote).join(', ')})`;
+}
+
+// Cadena DBML entre comillas simples
+function noteString(text) {
+  return `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\s*\n\s*/g, ' ')}'`;
+}
+
+// DBML admite tipos como varchar(255) o decimal(10,2) sin comillas
+function dbmlType(column) {
+  const type = column.dataType || column.simpleType;
+  return /^[A-Za-z0-9_]+(\(\s*[0-9*]+(\s*,\s*-?[0-9]+)?\s*\))?$/.test(type)
+    ? type.replace(/\s+/g, '')
+    : quote(type);
+}
+
+// Los literales numéricos y de texto se conservan; el resto son expresiones
+function dbmlDefault(value) {
+  if (/^-?\d+(\.\d+)?$/.test(value)) return value;
+  if (/^'([^']|'')*'$/.test(value)) return `'${value.slice(1, -1).replace(/''/g, "\\'")}'`;
+  return `\`${value.replace(/`/g, "'")}\``;
+}
+
+function columnSettings(column, singlePrimaryKey, singleUnique) {
+  const settings = [];
+  if (column.isPrimaryKey && singlePrimaryKey) settings.push('pk');
+  if (column.isNotNull) settings.push('not null');
+  if (singleUnique.has(column.name)) settings.push('unique');
+  if (column.default !== null && column.default !== undefined) {
+    settings.push(`default: ${dbmlDefault(column.default)}`);
+  }
+  if (column.identity) settings.push('increment');
+  const notes = [];
+  if (column.comment) notes.push(column.comment);
+  if (column.virtual) notes.push(`virtual: ${column.virtual.expression}`);
+  if (notes.length > 0) settings.push(`note: ${noteString(notes.join(' - '))}`);
+  return settings.length > 0 ? ` [${settings.join(', ')}]` : '';
+}
+
+function tableBlock(tableInfo) {
+  const primaryKey = tableInfo.constraints.find(constraint => constraint.type === 'PK');
+  const uniqueKeys = tableInfo.constraints.filter(constraint => constraint.type === 'UK');
+  const singlePrimaryKey = !primaryKey || primaryKey.columns.length === 1;
+  const singleUnique = new Set(uniqueKeys
+    .filter(constraint => constraint.columns.length === 1)
+    .map(constraint => constraint.columns[0]));
+
+  let content = `Table ${tableRef(tableInfo.schema, tableInfo.name)} {\n`;
+  for (const column of tableInfo.columns) {
+    content += `  ${quote(column.name)} ${dbmlType(column)}${columnSettings(column, singlePrimaryKey, singleUnique)}\n`;
+  }
+
+  // Claves compuestas
+  const indexes = [];
+  if (primaryKey && !singlePrimaryKey) {
+    indexes.push(`    ${columnList(primaryKey.columns)} [pk]`);
+  }
+  for (const constraint of uniqueKeys) {
+    if (constraint.columns.length > 1) {
+      const name = constraint.name ? `, name: '${constraint.name}'` : '';
+      indexes.push(`    ${columnList(constraint.columns)} [unique${name}]`);
+    }
+  }
+  if (indexes.length > 0) {
+    content += `\n  indexes {\n${indexes.join('\n')}\n  }\n`;
+  }
+  if (tableInfo.comment) {
+    content += `\n  Note: ${noteString(tableInfo.comment)}\n`;
+  }
+
+  content += '}\n\n';
+  return content;
+}
+
+function refLine(model, rel) {
+  const child = model.tables.get(rel.from);
+  const parent = model.tables.get(rel.to);
+  const name = rel.name ? ` ${quote(rel.name)}` : '';
+  const cardinality = rel.unique ? '-' : '>';
+  const settings = rel.onDelete ? ` [delete: ${rel.onDelete.toLowerCase()}]` : '';
+  return `Ref${name}: ${tableRef(child.schema, child.name)}.${columnList(rel.fromColumns)} ${cardinality} ` +
+    `${tableRef(parent.schema, parent.name)}.${columnList(rel.toColumns)}${settings}\n`;
+}
+
+function render(model, options = {}) {
+  let content = '';
+  if (options.title) content += `// ${options.title}\n\n`;
+
+  for (const tableInfo of model.tables.values()) {
+    content += tableBlock(tableInfo);
+  }
+
+  for (const rel of visibleRelationships(model)) {
+    // Sin columnas referenciadas (tabla padre sin PK) no hay referencia válida
+    if (rel.toColumns.length > 0) content += refLine(model, rel);
+  }
+
+  return content;
+}
+
+module.exports = {
+  extension: '.dbml',
+  render
+};
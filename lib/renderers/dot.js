@@ -0,0 +1,86 @@
+/**
+ * lib/renderers/dot.js
+ * --------------------
+ * Diagrama en Graphviz DOT. Cada tabla es un nodo con una tabla HTML (una
+ * fila por columna) y cada relación una arista entre las columnas de la
+ * foreign key y las referenciadas, con la cardinalidad en los extremos
+ * (pata de gallo). Con varios esquemas, cada uno es un cluster. Graphviz
+ * maneja bien grafos de miles de tablas.
+ */
+
+const {
+  relationshipLabel, visibleRelationships, groupBySchema, columnType, columnKeys
+} = require('./common');
+
+// Identificador entre comillas de DOT
+function quote(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Texto dentro de una etiqueta HTML de Graphviz
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function tableNode(tableName, tableInfo, indent) {
+  let label = '<table border="0" cellborder="1" cellspacing="0" cellpadding="4">';
+  label += `<tr><td bgcolor="lightgrey" colspan="2"><b>${escapeHtml(tableName)}</b></td></tr>`;
+  for (const column of tableInfo.columns) {
+    const keys = columnKeys(column);
+    const name = column.isPrimaryKey ? `<u>${escapeHtml(column.name)}</u>` : escapeHtml(column.name);
+    const nullability = column.isNotNull ? ' NOT NULL' : '';
+    label += `<tr><td port="${escapeHtml(column.name)}" align="left">${name}${keys.length > 0 ? ` (${keys.join(', ')})` : ''}</td>`;
+    label += `<td align="left">${escapeHtml(columnType(column) + nullability)}</td></tr>`;
+  }
+  label += '</table>';
+  return `${indent}${quote(tableName)} [label=<${label}>];\n`;
+}
+
+// Extremo de la arista: el primer símbolo es el más cercano a la tabla
+function relationshipEdge(rel) {
+  const childEnd = rel.unique ? 'teeodot' : 'crowodot';
+  const parentEnd = rel.optional ? 'teeodot' : 'teetee';
+  const from = `${quote(rel.from)}:${quote(rel.fromColumns[0])}`;
+  const to = rel.toColumns.length > 0 ? `${quote(rel.to)}:${quote(rel.toColumns[0])}` : quote(rel.to);
+  return `  ${from} -> ${to} [label=${quote(relationshipLabel(rel))}, dir=both, arrowtail=${childEnd}, arrowhead=${parentEnd}];\n`;
+}
+
+function render(model, options = {}) {
+  let content = 'digraph der {\n';
+  content += '  graph [rankdir=LR, fontname="Helvetica", fontsize=12';
+  if (options.title) content += `, label=${quote(options.title)}, labelloc=t`;
+  content += '];\n';
+  content += '  node [shape=plain, fontname="Helvetica", fontsize=10];\n';
+  content += '  edge [fontname="Helvetica", fontsize=9];\n\n';
+
+  const schemas = groupBySchema(model.tables);
+  const useClusters = schemas.length > 1;
+  schemas.forEach(([schema, entries], i) => {
+    const indent = useClusters ? '    ' : '  ';
+    if (useClusters) {
+      content += `  subgraph cluster_${i + 1} {\n`;
+      content += `    label=${quote(schema || '(sin esquema)')};\n`;
+    }
+    for (const [tableName, tableInfo] of entries) {
+      content += tableNode(tableName, tableInfo, indent);
+    }
+    if (useClusters) content += '  }\n';
+    content += '\n';
+  });
+
+  for (const rel of visibleRelationships(model)) {
+    content += relationshipEdge(rel);
+  }
+
+  content += '}\n';
+  return content;
+}
+
+module.exports = {
+  extension: '.dot',
+  render
+};
@@ -0,0 +1,400 @@
+/**
+ * lib/renderers/html.js
+ * ---------------------
+ * Página HTML autocontenida con un diagrama interactivo. No depende de
+ * ninguna biblioteca ni de conexión: el modelo va embebido como JSON y un
+ * script propio dibuja el diagrama en SVG.
+ *
+ * El diagrama admite zoom con la rueda, desplazamiento arrastrando el fondo,
+ * mover tablas arrastrándolas, buscar tablas por nombre y resaltar una tabla
+ * y sus relaciones al pulsarla.
+ */
+
+const { relationshipLabel, visibleRelationships, columnType, columnKeys } = require('./common');
+
+// Texto dentro del HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JSON que se puede incluir en un <script> sin cerrarlo
+function embedJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Modelo reducido a lo que dibuja la página
+function viewModel(model) {
+  return {
+    tables: Array.from(model.tables.entries()).map(([tableName, tableInfo]) => ({
+      id: tableName,
+      schema: tableInfo.schema,
+      columns: tableInfo.columns.map(column => ({
+        name: column.name,
+        type: columnType(column),
+        keys: columnKeys(column).join(', '),
+        notNull: column.isNotNull
+      }))
+    })),
+    relationships: visibleRelationships(model).map(rel => ({
+      from: rel.from,
+      to: rel.to,
+      label: relationshipLabel(rel),
+      optional: rel.optional,
+      unique: rel.unique
+    }))
+  };
+}
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  html, body { margin: 0; height: 100%; font-family: Helvetica, Arial, sans-serif; }
+  body { display: flex; flex-direction: column; }
+  header { display: flex; align-items: center; gap: 12px; padding: 8px 12px; border-bottom: 1px solid #ccc; background: #f6f6f6; }
+  header h1 { font-size: 16px; margin: 0; flex: 1; }
+  header input { padding: 4px 8px; width: 240px; }
+  #diagram { flex: 1; width: 100%; cursor: grab; background: #fff; }
+  #diagram.panning { cursor: grabbing; }
+  .table rect.box { fill: #fff; stroke: #555; }
+  .table rect.head { fill: #dde4ee; stroke: #555; }
+  .table text { font-size: 11px; fill: #222; pointer-events: none; }
+  .table text.title { font-weight: bold; }
+  .table text.key { fill: #8a5a00; }
+  .table { cursor: move; }
+  .edge path { fill: none; stroke: #777; }
+  .edge text { font-size: 9px; fill: #555; }
+  .dimmed { opacity: 0.15; }
+  .selected rect.head { fill: #ffd27f; }
+  .match rect.head { fill: #b8e0b8; }
+`;
+
+// Script de la página (se ejecuta en el navegador)
+const SCRIPT = `
+(function () {
+  var model = JSON.parse(document.getElementById('model').textContent);
+  var svgNS = 'http://www.w3.org/2000/svg';
+  var svg = document.getElementById('diagram');
+  var viewport = document.createElementNS(svgNS, 'g');
+  svg.appendChild(viewport);
+  var edgeLayer = document.createElementNS(svgNS, 'g');
+  var tableLayer = document.createElementNS(svgNS, 'g');
+  viewport.appendChild(edgeLayer);
+  viewport.appendChild(tableLayer);
+
+  var ROW = 16, HEAD = 22, PAD = 8, CHAR = 6.6;
+  var view = { x: 20, y: 20, scale: 1 };
+  var byId = {};
+
+  function el(name, attrs, parent) {
+    var node = document.createElementNS(svgNS, name);
+    for (var key in attrs) node.setAttribute(key, attrs[key]);
+    if (parent) parent.appendChild(node);
+    return node;
+  }
+
+  function text(parent, x, y, value, cls) {
+    var node = el('text', { x: x, y: y }, parent);
+    if (cls) node.setAttribute('class', cls);
+    node.textContent = value;
+    return node;
+  }
+
+  // Tamaño de cada tabla según su texto más largo
+  model.tables.forEach(function (table) {
+    var longest = table.id.length * 1.1;
+    table.columns.forEach(function (column) {
+      var length = column.name.length + column.type.length + column.keys.length + 4;
+      if (length > longest) longest = length;
+    });
+    table.width = Math.max(120, Math.ceil(longest * CHAR) + 2 * PAD);
+    table.height = HEAD + table.columns.length * ROW + 6;
+    table.neighbors = [];
+    byId[table.id] = table;
+  });
+  model.relationships.forEach(function (rel) {
+    byId[rel.from].neighbors.push(rel.to);
+    byId[rel.to].neighbors.push(rel.from);
+  });
+
+  // Posición inicial: recorrido en anchura del grafo, de modo que las
+  // tablas relacionadas quedan cerca, colocado en filas
+  function initialLayout() {
+    var order = [], seen = {};
+    model.tables.forEach(function (start) {
+      if (seen[start.id]) return;
+      var queue = [start];
+      seen[start.id] = true;
+      while (queue.length) {
+        var table = queue.shift();
+        order.push(table);
+        table.neighbors.forEach(function (id) {
+          if (!seen[id]) { seen[id] = true; queue.push(byId[id]); }
+        });
+      }
+    });
+    var perRow = Math.max(1, Math.ceil(Math.sqrt(order.length)));
+    var x = 0, y = 0, rowHeight = 0;
+    order.forEach(function (table, i) {
+      if (i > 0 && i % perRow === 0) { x = 0; y += rowHeight + 60; rowHeight = 0; }
+      table.x = x;
+      table.y = y;
+      x += table.width + 60;
+      rowHeight = Math.max(rowHeight, table.height);
+    });
+  }
+
+  // Ajuste por fuerzas (atracción entre tablas relacionadas y repulsión
+  // entre todas); sólo en diagramas medianos por su coste cuadrático
+  function forceLayout() {
+    var tables = model.tables;
+    if (tables.length < 2 || tables.length > 400) return;
+    for (var iteration = 0; iteration < 200; iteration++) {
+      var step = 20 * (1 - iteration / 200);
+      tables.forEach(function (a) { a.dx = 0; a.dy = 0; });
+      for (var i = 0; i < tables.length; i++) {
+        for (var j = i + 1; j < tables.length; j++) {
+          var a = tables[i], b = tables[j];
+          var dx = (a.x + a.width / 2) - (b.x + b.width / 2);
+          var dy = (a.y + a.height / 2) - (b.y + b.height / 2);
+          var distance = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+          var reach = (a.width + b.width + a.height + b.height) / 2.5;
+          if (distance < reach * 2) {
+            var force = (reach * reach) / (distance * distance);
+            a.dx += dx / distance * force; a.dy += dy / distance * force;
+            b.dx -= dx / distance * force; b.dy -= dy / distance * force;
+          }
+        }
+      }
+      model.relationships.forEach(function (rel) {
+        var a = byId[rel.from], b = byId[rel.to];
+        if (a === b) return;
+        var dx = (b.x + b.width / 2) - (a.x + a.width / 2);
+        var dy = (b.y + b.height / 2) - (a.y + a.height / 2);
+        var distance = Math.max(1, Math.sqrt(dx * dx + dy * dy));
+        var force = distance / 300;
+        a.dx += dx / distance * force; a.dy += dy / distance * force;
+        b.dx -= dx / distance * force; b.dy -= dy / distance * force;
+      });
+      tables.forEach(function (table) {
+        var length = Math.sqrt(table.dx * table.dx + table.dy * table.dy);
+        if (length > 0) {
+          table.x += table.dx / length * Math.min(step, length * 10);
+          table.y += table.dy / length * Math.min(step, length * 10);
+        }
+      });
+    }
+  }
+
+  function drawTable(table) {
+    var group = el('g', { 'class': 'table' }, tableLayer);
+    el('rect', { 'class': 'box', width: table.width, height: table.height, rx: 3 }, group);
+    el('rect', { 'class': 'head', width: table.width, height: HEAD, rx: 3 }, group);
+    text(group, PAD, 15, table.id, 'title');
+    table.columns.forEach(function (column, i) {
+      var y = HEAD + 13 + i * ROW;
+      var label = column.name + (column.keys ? ' (' + column.keys + ')' : '');
+      text(group, PAD, y, label, column.keys ? 'key' : null);
+      var typeText = text(group, table.width - PAD, y, column.type + (column.notNull ? ' *' : ''));
+      typeText.setAttribute('text-anchor', 'end');
+    });
+    table.node = group;
+    group.addEventListener('mousedown', function (event) { startDrag(event, table); });
+  }
+
+  // Punto del borde de la tabla en dirección a (x, y)
+  function borderPoint(table, x, y) {
+    var cx = table.x + table.width / 2, cy = table.y + table.height / 2;
+    var dx = x - cx, dy = y - cy;
+    if (dx === 0 && dy === 0) return { x: cx, y: cy };
+    var scale = Math.min(
+      dx !== 0 ? (table.width / 2) / Math.abs(dx) : Infinity,
+      dy !== 0 ? (table.height / 2) / Math.abs(dy) : Infinity);
+    return { x: cx + dx * scale, y: cy + dy * scale };
+  }
+
+  // Símbolos de cardinalidad en un extremo (pata de gallo, barra, círculo)
+  function endSymbols(point, ux, uy, many, optional) {
+    var px = -uy, py = ux, d = '';
+    var ax = point.x + ux * 10, ay = point.y + uy * 10;
+    if (many) {
+      d += 'M' + (point.x + px * 6) + ' ' + (point.y + py * 6) + 'L' + ax + ' ' + ay;
+      d += 'M' + (point.x - px * 6) + ' ' + (point.y - py * 6) + 'L' + ax + ' ' + ay;
+    } else {
+      d += 'M' + (ax + px * 6) + ' ' + (ay + py * 6) + 'L' + (ax - px * 6) + ' ' + (ay - py * 6);
+    }
+    var bx = point.x + ux * 16, by = point.y + uy * 16;
+    if (optional) {
+      var cx = point.x + ux * 20, cy = point.y + uy * 20;
+      d += 'M' + (cx + 4) + ' ' + cy + 'a4 4 0 1 0 -8 0a4 4 0 1 0 8 0';
+    } else {
+      d += 'M' + (bx + px * 6) + ' ' + (by + py * 6) + 'L' + (bx - px * 6) + ' ' + (by - py * 6);
+    }
+    return d;
+  }
+
+  function drawEdge(rel) {
+    rel.node = el('g', { 'class': 'edge' }, edgeLayer);
+    rel.path = el('path', {}, rel.node);
+    rel.text = text(rel.node, 0, 0, rel.label);
+    rel.text.setAttribute('text-anchor', 'middle');
+    updateEdge(rel);
+  }
+
+  function updateEdge(rel) {
+    var child = byId[rel.from], parent = byId[rel.to], d;
+    if (child === parent) {
+      // Relación de la tabla consigo misma: lazo a la derecha
+      var x = child.x + child.width, y = child.y + 10;
+      d = 'M' + x + ' ' + y + 'c40 0 40 30 0 30';
+      rel.text.setAttribute('x', x + 34);
+      rel.text.setAttribute('y', y + 18);
+    } else {
+      var start = borderPoint(child, parent.x + parent.width / 2, parent.y + parent.height / 2);
+      var end = borderPoint(parent, child.x + child.width / 2, child.y + child.height / 2);
+      var length = Math.max(1, Math.sqrt(Math.pow(end.x - start.x, 2) + Math.pow(end.y - start.y, 2)));
+      var ux = (end.x - start.x) / length, uy = (end.y - start.y) / length;
+      d = 'M' + start.x + ' ' + start.y + 'L' + end.x + ' ' + end.y;
+      // Lado de la hija: cero o muchos (o cero o uno si es única)
+      d += endSymbols(start, ux, uy, !rel.unique, true);
+      // Lado de la padre: exactamente uno (o cero o uno si la FK es anulable)
+      d += endSymbols(end, -ux, -uy, false, rel.optional);
+      rel.text.setAttribute('x', (start.x + end.x) / 2);
+      rel.text.setAttribute('y', (start.y + end.y) / 2 - 3);
+    }
+    rel.path.setAttribute('d', d);
+  }
+
+  function place(table) {
+    table.node.setAttribute('transform', 'translate(' + table.x + ',' + table.y + ')');
+  }
+
+  function applyView() {
+    viewport.setAttribute('transform', 'translate(' + view.x + ',' + view.y + ') scale(' + view.scale + ')');
+  }
+
+  function fit() {
+    var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    model.tables.forEach(function (table) {
+      minX = Math.min(minX, table.x); minY = Math.min(minY, table.y);
+      maxX = Math.max(maxX, table.x + table.width); maxY = Math.max(maxY, table.y + table.height);
+    });
+    if (!isFinite(minX)) return;
+    var box = svg.getBoundingClientRect();
+    view.scale = Math.min(1.5, Math.min(box.width / (maxX - minX + 80), box.height / (maxY - minY + 80)));
+    view.x = (box.width - (maxX - minX) * view.scale) / 2 - minX * view.scale;
+    view.y = (box.height - (maxY - minY) * view.scale) / 2 - minY * view.scale;
+    applyView();
+  }
+
+  // Arrastre de tablas y desplazamiento del diagrama
+  var drag = null;
+  function startDrag(event, table) {
+    event.stopPropagation();
+    drag = { table: table, x: event.clientX, y: event.clientY, moved: false };
+  }
+  svg.addEventListener('mousedown', function (event) {
+    drag = { table: null, x: event.clientX, y: event.clientY, moved: false };
+    svg.classList.add('panning');
+  });
+  window.addEventListener('mousemove', function (event) {
+    if (!drag) return;
+    var dx = event.clientX - drag.x, dy = event.clientY - drag.y;
+    if (Math.abs(dx) + Math.abs(dy) > 2) drag.moved = true;
+    drag.x = event.clientX; drag.y = event.clientY;
+    if (drag.table) {
+      drag.table.x += dx / view.scale;
+      drag.table.y += dy / view.scale;
+      place(drag.table);
+      model.relationships.forEach(function (rel) {
+        if (rel.from === drag.table.id || rel.to === drag.table.id) updateEdge(rel);
+      });
+    } else {
+      view.x += dx; view.y += dy;
+      applyView();
+    }
+  });
+  window.addEventListener('mouseup', function () {
+    if (drag && !drag.moved) select(drag.table);
+    drag = null;
+    svg.classList.remove('panning');
+  });
+  svg.addEventListener('wheel', function (event) {
+    event.preventDefault();
+    var box = svg.getBoundingClientRect();
+    var mx = event.clientX - box.left, my = event.clientY - box.top;
+    var factor = event.deltaY < 0 ? 1.1 : 1 / 1.1;
+    view.x = mx - (mx - view.x) * factor;
+    view.y = my - (my - view.y) * factor;
+    view.scale *= factor;
+    applyView();
+  }, { passive: false });
+
+  // Resalta una tabla y sus relaciones; sin tabla, quita el resaltado
+  function select(table) {
+    model.tables.forEach(function (other) {
+      var related = !table || other === table || table.neighbors.indexOf(other.id) !== -1;
+      other.node.classList.toggle('dimmed', !related);
+      other.node.classList.toggle('selected', other === table);
+    });
+    model.relationships.forEach(function (rel) {
+      var related = !table || rel.from === table.id || rel.to === table.id;
+      rel.node.classList.toggle('dimmed', !related);
+    });
+  }
+
+  document.getElementById('search').addEventListener('input', function (event) {
+    var query = event.target.value.trim().toUpperCase();
+    var first = null;
+    model.tables.forEach(function (table) {
+      var match = query !== '' && table.id.toUpperCase().indexOf(query) !== -1;
+      table.node.classList.toggle('match', match);
+      if (match && !first) first = table;
+    });
+    if (first) {
+      var box = svg.getBoundingClientRect();
+      view.x = box.width / 2 - (first.x + first.width / 2) * view.scale;
+      view.y = box.height / 2 - (first.y + first.height / 2) * view.scale;
+      applyView();
+    }
+  });
+  document.getElementById('fit').addEventListener('click', fit);
+
+  initialLayout();
+  forceLayout();
+  model.tables.forEach(function (table) { drawTable(table); place(table); });
+  model.relationships.forEach(drawEdge);
+  fit();
+})();
+`;
+
+function render(model, options = {}) {
+  const title = options.title || 'Diagrama de Entidad-Relación';
+  const data = viewModel(model);
+
+  let content = '<!DOCTYPE html>\n';
+  content += '<html lang="es">\n<head>\n<meta charset="utf-8">\n';
+  content += `<title>${escapeHtml(title)}</title>\n`;
+  content += `<style>${STYLE}</style>\n`;
+  content += '</head>\n<body>\n';
+  content += '<header>\n';
+  content += `  <h1>${escapeHtml(title)} (${data.tables.length} tablas, ${data.relationships.length} relaciones)</h1>\n`;
+  content += '  <input id="search" type="search" placeholder="Buscar tabla...">\n';
+  content += '  <button id="fit" type="button">Ajustar</button>\n';
+  content += '</header>\n';
+  content += '<svg id="diagram" xmlns="http://www.w3.org/2000/svg"></svg>\n';
+  content += `<script type="application/json" id="model">${embedJson(data)}</script>\n`;
+  content += `<script>${SCRIPT}</script>\n`;
+  content += '</body>\n</html>\n';
+  return content;
+}
+
+module.exports = {
+  extension: '.html',
+  render
+};
@@ -0,0 +1,37 @@
+/**
+ * lib/renderers/index.js
+ * ----------------------
+ * Registro de los formatos de diagrama de generate_der.js (--format).
+ *
+ * Cada renderizador exporta { extension, render(model, options) }: recibe
+ * el modelo { tables, relationships } de lib/der_model.js y devuelve el
+ * contenido del archivo. options.title es el título del diagrama y
+ * options.source el volcado de origen. Los generadores de código
+ * (typescript, sequelize, typeorm y prisma) reciben además options.naming
+ * y options.dialect (ver codegen.js) y exportan baseName, el nombre por
+ * defecto del archivo de salida (database_der si no lo tienen). Para
+ * añadir un formato basta con registrarlo aquí.
+ */
+
+const RENDERERS = {
+  markdown: require('./markdown'),
+  plantuml: require('./plantuml'),
+  dot: require('./dot'),
+  dbml: require('./dbml'),
+  html: require('./html'),
+  json: require('./json'),
+  typescript: require('./typescript'),
+  sequelize: require('./sequelize'),
+  typeorm: require('./typeorm'),
+  prisma: require('./prisma')
+};
+
+// Renderizador de un formato, o undefined si no existe
+function getRenderer(format) {
+  return Object.prototype.hasOwnProperty.call(RENDERERS, format) ? RENDERERS[format] : undefined;
+}
+
+module.exports = {
+  FORMATS: Object.keys(RENDERERS),
+  getRenderer
+};
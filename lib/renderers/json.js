@@ -0,0 +1,122 @@
+/**
+ * lib/renderers/json.js
+ * ---------------------
+ * Modelo del esquema en JSON para otras herramientas (generadores de
+ * código, validaciones): tablas con sus columnas, constraints e índices, y
+ * las relaciones entre tablas.
+ *
+ * El formato está descrito por el JSON Schema de
+ * schemas/schema-model.v1.json. formatVersion sigue versionado semántico:
+ * las versiones menores sólo añaden propiedades; un cambio incompatible
+ * cambia la versión mayor y el archivo del esquema.
+ *
+ * schemaHash() resume este documento en un hash SHA-256, que los diagramas
+ * del modo determinista de generate_der.js muestran en su cabecera.
+ */
+
+const crypto = require('crypto');
+
+const FORMAT_VERSION = '1.1';
+const SCHEMA_ID = 'urn:sql-create-extractor:schema-model:v1';
+
+function jsonColumn(column) {
+  return {
+    name: column.name,
+    dataType: column.dataType,
+    type: column.type,
+    family: column.simpleType,
+    nullable: !column.isNotNull && !column.isPrimaryKey,
+    default: column.default,
+    defaultOnNull: column.defaultOnNull,
+    identity: column.identity,
+    virtual: column.virtual,
+    invisible: column.invisible,
+    primaryKey: column.isPrimaryKey,
+    foreignKey: column.isForeignKey,
+    unique: column.isUnique,
+    comment: column.comment
+  };
+}
+
+function jsonConstraint(constraint) {
+  const result = {
+    name: constraint.name,
+    type: constraint.type,
+    columns: constraint.columns,
+    enabled: constraint.enabled,
+    validated: constraint.validated,
+    deferrable: constraint.deferrable,
+    initiallyDeferred: constraint.initiallyDeferred,
+    rely: constraint.rely
+  };
+  if (constraint.type === 'FK') {
+    result.references = {
+      schema: constraint.refSchema,
+      table: constraint.refTable,
+      columns: constraint.refColumns,
+      onDelete: constraint.onDelete
+    };
+  }
+  if (constraint.type === 'CHECK') result.condition = constraint.condition;
+  return result;
+}
+
+function jsonIndex(index) {
+  return {
+    schema: index.schema,
+    name: index.name,
+    columns: index.columns,
+    unique: index.unique,
+    bitmap: index.bitmap,
+    functionBased: index.functionBased,
+    tablespace: index.tablespace,
+    partitioned: index.partitioned,
+    compression: index.compression
+  };
+}
+
+function render(model, options = {}) {
+  const document = {
+    $schema: SCHEMA_ID,
+    formatVersion: FORMAT_VERSION,
+    source: options.source || null,
+    tables: Array.from(model.tables.entries()).map(([tableName, tableInfo]) => ({
+      id: tableName,
+      schema: tableInfo.schema,
+      name: tableInfo.name,
+      comment: tableInfo.comment,
+      columns: tableInfo.columns.map(jsonColumn),
+      // Las foreign keys sin tabla de destino no se pueden describir
+      constraints: tableInfo.constraints
+        .filter(constraint => constraint.type !== 'FK' || constraint.refTable)
+        .map(jsonConstraint),
+      indexes: tableInfo.indexes.map(jsonIndex),
+      physical: tableInfo.physical
+    })),
+    relationships: model.relationships.map(rel => ({
+      name: rel.name,
+      from: rel.from,
+      to: rel.to,
+      fromColumns: rel.fromColumns,
+      toColumns: rel.toColumns,
+      onDelete: rel.onDelete,
+      optional: rel.optional,
+      unique: rel.unique
+    }))
+  };
+  return JSON.stringify(document, null, 2) + '\n';
+}
+
+// Hash SHA-256 del modelo en este formato, sin el volcado de origen: sólo
+// cambia cuando cambia el esquema (o su orden, ver der_model.sortModel)
+function schemaHash(model) {
+  return crypto.createHash('sha256').update(render(model)).digest('hex');
+}
+
+module.exports = {
+  extension: '.json',
+  FORMAT_VERSION,
+  SCHEMA_ID,
+  render,
+  schemaHash
+};
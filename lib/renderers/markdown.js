@@ -0,0 +1,576 @@
+/**
+ * lib/renderers/markdown.js
+ * -------------------------
+ * DER en Markdown con un diagrama Mermaid y tablas de columnas, constraints,
+ * índices, diseño físico y relaciones (formato por defecto de
+ * generate_der.js).
+ *
+ * render() genera un único archivo. renderPartitioned() divide los esquemas
+ * grandes en un índice, con un resumen del diseño físico, y un archivo por
+ * partición (ver lib/partitions.js); las tablas de otra partición
+ * relacionadas con una se muestran en su diagrama como entidades resumidas.
+ *
+ * Opciones:
+ *   mermaidTypes  "full" (tipo declarado, por defecto) o "simple" (familia)
+ *   source        archivo de origen mostrado en la cabecera
+ *   focus, depth  tablas raíz y profundidad del modo foco, si se usó
+ *   baseName      nombre base de los archivos de las particiones
+ *   by, size      criterio y tamaño máximo de las particiones
+ *   locale        formato regional de la fecha de generación (es-ES por defecto)
+ *   timestamp     fecha de generación (por defecto, la actual); null la omite
+ *   hash          hash del esquema que se muestra en la cabecera, si se indica
+ */
+
+const { tableKey } = require('../ddl_parser');
+const { listSchemas } = require('../der_model');
+const { computePartitions } = require('../partitions');
+const { columnKeys } = require('./common');
+
+// Longitud máxima de las descripciones de columna en los bloques Mermaid
+const MERMAID_COMMENT_LENGTH = 80;
+
+// Función para limpiar nombres de tabla/columna
+function cleanName(name) {
+  return name.replace(/["`\[\]]/g, '')
+             .replace(/\./g, '_')
+             .replace(/#/g, '_NUM')
+             .replace(/[^a-zA-Z0-9_]/g, '_')
+             .trim();
+}
+
+// Tipo mostrado en los bloques Mermaid: el declarado (adaptado a la sintaxis
+// de Mermaid, que no admite espacios ni comas) o la familia simplificada
+function mermaidColumnType(column, mermaidTypes) {
+  if (mermaidTypes === 'simple' || !column.dataType) return column.simpleType;
+  return column.dataType
+    .replace(/"/g, '')
+    // NUMBER(*,s) equivale a la precisión máxima de Oracle
+    .replace(/\(\s*\*/g, '(38')
+    .replace(/\s*,\s*/g, '-')
+    .replace(/\s+/g, '_')
+    .replace(/[^A-Za-z0-9_\-()]/g, '_');
+}
+
+// Escapa el texto de una celda de tabla Markdown
+function markdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+// Línea Mermaid de una relación, dibujada del hijo (tabla con la FK) al
+// padre. El lado del padre es "||" (exactamente uno) o "o|" (cero o uno) si
+// la FK admite nulos; el del hijo es "}o" (cero o muchos) o "|o" (cero o
+// uno) si la FK es única.
+function relationshipLine(rel) {
+  const childSide = rel.unique ? '|o' : '}o';
+  const parentSide = rel.optional ? 'o|' : '||';
+  const label = rel.name || rel.fromColumns.join(', ');
+  return `    ${cleanName(rel.from)} ${childSide}--${parentSide} ${cleanName(rel.to)} : "${label.replace(/"/g, "'")}"\n`;
+}
+
+// Características de una columna para la tabla Markdown
+function columnCharacteristics(column) {
+  const characteristics = columnKeys(column);
+  if (column.isNotNull) characteristics.push('NOT NULL');
+  if (column.defaultOnNull) characteristics.push('DEFAULT ON NULL');
+  if (column.identity) {
+    const options = column.identity.options ? ` (${column.identity.options})` : '';
+    characteristics.push(`IDENTITY ${column.identity.generation}${options}`);
+  }
+  if (column.virtual) characteristics.push(`VIRTUAL AS (${column.virtual.expression})`);
+  if (column.invisible) characteristics.push('INVISIBLE');
+  return characteristics;
+}
+
+// Tabla Markdown con la definición completa de las columnas. La columna
+// Descripción (COMMENT ON COLUMN) sólo aparece si alguna está documentada.
+function generateColumnsTable(columns) {
+  const documented = columns.some(column => column.comment);
+  let content = `| Columna | Tipo | Default | Características |${documented ? ' Descripción |' : ''}\n`;
+  content += `|---------|------|---------|----------------|${documented ? '-------------|' : ''}\n`;
+  for (const column of columns) {
+    const dataType = column.dataType || (column.virtual ? '(virtual)' : '');
+    const defaultValue = column.default !== null ? `\`${markdownCell(column.default)}\`` : '';
+    const description = documented ? ` ${markdownCell(column.comment || '')} |` : '';
+    content += `| ${markdownCell(column.name)} | ${markdownCell(dataType)} | ${defaultValue} | ${markdownCell(columnCharacteristics(column).join(', '))} |${description}\n`;
+  }
+  return content;
+}
+
+// Descripción de una tabla (COMMENT ON TABLE) como párrafo Markdown
+function tableDescription(tableInfo) {
+  return tableInfo.comment ? `${tableInfo.comment.trim()}\n\n` : '';
+}
+
+// Estado de una constraint, omitiendo los valores por defecto de Oracle
+function constraintState(constraint) {
+  const state = [];
+  if (!constraint.enabled) state.push('DISABLE');
+  if (constraint.enabled !== constraint.validated) state.push(constraint.validated ? 'VALIDATE' : 'NOVALIDATE');
+  if (constraint.deferrable) {
+    state.push(`DEFERRABLE INITIALLY ${constraint.initiallyDeferred ? 'DEFERRED' : 'IMMEDIATE'}`);
+  }
+  if (constraint.rely) state.push('RELY');
+  if (constraint.usingIndex) state.push(`USING INDEX ${constraint.usingIndex}`);
+  return state.join(' ');
+}
+
+// Tabla Markdown con todas las constraints de una tabla
+function generateConstraintsTable(constraints) {
+  let content = `| Constraint | Tipo | Columna(s) | Detalle | Estado |\n`;
+  content += `|------------|------|------------|---------|--------|\n`;
+  for (const constraint of constraints) {
+    let detail = '';
+    if (constraint.type === 'FK') {
+      detail = `→ ${tableKey(constraint.refSchema, constraint.refTable)} (${constraint.refColumns.join(', ')})`;
+      if (constraint.onDelete) detail += ` ON DELETE ${constraint.onDelete}`;
+    } else if (constraint.type === 'CHECK') {
+      detail = `\`${markdownCell(constraint.condition)}\``;
+    }
+    const name = constraint.name || '(sin nombre)';
+    content += `| ${markdownCell(name)} | ${constraint.type} | ${markdownCell(constraint.columns.join(', '))} | ${detail} | ${constraintState(constraint)} |\n`;
+  }
+  return content;
+}
+
+// Tipo de un índice: UNIQUE, BITMAP y/o FUNCTION-BASED, o NORMAL
+function indexKinds(index) {
+  const kinds = [];
+  if (index.unique) kinds.push('UNIQUE');
+  if (index.bitmap) kinds.push('BITMAP');
+  if (index.functionBased) kinds.push('FUNCTION-BASED');
+  return kinds.length > 0 ? kinds : ['NORMAL'];
+}
+
+// Tabla Markdown con los índices de una tabla
+function generateIndexesTable(indexes) {
+  let content = `| Índice | Tipo | Columna(s) | Tablespace | Partición | Compresión |\n`;
+  content += `|--------|------|------------|------------|-----------|------------|\n`;
+  for (const index of indexes) {
+    const columns = index.columns.map(column => (index.functionBased ? `\`${column}\`` : column)).join(', ');
+    content += `| ${markdownCell(index.name)} | ${indexKinds(index).join(', ')} | ${markdownCell(columns)} | ` +
+      `${markdownCell(index.tablespace || '')} | ${index.partitioned || ''} | ${index.compression || ''} |\n`;
+  }
+  return content;
+}
+
+// Esquema de particionado en una línea: RANGE (FECHA), INTERVAL ..., ...
+function partitioningSummary(partitioning) {
+  const parts = [`${partitioning.type}${partitioning.columns.length > 0 ? ` (${partitioning.columns.join(', ')})` : ''}`];
+  if (partitioning.interval) parts.push(`INTERVAL ${partitioning.interval}`);
+  const sub = partitioning.subpartitioning;
+  if (sub) {
+    const count = sub.count !== null ? `, ${sub.count} por partición` : '';
+    parts.push(`subparticiones ${sub.type}${sub.columns.length > 0 ? ` (${sub.columns.join(', ')})` : ''}${count}`);
+  }
+  if (partitioning.partitionCount !== null) {
+    parts.push(`${partitioning.partitionCount} ${partitioning.partitionCount === 1 ? 'partición' : 'particiones'}`);
+  }
+  return parts.join('; ');
+}
+
+// Diseño físico de una tabla: organización, tablespace, compresión y
+// particionado. Vacío si el volcado no declara nada de esto.
+function physicalDesign(physical) {
+  if (!physical) return '';
+  const lines = [];
+  if (physical.organization !== 'HEAP') {
+    lines.push(`- **Organización:** ${physical.organization === 'INDEX' ? 'INDEX (tabla organizada por índice)' : physical.organization}`);
+  }
+  if (physical.tablespace) lines.push(`- **Tablespace:** ${physical.tablespace}`);
+  if (physical.compression) lines.push(`- **Compresión:** ${physical.compression}`);
+  if (physical.partitioning) lines.push(`- **Particionado:** ${markdownCell(partitioningSummary(physical.partitioning))}`);
+  if (lines.length === 0) return '';
+
+  let content = `**Diseño físico**\n\n${lines.join('\n')}\n\n`;
+  const partitions = physical.partitioning ? physical.partitioning.partitions : [];
+  if (partitions.length > 0) {
+    content += `| Partición | Valores | Tablespace |\n`;
+    content += `|-----------|---------|------------|\n`;
+    for (const partition of partitions) {
+      const values = partition.values ? `\`${markdownCell(partition.values)}\`` : '';
+      content += `| ${markdownCell(partition.name || '(sin nombre)')} | ${values} | ${markdownCell(partition.tablespace || '')} |\n`;
+    }
+    content += `\n`;
+  }
+  return content;
+}
+
+// Detalle de una tabla: descripción, columnas, constraints, índices y diseño
+// físico
+function tableDetail(tableInfo) {
+  let content = tableDescription(tableInfo);
+  content += generateColumnsTable(tableInfo.columns);
+  content += `\n`;
+  if (tableInfo.constraints.length > 0) {
+    content += `**Constraints**\n\n`;
+    content += generateConstraintsTable(tableInfo.constraints);
+    content += `\n`;
+  }
+  if (tableInfo.indexes.length > 0) {
+    content += `**Índices**\n\n`;
+    content += generateIndexesTable(tableInfo.indexes);
+    content += `\n`;
+  }
+  content += physicalDesign(tableInfo.physical);
+  return content;
+}
+
+// Resumen del diseño físico de todas las tablas para el índice de las
+// particiones: tablas particionadas, IOT y comprimidas, índices por tipo y
+// uso de los tablespaces. partitionLink(tabla) enlaza la partición del DER.
+function physicalDesignSummary(tables, partitionLink) {
+  const partitioned = [];
+  const byType = new Map();
+  const byTablespace = new Map();
+  const tablespaceEntry = name => {
+    if (!byTablespace.has(name)) byTablespace.set(name, { tables: 0, indexes: 0 });
+    return byTablespace.get(name);
+  };
+  const indexCounts = { total: 0, UNIQUE: 0, BITMAP: 0, 'FUNCTION-BASED': 0, partitioned: 0 };
+  let organizedByIndex = 0;
+  let compressed = 0;
+
+  for (const [tableName, tableInfo] of tables) {
+    const physical = tableInfo.physical;
+    if (physical) {
+      if (physical.organization === 'INDEX') organizedByIndex++;
+      if (physical.compression) compressed++;
+      if (physical.tablespace) tablespaceEntry(physical.tablespace).tables++;
+      if (physical.partitioning) {
+        partitioned.push([tableName, physical.partitioning]);
+        byType.set(physical.partitioning.type, (byType.get(physical.partitioning.type) || 0) + 1);
+      }
+    }
+    for (const index of tableInfo.indexes) {
+      indexCounts.total++;
+      for (const kind of indexKinds(index)) {
+        if (kind !== 'NORMAL') indexCounts[kind]++;
+      }
+      if (index.partitioned) indexCounts.partitioned++;
+      if (index.tablespace) tablespaceEntry(index.tablespace).indexes++;
+    }
+  }
+
+  const types = Array.from(byType.entries()).map(([type, count]) => `${type}: ${count}`).join(', ');
+  let content = `### Diseño Físico\n\n`;
+  content += `- **Tablas particionadas:** ${partitioned.length}${types ? ` (${types})` : ''}\n`;
+  content += `- **Tablas organizadas por índice (IOT):** ${organizedByIndex}\n`;
+  content += `- **Tablas comprimidas:** ${compressed}\n`;
+  content += `- **Índices:** ${indexCounts.total} (UNIQUE: ${indexCounts.UNIQUE}, BITMAP: ${indexCounts.BITMAP}, ` +
+    `FUNCTION-BASED: ${indexCounts['FUNCTION-BASED']}, particionados: ${indexCounts.partitioned})\n\n`;
+
+  if (partitioned.length > 0) {
+    content += `| Tabla | Particionado | Partición del DER |\n`;
+    content += `|-------|--------------|-------------------|\n`;
+    for (const [tableName, partitioning] of partitioned) {
+      content += `| ${tableName} | ${markdownCell(partitioningSummary(partitioning))} | ${partitionLink(tableName)} |\n`;
+    }
+    content += `\n`;
+  }
+
+  if (byTablespace.size > 0) {
+    content += `| Tablespace | Tablas | Índices |\n`;
+    content += `|------------|--------|---------|\n`;
+    const names = Array.from(byTablespace.keys()).sort();
+    for (const name of names) {
+      const entry = byTablespace.get(name);
+      content += `| ${markdownCell(name)} | ${entry.tables} | ${entry.indexes} |\n`;
+    }
+    content += `\n`;
+  }
+  return content;
+}
+
+// Tabla Markdown de relaciones; extraColumn añade una columna al final
+function relationshipsTable(relationships, extraColumn) {
+  let content = `| Tabla Origen | Columna(s) | Tabla Destino | Columna(s) |${extraColumn ? ` ${extraColumn.title} |` : ''}\n`;
+  content += `|--------------|------------|---------------|------------|${extraColumn ? '-----------|' : ''}\n`;
+  for (const rel of relationships) {
+    const extra = extraColumn ? ` ${extraColumn.value(rel)} |` : '';
+    content += `| ${rel.from} | ${rel.fromColumns.join(', ')} | ${rel.to} | ${rel.toColumns.join(', ')} |${extra}\n`;
+  }
+  return content;
+}
+
+// Texto de un comentario Mermaid: en una línea, sin comillas dobles (Mermaid
+// no las escapa) y recortado para no ensanchar la entidad
+function mermaidComment(text) {
+  const line = text.replace(/\s+/g, ' ').replace(/"/g, "'").trim();
+  return line.length > MERMAID_COMMENT_LENGTH ? `${line.slice(0, MERMAID_COMMENT_LENGTH - 1)}…` : line;
+}
+
+// Bloque Mermaid de la entidad de una tabla. Las tablas de otra partición se
+// muestran como entidades resumidas (sólo sus columnas PK) para que las
+// relaciones que cruzan particiones sigan siendo visibles.
+function mermaidEntity(tableName, tableInfo, mermaidTypes, isStub = false) {
+  let mermaid = '';
+  if (isStub) {
+    mermaid += `    %% ${tableName}: tabla de otra partición\n`;
+  }
+  mermaid += `    ${cleanName(tableName)} {\n`;
+
+  const columns = isStub
+    ? tableInfo.columns.filter(column => column.isPrimaryKey)
+    : tableInfo.columns;
+  for (const column of columns) {
+    let columnDef = `        ${mermaidColumnType(column, mermaidTypes)} ${cleanName(column.name)}`;
+
+    const keys = columnKeys(column);
+    if (keys.length > 0) {
+      columnDef += ` ${keys.join(', ')}`;
+    }
+    // Mermaid admite un único comentario por atributo: NOT NULL y la
+    // descripción de la columna van juntos
+    const notes = [];
+    if (column.isNotNull && !column.isPrimaryKey) notes.push('NOT NULL');
+    if (column.comment) notes.push(mermaidComment(column.comment));
+    if (notes.length > 0) {
+      columnDef += ` "${notes.join(' - ')}"`;
+    }
+
+    mermaid += columnDef + '\n';
+  }
+
+  mermaid += '    }\n\n';
+  return mermaid;
+}
+
+// Diagrama Mermaid de todo el modelo
+function generateMermaidDiagram(model, mermaidTypes) {
+  let mermaid = 'erDiagram\n';
+  const showSchemas = listSchemas(model).length > 1;
+  let currentSchema;
+
+  // Agregar todas las tablas
+  for (const [tableName, tableInfo] of model.tables) {
+    // Marcar el inicio de cada esquema cuando hay varios
+    if (showSchemas && tableInfo.schema !== currentSchema) {
+      currentSchema = tableInfo.schema;
+      mermaid += `    %% Esquema ${currentSchema || '(sin esquema)'}\n`;
+    }
+
+    mermaid += mermaidEntity(tableName, tableInfo, mermaidTypes);
+  }
+
+  // Agregar todas las relaciones
+  for (const rel of model.relationships) {
+    // Verificar que ambas tablas existan
+    if (model.tables.has(rel.from) && model.tables.has(rel.to)) {
+      mermaid += relationshipLine(rel);
+    }
+  }
+
+  return mermaid;
+}
+
+// Líneas de la cabecera con la fecha de generación, en el formato regional
+// de options.locale, y el hash del esquema
+function generationLines(options) {
+  let lines = '';
+  if (options.timestamp !== null) {
+    lines += `**Generado el:** ${(options.timestamp || new Date()).toLocaleString(options.locale || 'es-ES')}  \n`;
+  }
+  if (options.hash) {
+    lines += `**Hash del esquema:** \`sha256:${options.hash}\`  \n`;
+  }
+  return lines;
+}
+
+// DER completo en un único archivo Markdown
+function render(model, options = {}) {
+  const { tables, relationships } = model;
+  const schemas = listSchemas(model);
+
+  let content = `# Diagrama de Entidad-Relación (DER)\n\n`;
+  content += generationLines(options);
+  if (options.source) {
+    content += `**Archivo fuente:** ${options.source}  \n`;
+  }
+  if (schemas.length > 0) {
+    content += `**Esquemas:** ${schemas.join(', ')}  \n`;
+  }
+  if (options.focus) {
+    content += `**Foco:** ${options.focus} (profundidad ${options.depth})  \n`;
+  }
+  content += `**Tablas encontradas:** ${tables.size}  \n`;
+  content += `**Relaciones encontradas:** ${relationships.length}  \n\n`;
+
+  content += `## Diagrama\n\n`;
+  content += `\`\`\`mermaid\n`;
+  content += generateMermaidDiagram(model, options.mermaidTypes);
+  content += `\`\`\`\n\n`;
+
+  // Agregar lista de tablas, agrupadas por esquema cuando hay varios
+  content += `## Tablas\n\n`;
+  const showSchemas = schemas.length > 1;
+  const tableHeading = showSchemas ? '####' : '###';
+  let currentSchema;
+  for (const [tableName, tableInfo] of tables) {
+    if (showSchemas && tableInfo.schema !== currentSchema) {
+      currentSchema = tableInfo.schema;
+      content += `### Esquema ${currentSchema || '(sin esquema)'}\n\n`;
+    }
+    content += `${tableHeading} ${tableName}\n\n`;
+    content += tableDetail(tableInfo);
+  }
+
+  // Agregar lista de relaciones
+  if (relationships.length > 0) {
+    content += `## Relaciones\n\n`;
+    content += relationshipsTable(relationships);
+    content += `\n`;
+  }
+
+  content += `---\n\n`;
+  content += `*Generado automáticamente por generate_der.js*\n`;
+
+  return content;
+}
+
+// DER dividido en particiones. Devuelve { index, partitions }, donde index
+// es el contenido de <baseName>_index.md y partitions la lista de
+// { fileName, label, content } de los archivos <baseName>_parte_N.md.
+function renderPartitioned(model, options = {}) {
+  const { tables, relationships } = model;
+  const { baseName, mermaidTypes } = options;
+  const partitions = computePartitions(model, { by: options.by, size: options.size });
+  const totalPartitions = partitions.length;
+  const partitionFile = i => `${baseName}_parte_${i + 1}.md`;
+
+  // Partición de cada tabla, para enlazar las relaciones entre particiones
+  const partitionOf = new Map();
+  partitions.forEach((partition, i) => {
+    for (const tableName of partition.tables) partitionOf.set(tableName, i);
+  });
+
+  let indexContent = `# Índice de Diagramas DER - Base de Datos\n\n`;
+  indexContent += generationLines(options);
+  indexContent += `**Total de tablas:** ${tables.size}  \n`;
+  indexContent += `**Total de relaciones:** ${relationships.length}  \n`;
+  indexContent += `**Criterio de partición:** ${options.by}  \n`;
+  indexContent += `**Particiones generadas:** ${totalPartitions}  \n\n`;
+
+  indexContent += `## Particiones Disponibles\n\n`;
+
+  const files = partitions.map((partition, i) => {
+    const partitionFileName = partitionFile(i);
+    const partitionTableNames = new Set(partition.tables);
+
+    // Relaciones internas y relaciones con tablas de otras particiones
+    const partitionRelationships = [];
+    const externalRelationships = [];
+    for (const rel of relationships) {
+      const fromInside = partitionTableNames.has(rel.from);
+      const toInside = partitionTableNames.has(rel.to);
+      if (fromInside && toInside) {
+        partitionRelationships.push(rel);
+      } else if ((fromInside || toInside) && tables.has(rel.from) && tables.has(rel.to)) {
+        externalRelationships.push(rel);
+      }
+    }
+
+    // Crear contenido para esta partición
+    let partitionContent = `# DER - Partición ${i + 1} de ${totalPartitions}: ${partition.label}\n\n`;
+    partitionContent += `**Tablas:** ${partition.tables.length}  \n`;
+    partitionContent += `**Archivo:** ${partitionFileName}  \n`;
+    partitionContent += `${generationLines(options)}\n`;
+
+    // Agregar navegación
+    partitionContent += `## Navegación\n\n`;
+    if (i > 0) {
+      partitionContent += `⬅️ [Partición anterior (${i})](${partitionFile(i - 1)})  \n`;
+    }
+    partitionContent += `🏠 [Índice principal](${baseName}_index.md)  \n`;
+    if (i < totalPartitions - 1) {
+      partitionContent += `➡️ [Partición siguiente (${i + 2})](${partitionFile(i + 1)})  \n`;
+    }
+    partitionContent += `\n`;
+
+    // Agregar diagrama Mermaid
+    partitionContent += `## Diagrama\n\n`;
+    partitionContent += '```mermaid\n';
+    partitionContent += 'erDiagram\n';
+
+    for (const tableName of partition.tables) {
+      partitionContent += mermaidEntity(tableName, tables.get(tableName), mermaidTypes);
+    }
+
+    // Tablas de otras particiones relacionadas con esta
+    const stubs = new Set();
+    for (const rel of externalRelationships) {
+      for (const tableName of [rel.from, rel.to]) {
+        if (!partitionTableNames.has(tableName)) stubs.add(tableName);
+      }
+    }
+    for (const tableName of stubs) {
+      partitionContent += mermaidEntity(tableName, tables.get(tableName), mermaidTypes, true);
+    }
+
+    for (const rel of partitionRelationships.concat(externalRelationships)) {
+      partitionContent += relationshipLine(rel);
+    }
+
+    partitionContent += '```\n\n';
+
+    // Agregar lista detallada de tablas de esta partición
+    partitionContent += `## Tablas en esta Partición\n\n`;
+    for (const tableName of partition.tables) {
+      partitionContent += `### ${tableName}\n\n`;
+      partitionContent += tableDetail(tables.get(tableName));
+    }
+
+    // Agregar relaciones específicas de esta partición
+    if (partitionRelationships.length > 0) {
+      partitionContent += `## Relaciones en esta Partición\n\n`;
+      partitionContent += relationshipsTable(partitionRelationships);
+      partitionContent += `\n`;
+    }
+
+    // Agregar relaciones con otras particiones, enlazando la partición de la otra tabla
+    if (externalRelationships.length > 0) {
+      partitionContent += `## Relaciones con otras Particiones\n\n`;
+      partitionContent += relationshipsTable(externalRelationships, {
+        title: 'Partición',
+        value: rel => {
+          const other = partitionOf.get(partitionTableNames.has(rel.from) ? rel.to : rel.from);
+          return `[${other + 1}](${partitionFile(other)})`;
+        }
+      });
+      partitionContent += `\n`;
+    }
+
+    partitionContent += `---\n\n`;
+    partitionContent += `*Partición ${i + 1} de ${totalPartitions} - Generado automáticamente por generate_der.js*\n`;
+
+    // Agregar a índice
+    indexContent += `### [Partición ${i + 1}: ${partition.label}](${partitionFileName})\n`;
+    indexContent += `- **Cantidad:** ${partition.tables.length} tablas\n`;
+    indexContent += `- **Relaciones:** ${partitionRelationships.length} relaciones internas, ${externalRelationships.length} con otras particiones\n`;
+    indexContent += `- **Primeras tablas:** ${partition.tables.slice(0, 3).join(', ')}${partition.tables.length > 3 ? '...' : ''}\n\n`;
+
+    return { fileName: partitionFileName, label: partition.label, content: partitionContent };
+  });
+
+  // Agregar resumen al índice
+  indexContent += `## Resumen Completo\n\n`;
+  indexContent += physicalDesignSummary(tables, tableName => {
+    const i = partitionOf.get(tableName);
+    return `[Partición ${i + 1}](${partitionFile(i)})`;
+  });
+  indexContent += `### Todas las Relaciones\n\n`;
+  if (relationships.length > 0) {
+    indexContent += relationshipsTable(relationships);
+    indexContent += `\n`;
+  }
+
+  indexContent += `---\n\n`;
+  indexContent += `*Índice generado automáticamente por generate_der.js*\n`;
+
+  return { index: indexContent, partitions: files };
+}
+
+module.exports = {
+  extension: '.md',
+  render,
+  renderPartitioned
+};
@@ -0,0 +1,71 @@
+/**
+ * lib/renderers/plantuml.js
+ * -------------------------
+ * Diagrama en PlantUML con la notación de entidades (IE). Las columnas
+ * obligatorias se marcan con "*" y las claves primarias quedan separadas
+ * del resto de columnas. Con varios esquemas, cada uno es un paquete.
+ */
+
+const {
+  relationshipLabel, visibleRelationships, groupBySchema, columnType, columnKeys, safeId
+} = require('./common');
+
+// Texto entre comillas dobles de PlantUML
+function quote(text) {
+  return `"${String(text).replace(/"/g, "'")}"`;
+}
+
+function columnLine(column) {
+  const keys = columnKeys(column).map(key => ` <<${key}>>`).join('');
+  const mandatory = column.isPrimaryKey || column.isNotNull ? '* ' : '';
+  return `  ${mandatory}${column.name} : ${columnType(column)}${keys}\n`;
+}
+
+function entity(tableName, tableInfo, indent) {
+  let content = `${indent}entity ${quote(tableName)} as ${safeId(tableName)} {\n`;
+  const keyColumns = tableInfo.columns.filter(column => column.isPrimaryKey);
+  const otherColumns = tableInfo.columns.filter(column => !column.isPrimaryKey);
+  for (const column of keyColumns) content += indent + columnLine(column);
+  if (keyColumns.length > 0) content += `${indent}  --\n`;
+  for (const column of otherColumns) content += indent + columnLine(column);
+  content += `${indent}}\n`;
+  return content;
+}
+
+// Mismos extremos que en Mermaid: la hija a la izquierda y la padre a la derecha
+function relationshipLine(rel) {
+  const childSide = rel.unique ? '|o' : '}o';
+  const parentSide = rel.optional ? 'o|' : '||';
+  return `${safeId(rel.from)} ${childSide}--${parentSide} ${safeId(rel.to)} : ${quote(relationshipLabel(rel))}\n`;
+}
+
+function render(model, options = {}) {
+  let content = '@startuml\n';
+  if (options.title) content += `title ${options.title}\n`;
+  content += 'hide circle\n';
+  content += 'skinparam linetype ortho\n\n';
+
+  const schemas = groupBySchema(model.tables);
+  const usePackages = schemas.length > 1;
+  for (const [schema, entries] of schemas) {
+    const indent = usePackages ? '  ' : '';
+    if (usePackages) content += `package ${quote(schema || '(sin esquema)')} {\n`;
+    for (const [tableName, tableInfo] of entries) {
+      content += entity(tableName, tableInfo, indent);
+    }
+    if (usePackages) content += '}\n';
+    content += '\n';
+  }
+
+  for (const rel of visibleRelationships(model)) {
+    content += relationshipLine(rel);
+  }
+
+  content += '@enduml\n';
+  return content;
+}
+
+module.exports = {
+  extension: '.puml',
+  render
+};
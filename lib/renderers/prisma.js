@@ -0,0 +1,173 @@
+/**
+ * lib/renderers/prisma.js
+ * -----------------------
+ * Esquema de Prisma: el datasource del dialecto del volcado, un modelo por
+ * tabla (@@map y @@schema con el nombre y el esquema de la tabla) con sus
+ * campos (@map con el nombre de la columna, "?" si admite nulos, @id o
+ * @@id, @unique o @@unique y @default) y los campos de relación de las
+ * foreign keys en ambos lados, con un @relation con nombre.
+ *
+ * Prisma no tiene conector para Oracle: los volcados Oracle usan el
+ * proveedor postgresql, que se debe cambiar por el de la base de datos de
+ * destino. Los tipos sin equivalente se escriben como Unsupported("tipo")
+ * y los modelos sin clave primaria ni UNIQUE se marcan con @@ignore, como
+ * hace prisma db pull.
+ */
+
+const { codeModel, entityDescription, literalDefault, isCurrentTimestamp } = require('./codegen');
+
+// Proveedor del datasource de cada dialecto de entrada
+const PROVIDERS = {
+  oracle: 'postgresql',
+  mysql: 'mysql',
+  postgres: 'postgresql'
+};
+
+const PRISMA_TYPES = {
+  integer: 'Int',
+  bigint: 'BigInt',
+  decimal: 'Decimal',
+  number: 'Decimal',
+  float: 'Float',
+  string: 'String',
+  text: 'String',
+  date: 'DateTime',
+  binary: 'Bytes',
+  boolean: 'Boolean',
+  json: 'Json'
+};
+
+// Regla ON DELETE de las foreign keys (sin regla, NO ACTION)
+const REFERENTIAL_ACTIONS = {
+  CASCADE: 'Cascade',
+  'SET NULL': 'SetNull'
+};
+
+// Cadena entre comillas dobles de Prisma
+function prismaString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function docLines(text, indent = '') {
+  return `${indent}/// ${text.replace(/\s*\n\s*/g, ' ')}\n`;
+}
+
+function fieldType(field) {
+  return PRISMA_TYPES[field.type.family] || `Unsupported(${prismaString((field.column.dataType || field.column.simpleType).toLowerCase())})`;
+}
+
+// @default: autoincrement(), now(), el literal o dbgenerated("expresión")
+function defaultAttribute(field) {
+  if (field.generated) return '@default(autoincrement())';
+  if (field.default === null) return null;
+  if (isCurrentTimestamp(field.default) && field.type.family === 'date') return '@default(now())';
+  const literal = literalDefault(field.default);
+  const numeric = ['integer', 'bigint', 'decimal', 'number', 'float'].includes(field.type.family);
+  if (typeof literal === 'number' && numeric) return `@default(${literal})`;
+  if (typeof literal === 'string' && ['string', 'text'].includes(field.type.family)) return `@default(${prismaString(literal)})`;
+  return `@default(dbgenerated(${prismaString(field.default)}))`;
+}
+
+// Columnas de las constraints de un tipo, como listas de nombres de campo
+function constraintFields(entity, type) {
+  const byColumn = new Map(entity.fields.map(field => [field.column.name, field.name]));
+  return entity.table.constraints
+    .filter(constraint => constraint.type === type && constraint.columns.every(name => byColumn.has(name)))
+    .map(constraint => constraint.columns.map(name => byColumn.get(name)));
+}
+
+function relationName(association) {
+  const rel = association.relationship;
+  return rel.name || `${rel.from}_${rel.fromColumns.join('_')}`;
+}
+
+// Líneas [nombre, tipo, atributos] de los campos de relación
+function relationRows(entity, association, ignored) {
+  const target = association.target.typeName;
+  const attributes = [`@relation(${prismaString(relationName(association))}`];
+  let type;
+  if (association.kind === 'belongsTo') {
+    const onDelete = REFERENTIAL_ACTIONS[association.relationship.onDelete] || 'NoAction';
+    attributes[0] += `, fields: [${association.fields.map(field => field.name).join(', ')}]`;
+    attributes[0] += `, references: [${association.references.map(field => field.name).join(', ')}]`;
+    attributes[0] += `, onDelete: ${onDelete}`;
+    type = `${target}${association.optional ? '?' : ''}`;
+  } else {
+    type = association.kind === 'hasMany' ? `${target}[]` : `${target}?`;
+  }
+  attributes[0] += ')';
+  if (ignored.has(association.target) && !ignored.has(entity)) attributes.push('@ignore');
+  return [association.name, type, attributes.join(' ')];
+}
+
+// Filas alineadas como las deja prisma format
+function alignRows(rows) {
+  const widths = [0, 1].map(i => Math.max(...rows.map(row => (row[i] ? row[i].length : 0))));
+  return rows.map(row => {
+    if (row.doc) return row.doc;
+    const [name, type, attributes] = row;
+    return `  ${attributes ? `${name.padEnd(widths[0])} ${type.padEnd(widths[1])} ${attributes}` : `${name.padEnd(widths[0])} ${type}`}`.trimEnd() + '\n';
+  }).join('');
+}
+
+function modelBlock(entity, ignored, multiSchema) {
+  const primaryKeys = constraintFields(entity, 'PK');
+  const uniqueKeys = constraintFields(entity, 'UK');
+  const singleId = primaryKeys.length === 1 && primaryKeys[0].length === 1 ? primaryKeys[0][0] : null;
+  const singleUnique = new Set(uniqueKeys.filter(columns => columns.length === 1).map(columns => columns[0]));
+
+  const rows = [];
+  for (const field of entity.fields) {
+    if (field.column.comment) rows.push({ doc: docLines(field.column.comment, '  ') });
+    const attributes = [];
+    if (field.name === singleId) attributes.push('@id');
+    else if (singleUnique.has(field.name)) attributes.push('@unique');
+    const defaultValue = defaultAttribute(field);
+    if (defaultValue) attributes.push(defaultValue);
+    if (field.name !== field.column.name) attributes.push(`@map(${prismaString(field.column.name)})`);
+    rows.push([field.name, `${fieldType(field)}${field.nullable ? '?' : ''}`, attributes.join(' ')]);
+  }
+  for (const association of entity.associations) rows.push(relationRows(entity, association, ignored));
+
+  const blockAttributes = [];
+  if (primaryKeys.length === 1 && !singleId) blockAttributes.push(`@@id([${primaryKeys[0].join(', ')}])`);
+  for (const columns of uniqueKeys) {
+    if (columns.length > 1) blockAttributes.push(`@@unique([${columns.join(', ')}])`);
+  }
+  blockAttributes.push(`@@map(${prismaString(entity.table.name)})`);
+  if (multiSchema) blockAttributes.push(`@@schema(${prismaString(entity.table.schema)})`);
+  if (ignored.has(entity)) blockAttributes.push('@@ignore');
+
+  let content = docLines(entityDescription(entity));
+  if (ignored.has(entity)) content += '// Sin clave primaria ni UNIQUE: Prisma no admite el modelo (@@ignore)\n';
+  content += `model ${entity.typeName} {\n`;
+  content += alignRows(rows);
+  content += `\n${blockAttributes.map(attribute => `  ${attribute}\n`).join('')}}\n`;
+  return content;
+}
+
+function render(model, options = {}) {
+  const entities = codeModel(model, options);
+  const dialect = options.dialect || 'oracle';
+  const schemas = Array.from(new Set(entities.map(entity => entity.table.schema).filter(Boolean)));
+  const multiSchema = schemas.length > 0 && entities.every(entity => entity.table.schema);
+  const ignored = new Set(entities.filter(entity =>
+    !entity.table.constraints.some(constraint => constraint.type === 'PK' || constraint.type === 'UK')));
+
+  let content = options.title ? `// ${options.title}\n\n` : '';
+  content += 'generator client {\n  provider = "prisma-client-js"\n';
+  if (multiSchema) content += '  previewFeatures = ["multiSchema"]\n';
+  content += '}\n\n';
+  if (dialect === 'oracle') content += '// Prisma no tiene conector para Oracle: indique el proveedor de la base de datos de destino\n';
+  content += `datasource db {\n  provider = ${prismaString(PROVIDERS[dialect] || 'postgresql')}\n  url      = env("DATABASE_URL")\n`;
+  if (multiSchema) content += `  schemas  = [${schemas.map(prismaString).join(', ')}]\n`;
+  content += '}\n';
+  for (const entity of entities) content += `\n${modelBlock(entity, ignored, multiSchema)}`;
+  return content;
+}
+
+module.exports = {
+  extension: '.prisma',
+  baseName: 'schema',
+  render
+};
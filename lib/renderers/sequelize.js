@@ -0,0 +1,140 @@
+/**
+ * lib/renderers/sequelize.js
+ * --------------------------
+ * Modelos de Sequelize (v6): un módulo CommonJS que exporta
+ * defineModels(sequelize), que define un modelo por tabla con
+ * sequelize.define (nombre de tabla y esquema, columnas con su tipo,
+ * nulabilidad, clave primaria, autoincremento y valor por defecto) y las
+ * asociaciones belongsTo / hasMany / hasOne de las foreign keys, y devuelve
+ * los modelos por nombre.
+ *
+ * Sequelize no admite asociaciones con foreign keys compuestas: se dejan
+ * como comentario. Las tablas sin clave primaria se definen sin el campo
+ * id que Sequelize añade por defecto.
+ */
+
+const { codeModel, entityDescription, literalDefault, isCurrentTimestamp, jsString } = require('./codegen');
+
+// Tipo de DataTypes de un campo; los tipos sin equivalente se escriben
+// como el nombre del tipo declarado
+function dataType(field, options) {
+  const { family, name, length, precision, scale, unsigned } = field.type;
+  let type;
+  switch (family) {
+    case 'integer':
+      type = /^(SMALLINT|INT2|SMALLSERIAL)$/.test(name) ? 'SMALLINT' : 'INTEGER';
+      break;
+    case 'bigint':
+      type = 'BIGINT';
+      break;
+    case 'decimal':
+      type = precision !== null ? `DECIMAL(${precision}, ${scale || 0})` : 'DECIMAL';
+      break;
+    case 'number':
+      type = 'NUMBER';
+      break;
+    case 'float':
+      type = /^(REAL|FLOAT4|BINARY_FLOAT)$/.test(name) ? 'FLOAT' : 'DOUBLE';
+      break;
+    case 'string':
+      if (name === 'UUID') type = 'UUID';
+      else if (/^N?CHAR(ACTER)?$/.test(name)) type = length ? `CHAR(${length})` : 'CHAR';
+      else type = length ? `STRING(${length})` : 'STRING';
+      break;
+    case 'text':
+      type = 'TEXT';
+      break;
+    case 'date':
+      // DATE de Oracle guarda también la hora
+      if (name === 'DATE' && options.dialect && options.dialect !== 'oracle') type = 'DATEONLY';
+      else if (/^TIME( WITH(OUT)? TIME ZONE)?$/.test(name)) type = 'TIME';
+      else type = 'DATE';
+      break;
+    case 'binary':
+      type = 'BLOB';
+      break;
+    case 'boolean':
+      type = 'BOOLEAN';
+      break;
+    case 'json':
+      type = name === 'JSONB' ? 'JSONB' : 'JSON';
+      break;
+    default:
+      return jsString(field.column.dataType || field.column.simpleType);
+  }
+  return `DataTypes.${type}${unsigned && ['integer', 'bigint'].includes(family) ? '.UNSIGNED' : ''}`;
+}
+
+// Valor por defecto: literal, DataTypes.NOW o la expresión SQL
+function defaultValue(field) {
+  if (isCurrentTimestamp(field.default)) return 'DataTypes.NOW';
+  const literal = literalDefault(field.default);
+  if (literal === undefined) return `sequelize.literal(${jsString(field.default)})`;
+  return typeof literal === 'number' && !['bigint', 'decimal'].includes(field.type.family) ? String(literal) : jsString(literal);
+}
+
+function attribute(field, options) {
+  const settings = [`type: ${dataType(field, options)}`];
+  if (field.name !== field.column.name) settings.push(`field: ${jsString(field.column.name)}`);
+  if (field.primaryKey) settings.push('primaryKey: true');
+  if (field.generated) settings.push('autoIncrement: true');
+  settings.push(`allowNull: ${field.nullable}`);
+  if (field.default !== null) settings.push(`defaultValue: ${defaultValue(field)}`);
+  if (field.column.comment) settings.push(`comment: ${jsString(field.column.comment)}`);
+  return `    ${field.name}: { ${settings.join(', ')} }`;
+}
+
+function defineBlock(entity, options) {
+  const table = entity.table;
+  const tableOptions = [`tableName: ${jsString(table.name)}`];
+  if (table.schema) tableOptions.push(`schema: ${jsString(table.schema)}`);
+  tableOptions.push('timestamps: false');
+  if (table.comment) tableOptions.push(`comment: ${jsString(table.comment)}`);
+
+  let content = `  // ${entityDescription(entity).replace(/\s*\n\s*/g, ' ')}\n`;
+  content += `  models.${entity.typeName} = sequelize.define(${jsString(entity.typeName)}, {\n`;
+  content += entity.fields.map(field => attribute(field, options)).join(',\n');
+  content += `\n  }, {\n    ${tableOptions.join(',\n    ')}\n  });\n`;
+  if (!entity.fields.some(field => field.primaryKey)) {
+    content += `  models.${entity.typeName}.removeAttribute('id');\n`;
+  }
+  return content;
+}
+
+function associationLine(entity, association) {
+  const target = association.target.typeName;
+  const columns = association.relationship.fromColumns.join(', ');
+  if (association.fields.length > 1) {
+    if (association.kind !== 'belongsTo') return '';
+    return `  // ${entity.typeName}.${association.name} -> ${target}: foreign key compuesta (${columns}), sin asociación en Sequelize\n`;
+  }
+  const settings = [`as: ${jsString(association.name)}`, `foreignKey: ${jsString(association.fields[0].name)}`];
+  if (association.kind === 'belongsTo') {
+    settings.push(`targetKey: ${jsString(association.references[0].name)}`);
+    settings.push(`onDelete: ${jsString(association.relationship.onDelete || 'NO ACTION')}`);
+  } else {
+    settings.push(`sourceKey: ${jsString(association.references[0].name)}`);
+  }
+  return `  models.${entity.typeName}.${association.kind}(models.${target}, { ${settings.join(', ')} });\n`;
+}
+
+function render(model, options = {}) {
+  const entities = codeModel(model, options);
+  let content = options.title ? `// ${options.title}\n\n` : '';
+  content += "const { DataTypes } = require('sequelize');\n\n";
+  content += '// Define los modelos en la instancia de Sequelize y los devuelve por nombre\n';
+  content += 'module.exports = function defineModels(sequelize) {\n';
+  content += '  const models = {};\n\n';
+  content += entities.map(entity => defineBlock(entity, options)).join('\n');
+
+  const associations = entities.reduce((lines, entity) => lines.concat(entity.associations.map(association => associationLine(entity, association))), []);
+  if (associations.length > 0) content += `\n  // Asociaciones de las foreign keys\n${associations.join('')}`;
+  content += '\n  return models;\n};\n';
+  return content;
+}
+
+module.exports = {
+  extension: '.js',
+  baseName: 'models',
+  render
+};
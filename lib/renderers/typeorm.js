@@ -0,0 +1,122 @@
+/**
+ * lib/renderers/typeorm.js
+ * ------------------------
+ * Entidades de TypeORM: una clase por tabla con @Entity (nombre de tabla y
+ * esquema), @PrimaryColumn / @PrimaryGeneratedColumn para la clave
+ * primaria, @Column con el tipo declarado (longitud, precisión y escala),
+ * la nulabilidad y el valor por defecto, y las relaciones de las foreign
+ * keys: @ManyToOne con su @JoinColumn en la tabla hija y @OneToMany en la
+ * padre (@OneToOne en ambas si la foreign key es también PK o UNIQUE).
+ */
+
+const { codeModel, tsType, entityDescription, literalDefault, jsString, docComment } = require('./codegen');
+
+// Tipo de columna de TypeORM: el tipo declarado sin argumentos, en minúsculas
+function columnType(field) {
+  return (field.type.name || field.column.simpleType).toLowerCase();
+}
+
+function defaultValue(field) {
+  const literal = literalDefault(field.default);
+  if (literal === undefined) return `() => ${jsString(field.default)}`;
+  return typeof literal === 'number' ? String(literal) : jsString(literal);
+}
+
+function columnOptions(field) {
+  const { family, length, precision, scale, unsigned } = field.type;
+  const settings = [`name: ${jsString(field.column.name)}`, `type: ${jsString(columnType(field))}`];
+  if (length && ['string', 'binary'].includes(family)) settings.push(`length: ${length}`);
+  if (precision !== null && precision !== undefined && ['integer', 'bigint', 'decimal', 'number', 'float'].includes(family)) {
+    settings.push(`precision: ${precision}`);
+    if (scale !== null && scale !== undefined) settings.push(`scale: ${scale}`);
+  }
+  if (unsigned) settings.push('unsigned: true');
+  if (field.nullable) settings.push('nullable: true');
+  if (field.generated && !field.primaryKey) settings.push("generated: 'increment'");
+  if (field.default !== null) settings.push(`default: ${defaultValue(field)}`);
+  if (field.column.comment) settings.push(`comment: ${jsString(field.column.comment)}`);
+  return `{ ${settings.join(', ')} }`;
+}
+
+function columnDecorator(field) {
+  if (field.primaryKey) return field.generated ? 'PrimaryGeneratedColumn' : 'PrimaryColumn';
+  return 'Column';
+}
+
+function joinColumn(association) {
+  const pairs = association.fields.map((field, i) =>
+    `{ name: ${jsString(field.column.name)}, referencedColumnName: ${jsString(association.references[i].name)} }`);
+  return pairs.length === 1 ? `@JoinColumn(${pairs[0]})` : `@JoinColumn([${pairs.join(', ')}])`;
+}
+
+// Decoradores y propiedad de una relación
+function relationLines(association) {
+  const target = association.target.typeName;
+  const inverse = `(entity) => entity.${association.inverse}`;
+  const lines = [];
+  if (association.kind === 'belongsTo') {
+    const settings = [];
+    if (!association.optional) settings.push('nullable: false');
+    if (association.relationship.onDelete) settings.push(`onDelete: ${jsString(association.relationship.onDelete)}`);
+    const decorator = association.relationship.unique ? 'OneToOne' : 'ManyToOne';
+    lines.push(`@${decorator}(() => ${target}, ${inverse}${settings.length > 0 ? `, { ${settings.join(', ')} }` : ''})`);
+    lines.push(joinColumn(association));
+    lines.push(`${association.name}!: ${target}${association.optional ? ' | null' : ''};`);
+  } else if (association.kind === 'hasOne') {
+    lines.push(`@OneToOne(() => ${target}, ${inverse})`);
+    lines.push(`${association.name}!: ${target} | null;`);
+  } else {
+    lines.push(`@OneToMany(() => ${target}, ${inverse})`);
+    lines.push(`${association.name}!: ${target}[];`);
+  }
+  return lines;
+}
+
+function entityClass(entity, used) {
+  const table = entity.table;
+  const entityOptions = [`name: ${jsString(table.name)}`];
+  if (table.schema) entityOptions.push(`schema: ${jsString(table.schema)}`);
+
+  let content = docComment(entityDescription(entity));
+  if (!entity.fields.some(field => field.primaryKey)) content += '// Sin clave primaria: TypeORM necesita al menos una @PrimaryColumn\n';
+  content += `@Entity({ ${entityOptions.join(', ')} })\n`;
+  content += `export class ${entity.typeName} {\n`;
+  const members = [];
+  for (const field of entity.fields) {
+    const decorator = columnDecorator(field);
+    used.add(decorator);
+    members.push([
+      `@${decorator}(${columnOptions(field)})`,
+      `${field.name}!: ${tsType(field)}${field.nullable ? ' | null' : ''};`
+    ]);
+  }
+  for (const association of entity.associations) {
+    const lines = relationLines(association);
+    for (const line of lines) {
+      const decorator = line.match(/^@(\w+)/);
+      if (decorator) used.add(decorator[1]);
+    }
+    members.push(lines);
+  }
+  content += members.map(lines => lines.map(line => `  ${line}\n`).join('')).join('\n');
+  content += '}\n';
+  return content;
+}
+
+// Orden de los decoradores en el import
+const DECORATORS = ['Entity', 'PrimaryColumn', 'PrimaryGeneratedColumn', 'Column', 'ManyToOne', 'OneToMany', 'OneToOne', 'JoinColumn'];
+
+function render(model, options = {}) {
+  const entities = codeModel(model, options);
+  const used = new Set(entities.length > 0 ? ['Entity'] : []);
+  const classes = entities.map(entity => entityClass(entity, used)).join('\n');
+  let content = options.title ? `// ${options.title}\n\n` : '';
+  if (used.size > 0) content += `import { ${DECORATORS.filter(name => used.has(name)).join(', ')} } from 'typeorm';\n\n`;
+  return content + classes;
+}
+
+module.exports = {
+  extension: '.ts',
+  baseName: 'entities',
+  render
+};
@@ -0,0 +1,51 @@
+/**
+ * lib/renderers/typescript.js
+ * ---------------------------
+ * Interfaces TypeScript de las tablas: una por tabla, con un campo por
+ * columna (" | null" si admite nulos) y, como propiedades opcionales, las
+ * asociaciones deducidas de las foreign keys (el padre de cada foreign key
+ * y la lista de hijos). Los tipos y los nombres se eligen como se describe
+ * en lib/renderers/codegen.js.
+ */
+
+const { codeModel, tsType, entityDescription, docComment } = require('./codegen');
+
+// Comentario de un campo: el de la columna y sus marcadores
+function fieldDescription(field) {
+  const notes = [field.column.name, field.column.dataType || field.column.simpleType];
+  if (field.primaryKey) notes.push('PK');
+  if (field.column.isForeignKey) notes.push('FK');
+  if (field.column.isUnique) notes.push('UK');
+  const description = notes.join(' ');
+  return field.column.comment ? `${field.column.comment} (${description})` : description;
+}
+
+function associationType(association) {
+  return association.kind === 'hasMany' ? `${association.target.typeName}[]` : association.target.typeName;
+}
+
+function interfaceBlock(entity) {
+  let content = docComment(entityDescription(entity));
+  content += `export interface ${entity.typeName} {\n`;
+  for (const field of entity.fields) {
+    content += docComment(fieldDescription(field), '  ');
+    content += `  ${field.name}: ${tsType(field)}${field.nullable ? ' | null' : ''};\n`;
+  }
+  for (const association of entity.associations) {
+    content += `  ${association.name}?: ${associationType(association)}${association.kind === 'belongsTo' && association.optional ? ' | null' : ''};\n`;
+  }
+  content += '}\n';
+  return content;
+}
+
+function render(model, options = {}) {
+  const entities = codeModel(model, options);
+  const content = entities.map(interfaceBlock).join('\n');
+  return options.title ? `// ${options.title}\n\n${content}` : content;
+}
+
+module.exports = {
+  extension: '.ts',
+  baseName: 'models',
+  render
+};
@@ -0,0 +1,312 @@
+/**
+ * lib/schema_diff.js
+ * ------------------
+ * Comparación de dos modelos de esquema (ddl_parser.js) y su informe.
+ *
+ * diffSchemas() devuelve las tablas añadidas, eliminadas y modificadas
+ * (columnas, tipos, valores por defecto, nulabilidad y constraints) y los
+ * índices añadidos, eliminados y modificados:
+ *
+ *   {
+ *     tables: {
+ *       added:   [tabla],
+ *       removed: [tabla],
+ *       changed: [{ schema, name, oldTable, newTable,
+ *                   columns:     { added: [columna], removed: [columna],
+ *                                  changed: [{ name, oldColumn, newColumn, changes }] },
+ *                   constraints: { added: [constraint], removed: [constraint],
+ *                                  changed: [{ oldConstraint, newConstraint }] } }]
+ *     },
+ *     indexes: { added: [índice], removed: [índice], changed: [{ oldIndex, newIndex }] }
+ *   }
+ *
+ * changes enumera los aspectos que cambian en una columna: 'type',
+ * 'default', 'nullability', 'identity', 'virtual' o 'visibility'. Los tipos
+ * se comparan ya analizados (data_types.js), de modo que NUMBER(10) y
+ * NUMBER(10,0) o VARCHAR2(50) y VARCHAR2(50 BYTE) no son un cambio.
+ *
+ * Las constraints se emparejan por nombre. Las que no tienen nombre o lo
+ * tienen generado por Oracle (SYS_C...), que cambia entre bases de datos, se
+ * emparejan por su definición.
+ */
+
+const { tableKey } = require('./ddl_parser');
+const { sameDataType } = require('./data_types');
+
+// Normaliza un fragmento de SQL para compararlo
+function normalizeSql(text) {
+  return text === null || text === undefined ? null : text.replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+// Las columnas de una PK son NOT NULL aunque no se declare
+function isNotNull(column) {
+  return column.notNull || column.primaryKey;
+}
+
+// Aspectos en los que difieren dos versiones de una columna
+function columnChanges(oldColumn, newColumn) {
+  const changes = [];
+  if (!sameDataType(oldColumn.dataType, newColumn.dataType)) changes.push('type');
+  if (normalizeSql(oldColumn.default) !== normalizeSql(newColumn.default) ||
+      oldColumn.defaultOnNull !== newColumn.defaultOnNull) {
+    changes.push('default');
+  }
+  if (isNotNull(oldColumn) !== isNotNull(newColumn)) changes.push('nullability');
+  if (JSON.stringify(oldColumn.identity) !== JSON.stringify(newColumn.identity)) changes.push('identity');
+  const oldExpression = oldColumn.virtual && normalizeSql(oldColumn.virtual.expression);
+  const newExpression = newColumn.virtual && normalizeSql(newColumn.virtual.expression);
+  if (oldExpression !== newExpression) changes.push('virtual');
+  if (oldColumn.invisible !== newColumn.invisible) changes.push('visibility');
+  return changes;
+}
+
+function isSystemName(name) {
+  return !name || /^SYS_C\d+$/.test(name);
+}
+
+// Definición de una constraint, sin nombre ni estado
+function constraintSignature(constraint) {
+  const parts = [constraint.type, constraint.columns.join(',')];
+  if (constraint.type === 'FK') {
+    parts.push(tableKey(constraint.refSchema, constraint.refTable), constraint.refColumns.join(','), constraint.onDelete || '');
+  } else if (constraint.type === 'CHECK') {
+    parts.push(normalizeSql(constraint.condition));
+  }
+  return parts.join('|');
+}
+
+function constraintState(constraint) {
+  return [constraint.deferrable, constraint.initiallyDeferred, constraint.enabled, constraint.validated, constraint.rely].join('|');
+}
+
+// Clave con la que se emparejan las constraints de las dos versiones
+function constraintKey(constraint) {
+  return isSystemName(constraint.name) ? `#${constraintSignature(constraint)}` : constraint.name;
+}
+
+// Compara dos listas por clave y devuelve { added, removed, common: [[old, new]] }
+function matchByKey(oldItems, newItems, keyOf) {
+  const oldByKey = new Map(oldItems.map(item => [keyOf(item), item]));
+  const newKeys = new Set(newItems.map(keyOf));
+  const added = [];
+  const common = [];
+  for (const item of newItems) {
+    const old = oldByKey.get(keyOf(item));
+    if (old) {
+      common.push([old, item]);
+    } else {
+      added.push(item);
+    }
+  }
+  const removed = oldItems.filter(item => !newKeys.has(keyOf(item)));
+  return { added, removed, common };
+}
+
+function diffTable(oldTable, newTable) {
+  const columns = matchByKey(oldTable.columns, newTable.columns, column => column.name);
+  const changedColumns = [];
+  for (const [oldColumn, newColumn] of columns.common) {
+    const changes = columnChanges(oldColumn, newColumn);
+    if (changes.length > 0) changedColumns.push({ name: newColumn.name, oldColumn, newColumn, changes });
+  }
+
+  const constraints = matchByKey(oldTable.constraints, newTable.constraints, constraintKey);
+  const changedConstraints = constraints.common
+    .filter(([oldConstraint, newConstraint]) =>
+      constraintSignature(oldConstraint) !== constraintSignature(newConstraint) ||
+      constraintState(oldConstraint) !== constraintState(newConstraint))
+    .map(([oldConstraint, newConstraint]) => ({ oldConstraint, newConstraint }));
+
+  const changed = columns.added.length + columns.removed.length + changedColumns.length +
+    constraints.added.length + constraints.removed.length + changedConstraints.length > 0;
+  if (!changed) return null;
+
+  return {
+    schema: newTable.schema,
+    name: newTable.name,
+    oldTable,
+    newTable,
+    columns: { added: columns.added, removed: columns.removed, changed: changedColumns },
+    constraints: { added: constraints.added, removed: constraints.removed, changed: changedConstraints }
+  };
+}
+
+function indexSignature(index) {
+  return [index.unique, Boolean(index.bitmap), tableKey(index.tableSchema, index.table), index.columns.map(normalizeSql).join(',')].join('|');
+}
+
+// Compara el modelo anterior con el nuevo
+function diffSchemas(oldModel, newModel) {
+  const tables = matchByKey(
+    Array.from(oldModel.tables.values()),
+    Array.from(newModel.tables.values()),
+    table => tableKey(table.schema, table.name));
+  const changedTables = tables.common
+    .map(([oldTable, newTable]) => diffTable(oldTable, newTable))
+    .filter(Boolean);
+
+  const indexes = matchByKey(oldModel.indexes, newModel.indexes, index => tableKey(index.schema, index.name));
+  const changedIndexes = indexes.common
+    .filter(([oldIndex, newIndex]) => indexSignature(oldIndex) !== indexSignature(newIndex))
+    .map(([oldIndex, newIndex]) => ({ oldIndex, newIndex }));
+
+  return {
+    tables: { added: tables.added, removed: tables.removed, changed: changedTables },
+    indexes: { added: indexes.added, removed: indexes.removed, changed: changedIndexes }
+  };
+}
+
+// Indica si los modelos comparados son equivalentes
+function isEmptyDiff(diff) {
+  return diff.tables.added.length + diff.tables.removed.length + diff.tables.changed.length +
+    diff.indexes.added.length + diff.indexes.removed.length + diff.indexes.changed.length === 0;
+}
+
+// ---------------------------------------------------------------------------
+// Informes
+// ---------------------------------------------------------------------------
+
+function markdownCell(text) {
+  return String(text === null || text === undefined ? '' : text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+function describeConstraint(constraint) {
+  const name = isSystemName(constraint.name) ? '' : `${constraint.name}: `;
+  let text = `${name}${constraint.type} (${constraint.columns.join(', ')})`;
+  if (constraint.type === 'FK') {
+    text += ` → ${tableKey(constraint.refSchema, constraint.refTable)} (${constraint.refColumns.join(', ')})`;
+    if (constraint.onDelete) text += ` ON DELETE ${constraint.onDelete}`;
+  } else if (constraint.type === 'CHECK') {
+    text += ` ${constraint.condition}`;
+  }
+  if (!constraint.enabled) text += ' DISABLE';
+  if (constraint.deferrable) text += ' DEFERRABLE';
+  return text;
+}
+
+function describeColumn(column) {
+  const parts = [column.dataType || '(virtual)'];
+  if (column.default !== null) parts.push(`DEFAULT ${column.default}`);
+  if (column.virtual) parts.push(`AS (${column.virtual.expression})`);
+  if (column.identity) parts.push(`IDENTITY ${column.identity.generation}`);
+  if (isNotNull(column)) parts.push('NOT NULL');
+  if (column.invisible) parts.push('INVISIBLE');
+  return parts.join(' ');
+}
+
+function describeIndex(index) {
+  return `${index.unique ? 'UNIQUE ' : ''}${index.bitmap ? 'BITMAP ' : ''}${tableKey(index.tableSchema, index.table)} (${index.columns.join(', ')})`;
+}
+
+// Informe legible en Markdown. options: { oldFile, newFile }
+function formatDiffMarkdown(diff, options = {}) {
+  let content = `# Diferencias de Esquema\n\n`;
+  if (options.oldFile) content += `**Volcado anterior:** ${options.oldFile}  \n`;
+  if (options.newFile) content += `**Volcado nuevo:** ${options.newFile}  \n`;
+  content += `\n## Resumen\n\n`;
+  content += `| Elemento | Añadidos | Eliminados | Modificados |\n`;
+  content += `|----------|----------|------------|-------------|\n`;
+  content += `| Tablas | ${diff.tables.added.length} | ${diff.tables.removed.length} | ${diff.tables.changed.length} |\n`;
+  content += `| Índices | ${diff.indexes.added.length} | ${diff.indexes.removed.length} | ${diff.indexes.changed.length} |\n\n`;
+
+  if (isEmptyDiff(diff)) {
+    content += `Los dos volcados definen el mismo esquema.\n`;
+    return content;
+  }
+
+  if (diff.tables.added.length > 0) {
+    content += `## Tablas añadidas\n\n`;
+    for (const table of diff.tables.added) {
+      content += `- **${tableKey(table.schema, table.name)}** (${table.columns.length} columnas)\n`;
+    }
+    content += `\n`;
+  }
+
+  if (diff.tables.removed.length > 0) {
+    content += `## Tablas eliminadas\n\n`;
+    for (const table of diff.tables.removed) {
+      content += `- **${tableKey(table.schema, table.name)}**\n`;
+    }
+    content += `\n`;
+  }
+
+  if (diff.tables.changed.length > 0) {
+    content += `## Tablas modificadas\n\n`;
+    for (const change of diff.tables.changed) {
+      content += `### ${tableKey(change.schema, change.name)}\n\n`;
+      const rows = [];
+      for (const column of change.columns.added) {
+        rows.push(['Columna añadida', column.name, '', describeColumn(column)]);
+      }
+      for (const column of change.columns.removed) {
+        rows.push(['Columna eliminada', column.name, describeColumn(column), '']);
+      }
+      for (const column of change.columns.changed) {
+        rows.push([`Columna modificada (${column.changes.join(', ')})`, column.name,
+          describeColumn(column.oldColumn), describeColumn(column.newColumn)]);
+      }
+      for (const constraint of change.constraints.added) {
+        rows.push(['Constraint añadida', constraint.name || '', '', describeConstraint(constraint)]);
+      }
+      for (const constraint of change.constraints.removed) {
+        rows.push(['Constraint eliminada', constraint.name || '', describeConstraint(constraint), '']);
+      }
+      for (const { oldConstraint, newConstraint } of change.constraints.changed) {
+        rows.push(['Constraint modificada', newConstraint.name || '',
+          describeConstraint(oldConstraint), describeConstraint(newConstraint)]);
+      }
+
+      content += `| Cambio | Nombre | Antes | Después |\n`;
+      content += `|--------|--------|-------|---------|\n`;
+      for (const row of rows) {
+        content += `| ${row.map(markdownCell).join(' | ')} |\n`;
+      }
+      content += `\n`;
+    }
+  }
+
+  const indexRows = [];
+  for (const index of diff.indexes.added) {
+    indexRows.push(['Añadido', tableKey(index.schema, index.name), '', describeIndex(index)]);
+  }
+  for (const index of diff.indexes.removed) {
+    indexRows.push(['Eliminado', tableKey(index.schema, index.name), describeIndex(index), '']);
+  }
+  for (const { oldIndex, newIndex } of diff.indexes.changed) {
+    indexRows.push(['Modificado', tableKey(newIndex.schema, newIndex.name), describeIndex(oldIndex), describeIndex(newIndex)]);
+  }
+  if (indexRows.length > 0) {
+    content += `## Índices\n\n`;
+    content += `| Cambio | Índice | Antes | Después |\n`;
+    content += `|--------|--------|-------|---------|\n`;
+    for (const row of indexRows) {
+      content += `| ${row.map(markdownCell).join(' | ')} |\n`;
+    }
+    content += `\n`;
+  }
+
+  return content;
+}
+
+// Informe JSON: el resultado de diffSchemas sin las tablas completas de
+// las tablas modificadas (ya se detallan sus cambios)
+function formatDiffJson(diff, options = {}) {
+  const report = {
+    oldFile: options.oldFile || null,
+    newFile: options.newFile || null,
+    tables: {
+      added: diff.tables.added,
+      removed: diff.tables.removed,
+      changed: diff.tables.changed.map(({ oldTable, newTable, ...change }) => change)
+    },
+    indexes: diff.indexes
+  };
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+module.exports = {
+  diffSchemas,
+  isEmptyDiff,
+  formatDiffMarkdown,
+  formatDiffJson
+};
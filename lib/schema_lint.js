@@ -0,0 +1,308 @@
+/**
+ * lib/schema_lint.js
+ * ------------------
+ * Comprobaciones de calidad sobre el modelo del diagrama (lib/der_model.js)
+ * para lint_schema.js.
+ *
+ * Cada regla tiene un identificador, una severidad por defecto y opciones.
+ * La configuración sigue el estilo de ESLint: cada regla recibe una
+ * severidad ("error", "warning", "note" u "off") o [severidad, opciones].
+ *
+ * lintModel() devuelve los hallazgos como
+ *
+ *   { rule, severity, table, object, message, line }
+ *
+ * donde table es la clave ESQUEMA.TABLA, object la columna, constraint o
+ * índice afectado (o null) y line la línea del volcado en la que se declaró.
+ */
+
+const { tableKey } = require('./ddl_parser');
+const { sameDataType } = require('./data_types');
+
+const SEVERITIES = ['error', 'warning', 'note', 'off'];
+
+// Identificadores Oracle sin comillas: mayúsculas, dígitos, "_", "$" y "#"
+const ORACLE_NAME = '^[A-Z][A-Z0-9_$#]*$';
+
+// Nombre mostrado de una columna
+function columnName(tableName, column) {
+  return `${tableName}.${column}`;
+}
+
+// Las constraints PK y UNIQUE crean su propio índice
+function constraintIndexes(tableInfo) {
+  return tableInfo.constraints
+    .filter(constraint => constraint.type === 'PK' || constraint.type === 'UK')
+    .map(constraint => constraint.columns);
+}
+
+// Columnas de un índice normalizadas para compararlas
+function indexColumns(index) {
+  return index.columns.map(column => column.replace(/\s+/g, ''));
+}
+
+// ¿Empiezan las columnas del índice por las columnas indicadas, en
+// cualquier orden?
+function leadsWith(indexColumnList, columns) {
+  const leading = indexColumnList.slice(0, columns.length);
+  return leading.length === columns.length && columns.every(column => leading.includes(column));
+}
+
+const RULES = [
+  {
+    id: 'missing-primary-key',
+    severity: 'error',
+    description: 'Tablas sin clave primaria',
+    check(model) {
+      const findings = [];
+      for (const [tableName, tableInfo] of model.tables) {
+        if (!tableInfo.constraints.some(constraint => constraint.type === 'PK')) {
+          findings.push({ table: tableName, object: null, message: `La tabla ${tableName} no tiene clave primaria`, line: tableInfo.line });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'unindexed-foreign-key',
+    severity: 'warning',
+    description: 'Foreign keys sin un índice que empiece por sus columnas',
+    check(model) {
+      const findings = [];
+      for (const [tableName, tableInfo] of model.tables) {
+        const indexes = constraintIndexes(tableInfo).concat(tableInfo.indexes.map(indexColumns));
+        for (const constraint of tableInfo.constraints) {
+          if (constraint.type !== 'FK' || indexes.some(columns => leadsWith(columns, constraint.columns))) continue;
+          const name = constraint.name || `(${constraint.columns.join(', ')})`;
+          findings.push({
+            table: tableName,
+            object: constraint.name,
+            message: `La foreign key ${name} de ${tableName} no tiene un índice sobre ${constraint.columns.join(', ')}`,
+            line: constraint.line
+          });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'missing-referenced-table',
+    severity: 'error',
+    description: 'Foreign keys que referencian tablas que el volcado no crea',
+    check(model) {
+      const findings = [];
+      for (const [tableName, tableInfo] of model.tables) {
+        for (const constraint of tableInfo.constraints) {
+          if (constraint.type !== 'FK' || !constraint.refTable) continue;
+          const target = tableKey(constraint.refSchema, constraint.refTable);
+          if (model.tables.has(target)) continue;
+          const name = constraint.name || `(${constraint.columns.join(', ')})`;
+          findings.push({
+            table: tableName,
+            object: constraint.name,
+            message: `La foreign key ${name} de ${tableName} referencia ${target}, que no está en el volcado`,
+            line: constraint.line
+          });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'foreign-key-type-mismatch',
+    severity: 'error',
+    description: 'Columnas de foreign key con un tipo, longitud o precisión distintos de la columna referenciada',
+    check(model) {
+      const findings = [];
+      for (const [tableName, tableInfo] of model.tables) {
+        for (const constraint of tableInfo.constraints) {
+          if (constraint.type !== 'FK') continue;
+          const target = model.tables.get(tableKey(constraint.refSchema, constraint.refTable));
+          if (!target) continue;
+          const targetName = tableKey(target.schema, target.name);
+          const mismatches = [];
+          constraint.columns.forEach((name, i) => {
+            const column = tableInfo.columns.find(candidate => candidate.name === name);
+            const referenced = target.columns.find(candidate => candidate.name === constraint.refColumns[i]);
+            if (!column || !referenced || !column.dataType || !referenced.dataType) return;
+            if (sameDataType(column.dataType, referenced.dataType)) return;
+            mismatches.push(`${columnName(tableName, name)} (${column.dataType}) no coincide con ` +
+              `${columnName(targetName, referenced.name)} (${referenced.dataType})`);
+          });
+          if (mismatches.length === 0) continue;
+          const name = constraint.name || `(${constraint.columns.join(', ')})`;
+          findings.push({
+            table: tableName,
+            object: name,
+            message: `La foreign key ${name} de ${tableName}: ${mismatches.join('; ')}, a la que referencia`,
+            line: constraint.line
+          });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'duplicate-index',
+    severity: 'warning',
+    description: 'Índices con las mismas columnas que otro, o que son un prefijo de otro índice',
+    check(model) {
+      const findings = [];
+      for (const [tableName, tableInfo] of model.tables) {
+        const indexes = tableInfo.indexes;
+        const columns = indexes.map(indexColumns);
+        indexes.forEach((index, i) => {
+          for (let j = 0; j < indexes.length; j++) {
+            if (j === i) continue;
+            const other = indexes[j];
+            const isPrefix = columns[i].length <= columns[j].length &&
+              columns[i].every((column, k) => column === columns[j][k]);
+            if (!isPrefix) continue;
+            // De dos índices iguales se señala el segundo; un índice no
+            // único que es prefijo de otro es redundante
+            if (columns[i].length === columns[j].length) {
+              if (j > i) continue;
+              findings.push({
+                table: tableName,
+                object: index.name,
+                message: `El índice ${index.name} de ${tableName} duplica ${other.name} (${index.columns.join(', ')})`,
+                line: index.line
+              });
+            } else if (!index.unique) {
+              findings.push({
+                table: tableName,
+                object: index.name,
+                message: `El índice ${index.name} de ${tableName} es redundante: ${other.name} empieza por las mismas columnas`,
+                line: index.line
+              });
+            } else {
+              continue;
+            }
+            break;
+          }
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'orphan-table',
+    severity: 'note',
+    description: 'Tablas sin relaciones con otras tablas',
+    check(model) {
+      const related = new Set();
+      for (const rel of model.relationships) {
+        if (rel.from === rel.to) continue;
+        related.add(rel.from);
+        related.add(rel.to);
+      }
+      const findings = [];
+      for (const [tableName, tableInfo] of model.tables) {
+        if (!related.has(tableName)) {
+          findings.push({ table: tableName, object: null, message: `La tabla ${tableName} no tiene relaciones con otras tablas`, line: tableInfo.line });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'naming-convention',
+    severity: 'warning',
+    description: 'Nombres de tablas, columnas, constraints e índices que no siguen la convención',
+    // Expresiones regulares por tipo de objeto y longitud máxima (30 antes
+    // de Oracle 12.2)
+    options: {
+      table: ORACLE_NAME,
+      column: ORACLE_NAME,
+      constraint: ORACLE_NAME,
+      index: ORACLE_NAME,
+      maxLength: 128
+    },
+    check(model, options) {
+      const patterns = {};
+      for (const kind of ['table', 'column', 'constraint', 'index']) {
+        patterns[kind] = options[kind] ? new RegExp(options[kind]) : null;
+      }
+      const labels = { table: 'La tabla', column: 'La columna', constraint: 'La constraint', index: 'El índice' };
+      const findings = [];
+      const check = (kind, name, tableName, object, line) => {
+        if (!name) return;
+        const problems = [];
+        if (patterns[kind] && !patterns[kind].test(name)) problems.push(`no cumple ${options[kind]}`);
+        if (options.maxLength && name.length > options.maxLength) problems.push(`supera ${options.maxLength} caracteres`);
+        if (problems.length > 0) {
+          const shown = kind === 'column' ? columnName(tableName, name) : name;
+          findings.push({ table: tableName, object, message: `${labels[kind]} ${shown} ${problems.join(' y ')}`, line });
+        }
+      };
+
+      for (const [tableName, tableInfo] of model.tables) {
+        check('table', tableInfo.name, tableName, null, tableInfo.line);
+        for (const column of tableInfo.columns) check('column', column.name, tableName, column.name, column.line);
+        for (const constraint of tableInfo.constraints) {
+          check('constraint', constraint.name, tableName, constraint.name, constraint.line);
+        }
+        for (const index of tableInfo.indexes) check('index', index.name, tableName, index.name, index.line);
+      }
+      return findings;
+    }
+  }
+];
+
+const RULE_IDS = RULES.map(rule => rule.id);
+
+// Severidad y opciones de cada regla a partir de la configuración
+// { regla: severidad | [severidad, opciones] }. Lanza un error si alguna
+// regla, severidad u opción no es válida.
+function resolveRules(config = {}) {
+  for (const id of Object.keys(config)) {
+    if (!RULE_IDS.includes(id)) {
+      throw new Error(`Regla desconocida: ${id} (reglas: ${RULE_IDS.join(', ')})`);
+    }
+  }
+
+  return RULES.map(rule => {
+    const setting = config[rule.id];
+    const [severity, options] = Array.isArray(setting) ? setting : [setting, undefined];
+    const resolved = severity === undefined ? rule.severity : severity;
+    if (!SEVERITIES.includes(resolved)) {
+      throw new Error(`Severidad no válida para ${rule.id}: ${resolved} (${SEVERITIES.join(', ')})`);
+    }
+    const ruleOptions = Object.assign({}, rule.options, options);
+    for (const name of Object.keys(options || {})) {
+      if (!rule.options || !(name in rule.options)) throw new Error(`Opción desconocida para ${rule.id}: ${name}`);
+    }
+    return { rule, severity: resolved, options: ruleOptions };
+  });
+}
+
+// Aplica las reglas activas al modelo. Los hallazgos se ordenan por tabla
+// (en el orden del modelo) y, dentro de cada tabla, por línea.
+function lintModel(model, config = {}) {
+  const order = new Map(Array.from(model.tables.keys()).map((tableName, i) => [tableName, i]));
+  const findings = [];
+  const rules = resolveRules(config).filter(entry => entry.severity !== 'off');
+  for (const { rule, severity, options } of rules) {
+    for (const finding of rule.check(model, options)) {
+      findings.push(Object.assign({ rule: rule.id, severity }, finding));
+    }
+  }
+  findings.sort((a, b) => (order.get(a.table) - order.get(b.table)) || ((a.line || 0) - (b.line || 0)));
+  return { findings, rules: rules.map(({ rule, severity }) => ({ id: rule.id, severity, description: rule.description })) };
+}
+
+// Número de hallazgos por severidad
+function countBySeverity(findings) {
+  const counts = { error: 0, warning: 0, note: 0 };
+  for (const finding of findings) counts[finding.severity]++;
+  return counts;
+}
+
+module.exports = {
+  RULES,
+  RULE_IDS,
+  SEVERITIES,
+  resolveRules,
+  lintModel,
+  countBySeverity
+};
@@ -0,0 +1,194 @@
+/**
+ * lib/sql_input.js
+ * ----------------
+ * Lectura en streaming de volcados Oracle SQL.
+ *
+ * El volcado se lee por fragmentos, de modo que el consumo de memoria no
+ * depende de su tamaño. Admite archivos comprimidos con gzip (.sql.gz, o
+ * detectados por su cabecera) y la entrada estándar indicando "-" como
+ * nombre de archivo. Se pueden leer varios archivos, directorios y globs
+ * como un único volcado (ver lib/input_files.js).
+ *
+ * Los scripts de SQL*Plus se leen siguiendo sus inclusiones (@archivo,
+ * @@archivo, START archivo), que se buscan junto al script que las contiene
+ * y, si no están allí, en el directorio actual; sin extensión se prueba
+ * antes con .sql. Las opciones de lectura son:
+ *
+ *   dialect    dialecto del volcado (ver lib/dialects; por defecto, oracle)
+ *   onWarning  recibe las advertencias de las inclusiones que no se pueden
+ *              seguir (archivos que no existen, inclusiones recursivas)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { StatementSplitter } = require('./sql_splitter');
+const { SchemaBuilder } = require('./ddl_parser');
+const { getDialect, DIALECTS } = require('./dialects');
+const { expandInputs } = require('./input_files');
+
+// Nombre de archivo que representa la entrada estándar
+const STDIN = '-';
+
+// Cabecera de los archivos gzip
+function isGzipHeader(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+// Descomprime el flujo de bytes si empieza con la cabecera gzip
+async function* gunzipIfNeeded(source) {
+  const iterator = source[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  if (first.done) return;
+
+  const chunks = (async function* () {
+    yield first.value;
+    for (;;) {
+      const { value, done } = await iterator.next();
+      if (done) return;
+      yield value;
+    }
+  })();
+
+  if (isGzipHeader(first.value)) {
+    yield* Readable.from(chunks).pipe(zlib.createGunzip());
+  } else {
+    yield* chunks;
+  }
+}
+
+// Decodifica como UTF-8 un flujo de bytes (stream o iterable asíncrono de
+// Buffer), descomprimiéndolo si es gzip. Los fragmentos que ya son texto se
+// devuelven tal cual.
+async function* decodeChunks(source) {
+  const decoder = new StringDecoder('utf8');
+  let isFirst = true;
+
+  for await (const chunk of gunzipIfNeeded(source)) {
+    let text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    if (isFirst && text.length > 0) {
+      // Eliminar la marca BOM inicial si existe
+      text = text.replace(/^\uFEFF/, '');
+      isFirst = false;
+    }
+    if (text) yield text;
+  }
+
+  const rest = decoder.end();
+  if (rest) yield rest;
+}
+
+// Devuelve el contenido del volcado como fragmentos de texto UTF-8
+function readTextChunks(inputFile) {
+  const source = inputFile === STDIN
+    ? process.stdin
+    : fs.createReadStream(path.resolve(inputFile));
+  return decodeChunks(source);
+}
+
+// Dialecto de las opciones de lectura
+function dialectOf(options) {
+  const name = options.dialect || 'oracle';
+  const dialect = getDialect(name);
+  if (!dialect) throw new Error(`Dialecto no válido: ${name} (dialectos: ${DIALECTS.join(', ')})`);
+  return dialect;
+}
+
+// Archivo de una inclusión: junto al script que la contiene o en el
+// directorio actual, probando primero con la extensión .sql si no la tiene.
+// Devuelve null si no existe.
+function resolveInclude(name, parentFile) {
+  const names = path.extname(name) ? [name] : [`${name}.sql`, name];
+  const dirs = parentFile ? [path.dirname(parentFile), '.'] : ['.'];
+  for (const dir of dirs) {
+    for (const candidate of names.map(item => (path.isAbsolute(item) ? item : path.join(dir, item)))) {
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    }
+  }
+  return null;
+}
+
+// Sentencias de un script, con las de sus inclusiones en el lugar en que
+// aparecen. chain son las rutas absolutas de los scripts que lo incluyen.
+async function* readScript(inputFile, dialect, onWarning, chain) {
+  const file = inputFile === STDIN ? null : inputFile;
+  const splitter = new StatementSplitter(dialect.syntax);
+
+  async function* expand(items) {
+    for (const item of items) {
+      if (item.include === undefined) {
+        item.file = file;
+        yield* dialect.adapt(item);
+        continue;
+      }
+
+      const warning = message => onWarning({ file, line: item.line, column: item.column, message, snippet: item.text });
+      const included = resolveInclude(item.include, file);
+      if (!included) {
+        warning(`No se encuentra el script incluido ${item.include}: se ignora`);
+      } else if (chain.includes(path.resolve(included))) {
+        warning(`Inclusión recursiva de ${included}: se ignora`);
+      } else {
+        yield* readScript(included, dialect, onWarning, chain.concat(path.resolve(included)));
+      }
+    }
+  }
+
+  for await (const chunk of readTextChunks(inputFile)) {
+    yield* expand(splitter.push(chunk));
+  }
+  yield* expand(splitter.end());
+}
+
+// Devuelve las sentencias del volcado a medida que se completan, siguiendo
+// las inclusiones. inputs es un archivo o una lista de archivos,
+// directorios y globs (ver lib/input_files.js), que se leen uno tras otro
+// como un único volcado. Cada sentencia indica en file el archivo del que
+// procede (null en la entrada estándar).
+async function* readStatements(inputs, options = {}) {
+  const dialect = dialectOf(options);
+  const onWarning = options.onWarning || (() => {});
+  for (const inputFile of expandInputs([].concat(inputs))) {
+    const chain = inputFile === STDIN ? [] : [path.resolve(inputFile)];
+    yield* readScript(inputFile, dialect, onWarning, chain);
+  }
+}
+
+// Construye el modelo del esquema a partir de un flujo de fragmentos de
+// texto. Las inclusiones no se siguen: no hay script del que partir.
+async function schemaFromChunks(chunks, options = {}) {
+  const dialect = dialectOf(options);
+  const builder = new SchemaBuilder();
+  const splitter = new StatementSplitter(dialect.syntax);
+  const add = statements => {
+    for (const statement of statements) {
+      for (const adapted of statement.include === undefined ? dialect.adapt(statement) : [statement]) builder.add(adapted);
+    }
+  };
+  for await (const chunk of chunks) add(splitter.push(chunk));
+  add(splitter.end());
+  return builder.build();
+}
+
+// Lee un volcado completo (o varios archivos, como readStatements), con sus
+// inclusiones, y construye el modelo del esquema. Las advertencias del
+// análisis llevan el nombre del archivo (null en la entrada estándar); las
+// tablas, índices y secuencias definidos más de una vez producen una
+// advertencia y se usa la última definición.
+async function readSchema(inputs, options = {}) {
+  const builder = new SchemaBuilder();
+  const statements = readStatements(inputs, Object.assign({}, options, { onWarning: warning => builder.addWarning(warning) }));
+  for await (const statement of statements) builder.add(statement);
+  return builder.build();
+}
+
+module.exports = {
+  STDIN,
+  decodeChunks,
+  readTextChunks,
+  schemaFromChunks,
+  readStatements,
+  readSchema
+};
@@ -0,0 +1,302 @@
+/**
+ * lib/sql_splitter.js
+ * -------------------
+ * Divide un volcado Oracle SQL en sentencias a partir de los tokens de
+ * sql_tokenizer.js, de modo que los ";" dentro de literales, comentarios o
+ * expresiones CHECK/DEFAULT no cortan la sentencia.
+ *
+ * Las sentencias SQL terminan en ";" o en una "/" aislada en una línea. Los
+ * bloques PL/SQL (paquetes, procedimientos, funciones, triggers, tipos y
+ * bloques anónimos) contienen ";" propios y sólo terminan con la "/".
+ *
+ * Los comandos de SQL*Plus entre sentencias (SET, PROMPT, REM, SPOOL...) se
+ * descartan, y @archivo, @@archivo y START archivo se devuelven como
+ * inclusiones { include, line, column, text } en el lugar de la lista en
+ * el que aparecen, para que quien lee el archivo las siga (ver
+ * sql_input.js). La salida de DBMS_METADATA.GET_DDL sin SQLTERMINATOR no
+ * termina las sentencias: un CREATE, ALTER, GRANT o COMMENT ON al principio
+ * de una línea, fuera de paréntesis, cierra la sentencia anterior, y las
+ * cabeceras de columna de SQL*Plus se descartan.
+ *
+ * StatementSplitter admite el volcado por fragmentos, de modo que los
+ * volcados de varios GB se procesan sin cargarlos completos en memoria.
+ */
+
+const { TokenType, Tokenizer } = require('./sql_tokenizer');
+
+// Objetos cuyo cuerpo es PL/SQL y se terminan con "/" en SQL*Plus
+const PLSQL_OBJECTS = new Set(['FUNCTION', 'PROCEDURE', 'PACKAGE', 'TRIGGER', 'TYPE', 'LIBRARY', 'JAVA']);
+
+// Modificadores que pueden aparecer entre CREATE y el tipo de objeto
+const CREATE_MODIFIERS = new Set(['OR', 'REPLACE', 'EDITIONABLE', 'NONEDITIONABLE', 'EDITIONING', 'AND', 'COMPILE', 'RESOLVE', 'NOFORCE']);
+
+// Comandos de SQL*Plus, con la abreviatura mínima de cada uno entre corchetes
+const SQLPLUS_COMMANDS = [
+  'ACC[EPT]', 'ATTR[IBUTE]', 'BRE[AK]', 'BTI[TLE]', 'CL[EAR]', 'COL[UMN]', 'COMP[UTE]', 'CONN[ECT]',
+  'DEF[INE]', 'DESC[RIBE]', 'DISC[ONNECT]', 'EXEC[UTE]', 'EXIT', 'HO[ST]', 'PASSW[ORD]', 'PAU[SE]',
+  'PRI[NT]', 'PRO[MPT]', 'QUIT', 'REM[ARK]', 'REPF[OOTER]', 'REPH[EADER]', 'SET', 'SHO[W]', 'SPO[OL]',
+  'STA[RT]', 'STORE', 'TIMI[NG]', 'TTI[TLE]', 'UNDEF[INE]', 'VAR[IABLE]', 'WHENEVER'
+];
+
+// ACC[EPT] -> ACC(?:E(?:P(?:T)?)?)?
+function abbreviationPattern(command) {
+  const [required, optional = ''] = command.replace(']', '').split('[');
+  return required + [...optional].reverse().reduce((rest, letter) => `(?:${letter}${rest})?`, '');
+}
+
+// Líneas de comandos de SQL*Plus, incluidas @archivo y @@archivo
+const SQLPLUS_COMMAND_RE = new RegExp(
+  `(?:@|(?:${SQLPLUS_COMMANDS.map(abbreviationPattern).join('|')})(?![\\w$#]))[^\\n]*`, 'iy');
+
+// Salida de SQL*Plus en los volcados hechos con SPOOL: líneas del prompt
+// "SQL>", cabeceras de columna de DBMS_METADATA.GET_DDL y mensajes
+// "n rows selected."
+const SQLPLUS_OUTPUT_RE = /(?:SQL>|DBMS_METADATA\.GET_\w*DDL\(|\d+ rows? selected\.|no rows selected)[^\n]*/iy;
+
+// Inclusión de otro script: @archivo, @@archivo, START archivo, \i y \ir de
+// psql, SOURCE y \. de mysql. Los argumentos que siguen se ignoran.
+const INCLUDE_RE = /^(?:@@?|STA(?:R(?:T)?)?\s|\\i(?:r|nclude(?:_relative)?)?\s|\\\.\s|SOURCE\s)\s*("[^"]*"|'[^']*'|[^\s;]+)/i;
+
+// DELIMITER del cliente mysql
+const DELIMITER_RE = /^DELIMITER\s+(\S+)/i;
+
+// Palabras que empiezan una sentencia en la salida de DBMS_METADATA; COMMENT
+// sólo si le sigue ON
+const STATEMENT_STARTS = new Set(['CREATE', 'ALTER', 'GRANT', 'COMMENT']);
+
+// Sintaxis de Oracle y SQL*Plus, la que se usa por defecto. Las demás
+// opciones léxicas de sql_tokenizer.js (backtickQuotes...) se pasan tal cual.
+//   plsqlBlocks          los bloques PL/SQL terminan con "/"
+//   implicitTerminators  sentencias sin terminador, como en DBMS_METADATA
+//   copyData             se saltan los datos de COPY ... FROM STDIN (psql)
+const ORACLE_SYNTAX = {
+  plsqlBlocks: true,
+  implicitTerminators: true,
+  copyData: false,
+  commands: SQLPLUS_COMMAND_RE,
+  outputLines: SQLPLUS_OUTPUT_RE
+};
+
+// Determina si los primeros tokens de una sentencia abren un bloque PL/SQL.
+// Devuelve null mientras los tokens disponibles no basten para decidirlo.
+function isPlsqlStart(tokens) {
+  const first = tokens[0];
+  if (!first) return null;
+  if (first.type !== TokenType.WORD) return false;
+  if (first.upper === 'DECLARE' || first.upper === 'BEGIN') return true;
+  if (first.upper !== 'CREATE') return false;
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== TokenType.WORD) return false;
+    if (PLSQL_OBJECTS.has(token.upper)) return true;
+    if (!CREATE_MODIFIERS.has(token.upper)) return false;
+  }
+  return null;
+}
+
+// COPY tabla ... FROM STDIN, seguido de los datos en el propio volcado
+function isCopyFromStdin(tokens) {
+  const words = tokens.filter(token => token.type === TokenType.WORD).map(token => token.upper);
+  const from = words.indexOf('FROM');
+  return words[0] === 'COPY' && from !== -1 && words[from + 1] === 'STDIN';
+}
+
+// Construye el objeto sentencia a partir de sus tokens significativos.
+// terminator es ";", "/", el delimitador de DELIMITER, "\n" si la sentencia
+// termina donde empieza la siguiente (salida de DBMS_METADATA) o null si el
+// volcado termina sin cerrarla.
+function buildStatement(tokenizer, tokens, terminator) {
+  const first = tokens[0];
+  const last = tokens[tokens.length - 1];
+  const base = first.start;
+
+  const text = tokenizer.slice(base, last.end);
+
+  // Desplazamientos relativos al texto de la sentencia
+  for (const token of tokens) {
+    token.start -= base;
+    token.end -= base;
+  }
+
+  return {
+    text,
+    terminator,
+    line: first.line,
+    column: first.column,
+    endLine: last.line,
+    tokens
+  };
+}
+
+// Divisor incremental: recibe el volcado por fragmentos y devuelve las
+// sentencias a medida que se completan, conservando en memoria sólo la
+// sentencia en curso.
+// options es la sintaxis del volcado (ver ORACLE_SYNTAX).
+class StatementSplitter {
+  constructor(options = {}) {
+    const { plsqlBlocks, implicitTerminators, copyData, ...lexical } = Object.assign({}, ORACLE_SYNTAX, options);
+    this.tokenizer = new Tokenizer('', Object.assign(lexical, { streaming: true }));
+    this.plsqlBlocks = plsqlBlocks;
+    this.implicitTerminators = implicitTerminators;
+    this.copyData = copyData;
+    this.current = [];
+    this.isPlsql = null;
+    // Nivel de paréntesis de la sentencia en curso
+    this.depth = 0;
+    // Posición en current de un COMMENT que empezará sentencia si le sigue ON
+    this.commentStart = null;
+    // El volcado separa sentencias sin terminador
+    this.unterminated = false;
+  }
+
+  // Procesa un fragmento y devuelve las sentencias completadas con él
+  push(chunk) {
+    this.tokenizer.push(chunk);
+    return this.drain();
+  }
+
+  // Procesa el texto pendiente y devuelve las últimas sentencias
+  end() {
+    this.tokenizer.end();
+    const statements = this.drain();
+    this.flush(this.unterminated ? '\n' : null, statements);
+    return statements;
+  }
+
+  // Siguiente token, indicando al analizador léxico si empieza una
+  // sentencia (donde puede haber comandos del cliente)
+  nextToken() {
+    this.tokenizer.statementStart = this.current.length === 0;
+    this.tokenizer.inBlock = this.isPlsql === true;
+    return this.tokenizer.next();
+  }
+
+  drain() {
+    const statements = [];
+    let token;
+
+    while ((token = this.nextToken()) !== null) {
+      if (token.type === TokenType.SLASH || token.type === TokenType.DELIMITER) {
+        this.flush(token.value, statements);
+        this.tokenizer.release(token.end);
+        continue;
+      }
+
+      if (token.type === TokenType.COMMAND) {
+        // Una línea de salida de SQL*Plus cierra la sentencia sin terminar
+        this.flushUnterminated(statements);
+        this.runCommand(token, statements);
+        this.tokenizer.release(token.end);
+        continue;
+      }
+
+      // Los comentarios previos a la sentencia no forman parte de ella
+      if (token.type === TokenType.COMMENT && this.current.length === 0) {
+        this.tokenizer.release(token.end);
+        continue;
+      }
+
+      if (token.type === TokenType.SYMBOL && token.value === ';' && !this.isPlsql && !this.tokenizer.delimiter) {
+        const isCopy = this.copyData && isCopyFromStdin(this.current);
+        this.flush(';', statements);
+        this.tokenizer.release(token.end);
+        if (isCopy) this.tokenizer.inCopyData = true;
+        continue;
+      }
+
+      if (this.implicitTerminators && token.type !== TokenType.COMMENT) this.splitUnterminated(token, statements);
+
+      this.current.push(token);
+      if (token.type === TokenType.SYMBOL && token.value === '(') this.depth++;
+      if (token.type === TokenType.SYMBOL && token.value === ')') this.depth--;
+      if (this.isPlsql === null && token.type !== TokenType.COMMENT) {
+        // Se decide en cuanto se conoce el tipo de objeto
+        this.isPlsql = this.plsqlBlocks ? isPlsqlStart(this.current.filter(t => t.type !== TokenType.COMMENT)) : false;
+      }
+    }
+
+    return statements;
+  }
+
+  // Cierra la sentencia en curso si token, al principio de una línea y fuera
+  // de paréntesis, empieza otra (salida de DBMS_METADATA sin terminadores).
+  // En los bloques PL/SQL sólo se admite un CREATE tras el ";" final.
+  splitUnterminated(token, statements) {
+    if (this.commentStart !== null) {
+      // COMMENT ON: la sentencia anterior termina antes del COMMENT
+      if (token.type === TokenType.WORD && token.upper === 'ON') {
+        const rest = this.current.splice(this.commentStart);
+        this.flushUnterminated(statements);
+        this.current = rest;
+        this.isPlsql = false;
+        this.tokenizer.release(rest[0].start);
+      }
+      this.commentStart = null;
+    }
+
+    if (token.type !== TokenType.WORD || !STATEMENT_STARTS.has(token.upper) || !token.lineStart || this.depth !== 0) return;
+    const previous = this.current.filter(t => t.type !== TokenType.COMMENT);
+    if (previous.length === 0) return;
+    if (this.isPlsql) {
+      const last = previous[previous.length - 1];
+      if (token.upper !== 'CREATE' || last.value !== ';' || previous.some(t => t.upper === 'JAVA')) return;
+    }
+    if (token.upper === 'COMMENT') {
+      if (!this.isPlsql) this.commentStart = this.current.length;
+      return;
+    }
+    this.flushUnterminated(statements);
+  }
+
+  // Cierra la sentencia en curso, que no tiene terminador
+  flushUnterminated(statements) {
+    if (this.current.length === 0) return;
+    this.unterminated = true;
+    this.flush('\n', statements);
+  }
+
+  // Comandos del cliente: las inclusiones se devuelven con las sentencias,
+  // DELIMITER cambia el terminador y el resto se descarta
+  runCommand(token, statements) {
+    const include = token.value.match(INCLUDE_RE);
+    const delimiter = token.value.match(DELIMITER_RE);
+    if (include) {
+      statements.push({ include: include[1].replace(/^["']|["']$/g, ''), line: token.line, column: token.column, text: token.value });
+    } else if (delimiter) {
+      this.tokenizer.delimiter = delimiter[1] === ';' ? null : delimiter[1];
+    }
+  }
+
+  flush(terminator, statements) {
+    // Una "/" tras una sentencia ya terminada en ";" no genera sentencia vacía
+    if (this.current.some(t => t.type !== TokenType.COMMENT)) {
+      statements.push(buildStatement(this.tokenizer, trimComments(this.current), terminator));
+    }
+    this.current = [];
+    this.isPlsql = null;
+    this.depth = 0;
+    this.commentStart = null;
+  }
+}
+
+// Divide un texto SQL completo en sentencias. options es la sintaxis del
+// volcado, como en StatementSplitter.
+function splitStatements(text, options = {}) {
+  const splitter = new StatementSplitter(options);
+  return splitter.push(text).concat(splitter.end());
+}
+
+// Elimina los comentarios al final de la lista de tokens de una sentencia
+function trimComments(tokens) {
+  let end = tokens.length;
+  while (end > 0 && tokens[end - 1].type === TokenType.COMMENT) end--;
+  return tokens.slice(0, end);
+}
+
+module.exports = {
+  ORACLE_SYNTAX,
+  StatementSplitter,
+  splitStatements,
+  isPlsqlStart
+};
@@ -0,0 +1,347 @@
+/**
+ * lib/sql_tokenizer.js
+ * --------------------
+ * Analizador léxico para volcados Oracle SQL.
+ *
+ * Reconoce identificadores con y sin comillas, literales de cadena (incluidos
+ * N'...' y los literales alternativos q'[...]'), números, comentarios
+ * (-- y /* ... *\/) y la barra "/" aislada en una línea con la que SQL*Plus
+ * termina los bloques PL/SQL.
+ *
+ * Las opciones léxicas admiten además los volcados de otros gestores (ver
+ * lib/dialects): identificadores entre `acentos graves`, comentarios #,
+ * cadenas con escapes \' y cadenas $etiqueta$...$etiqueta$. Las líneas de
+ * comandos del cliente (SET, PROMPT, @archivo en SQL*Plus; \connect en
+ * psql) se reconocen al inicio de una sentencia como un único token, de
+ * modo que su texto no se analiza como SQL.
+ *
+ * Cada token conserva su posición en el texto original (desplazamiento,
+ * línea y columna) para poder reconstruir fragmentos y reportar ubicaciones,
+ * e indica en lineStart si es el primero de su línea.
+ *
+ * En modo streaming el texto se entrega por fragmentos con push() y end();
+ * un token que llega al final del fragmento actual no se emite hasta saber
+ * si continúa en el siguiente, y el texto ya consumido se descarta.
+ */
+
+const TokenType = {
+  WORD: 'word',           // Identificador o palabra clave sin comillas
+  QUOTED: 'quoted',       // Identificador entre comillas dobles
+  STRING: 'string',       // Literal de cadena
+  NUMBER: 'number',       // Literal numérico
+  SYMBOL: 'symbol',       // Operadores y signos de puntuación
+  COMMENT: 'comment',     // Comentario de línea o de bloque
+  SLASH: 'slash',         // "/" sola en una línea (terminador SQL*Plus)
+  DELIMITER: 'delimiter', // Terminador fijado con DELIMITER (cliente mysql)
+  COMMAND: 'command'      // Línea de comandos del cliente (SQL*Plus, psql, mysql)
+};
+
+// Expresiones "sticky" evaluadas desde la posición actual del analizador
+const WHITESPACE_RE = /\s+/y;
+const LINE_COMMENT_RE = /--[^\n]*/y;
+const QUOTED_RE = /"(?:[^"]|"")*"/y;
+const STRING_RE = /[nN]?'(?:[^']|'')*'/y;
+const Q_QUOTE_RE = /[nN]?[qQ]'/y;
+const NUMBER_RE = /(?:\d+(?:\.(?!\.)\d*)?|\.\d+)(?:[eE][+-]?\d+)?[fFdD]?/y;
+const WORD_RE = /[A-Za-z_\u00C0-\uFFFF][\w$#\u00C0-\uFFFF]*/y;
+const SYMBOL_RE = /\|\||:=|=>|<=|>=|<>|!=|\^=|\.\.|[\s\S]/y;
+const HASH_COMMENT_RE = /#[^\n]*/y;
+const BACKTICK_RE = /`(?:[^`]|``)*`/y;
+const ESCAPED_STRING_RE = /[nN]?'(?:[^'\\]|\\[\s\S]|'')*'/y;
+const DOLLAR_QUOTE_RE = /\$(?:[A-Za-z_][\w]*)?\$/y;
+// Línea de comandos que continúa en la siguiente (" -" al final, SQL*Plus)
+const CONTINUED_LINE_RE = /\s-\s*$/;
+// Línea que cierra los datos de COPY ... FROM STDIN (psql)
+const COPY_DATA_END_RE = /^\\\.[ \t\r]*$/m;
+
+// Delimitadores de apertura de q'...' y su correspondiente cierre
+const Q_QUOTE_CLOSERS = { '[': ']', '(': ')', '{': '}', '<': '>' };
+
+// Opciones léxicas:
+//   commands      expresión sticky de las líneas de comandos del cliente,
+//                 que sólo se reconocen al inicio de una sentencia
+//   outputLines   expresión sticky de las líneas de salida del cliente que
+//                 pueden aparecer entre sentencias sin terminar (cabeceras
+//                 de SQL*Plus), salvo dentro de un bloque PL/SQL
+//   backtickQuotes, hashComments, backslashEscapes, dollarQuotes
+//                 sintaxis de MySQL y PostgreSQL
+// El divisor de sentencias indica con statementStart e inBlock dónde está
+// el siguiente token, y con delimiter el terminador de DELIMITER.
+class Tokenizer {
+  constructor(text = '', {
+    streaming = false,
+    commands = null,
+    outputLines = null,
+    backtickQuotes = false,
+    hashComments = false,
+    backslashEscapes = false,
+    dollarQuotes = false
+  } = {}) {
+    this.text = text;
+    // Desplazamiento absoluto del primer carácter conservado en this.text
+    this.base = 0;
+    // Desplazamiento absoluto a partir del cual el texto debe conservarse
+    this.keepFrom = 0;
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+    this.ended = !streaming;
+    // Indica si en la línea actual sólo se han visto espacios en blanco
+    this.atLineStart = true;
+    this.commands = commands;
+    this.outputLines = outputLines;
+    this.backtickQuotes = backtickQuotes;
+    this.hashComments = hashComments;
+    this.stringRe = backslashEscapes ? ESCAPED_STRING_RE : STRING_RE;
+    this.dollarQuotes = dollarQuotes;
+    this.statementStart = false;
+    this.inBlock = false;
+    this.delimiter = null;
+    // Se están saltando los datos de un COPY ... FROM STDIN
+    this.inCopyData = false;
+  }
+
+  // Añade un fragmento de texto (modo streaming)
+  push(chunk) {
+    const drop = Math.min(this.keepFrom - this.base, this.pos);
+    if (drop > 0) {
+      this.text = this.text.slice(drop);
+      this.base += drop;
+      this.pos -= drop;
+    }
+    this.text += chunk;
+  }
+
+  // Indica que no llegarán más fragmentos
+  end() {
+    this.ended = true;
+  }
+
+  // Permite descartar el texto anterior al desplazamiento absoluto indicado
+  release(offset) {
+    this.keepFrom = offset;
+  }
+
+  // Texto original entre dos desplazamientos absolutos aún conservados
+  slice(start, end) {
+    return this.text.slice(start - this.base, end - this.base);
+  }
+
+  // Devuelve el siguiente token, o null si se llegó al final del texto
+  // disponible (o, en streaming, si el token puede continuar en el siguiente fragmento)
+  next() {
+    if (this.inCopyData && !this.skipCopyData()) return null;
+    this.skipWhitespace();
+    if (this.pos >= this.text.length) return null;
+
+    const text = this.text;
+    const start = this.pos;
+    const ch = text[start];
+    const nextCh = text[start + 1];
+    let type;
+    let end;
+    let blank;
+
+    if (this.atLineStart && (end = this.matchCommandLine()) !== null) {
+      // Sin el final de la línea todavía no se sabe dónde termina el comando
+      if (end === -1) return null;
+      type = TokenType.COMMAND;
+    } else if (this.delimiter && text.startsWith(this.delimiter, start)) {
+      type = TokenType.DELIMITER;
+      end = start + this.delimiter.length;
+    } else if (ch === '-' && nextCh === '-') {
+      type = TokenType.COMMENT;
+      end = this.matchEnd(LINE_COMMENT_RE);
+    } else if (ch === '/' && nextCh === '*') {
+      type = TokenType.COMMENT;
+      const close = text.indexOf('*/', start + 2);
+      // Un comentario sin cerrar se extiende hasta el final del texto
+      end = close === -1 ? text.length : close + 2;
+    } else if (ch === '/' && this.atLineStart && (blank = this.restOfLineIsBlank(start + 1)) !== false) {
+      // Sin el resto de la línea todavía no se sabe si la barra está aislada
+      if (blank === null) return null;
+      type = TokenType.SLASH;
+      end = start + 1;
+    } else if (ch === '#' && this.hashComments) {
+      type = TokenType.COMMENT;
+      end = this.matchEnd(HASH_COMMENT_RE);
+    } else if (ch === '"') {
+      type = TokenType.QUOTED;
+      end = this.matchEnd(QUOTED_RE) || text.length;
+    } else if (ch === '`' && this.backtickQuotes) {
+      type = TokenType.QUOTED;
+      end = this.matchEnd(BACKTICK_RE) || text.length;
+    } else if (ch === '$' && this.dollarQuotes && (end = this.matchDollarQuote()) !== null) {
+      type = TokenType.STRING;
+    } else if ((end = this.matchQQuote()) !== null) {
+      type = TokenType.STRING;
+    } else if ((ch === '\'' || ((ch === 'n' || ch === 'N') && nextCh === '\''))) {
+      type = TokenType.STRING;
+      end = this.matchEnd(this.stringRe) || text.length;
+    } else if ((end = this.matchEnd(NUMBER_RE)) !== null) {
+      type = TokenType.NUMBER;
+    } else if ((end = this.matchEnd(WORD_RE)) !== null) {
+      type = TokenType.WORD;
+    } else {
+      type = TokenType.SYMBOL;
+      end = this.matchEnd(SYMBOL_RE);
+    }
+
+    // El token alcanza el final del fragmento y podría continuar en el siguiente
+    if (!this.ended && end >= text.length) return null;
+
+    const raw = text.slice(start, end);
+    const token = {
+      type,
+      value: raw,
+      start: this.base + start,
+      end: this.base + end,
+      line: this.line,
+      column: this.column,
+      // Primer token de su línea (salvo comentarios)
+      lineStart: this.atLineStart
+    };
+
+    if (type === TokenType.WORD) {
+      token.upper = raw.toUpperCase();
+    } else if (type === TokenType.QUOTED) {
+      const quote = raw[0];
+      token.value = raw.slice(1, raw.endsWith(quote) && raw.length > 1 ? -1 : undefined).split(quote + quote).join(quote);
+    } else if (type === TokenType.COMMAND) {
+      token.value = raw.trim();
+    }
+
+    this.advance(end);
+    if (type !== TokenType.COMMENT) {
+      this.atLineStart = false;
+    }
+    return token;
+  }
+
+  // Avanza sobre espacios en blanco actualizando línea y columna
+  skipWhitespace() {
+    const end = this.matchEnd(WHITESPACE_RE);
+    if (end !== null) this.advance(end);
+  }
+
+  // Avanza hasta el desplazamiento indicado contando saltos de línea
+  advance(end) {
+    const text = this.text;
+    for (let i = this.pos; i < end; i++) {
+      if (text.charCodeAt(i) === 10) {
+        this.line++;
+        this.column = 1;
+        this.atLineStart = true;
+      } else {
+        this.column++;
+      }
+    }
+    this.pos = end;
+  }
+
+  // Aplica una expresión sticky en la posición actual y devuelve dónde termina
+  matchEnd(regex) {
+    regex.lastIndex = this.pos;
+    return regex.test(this.text) ? regex.lastIndex : null;
+  }
+
+  // Reconoce literales alternativos q'Xtexto X' (y nq'...')
+  matchQQuote() {
+    const prefixEnd = this.matchEnd(Q_QUOTE_RE);
+    if (prefixEnd === null) return null;
+    // Falta el delimitador: en streaming se espera al siguiente fragmento
+    if (prefixEnd >= this.text.length) return this.ended ? null : this.text.length;
+
+    const open = this.text[prefixEnd];
+    const close = Q_QUOTE_CLOSERS[open] || open;
+    const closeIndex = this.text.indexOf(close + '\'', prefixEnd + 1);
+    return closeIndex === -1 ? this.text.length : closeIndex + 2;
+  }
+
+  // Reconoce cadenas $$...$$ y $etiqueta$...$etiqueta$ (PostgreSQL)
+  matchDollarQuote() {
+    const openEnd = this.matchEnd(DOLLAR_QUOTE_RE);
+    if (openEnd === null) return null;
+    const tag = this.text.slice(this.pos, openEnd);
+    const closeIndex = this.text.indexOf(tag, openEnd);
+    return closeIndex === -1 ? this.text.length : closeIndex + tag.length;
+  }
+
+  // Reconoce una línea de comandos del cliente en la posición actual y
+  // devuelve dónde termina (sin el salto de línea), null si no la hay o -1
+  // si el fragmento termina antes de poder decidirlo
+  matchCommandLine() {
+    const commands = this.statementStart ? this.commands : null;
+    const outputLines = this.inBlock ? null : this.outputLines;
+    if (!commands && !outputLines) return null;
+    // Se decide con la línea completa
+    let lineEnd = this.lineEnd(this.pos);
+    if (lineEnd === -1) return -1;
+    if ((!commands || this.matchEnd(commands) === null) && (!outputLines || this.matchEnd(outputLines) === null)) {
+      return null;
+    }
+
+    // Los comandos terminados en " -" continúan en la línea siguiente
+    while (lineEnd !== -1 && lineEnd < this.text.length && CONTINUED_LINE_RE.test(this.text.slice(this.pos, lineEnd))) {
+      lineEnd = this.lineEnd(lineEnd + 1);
+    }
+    return lineEnd;
+  }
+
+  // Final de la línea que empieza en from (posición del salto de línea o
+  // final del texto), o -1 si el fragmento termina antes
+  lineEnd(from) {
+    const index = this.text.indexOf('\n', from);
+    if (index !== -1) return index;
+    return this.ended ? this.text.length : -1;
+  }
+
+  // Salta los datos de un COPY ... FROM STDIN hasta la línea "\." que los
+  // cierra. Devuelve false si el fragmento termina antes de encontrarla.
+  skipCopyData() {
+    const rest = this.text.slice(this.pos);
+    const match = COPY_DATA_END_RE.exec(rest);
+    if (match || this.ended) {
+      this.advance(match ? this.pos + match.index + match[0].length : this.text.length);
+      this.inCopyData = false;
+      return true;
+    }
+    // Las líneas completas ya saltadas se pueden descartar
+    const lastLine = rest.lastIndexOf('\n');
+    if (lastLine !== -1) {
+      this.advance(this.pos + lastLine + 1);
+      this.release(this.base + this.pos);
+    }
+    return false;
+  }
+
+  // Comprueba que desde la posición indicada hasta el fin de línea sólo haya
+  // espacios. Devuelve null si el fragmento termina antes de poder decidirlo.
+  restOfLineIsBlank(from) {
+    const text = this.text;
+    for (let i = from; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\n') return true;
+      if (ch !== ' ' && ch !== '\t' && ch !== '\r') return false;
+    }
+    return this.ended ? true : null;
+  }
+}
+
+// Convierte un texto completo en la lista de sus tokens. options son las
+// opciones léxicas de Tokenizer.
+function tokenize(text, options = {}) {
+  const tokenizer = new Tokenizer(text, Object.assign({}, options, { streaming: false }));
+  const tokens = [];
+  let token;
+  while ((token = tokenizer.next()) !== null) {
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+module.exports = {
+  TokenType,
+  Tokenizer,
+  tokenize
+};
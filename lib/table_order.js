@@ -0,0 +1,148 @@
+/**
+ * lib/table_order.js
+ * ------------------
+ * Orden de creación de las tablas según sus foreign keys: cada tabla va
+ * después de las tablas a las que referencia, de modo que el DDL puede
+ * ejecutarse sobre una base de datos vacía.
+ *
+ * Entre tablas sin dependencias pendientes se conserva el orden del volcado.
+ * Las dependencias circulares se rompen dentro del ciclo (la componente
+ * fuertemente conexa de las tablas que se referencian entre sí): se coloca
+ * primero una tabla cuyas foreign keys hacia el resto del ciclo se pueden
+ * añadir después (options.deferrable, p. ej. las de ALTER TABLE) y, si no
+ * hay ninguna, la que tiene menos foreign keys que no se pueden aplazar.
+ */
+
+const { tableKey } = require('./ddl_parser');
+
+// Tablas padre de una tabla presentes en el modelo (sin autorreferencias),
+// con true si todas sus foreign keys hacia esa tabla se pueden aplazar
+function parentEdges(table, tables, deferrable) {
+  const parents = new Map();
+  const key = tableKey(table.schema, table.name);
+  for (const constraint of table.constraints) {
+    if (constraint.type !== 'FK') continue;
+    const parent = tableKey(constraint.refSchema, constraint.refTable);
+    if (parent === key || !tables.has(parent)) continue;
+    const canDefer = Boolean(deferrable(constraint));
+    parents.set(parent, parents.has(parent) ? parents.get(parent) && canDefer : canDefer);
+  }
+  return parents;
+}
+
+// Componentes fuertemente conexas (Tarjan, sin recursión) del grafo de los
+// nodos indicados. Cada componente sale después de todas las que alcanza,
+// de modo que la primera no tiene aristas hacia otras componentes
+function stronglyConnected(nodes, neighbours) {
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  const visit = node => {
+    index.set(node, counter);
+    low.set(node, counter++);
+    stack.push(node);
+    onStack.add(node);
+    return [node, neighbours(node)[Symbol.iterator]()];
+  };
+
+  for (const root of nodes) {
+    if (index.has(root)) continue;
+    const work = [visit(root)];
+    while (work.length > 0) {
+      const [node, iterator] = work[work.length - 1];
+      const step = iterator.next();
+      if (!step.done) {
+        if (!index.has(step.value)) {
+          work.push(visit(step.value));
+        } else if (onStack.has(step.value)) {
+          low.set(node, Math.min(low.get(node), index.get(step.value)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length > 0) {
+        const caller = work[work.length - 1][0];
+        low.set(caller, Math.min(low.get(caller), low.get(node)));
+      }
+      if (low.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+// Devuelve las claves de las tablas en orden de creación.
+// options.deferrable(constraint): indica si una foreign key se puede añadir
+// después de crear su tabla; por defecto, todas
+function orderTables(tables, options = {}) {
+  const deferrable = options.deferrable || (() => true);
+  const keys = Array.from(tables.keys());
+  const position = new Map(keys.map((key, i) => [key, i]));
+  const edges = new Map();
+  const pending = new Map();
+  const children = new Map(keys.map(key => [key, []]));
+
+  for (const [key, table] of tables) {
+    const parents = parentEdges(table, tables, deferrable);
+    edges.set(key, parents);
+    pending.set(key, parents.size);
+    for (const parent of parents.keys()) children.get(parent).push(key);
+  }
+
+  const order = [];
+  const placed = new Set();
+  // Tablas listas, ordenadas por su posición en el volcado
+  let ready = keys.filter(key => pending.get(key) === 0);
+
+  const place = key => {
+    placed.add(key);
+    order.push(key);
+    let added = false;
+    for (const child of children.get(key)) {
+      pending.set(child, pending.get(child) - 1);
+      if (pending.get(child) === 0 && !placed.has(child)) {
+        ready.push(child);
+        added = true;
+      }
+    }
+    if (added) ready.sort((a, b) => position.get(a) - position.get(b));
+  };
+  const pendingParents = key => Array.from(edges.get(key).keys()).filter(parent => !placed.has(parent));
+  // Foreign keys de una tabla hacia tablas sin colocar que no se pueden aplazar
+  const blocking = key => pendingParents(key).filter(parent => !edges.get(key).get(parent)).length;
+
+  while (order.length < keys.length) {
+    ready = ready.filter(key => !placed.has(key));
+    if (ready.length > 0) {
+      place(ready.shift());
+      continue;
+    }
+    // Ciclo: las tablas sin colocar dependen todas de otras sin colocar. La
+    // primera componente sólo depende de sí misma; dentro de ella se elige
+    // la tabla con menos foreign keys que no se pueden aplazar y, entre
+    // ellas, la primera del volcado
+    const remaining = keys.filter(key => !placed.has(key));
+    const [cycle] = stronglyConnected(remaining, pendingParents);
+    const candidates = cycle
+      .map(key => ({ key, blocking: blocking(key) }))
+      .sort((a, b) => (a.blocking - b.blocking) || (position.get(a.key) - position.get(b.key)));
+    place(candidates[0].key);
+  }
+  return order;
+}
+
+module.exports = {
+  orderTables
+};
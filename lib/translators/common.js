@@ -0,0 +1,71 @@
+/**
+ * lib/translators/common.js
+ * -------------------------
+ * Utilidades compartidas por los dialectos de lib/translators.
+ *
+ * Los dialectos reciben los tipos ya clasificados por index.js:
+ *   { kind, name, declared, national, length, precision, scale, withTimeZone }
+ * donde kind es la familia del tipo Oracle (varchar, char, integer, decimal,
+ * double, float, date, timestamp, interval, text, blob, raw, bfile, rowid,
+ * xml, json, boolean u other).
+ */
+
+// Tipo entero con capacidad para NUMBER(p): smallint, integer o bigint
+// según los dígitos; null si p supera los 18 dígitos de un bigint.
+// names: [smallint, integer, bigint] en el dialecto.
+function integerType(precision, names) {
+  if (precision <= 4) return names[0];
+  if (precision <= 9) return names[1];
+  if (precision <= 18) return names[2];
+  return null;
+}
+
+// Precisión y escala de un NUMBER(p,s) decimal. Sin precisión se usa la
+// máxima de Oracle (38); devuelve warning si hay que aproximar.
+function decimalArguments(info, defaultScale) {
+  if (info.precision === null && info.scale === null) {
+    return {
+      args: `(38,${defaultScale})`,
+      warning: `NUMBER sin precisión se traduce con precisión 38 y escala ${defaultScale}; revisar el rango de los datos`
+    };
+  }
+  const precision = info.precision === null ? 38 : info.precision;
+  if (info.scale !== null && info.scale < 0) {
+    return {
+      args: `(${precision - info.scale},0)`,
+      warning: `escala negativa (${info.scale}) no admitida; se redondea a enteros`
+    };
+  }
+  if (info.scale !== null && info.scale > precision) {
+    return { args: `(${info.scale},${info.scale})`, warning: null };
+  }
+  return { args: info.scale === null ? `(${precision})` : `(${precision},${info.scale})`, warning: null };
+}
+
+// Tipo sin equivalente: se copia el declarado con una advertencia
+function unknownType(info) {
+  return { type: info.declared, warning: `el tipo ${info.declared} no tiene equivalente; se copia sin traducir` };
+}
+
+// Opciones de una secuencia Oracle como cláusulas estándar (START WITH,
+// INCREMENT BY, MINVALUE, MAXVALUE, CACHE, CYCLE). Los MAXVALUE de más de
+// 18 dígitos (el máximo por defecto de Oracle) se omiten: no caben en un
+// bigint y el máximo del motor es equivalente.
+function sequenceClauses(sequence, options = {}) {
+  const clauses = [];
+  const startWith = sequence.startWith || (options.alwaysStart ? '1' : null);
+  if (startWith) clauses.push(`START WITH ${startWith}`);
+  if (sequence.incrementBy) clauses.push(`INCREMENT BY ${sequence.incrementBy}`);
+  if (sequence.minValue) clauses.push(`MINVALUE ${sequence.minValue}`);
+  if (sequence.maxValue && sequence.maxValue.replace('-', '').length <= 18) clauses.push(`MAXVALUE ${sequence.maxValue}`);
+  if (sequence.cache) clauses.push(`CACHE ${sequence.cache}`);
+  if (sequence.cycle) clauses.push('CYCLE');
+  return clauses;
+}
+
+module.exports = {
+  integerType,
+  decimalArguments,
+  unknownType,
+  sequenceClauses
+};
@@ -0,0 +1,626 @@
+/**
+ * lib/translators/index.js
+ * ------------------------
+ * Traducción del modelo de esquema Oracle (ddl_parser.js) a DDL de otros
+ * motores: PostgreSQL, MySQL y SQL Server (--target de
+ * extract_create_tables.js).
+ *
+ * El DDL se genera a partir del modelo, de modo que las cláusulas físicas
+ * (TABLESPACE, PCTFREE, STORAGE, LOGGING, ...) desaparecen. Cada motor es un
+ * dialecto (postgres.js, mysql.js, mssql.js) que indica cómo se escriben los
+ * identificadores, los tipos, las columnas identity, las secuencias y los
+ * índices; este módulo recorre el modelo y reparte el trabajo.
+ *
+ * Las columnas alimentadas por una secuencia desde un trigger BEFORE INSERT
+ * (:NEW.id := seq.NEXTVAL o SELECT seq.NEXTVAL INTO :NEW.id FROM DUAL) se
+ * traducen como columnas identity y la secuencia y el trigger no se
+ * generan. Los comentarios de tablas y columnas se traducen al mecanismo de
+ * cada motor. Lo que no se puede traducir (vistas, sinónimos, PL/SQL,
+ * tipos, GRANT, particionado e índices BITMAP o particionados) se conserva
+ * como comentario con una advertencia (-- ADVERTENCIA: ...).
+ *
+ * Cada dialecto exporta:
+ *   label                           nombre del motor para los mensajes
+ *   supportsDeferrable, supportsInvisible
+ *   identifier(name), qualifiedName(schema, name)
+ *   mapType(info)                   -> { type, warning } (ver common.js)
+ *   functions                       funciones Oracle -> equivalente
+ *   concat                          operador de concatenación o null
+ *   nextval(schema, name)           siguiente valor de una secuencia o null
+ *   identity({ generation, startWith, incrementBy })
+ *                                   -> { text, tableOption, warning }
+ *   virtualColumn(type, expression) -> { text, warning }
+ *   defaultValue(text, isLiteral), indexExpression(text) (null si no se admite)
+ *   createSchema(schema), createSequence(sequence) -> { text, warning }
+ *   comment({ schema, table, column }, text)
+ *                                   -> { statement } o { clause } si el
+ *                                      comentario va en la columna o como
+ *                                      opción de la tabla
+ */
+
+const { TokenType, tokenize } = require('../sql_tokenizer');
+const { StatementKind, tableKey } = require('../ddl_parser');
+
+// Nombre de los objetos que no se traducen, por clase de sentencia
+const OBJECT_NAMES = {
+  [StatementKind.CREATE_VIEW]: 'la vista',
+  [StatementKind.CREATE_MATERIALIZED_VIEW]: 'la vista materializada',
+  [StatementKind.CREATE_SYNONYM]: 'el sinónimo',
+  [StatementKind.CREATE_PACKAGE]: 'el paquete',
+  [StatementKind.CREATE_PACKAGE_BODY]: 'el cuerpo del paquete',
+  [StatementKind.CREATE_PROCEDURE]: 'el procedimiento',
+  [StatementKind.CREATE_FUNCTION]: 'la función',
+  [StatementKind.CREATE_TYPE]: 'el tipo',
+  [StatementKind.CREATE_TYPE_BODY]: 'el cuerpo del tipo'
+};
+
+const TARGETS = {
+  postgres: require('./postgres'),
+  mysql: require('./mysql'),
+  mssql: require('./mssql')
+};
+
+// Funciones de Oracle sin equivalente directo: las expresiones que las usan
+// se copian con una advertencia
+const ORACLE_ONLY_FUNCTIONS = new Set([
+  'DECODE', 'NVL2', 'TO_DATE', 'TO_CHAR', 'TO_NUMBER', 'TO_TIMESTAMP', 'INSTR', 'REGEXP_LIKE',
+  'REGEXP_SUBSTR', 'REGEXP_REPLACE', 'TRUNC', 'ADD_MONTHS', 'MONTHS_BETWEEN', 'LAST_DAY',
+  'ROWNUM', 'LENGTHB', 'SUBSTRB', 'SYS_GUID', 'SYS_CONTEXT', 'USERENV', 'NUMTODSINTERVAL',
+  'NUMTOYMINTERVAL', 'SYS_EXTRACT_UTC'
+]);
+
+// Familia de un tipo Oracle con sus argumentos:
+// { kind, name, declared, national, length, precision, scale, withTimeZone }
+function classifyType(column) {
+  const type = column.type;
+  if (!type) return null;
+  const name = type.name.replace(/^(PUBLIC|SYS)\./, '');
+  const info = {
+    kind: 'other',
+    name,
+    declared: column.dataType,
+    national: /^N(CHAR|VARCHAR|CLOB)|NATIONAL/.test(name),
+    length: type.length,
+    precision: type.precision,
+    scale: type.scale,
+    withTimeZone: /WITH (LOCAL )?TIME ZONE/.test(name)
+  };
+
+  if (/VARCHAR|VARYING/.test(name)) {
+    info.kind = 'varchar';
+  } else if (/^(N?CHAR|CHARACTER|NATIONAL CHAR(ACTER)?)$/.test(name)) {
+    info.kind = 'char';
+  } else if (['NUMBER', 'NUMERIC', 'DECIMAL', 'DEC'].includes(name)) {
+    // NUMBER(p) o NUMBER(p,0): entero de hasta p dígitos
+    info.kind = info.precision !== null && !info.scale ? 'integer' : 'decimal';
+  } else if (['INTEGER', 'INT', 'SMALLINT'].includes(name)) {
+    info.kind = 'integer';
+    info.precision = name === 'SMALLINT' ? 4 : 9;
+  } else if (['FLOAT', 'DOUBLE PRECISION', 'BINARY_DOUBLE'].includes(name)) {
+    info.kind = 'double';
+  } else if (['REAL', 'BINARY_FLOAT'].includes(name)) {
+    info.kind = 'float';
+  } else if (name === 'DATE') {
+    info.kind = 'date';
+  } else if (name.startsWith('TIMESTAMP')) {
+    info.kind = 'timestamp';
+  } else if (name.startsWith('INTERVAL')) {
+    info.kind = 'interval';
+  } else if (['CLOB', 'NCLOB', 'LONG'].includes(name)) {
+    info.kind = 'text';
+  } else if (['BLOB', 'LONG RAW', 'BFILE'].includes(name)) {
+    info.kind = name === 'BFILE' ? 'bfile' : 'blob';
+  } else if (name === 'RAW') {
+    info.kind = 'raw';
+  } else if (['ROWID', 'UROWID'].includes(name)) {
+    info.kind = 'rowid';
+  } else if (name === 'XMLTYPE') {
+    info.kind = 'xml';
+  } else if (name === 'JSON') {
+    info.kind = 'json';
+  } else if (name === 'BOOLEAN') {
+    info.kind = 'boolean';
+  }
+  return info;
+}
+
+// Traduce una expresión Oracle (DEFAULT, CHECK, columna virtual):
+// funciones con equivalente directo, seq.NEXTVAL, concatenación e
+// identificadores entre comillas. Devuelve { text, warning }.
+function translateExpression(expression, dialect) {
+  const tokens = tokenize(expression).filter(token => token.type !== TokenType.COMMENT);
+  const untranslated = new Set();
+  let text = '';
+  let last = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    text += expression.slice(last, token.start);
+    last = token.end;
+    if (token.type === TokenType.SYMBOL && token.value === '||') {
+      if (!dialect.concat) untranslated.add('||');
+      text += dialect.concat || token.value;
+      continue;
+    }
+    const isName = token.type === TokenType.WORD || token.type === TokenType.QUOTED;
+    const afterDot = i > 0 && tokens[i - 1].value === '.';
+
+    // [esquema.]secuencia.NEXTVAL
+    if (isName && !afterDot) {
+      const parts = [token];
+      let j = i;
+      while (tokens[j + 1] && tokens[j + 1].value === '.' && tokens[j + 2] &&
+             (tokens[j + 2].type === TokenType.WORD || tokens[j + 2].type === TokenType.QUOTED)) {
+        parts.push(tokens[j + 2]);
+        j += 2;
+      }
+      const lastPart = parts[parts.length - 1];
+      if (parts.length > 1 && lastPart.type === TokenType.WORD && lastPart.upper === 'NEXTVAL') {
+        const names = parts.slice(0, -1).map(part => (part.type === TokenType.QUOTED ? part.value : part.upper));
+        const nextval = dialect.nextval(names.length > 1 ? names[0] : null, names[names.length - 1]);
+        if (nextval) {
+          text += nextval;
+        } else {
+          untranslated.add('NEXTVAL');
+          text += expression.slice(token.start, lastPart.end);
+        }
+        last = lastPart.end;
+        i = j;
+        continue;
+      }
+    }
+
+    // Los identificadores entre comillas usan las del dialecto (en MySQL las
+    // comillas dobles delimitan cadenas)
+    if (token.type === TokenType.QUOTED) {
+      text += dialect.identifier(token.value);
+      continue;
+    }
+    // Las palabras tras un punto son columnas o nombres cualificados
+    if (token.type !== TokenType.WORD || afterDot) {
+      text += expression.slice(token.start, token.end);
+      continue;
+    }
+
+    const replacement = dialect.functions[token.upper];
+    if (replacement !== undefined) {
+      text += replacement;
+    } else {
+      if (ORACLE_ONLY_FUNCTIONS.has(token.upper)) untranslated.add(token.upper);
+      text += expression.slice(token.start, token.end);
+    }
+  }
+  text += expression.slice(last);
+
+  const warning = untranslated.size > 0
+    ? `la expresión usa ${Array.from(untranslated).join(', ')} de Oracle y se copia sin traducir: ${expression.replace(/\s+/g, ' ')}`
+    : null;
+  return { text, warning };
+}
+
+// Literal que los motores aceptan tal cual como valor por defecto
+function isLiteral(text) {
+  return /^(-?\d+(\.\d+)?|'([^']|'')*'|NULL)$/i.test(text.trim());
+}
+
+// Columnas alimentadas por secuencia desde un trigger BEFORE INSERT.
+// Devuelve Map "ESQUEMA.TABLA" -> { column, sequence, trigger }.
+function findSequenceTriggers(model) {
+  const sequences = new Map(model.sequences.map(sequence => [tableKey(sequence.schema, sequence.name), sequence]));
+  const found = new Map();
+  const assignment = /:NEW\s*\.\s*("?[\w$#]+"?)\s*:=\s*((?:"?[\w$#]+"?\s*\.\s*)?"?[\w$#]+"?)\s*\.\s*NEXTVAL/i;
+  const selectInto = /SELECT\s+((?:"?[\w$#]+"?\s*\.\s*)?"?[\w$#]+"?)\s*\.\s*NEXTVAL\s+INTO\s+:NEW\s*\.\s*("?[\w$#]+"?)\s+FROM\s+DUAL/i;
+  const identifier = name => (name.startsWith('"') ? name.slice(1, -1) : name.toUpperCase());
+
+  for (const trigger of model.triggers) {
+    if (trigger.timing !== 'BEFORE' || !trigger.forEachRow || !trigger.events.includes('INSERT')) continue;
+    let columnName;
+    let sequenceName;
+    let match = trigger.body.match(assignment);
+    if (match) {
+      [, columnName, sequenceName] = match;
+    } else if ((match = trigger.body.match(selectInto))) {
+      [, sequenceName, columnName] = match;
+    } else {
+      continue;
+    }
+
+    const parts = sequenceName.split('.').map(part => identifier(part.trim()));
+    const sequenceSchema = parts.length > 1 ? parts[0] : trigger.schema;
+    const sequence = sequences.get(tableKey(sequenceSchema, parts[parts.length - 1]));
+    const table = model.tables.get(tableKey(trigger.tableSchema, trigger.table));
+    const column = table && table.columns.find(candidate => candidate.name === identifier(columnName));
+    if (sequence && column) {
+      found.set(tableKey(table.schema, table.name), { column: column.name, sequence, trigger });
+    }
+  }
+  return found;
+}
+
+// Columnas que numera el motor: las identity, las alimentadas por secuencia
+// y, en cadena, las de las foreign keys que las referencian, para que
+// tengan el mismo tipo. Devuelve un Set de "ESQUEMA.TABLA.COLUMNA".
+function findKeyColumns(model, sequenceColumns) {
+  const keys = new Set();
+  for (const table of model.tables.values()) {
+    for (const column of table.columns) {
+      if (column.identity) keys.add(`${tableKey(table.schema, table.name)}.${column.name}`);
+    }
+  }
+  for (const [key, { column }] of sequenceColumns) keys.add(`${key}.${column}`);
+
+  let added = keys.size > 0;
+  while (added) {
+    added = false;
+    for (const table of model.tables.values()) {
+      for (const constraint of table.constraints) {
+        if (constraint.type !== 'FK' || !constraint.refTable) continue;
+        constraint.columns.forEach((name, i) => {
+          const target = constraint.refColumns[i];
+          const key = `${tableKey(table.schema, table.name)}.${name}`;
+          if (target && !keys.has(key) && keys.has(`${tableKey(constraint.refSchema, constraint.refTable)}.${target}`)) {
+            keys.add(key);
+            added = true;
+          }
+        });
+      }
+    }
+  }
+  return keys;
+}
+
+// START WITH e INCREMENT BY de las opciones de una columna identity
+function identityOptions(identity) {
+  const options = identity.options || '';
+  const start = options.match(/START\s+WITH\s+(-?\d+)/i);
+  const increment = options.match(/INCREMENT\s+BY\s+(-?\d+)/i);
+  return {
+    generation: identity.generation,
+    startWith: start ? start[1] : null,
+    incrementBy: increment ? increment[1] : null
+  };
+}
+
+function isSystemName(name) {
+  return !name || /^SYS_C\d+$/.test(name);
+}
+
+// Traductor de un modelo para un dialecto. Acumula las sentencias por
+// sección, cada una con sus advertencias.
+class SchemaTranslator {
+  constructor(model, dialect) {
+    this.model = model;
+    this.dialect = dialect;
+    this.sequenceColumns = findSequenceTriggers(model);
+    this.keyColumns = findKeyColumns(model, this.sequenceColumns);
+    this.sections = {
+      schemas: [],
+      sequences: [],
+      tables: [],
+      foreignKeys: [],
+      indexes: [],
+      comments: [],
+      untranslated: []
+    };
+    this.warningCount = 0;
+  }
+
+  add(section, text, warnings = []) {
+    const list = warnings.filter(Boolean);
+    this.warningCount += list.length;
+    this.sections[section].push({ text, warnings: list });
+  }
+
+  table(schema, name) {
+    return this.dialect.qualifiedName(schema, name);
+  }
+
+  // Definición de columna en el dialecto; devuelve { text, warnings, tableOptions }
+  column(table, column) {
+    const dialect = this.dialect;
+    const warnings = [];
+    const tableOptions = [];
+    const name = dialect.identifier(column.name);
+    let info = classifyType(column);
+    // Los motores sólo numeran columnas enteras: un NUMBER sin escala que
+    // numera el motor (o que referencia a una de ellas) pasa a bigint
+    const isKey = this.keyColumns.has(`${tableKey(table.schema, table.name)}.${column.name}`);
+    if (info && isKey && ['integer', 'decimal'].includes(info.kind) && !info.scale) {
+      info = Object.assign({}, info, { kind: 'integer', precision: 18, scale: null });
+    }
+    let type = null;
+    if (info) {
+      const mapped = dialect.mapType(info);
+      type = mapped.type;
+      if (mapped.warning) warnings.push(`${column.name}: ${mapped.warning}`);
+    }
+
+    if (column.virtual) {
+      const expression = translateExpression(column.virtual.expression, dialect);
+      if (expression.warning) warnings.push(`${column.name}: ${expression.warning}`);
+      const virtual = dialect.virtualColumn(type, expression.text);
+      if (virtual.warning) warnings.push(`${column.name}: ${virtual.warning}`);
+      return { text: `${name} ${virtual.text}`, warnings, tableOptions };
+    }
+
+    let text = `${name} ${type}`;
+    const sequenceColumn = this.sequenceColumns.get(tableKey(table.schema, table.name));
+    let identity = null;
+    if (column.identity) {
+      identity = identityOptions(column.identity);
+    } else if (sequenceColumn && sequenceColumn.column === column.name) {
+      // El trigger que sólo asigna el valor si viene vacío equivale a BY DEFAULT
+      const { sequence, trigger } = sequenceColumn;
+      const generation = /:NEW\s*\.\s*"?[\w$#]+"?\s+IS\s+NULL/i.test(trigger.body) ? 'BY DEFAULT' : 'ALWAYS';
+      identity = { generation, startWith: sequence.startWith, incrementBy: sequence.incrementBy };
+    }
+
+    if (identity) {
+      const clause = dialect.identity(identity);
+      text += ` ${clause.text}`;
+      if (clause.tableOption) tableOptions.push(clause.tableOption);
+      if (clause.warning) warnings.push(`${column.name}: ${clause.warning}`);
+    } else if (column.default !== null) {
+      const expression = translateExpression(column.default, dialect);
+      if (expression.warning) warnings.push(`${column.name}: DEFAULT: ${expression.warning}`);
+      text += ` DEFAULT ${dialect.defaultValue(expression.text, isLiteral(expression.text))}`;
+      if (column.defaultOnNull) warnings.push(`${column.name}: DEFAULT ON NULL se traduce como DEFAULT`);
+    }
+
+    if (column.notNull || column.primaryKey) text += ' NOT NULL';
+    if (column.invisible) {
+      if (dialect.supportsInvisible) {
+        text += ' INVISIBLE';
+      } else {
+        warnings.push(`${column.name}: las columnas INVISIBLE no existen en ${dialect.label}; se crea visible`);
+      }
+    }
+    return { text, warnings, tableOptions };
+  }
+
+  // Cláusula de una constraint; devuelve { text, warnings, disabled }
+  constraint(constraint) {
+    const dialect = this.dialect;
+    const warnings = [];
+    const columns = list => `(${list.map(dialect.identifier).join(', ')})`;
+    let text = isSystemName(constraint.name) ? '' : `CONSTRAINT ${dialect.identifier(constraint.name)} `;
+
+    switch (constraint.type) {
+      case 'PK':
+        text += `PRIMARY KEY ${columns(constraint.columns)}`;
+        break;
+      case 'UK':
+        text += `UNIQUE ${columns(constraint.columns)}`;
+        break;
+      case 'FK':
+        text += `FOREIGN KEY ${columns(constraint.columns)} REFERENCES ${this.table(constraint.refSchema, constraint.refTable)}`;
+        if (constraint.refColumns.length > 0) text += ` ${columns(constraint.refColumns)}`;
+        if (constraint.onDelete) text += ` ON DELETE ${constraint.onDelete}`;
+        break;
+      case 'CHECK': {
+        const condition = translateExpression(constraint.condition, dialect);
+        if (condition.warning) warnings.push(`CHECK ${constraint.name || `(${constraint.condition})`}: ${condition.warning}`);
+        text += `CHECK (${condition.text})`;
+        break;
+      }
+      default:
+        return null;
+    }
+
+    const label = constraint.name || `${constraint.type} (${constraint.columns.join(', ')})`;
+    if (constraint.deferrable) {
+      if (dialect.supportsDeferrable) {
+        text += constraint.initiallyDeferred ? ' DEFERRABLE INITIALLY DEFERRED' : ' DEFERRABLE';
+      } else {
+        warnings.push(`${label}: ${dialect.label} no admite constraints DEFERRABLE; se crea inmediata`);
+      }
+    }
+    if (constraint.enabled && !constraint.validated) {
+      warnings.push(`${label}: ENABLE NOVALIDATE no se traduce; la constraint validará los datos existentes`);
+    }
+    return { text, warnings, disabled: !constraint.enabled };
+  }
+
+  translateTable(table) {
+    const elements = [];
+    const warnings = [];
+    const tableOptions = [];
+    const qualified = this.table(table.schema, table.name);
+    const comments = [];
+    // Los comentarios van en la definición ({ clause }) o en sentencias aparte
+    const comment = (column, text) => {
+      const translated = this.dialect.comment({ schema: table.schema, table: table.name, column }, text);
+      if (translated.statement) comments.push(translated.statement);
+      return translated.clause || null;
+    };
+
+    for (const column of table.columns) {
+      const translated = this.column(table, column);
+      const clause = column.comment ? comment(column.name, column.comment) : null;
+      elements.push(clause ? `${translated.text} ${clause}` : translated.text);
+      warnings.push(...translated.warnings);
+      tableOptions.push(...translated.tableOptions);
+    }
+    if (table.comment) {
+      const clause = comment(null, table.comment);
+      if (clause) tableOptions.push(clause);
+    }
+
+    for (const constraint of table.constraints) {
+      const translated = this.constraint(constraint);
+      if (!translated) continue;
+      if (translated.disabled) {
+        // Las constraints deshabilitadas se dejan comentadas
+        this.add('untranslated', `-- ALTER TABLE ${qualified} ADD ${translated.text};`, [
+          ...translated.warnings,
+          `${constraint.name || constraint.type}: la constraint está DISABLE en Oracle; se deja comentada`
+        ]);
+      } else if (constraint.type === 'FK') {
+        this.add('foreignKeys', `ALTER TABLE ${qualified} ADD ${translated.text};`, translated.warnings);
+      } else {
+        elements.push(translated.text);
+        warnings.push(...translated.warnings);
+      }
+    }
+
+    const options = tableOptions.length > 0 ? ` ${tableOptions.join(' ')}` : '';
+    this.add('tables', `CREATE TABLE ${qualified} (\n  ${elements.join(',\n  ')}\n)${options};`, warnings);
+    for (const statement of comments) this.add('comments', statement);
+
+    const partitioning = table.physical && table.physical.partitioning;
+    if (partitioning) {
+      const columns = partitioning.columns.length > 0 ? ` (${partitioning.columns.join(', ')})` : '';
+      this.add('untranslated', `-- ${tableKey(table.schema, table.name)}: PARTITION BY ${partitioning.type}${columns}`, [
+        `el particionado de ${table.name} no se traduce; la tabla se crea sin particiones`
+      ]);
+    }
+
+    const sequenceColumn = this.sequenceColumns.get(tableKey(table.schema, table.name));
+    if (sequenceColumn) {
+      const { sequence, trigger } = sequenceColumn;
+      this.add('untranslated',
+        `-- Secuencia ${tableKey(sequence.schema, sequence.name)} y trigger ${tableKey(trigger.schema, trigger.name)} ` +
+        `sustituidos por la columna identity ${tableKey(table.schema, table.name)}.${sequenceColumn.column}`);
+    }
+  }
+
+  // Índices que ya crea una constraint PK o UNIQUE de la tabla
+  constraintIndexName(index) {
+    const table = this.model.tables.get(tableKey(index.tableSchema, index.table));
+    if (!table) return null;
+    for (const constraint of table.constraints) {
+      if (constraint.type !== 'PK' && constraint.type !== 'UK') continue;
+      const sameColumns = index.unique && constraint.columns.length === index.columns.length &&
+        constraint.columns.every((name, i) => name === index.columns[i]);
+      if (constraint.usingIndex === index.name || sameColumns) return constraint.name || constraint.type;
+    }
+    return null;
+  }
+
+  translateIndex(index) {
+    const dialect = this.dialect;
+    const owner = this.constraintIndexName(index);
+    if (owner) {
+      this.add('indexes', `-- Índice ${tableKey(index.schema, index.name)} omitido: lo crea la constraint ${owner}`);
+      return;
+    }
+
+    const warnings = [];
+    let supported = true;
+    // Las columnas que no son un nombre simple son expresiones (índices
+    // basados en funciones)
+    const columns = index.columns.map(column => {
+      if (/^[^\s()'"]+$/.test(column)) return dialect.identifier(column);
+      const expression = translateExpression(column, dialect);
+      if (expression.warning) warnings.push(`${index.name}: ${expression.warning}`);
+      const translated = dialect.indexExpression(expression.text);
+      if (translated === null) supported = false;
+      return translated === null ? column : translated;
+    });
+
+    // BITMAP y LOCAL/GLOBAL no tienen equivalente: el índice se crea como
+    // un índice normal y se deja constancia en NOT TRANSLATED
+    const dropped = [];
+    if (index.bitmap) dropped.push('BITMAP');
+    if (index.partitioned) dropped.push(index.partitioned);
+    if (dropped.length > 0) {
+      this.add('untranslated', `-- Índice ${tableKey(index.schema, index.name)}: ${dropped.join(', ')}`, [
+        `${index.name}: ${dropped.join(' y ')} no se traduce${dropped.length > 1 ? 'n' : ''}; se crea como índice normal sin particionar`
+      ]);
+    }
+
+    // Los nombres de índice no se cualifican: el índice se crea en el esquema de la tabla
+    const statement = `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${dialect.identifier(index.name)} ` +
+      `ON ${this.table(index.tableSchema, index.table)} (${columns.join(', ')});`;
+    if (supported) {
+      this.add('indexes', statement, warnings);
+    } else {
+      this.add('indexes', `-- ${statement}`, [
+        ...warnings,
+        `${index.name}: ${dialect.label} no admite índices sobre expresiones; crear una columna calculada e indexarla`
+      ]);
+    }
+  }
+
+  // Vistas, sinónimos, PL/SQL, tipos y GRANT: no se traducen
+  translateObject(object) {
+    const label = this.dialect.label;
+    const where = object.file ? `${object.file}, línea ${object.line}` : `línea ${object.line}`;
+    if (object.kind === StatementKind.GRANT) {
+      this.add('untranslated', `-- ${object.text} (${where})`, [
+        `los permisos no se traducen; crear los usuarios y roles en ${label} y concederlos allí`
+      ]);
+      return;
+    }
+    const name = tableKey(object.schema, object.name);
+    this.add('untranslated', `-- ${object.kind} ${name} (${where})`, [
+      `${OBJECT_NAMES[object.kind]} ${name} no se traduce a ${label}`
+    ]);
+  }
+
+  translate() {
+    const schemas = new Set();
+    for (const table of this.model.tables.values()) {
+      if (table.schema) schemas.add(table.schema);
+    }
+    for (const schema of schemas) {
+      this.add('schemas', this.dialect.createSchema(schema));
+    }
+
+    const consumedSequences = new Set();
+    const consumedTriggers = new Set();
+    for (const { sequence, trigger } of this.sequenceColumns.values()) {
+      consumedSequences.add(sequence);
+      consumedTriggers.add(trigger);
+    }
+
+    for (const sequence of this.model.sequences) {
+      if (consumedSequences.has(sequence)) continue;
+      const translated = this.dialect.createSequence(sequence);
+      this.add('sequences', translated.text, [translated.warning]);
+    }
+
+    for (const table of this.model.tables.values()) {
+      this.translateTable(table);
+    }
+    for (const index of this.model.indexes) {
+      this.translateIndex(index);
+    }
+    for (const trigger of this.model.triggers) {
+      if (consumedTriggers.has(trigger)) continue;
+      this.add('untranslated', `-- Trigger ${tableKey(trigger.schema, trigger.name)} sobre ${tableKey(trigger.tableSchema, trigger.table)}`, [
+        `el cuerpo PL/SQL del trigger ${trigger.name} no se traduce; reescribirlo en ${this.dialect.label}`
+      ]);
+    }
+    for (const object of this.model.objects || []) {
+      this.translateObject(object);
+    }
+
+    return this;
+  }
+}
+
+// Traduce el modelo al motor indicado. Devuelve { target, label, sections,
+// warningCount }, donde cada sección es una lista de { text, warnings }.
+function translateSchema(model, target) {
+  const dialect = TARGETS[target];
+  const translator = new SchemaTranslator(model, dialect).translate();
+  return {
+    target,
+    label: dialect.label,
+    sections: translator.sections,
+    warningCount: translator.warningCount
+  };
+}
+
+// Texto de una sentencia traducida, precedida de sus advertencias
+function formatStatement(statement) {
+  const warnings = statement.warnings.map(warning => `-- ADVERTENCIA: ${warning}\n`).join('');
+  return warnings + statement.text;
+}
+
+module.exports = {
+  TARGETS: Object.keys(TARGETS),
+  translateSchema,
+  formatStatement
+};
@@ -0,0 +1,131 @@
+/**
+ * lib/translators/mssql.js
+ * ------------------------
+ * Dialecto SQL Server. Los identificadores conservan mayúsculas y se
+ * escriben entre corchetes sólo cuando es necesario.
+ */
+
+const { integerType, decimalArguments, unknownType, sequenceClauses } = require('./common');
+
+const RESERVED_WORDS = new Set([
+  'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BACKUP', 'BEGIN', 'BETWEEN', 'BREAK', 'BY',
+  'CASCADE', 'CASE', 'CHECK', 'CLUSTERED', 'COLUMN', 'COMMIT', 'CONSTRAINT', 'CONTINUE', 'CREATE',
+  'CROSS', 'CURRENT', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER',
+  'DATABASE', 'DEFAULT', 'DELETE', 'DESC', 'DISTINCT', 'DROP', 'ELSE', 'END', 'EXEC', 'EXECUTE',
+  'EXISTS', 'FILE', 'FOR', 'FOREIGN', 'FROM', 'FULL', 'FUNCTION', 'GRANT', 'GROUP', 'HAVING',
+  'IDENTITY', 'IF', 'IN', 'INDEX', 'INSERT', 'INTO', 'IS', 'JOIN', 'KEY', 'LEFT', 'LIKE', 'NOT',
+  'NULL', 'OF', 'ON', 'OPEN', 'OR', 'ORDER', 'OUTER', 'PERCENT', 'PLAN', 'PRIMARY', 'PROCEDURE',
+  'PUBLIC', 'REFERENCES', 'RIGHT', 'ROWCOUNT', 'RULE', 'SCHEMA', 'SELECT', 'SESSION_USER', 'SET',
+  'SOME', 'SYSTEM_USER', 'TABLE', 'THEN', 'TO', 'TOP', 'TRAN', 'TRANSACTION', 'TRIGGER',
+  'UNION', 'UNIQUE', 'UPDATE', 'USER', 'VALUES', 'VIEW', 'WHEN', 'WHERE', 'WITH'
+]);
+
+function identifier(name) {
+  if (/^[A-Za-z_][A-Za-z0-9_@$#]*$/.test(name) && !RESERVED_WORDS.has(name.toUpperCase())) return name;
+  return `[${name.replace(/]/g, ']]')}]`;
+}
+
+function qualifiedName(schema, name) {
+  return schema ? `${identifier(schema)}.${identifier(name)}` : identifier(name);
+}
+
+// datetime2 y datetimeoffset admiten hasta 7 decimales de segundo
+function fractionalSeconds(info) {
+  return info.precision === null ? 6 : Math.min(info.precision, 7);
+}
+
+function mapType(info) {
+  const prefix = info.national ? 'n' : '';
+  // Límite de longitud de varchar (8000 bytes) y nvarchar (4000 caracteres)
+  const maxLength = info.national ? 4000 : 8000;
+  switch (info.kind) {
+    case 'varchar':
+      if (info.length === null) return { type: `${prefix}varchar(max)` };
+      return { type: `${prefix}varchar(${info.length > maxLength ? 'max' : info.length})` };
+    case 'char':
+      return { type: `${prefix}char(${info.length === null ? 1 : Math.min(info.length, maxLength)})` };
+    case 'integer':
+      return { type: integerType(info.precision, ['smallint', 'int', 'bigint']) || `decimal(${info.precision},0)` };
+    case 'decimal': {
+      const { args, warning } = decimalArguments(info, 10);
+      return { type: `decimal${args}`, warning };
+    }
+    case 'double':
+      return { type: 'float' };
+    case 'float':
+      return { type: 'real' };
+    case 'date':
+      return { type: 'datetime2(0)' };
+    case 'timestamp':
+      return { type: info.withTimeZone ? `datetimeoffset(${fractionalSeconds(info)})` : `datetime2(${fractionalSeconds(info)})` };
+    case 'interval':
+      return { type: 'varchar(30)', warning: 'SQL Server no tiene tipo INTERVAL; se guarda como texto' };
+    case 'text':
+      return { type: info.national ? 'nvarchar(max)' : 'varchar(max)' };
+    case 'blob':
+      return { type: 'varbinary(max)' };
+    case 'raw':
+      return { type: info.length !== null ? `varbinary(${info.length})` : 'varbinary(2000)' };
+    case 'xml':
+      return { type: 'xml' };
+    case 'json':
+      return { type: 'nvarchar(max)' };
+    case 'boolean':
+      return { type: 'bit' };
+    case 'bfile':
+      return { type: 'varchar(4000)', warning: 'BFILE no existe en SQL Server; se guarda la ruta del archivo como texto' };
+    case 'rowid':
+      return { type: 'varchar(4000)', warning: `${info.name} no existe en SQL Server; se guarda como texto` };
+    default:
+      return unknownType(info);
+  }
+}
+
+function identity({ generation, startWith, incrementBy }) {
+  return {
+    text: `IDENTITY(${startWith || 1}, ${incrementBy || 1})`,
+    warning: generation === 'ALWAYS' ? null : 'IDENTITY sólo admite valores explícitos con SET IDENTITY_INSERT ON'
+  };
+}
+
+function createSequence(sequence) {
+  const clauses = sequenceClauses(sequence, { alwaysStart: true });
+  return { text: `CREATE SEQUENCE ${qualifiedName(sequence.schema, sequence.name)} AS bigint ${clauses.join(' ')};` };
+}
+
+// Los comentarios son la propiedad extendida MS_Description; sin esquema,
+// el objeto está en dbo
+function comment({ schema, table, column }, text) {
+  const literal = value => `N'${value.replace(/'/g, "''")}'`;
+  let statement = `EXEC sp_addextendedproperty @name = N'MS_Description', @value = ${literal(text)}, ` +
+    `@level0type = N'SCHEMA', @level0name = ${literal(schema || 'dbo')}, @level1type = N'TABLE', @level1name = ${literal(table)}`;
+  if (column) statement += `, @level2type = N'COLUMN', @level2name = ${literal(column)}`;
+  return { statement: `${statement};` };
+}
+
+module.exports = {
+  label: 'SQL Server',
+  supportsDeferrable: false,
+  supportsInvisible: false,
+  identifier,
+  qualifiedName,
+  mapType,
+  functions: {
+    SYSDATE: 'GETDATE()',
+    SYSTIMESTAMP: 'SYSDATETIMEOFFSET()',
+    USER: 'CURRENT_USER',
+    NVL: 'COALESCE',
+    LENGTH: 'LEN'
+  },
+  concat: '+',
+  nextval: (schema, name) => `NEXT VALUE FOR ${qualifiedName(schema, name)}`,
+  identity,
+  // Las columnas calculadas no declaran tipo
+  virtualColumn: (type, expression) => ({ text: `AS (${expression})` }),
+  defaultValue: text => text,
+  // Sin índices sobre expresiones: hay que indexar una columna calculada
+  indexExpression: () => null,
+  createSchema: schema => `IF SCHEMA_ID(N'${schema.replace(/'/g, "''")}') IS NULL EXEC(N'CREATE SCHEMA ${identifier(schema).replace(/'/g, "''")}');`,
+  createSequence,
+  comment
+};
@@ -0,0 +1,151 @@
+/**
+ * lib/translators/mysql.js
+ * ------------------------
+ * Dialecto MySQL (8.0 o posterior). Cada esquema Oracle se traduce como una
+ * base de datos; los identificadores se escriben en minúsculas y entre
+ * acentos graves sólo cuando es necesario.
+ */
+
+const { integerType, decimalArguments, unknownType } = require('./common');
+
+const RESERVED_WORDS = new Set([
+  'ADD', 'ALL', 'ALTER', 'AND', 'AS', 'ASC', 'BETWEEN', 'BIGINT', 'BLOB', 'BY', 'CASCADE', 'CASE',
+  'CHANGE', 'CHAR', 'CHARACTER', 'CHECK', 'COLLATE', 'COLUMN', 'CONDITION', 'CONSTRAINT',
+  'CONVERT', 'CREATE', 'CROSS', 'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP',
+  'CURRENT_USER', 'DATABASE', 'DEC', 'DECIMAL', 'DEFAULT', 'DELETE', 'DESC', 'DESCRIBE',
+  'DISTINCT', 'DIV', 'DOUBLE', 'DROP', 'ELSE', 'EXISTS', 'FALSE', 'FLOAT', 'FOR', 'FOREIGN',
+  'FROM', 'FULLTEXT', 'FUNCTION', 'GRANT', 'GROUP', 'GROUPS', 'HAVING', 'IF', 'IN', 'INDEX',
+  'INSERT', 'INT', 'INTEGER', 'INTERVAL', 'INTO', 'IS', 'JOIN', 'KEY', 'KEYS', 'LEFT', 'LIKE',
+  'LIMIT', 'LINES', 'LOAD', 'LOCK', 'LONG', 'MATCH', 'MOD', 'NOT', 'NULL', 'NUMERIC', 'ON',
+  'OPTION', 'OR', 'ORDER', 'OUTER', 'PRIMARY', 'RANGE', 'RANK', 'READ', 'REAL', 'REFERENCES',
+  'RENAME', 'REPLACE', 'RIGHT', 'ROW', 'ROWS', 'SCHEMA', 'SELECT', 'SET', 'SHOW', 'SMALLINT',
+  'TABLE', 'THEN', 'TO', 'TRIGGER', 'TRUE', 'UNION', 'UNIQUE', 'UPDATE', 'USAGE', 'USE',
+  'USING', 'VALUES', 'VARCHAR', 'WHEN', 'WHERE', 'WITH', 'WRITE'
+]);
+
+function identifier(name) {
+  const text = /^[A-Z_][A-Z0-9_$#]*$/.test(name) ? name.toLowerCase() : name;
+  if (/^[a-z_][a-z0-9_$]*$/.test(text) && !RESERVED_WORDS.has(name.toUpperCase())) return text;
+  return `\`${text.replace(/`/g, '``')}\``;
+}
+
+function qualifiedName(schema, name) {
+  return schema ? `${identifier(schema)}.${identifier(name)}` : identifier(name);
+}
+
+// Oracle guarda fracciones de segundo hasta 9 dígitos (6 por defecto); MySQL hasta 6
+function fractionalSeconds(info) {
+  return info.precision === null ? 6 : Math.min(info.precision, 6);
+}
+
+function mapType(info) {
+  switch (info.kind) {
+    case 'varchar':
+      if (info.length === null) return { type: 'varchar(4000)' };
+      return { type: info.length > 16383 ? 'mediumtext' : `varchar(${info.length})` };
+    case 'char':
+      if (info.length === null) return { type: 'char(1)' };
+      return { type: info.length > 255 ? `varchar(${info.length})` : `char(${info.length})` };
+    case 'integer':
+      return { type: integerType(info.precision, ['smallint', 'int', 'bigint']) || `decimal(${info.precision},0)` };
+    case 'decimal': {
+      const { args, warning } = decimalArguments(info, 10);
+      return { type: `decimal${args}`, warning };
+    }
+    case 'double':
+      return { type: 'double' };
+    case 'float':
+      return { type: 'float' };
+    case 'date':
+      return { type: 'datetime' };
+    case 'timestamp':
+      if (info.withTimeZone) {
+        return {
+          type: `datetime(${fractionalSeconds(info)})`,
+          warning: 'MySQL no guarda la zona horaria; se traduce como datetime'
+        };
+      }
+      return {
+        type: `datetime(${fractionalSeconds(info)})`,
+        warning: info.precision > 6 ? `MySQL admite hasta 6 decimales de segundo (${info.precision} en Oracle)` : null
+      };
+    case 'interval':
+      return { type: 'varchar(30)', warning: 'MySQL no tiene tipo INTERVAL; se guarda como texto' };
+    case 'text':
+      return { type: 'longtext' };
+    case 'blob':
+      return { type: 'longblob' };
+    case 'raw':
+      return { type: info.length !== null ? `varbinary(${info.length})` : 'varbinary(2000)' };
+    case 'json':
+      return { type: 'json' };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'xml':
+      return { type: 'longtext', warning: 'MySQL no tiene tipo XML; se guarda como texto' };
+    case 'bfile':
+      return { type: 'varchar(4000)', warning: 'BFILE no existe en MySQL; se guarda la ruta del archivo como texto' };
+    case 'rowid':
+      return { type: 'varchar(4000)', warning: `${info.name} no existe en MySQL; se guarda como texto` };
+    default:
+      return unknownType(info);
+  }
+}
+
+// AUTO_INCREMENT sólo admite incremento 1 por tabla; el valor inicial es
+// una opción de la tabla
+function identity({ generation, startWith, incrementBy }) {
+  const warnings = [];
+  if (incrementBy && incrementBy !== '1') {
+    warnings.push(`INCREMENT BY ${incrementBy} no se traduce; AUTO_INCREMENT usa auto_increment_increment del servidor`);
+  }
+  if (generation === 'ALWAYS') warnings.push('AUTO_INCREMENT admite valores explícitos (GENERATED ALWAYS no se impone)');
+  return {
+    text: 'AUTO_INCREMENT',
+    tableOption: startWith && startWith !== '1' ? `AUTO_INCREMENT=${startWith}` : null,
+    warning: warnings.length > 0 ? warnings.join('; ') : null
+  };
+}
+
+function createSequence(sequence) {
+  return {
+    text: `-- CREATE SEQUENCE ${qualifiedName(sequence.schema, sequence.name)}`,
+    warning: `MySQL no tiene secuencias; ${sequence.name} debe sustituirse por una columna AUTO_INCREMENT o una tabla contador`
+  };
+}
+
+// Los comentarios se declaran en la propia columna o como opción de la
+// tabla; la barra invertida es carácter de escape en las cadenas de MySQL
+function comment({ column }, text) {
+  const literal = `'${text.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+  return { clause: column ? `COMMENT ${literal}` : `COMMENT=${literal}` };
+}
+
+module.exports = {
+  label: 'MySQL',
+  supportsDeferrable: false,
+  supportsInvisible: true,
+  identifier,
+  qualifiedName,
+  mapType,
+  functions: {
+    SYSDATE: 'CURRENT_TIMESTAMP',
+    SYSTIMESTAMP: 'CURRENT_TIMESTAMP(6)',
+    USER: 'CURRENT_USER',
+    NVL: 'COALESCE'
+  },
+  // || es OR en MySQL salvo con PIPES_AS_CONCAT
+  concat: null,
+  nextval: () => null,
+  identity,
+  virtualColumn: (type, expression) => ({
+    text: `${type ? `${type} ` : ''}GENERATED ALWAYS AS (${expression}) VIRTUAL`,
+    warning: type ? null : 'la columna virtual no declara tipo y MySQL lo exige; añadirlo'
+  }),
+  // Las expresiones como valor por defecto van entre paréntesis
+  defaultValue: (text, literal) => (literal || /^CURRENT_TIMESTAMP(\(\d\))?$/i.test(text.trim()) ? text : `(${text})`),
+  indexExpression: text => `(${text})`,
+  createSchema: schema => `CREATE DATABASE IF NOT EXISTS ${identifier(schema)};`,
+  createSequence,
+  comment
+};
@@ -0,0 +1,125 @@
+/**
+ * lib/translators/postgres.js
+ * ---------------------------
+ * Dialecto PostgreSQL. Los identificadores sin comillas de Oracle (en
+ * mayúsculas) se escriben en minúsculas sin comillas, que PostgreSQL
+ * interpreta igual; los entrecomillados conservan mayúsculas y comillas.
+ */
+
+const { integerType, decimalArguments, unknownType, sequenceClauses } = require('./common');
+
+const RESERVED_WORDS = new Set([
+  'ALL', 'ANALYSE', 'ANALYZE', 'AND', 'ANY', 'ARRAY', 'AS', 'ASC', 'ASYMMETRIC', 'BOTH', 'CASE',
+  'CAST', 'CHECK', 'COLLATE', 'COLUMN', 'CONSTRAINT', 'CREATE', 'CURRENT_CATALOG', 'CURRENT_DATE',
+  'CURRENT_ROLE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'DEFAULT', 'DEFERRABLE',
+  'DESC', 'DISTINCT', 'DO', 'ELSE', 'END', 'EXCEPT', 'FALSE', 'FETCH', 'FOR', 'FOREIGN', 'FROM',
+  'GRANT', 'GROUP', 'HAVING', 'IN', 'INITIALLY', 'INTERSECT', 'INTO', 'LATERAL', 'LEADING',
+  'LIMIT', 'LOCALTIME', 'LOCALTIMESTAMP', 'NOT', 'NULL', 'OFFSET', 'ON', 'ONLY', 'OR', 'ORDER',
+  'PLACING', 'PRIMARY', 'REFERENCES', 'RETURNING', 'SELECT', 'SESSION_USER', 'SOME',
+  'SYMMETRIC', 'TABLE', 'THEN', 'TO', 'TRAILING', 'TRUE', 'UNION', 'UNIQUE', 'USER', 'USING',
+  'VARIADIC', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+]);
+
+function identifier(name) {
+  if (/^[A-Z_][A-Z0-9_]*$/.test(name) && !RESERVED_WORDS.has(name)) return name.toLowerCase();
+  const text = /^[A-Z_][A-Z0-9_$#]*$/.test(name) ? name.toLowerCase() : name;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+function qualifiedName(schema, name) {
+  return schema ? `${identifier(schema)}.${identifier(name)}` : identifier(name);
+}
+
+function mapType(info) {
+  const length = info.length !== null ? `(${info.length})` : '';
+  const precision = info.precision !== null ? `(${info.precision})` : '';
+  switch (info.kind) {
+    case 'varchar':
+      return { type: `varchar${length}` };
+    case 'char':
+      return { type: `char${length}` };
+    case 'integer':
+      return { type: integerType(info.precision, ['smallint', 'integer', 'bigint']) || `numeric(${info.precision})` };
+    case 'decimal': {
+      if (info.precision === null && info.scale === null) return { type: 'numeric' };
+      const { args, warning } = decimalArguments(info, 0);
+      return { type: `numeric${args}`, warning };
+    }
+    case 'double':
+      return { type: 'double precision' };
+    case 'float':
+      return { type: 'real' };
+    case 'date':
+      return { type: 'timestamp(0)' };
+    case 'timestamp':
+      return { type: info.withTimeZone ? `timestamptz${precision}` : `timestamp${precision}` };
+    case 'interval':
+      return { type: info.name.includes('YEAR') ? 'interval year to month' : 'interval day to second' };
+    case 'text':
+      return { type: 'text' };
+    case 'blob':
+    case 'raw':
+      return { type: 'bytea' };
+    case 'xml':
+      return { type: 'xml' };
+    case 'json':
+      return { type: 'jsonb' };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'bfile':
+      return { type: 'text', warning: 'BFILE no existe en PostgreSQL; se guarda la ruta del archivo como texto' };
+    case 'rowid':
+      return { type: 'text', warning: `${info.name} no existe en PostgreSQL; se guarda como texto` };
+    default:
+      return unknownType(info);
+  }
+}
+
+function identity({ generation, startWith, incrementBy }) {
+  const options = [];
+  if (startWith) options.push(`START WITH ${startWith}`);
+  if (incrementBy) options.push(`INCREMENT BY ${incrementBy}`);
+  return {
+    text: `GENERATED ${generation === 'ALWAYS' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY` +
+      (options.length > 0 ? ` (${options.join(' ')})` : ''),
+    warning: generation === 'BY DEFAULT ON NULL' ? 'BY DEFAULT ON NULL se traduce como BY DEFAULT' : null
+  };
+}
+
+function createSequence(sequence) {
+  const clauses = sequenceClauses(sequence);
+  return { text: `CREATE SEQUENCE ${qualifiedName(sequence.schema, sequence.name)}${clauses.map(clause => ` ${clause}`).join('')};` };
+}
+
+// COMMENT ON TABLE / COMMENT ON COLUMN, como en Oracle
+function comment({ schema, table, column }, text) {
+  const target = column ? `COLUMN ${qualifiedName(schema, table)}.${identifier(column)}` : `TABLE ${qualifiedName(schema, table)}`;
+  return { statement: `COMMENT ON ${target} IS '${text.replace(/'/g, "''")}';` };
+}
+
+module.exports = {
+  label: 'PostgreSQL',
+  supportsDeferrable: true,
+  supportsInvisible: false,
+  identifier,
+  qualifiedName,
+  mapType,
+  functions: {
+    SYSDATE: 'LOCALTIMESTAMP(0)',
+    SYSTIMESTAMP: 'CURRENT_TIMESTAMP',
+    USER: 'CURRENT_USER',
+    NVL: 'COALESCE'
+  },
+  concat: '||',
+  nextval: (schema, name) => `nextval('${qualifiedName(schema, name).replace(/'/g, "''")}')`,
+  identity,
+  virtualColumn: (type, expression) => ({
+    text: `${type ? `${type} ` : ''}GENERATED ALWAYS AS (${expression}) STORED`,
+    warning: type ? null : 'la columna virtual no declara tipo y PostgreSQL lo exige; añadirlo'
+  }),
+  defaultValue: text => text,
+  indexExpression: text => `(${text})`,
+  createSchema: schema => `CREATE SCHEMA IF NOT EXISTS ${identifier(schema)};`,
+  createSequence,
+  comment
+};
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * lint_schema.js
+ * --------------
+ * Revisa la calidad del esquema de un volcado Oracle SQL: tablas sin clave
+ * primaria, foreign keys sin índice, referencias a tablas que no están en
+ * el volcado, foreign keys cuyo tipo no coincide con el de la columna
+ * referenciada, índices duplicados o redundantes, tablas sin relaciones y
+ * nombres que no siguen la convención. Ver lib/schema_lint.js.
+ *
+ * El informe se escribe en texto, JSON, JUnit XML o SARIF, en la salida
+ * estándar o en el archivo indicado con --report. La severidad de cada
+ * regla (error, warning, note u off) se configura con --rules o en la
+ * sección lint.rules del archivo de configuración del proyecto (ver
+ * lib/config_file.js). El proceso termina con código 1 si hay algún
+ * hallazgo de severidad error, para usarlo como control en la integración
+ * continua. Las advertencias del análisis del volcado se muestran en la
+ * salida de errores o se guardan con --warnings-report; con --strict
+ * cualquier advertencia termina el proceso con código 1 sin revisar nada.
+ * También se ejecuta como "sql-create-extractor lint".
+ *
+ * Uso:
+ *   node lint_schema.js <input_dump.sql|-> [--format text|json|junit|sarif]
+ *                       [--report archivo] [--config .sqlextractorrc.json]
+ *                       [--rules regla=severidad,...]
+ *                       [--strict] [--warnings-report archivo]
+ *                       [--out-dir dir] [--quiet | --verbose]
+ *
+ * Ejemplo:
+ *   node lint_schema.js dump.sql
+ *   node lint_schema.js dump.sql.gz --format sarif --report lint.sarif
+ *   node lint_schema.js dump.sql --rules orphan-table=off,unindexed-foreign-key=error
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readSchema, STDIN } = require('./lib/sql_input');
+const { parseCommandLine, resolveOutput } = require('./lib/cli_args');
+const log = require('./lib/logger');
+const { buildDerModel } = require('./lib/der_model');
+const { lintModel, countBySeverity } = require('./lib/schema_lint');
+const { REPORT_FORMATS, summary } = require('./lib/lint_reports');
+const { WARNING_OPTIONS, warningHelp, reportParseWarnings, printWarningSummary } = require('./lib/parse_warnings');
+
+const USAGE = 'Uso: node lint_schema.js <input_dump.sql|-> [--format text|json|junit|sarif] [--report archivo]\n' +
+  '                           [--config .sqlextractorrc.json] [--rules regla=severidad,...]\n' +
+  '                           [--strict] [--warnings-report archivo]';
+const HELP = `${USAGE}
+
+Revisa la calidad del esquema de un volcado Oracle SQL.
+
+Opciones:
+  --input archivo   Volcado de entrada (.sql, .sql.gz o - para la entrada estándar)
+  --format formato  Formato del informe: text, json, junit o sarif (por defecto, text)
+  --report archivo  Archivo del informe (por defecto, la salida estándar)
+  --rules reglas    Severidad de las reglas: regla=error|warning|note|off, separadas por comas
+${warningHelp(18)}`;
+const args = parseCommandLine(process.argv.slice(2), {
+  command: 'lint',
+  usage: USAGE,
+  help: HELP,
+  valueOptions: ['input', 'format', 'report', 'rules', ...WARNING_OPTIONS.valueOptions],
+  booleanOptions: WARNING_OPTIONS.booleanOptions,
+  objectOptions: ['rules']
+});
+const inputFile = args.options.input || args.positional[0];
+
+if (!inputFile) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+const format = args.options.format || 'text';
+if (!Object.prototype.hasOwnProperty.call(REPORT_FORMATS, format)) {
+  console.error(`Valor no válido para --format: ${format}`);
+  console.error(USAGE);
+  process.exit(1);
+}
+const reportFile = typeof args.options.report === 'string' ? resolveOutput(args.options, args.options.report) : null;
+const warningsReport = typeof args.options['warnings-report'] === 'string'
+  ? resolveOutput(args.options, args.options['warnings-report'])
+  : null;
+
+// Configuración de las reglas: la del archivo de configuración, con las
+// severidades de --rules por encima
+function loadRuleConfig() {
+  const rules = Object.assign({}, args.config.rules);
+
+  if (typeof args.options.rules === 'string') {
+    for (const entry of args.options.rules.split(',').filter(item => item.trim())) {
+      const [id, severity] = entry.split('=').map(part => part.trim());
+      if (!severity) {
+        console.error(`Valor no válido para --rules: ${entry} (se espera regla=severidad)`);
+        process.exit(1);
+      }
+      // Se conservan las opciones del archivo de configuración
+      rules[id] = Array.isArray(rules[id]) ? [severity, rules[id][1]] : severity;
+    }
+  }
+  return rules;
+}
+
+async function main() {
+  const ruleConfig = loadRuleConfig();
+
+  let schema;
+  try {
+    schema = await readSchema(inputFile);
+  } catch (err) {
+    console.error(`Error al leer el archivo de entrada: ${err.message}`);
+    process.exit(1);
+  }
+  // Sin --report, la salida estándar es el informe
+  reportParseWarnings(schema.warnings, {
+    reportFile: warningsReport,
+    strict: Boolean(args.options.strict),
+    consequence: 'No se revisa el esquema.',
+    announce: Boolean(reportFile)
+  });
+
+  let result;
+  try {
+    result = lintModel(buildDerModel(schema), ruleConfig);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const source = inputFile === STDIN ? null : inputFile;
+  const report = REPORT_FORMATS[format](result, { source });
+  if (reportFile) {
+    try {
+      fs.writeFileSync(path.resolve(reportFile), report);
+    } catch (err) {
+      console.error(`Error al escribir el informe: ${err.message}`);
+      process.exit(1);
+    }
+    log.info(summary(result.findings));
+    log.info(`Informe guardado en '${reportFile}'.`);
+  } else {
+    process.stdout.write(report);
+  }
+  printWarningSummary(schema.warnings, warningsReport);
+
+  if (countBySeverity(result.findings).error > 0) process.exitCode = 1;
+}
+
+main();